@@ -0,0 +1,123 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "../../rootCore/interfaces/IDLPRootCore.sol";
+
+/**
+ * Stand-in for Vana's DLPRegistry on a local hardhat node.
+ *
+ * It exposes the registerDlp / dlpIds / dlpNameToId surface of the registry
+ * deployed on Moksha and mainnet (a 1 VANA deposit, no stakers percentage),
+ * and the IDLPRootCoreReadOnly views DataRefinerRegistry reads DLP owners from.
+ * There is no staking, eligibility or epoch logic.
+ */
+contract DLPRegistryLocalMock is IDLPRootCoreReadOnly {
+    struct DlpRegistration {
+        address dlpAddress;
+        address ownerAddress;
+        address payable treasuryAddress;
+        string name;
+        string iconUrl;
+        string website;
+        string metadata;
+    }
+
+    uint256 public constant dlpRegistrationDepositAmount = 1 ether;
+
+    uint256 public override dlpsCount;
+    mapping(uint256 dlpId => DlpInfo) private _dlps;
+    mapping(address dlpAddress => uint256 dlpId) public override dlpIds;
+    mapping(string dlpName => uint256 dlpId) public override dlpNameToId;
+
+    event DlpRegistered(
+        uint256 indexed dlpId,
+        address indexed dlpAddress,
+        address ownerAddress,
+        address treasuryAddress,
+        string name,
+        string iconUrl,
+        string website,
+        string metadata
+    );
+
+    error InvalidAddress();
+    error InvalidDlpStatus();
+    error InvalidName();
+    error InvalidDepositAmount();
+
+    function registerDlp(DlpRegistration calldata registrationInfo) external payable {
+        if (
+            registrationInfo.dlpAddress == address(0) ||
+            registrationInfo.ownerAddress == address(0) ||
+            registrationInfo.treasuryAddress == address(0)
+        ) {
+            revert InvalidAddress();
+        }
+
+        if (dlpIds[registrationInfo.dlpAddress] != 0) {
+            revert InvalidDlpStatus();
+        }
+
+        if (dlpNameToId[registrationInfo.name] != 0 || !_validateDlpNameLength(registrationInfo.name)) {
+            revert InvalidName();
+        }
+
+        if (msg.value != dlpRegistrationDepositAmount) {
+            revert InvalidDepositAmount();
+        }
+
+        uint256 dlpId = ++dlpsCount;
+        DlpInfo storage dlp = _dlps[dlpId];
+        dlp.id = dlpId;
+        dlp.dlpAddress = registrationInfo.dlpAddress;
+        dlp.ownerAddress = registrationInfo.ownerAddress;
+        dlp.treasuryAddress = registrationInfo.treasuryAddress;
+        dlp.name = registrationInfo.name;
+        dlp.iconUrl = registrationInfo.iconUrl;
+        dlp.website = registrationInfo.website;
+        dlp.metadata = registrationInfo.metadata;
+        dlp.status = IDLPRootCore.DlpStatus.Registered;
+        dlp.registrationBlockNumber = block.number;
+        dlp.stakeAmount = msg.value;
+
+        dlpIds[registrationInfo.dlpAddress] = dlpId;
+        dlpNameToId[registrationInfo.name] = dlpId;
+
+        emit DlpRegistered(
+            dlpId,
+            registrationInfo.dlpAddress,
+            registrationInfo.ownerAddress,
+            registrationInfo.treasuryAddress,
+            registrationInfo.name,
+            registrationInfo.iconUrl,
+            registrationInfo.website,
+            registrationInfo.metadata
+        );
+    }
+
+    function dlps(uint256 dlpId) external view override returns (DlpInfo memory) {
+        return _dlps[dlpId];
+    }
+
+    function dlpsByAddress(address dlpAddress) external view override returns (DlpInfo memory) {
+        return _dlps[dlpIds[dlpAddress]];
+    }
+
+    function dlpsByName(string calldata dlpName) external view override returns (DlpInfo memory) {
+        return _dlps[dlpNameToId[dlpName]];
+    }
+
+    /// @dev Same rule as the live registry: more than 3 characters besides spaces
+    function _validateDlpNameLength(string memory str) internal pure returns (bool) {
+        bytes memory strBytes = bytes(str);
+        uint256 count = 0;
+
+        for (uint256 i = 0; i < strBytes.length; i++) {
+            if (strBytes[i] != 0x20) {
+                count++;
+            }
+        }
+
+        return count > 3;
+    }
+}
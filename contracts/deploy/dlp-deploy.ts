@@ -1,7 +1,12 @@
 import { ethers, run } from "hardhat";
 import { HardhatRuntimeEnvironment } from "hardhat/types";
 import { DeployFunction } from "hardhat-deploy/types";
-import { deployProxy, verifyContract, verifyProxy } from "./helpers";
+import {
+  deployProxy,
+  saveCreatedContract,
+  verifyContract,
+  verifyProxy,
+} from "./helpers";
 import { getReceipt, parseEther } from "../utils/helpers";
 import { EventLog, formatEther } from "ethers";
 
@@ -10,6 +15,15 @@ const proxyContractName = "DataLiquidityPoolProxy";
 const proxyContractPath =
   "contracts/dlp/DataLiquidityPoolProxy.sol:DataLiquidityPoolProxy";
 
+// Deployment names for the contracts created through the DAT factory
+const tokenDeploymentName = "DLPToken";
+const vestingWalletDeploymentName = "DLPVestingWallet";
+
+// Token template per IDATFactory.DATType
+const datContractNames = ["DAT", "DATVotes", "DATPausable"];
+const vestingWalletContractPath =
+  "@openzeppelin/contracts/finance/VestingWallet.sol:VestingWallet";
+
 const func: DeployFunction = async function (hre: HardhatRuntimeEnvironment) {
   const [deployer] = await ethers.getSigners();
 
@@ -114,6 +128,26 @@ const func: DeployFunction = async function (hre: HardhatRuntimeEnvironment) {
   const vestingWalletAddress = vestingWalletCreatedEvent.args[0];
   console.log(`Vesting Wallet Address: ${vestingWalletAddress}`);
 
+  // Record the factory-created contracts as deployments so tooling can read
+  // them from deployments/<network>/ like the DLP proxy and implementation
+  await saveCreatedContract(
+    tokenDeploymentName,
+    datContractNames[Number(datType)] || "DAT",
+    tokenAddress,
+    receipt,
+  );
+  await saveCreatedContract(
+    vestingWalletDeploymentName,
+    vestingWalletContractPath,
+    vestingWalletAddress,
+    receipt,
+    [
+      beneficiaryAddress,
+      vestingStart + vestingCliff,
+      vestingDuration - vestingCliff,
+    ],
+  );
+
   const params = {
     trustedForwarder: trustedForwarderAddress,
     ownerAddress: ownerAddress,
@@ -1,5 +1,6 @@
 import { deployments, ethers, run, upgrades } from "hardhat";
 import { HardhatEthersSigner } from "@nomicfoundation/hardhat-ethers/signers";
+import { ContractTransactionReceipt } from "ethers";
 
 export async function getUUPSImplementationAddress(
   proxyAddress: string,
@@ -118,6 +119,39 @@ export async function verifyContract(
   }
 }
 
+/**
+ * Save a hardhat-deploy artifact for a contract created by another contract
+ * (e.g. through a factory), so it lands in deployments/<network>/ next to the
+ * contracts deployed with `deployments.deploy`.
+ */
+export async function saveCreatedContract(
+  deploymentName: string,
+  contractName: string,
+  address: string,
+  receipt: ContractTransactionReceipt,
+  args: (string | number | bigint)[] = [],
+) {
+  const { abi } = await deployments.getArtifact(contractName);
+
+  await deployments.save(deploymentName, {
+    address,
+    abi,
+    args,
+    transactionHash: receipt.hash,
+    receipt: {
+      from: receipt.from,
+      to: receipt.to ?? undefined,
+      transactionHash: receipt.hash,
+      blockHash: receipt.blockHash,
+      blockNumber: receipt.blockNumber,
+      transactionIndex: receipt.index,
+      cumulativeGasUsed: receipt.cumulativeGasUsed.toString(),
+      gasUsed: receipt.gasUsed.toString(),
+      status: receipt.status ?? undefined,
+    },
+  });
+}
+
 export async function deployProxy(
   deployer: HardhatEthersSigner,
   proxyContractName: string,
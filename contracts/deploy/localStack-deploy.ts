@@ -0,0 +1,112 @@
+import { deployments, ethers } from "hardhat";
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import { DeployFunction } from "hardhat-deploy/types";
+import { deployProxy } from "./helpers";
+
+/**
+ * Deploy the Vana core contracts a DataDAO depends on to a local hardhat
+ * node, for offline development (`npm run dev:local` in the project root).
+ *
+ * The DLP registry is DLPRegistryLocalMock, which mirrors the registration
+ * interface of the registry on Moksha. Everything else is deployed from the
+ * sources in this package. Nothing is verified on a block explorer.
+ */
+const func: DeployFunction = async function (hre: HardhatRuntimeEnvironment) {
+  const [deployer] = await ethers.getSigners();
+
+  const ownerAddress = process.env.OWNER_ADDRESS || deployer.address;
+
+  console.log(`********** Deploying the local Vana stack **********`);
+  console.log(`Network: ${hre.network.name}`);
+  console.log(`Owner Address: ${ownerAddress}`);
+
+  const dlpRegistryDeploy = await deployments.deploy("DLPRegistryLocalMock", {
+    from: deployer.address,
+    args: [],
+    log: true,
+  });
+
+  const dataRegistryDeploy = await deployProxy(
+    deployer,
+    "DataRegistryProxy",
+    "DataRegistryImplementation",
+    [ethers.ZeroAddress, ownerAddress],
+  );
+
+  const initialCancelDelay = 100; // 100 blocks
+  const teePoolDeploy = await deployProxy(
+    deployer,
+    "TeePoolProxy",
+    "TeePoolImplementation",
+    [ethers.ZeroAddress, ownerAddress, dataRegistryDeploy.proxyAddress, initialCancelDelay],
+  );
+
+  const DATDeploy = await deployments.deploy("DAT", {
+    from: deployer.address,
+    args: [],
+    log: true,
+  });
+  const DATVotesDeploy = await deployments.deploy("DATVotes", {
+    from: deployer.address,
+    args: [],
+    log: true,
+  });
+  const DATPausableDeploy = await deployments.deploy("DATPausable", {
+    from: deployer.address,
+    args: [],
+    log: true,
+  });
+  const datFactoryDeploy = await deployProxy(
+    deployer,
+    "DATFactoryProxy",
+    "DATFactoryImplementation",
+    [ownerAddress, 0, ethers.MaxUint256, DATDeploy.address, DATVotesDeploy.address, DATPausableDeploy.address],
+  );
+
+  const dataRefinerRegistryDeploy = await deployProxy(
+    deployer,
+    "DataRefinerRegistryProxy",
+    "DataRefinerRegistryImplementation",
+    [ownerAddress, dlpRegistryDeploy.address],
+  );
+
+  const dataAccessTreasuryDeploy = await deployments.deploy("DataAccessTreasuryImplementation", {
+    from: deployer.address,
+    args: [],
+    log: true,
+  });
+  const dataAccessTreasuryProxyFactoryDeploy = await deployments.deploy("DataAccessTreasuryProxyFactory", {
+    from: deployer.address,
+    args: [dataAccessTreasuryDeploy.address, ownerAddress],
+    log: true,
+  });
+
+  const queryEngineDeploy = await deployProxy(
+    deployer,
+    "QueryEngineProxy",
+    "QueryEngineImplementation",
+    [ownerAddress, dataRefinerRegistryDeploy.proxyAddress, dataAccessTreasuryProxyFactoryDeploy.address],
+  );
+
+  // Same payment split as queryEngine-deploy.ts; needs MAINTAINER_ROLE, which only the owner has
+  if (ownerAddress === deployer.address) {
+    const queryEngine = await ethers.getContractAt("QueryEngineImplementation", queryEngineDeploy.proxyAddress);
+    await (await queryEngine.updateDlpPaymentPercentage(ethers.parseEther("80"))).wait();
+    await (await queryEngine.updateVanaTreasury(ownerAddress)).wait();
+  }
+
+  console.log(``);
+  console.log(`DLP Registry (local mock): ${dlpRegistryDeploy.address}`);
+  console.log(`Data Registry: ${dataRegistryDeploy.proxyAddress}`);
+  console.log(`TEE Pool: ${teePoolDeploy.proxyAddress}`);
+  console.log(`DAT Factory: ${datFactoryDeploy.proxyAddress}`);
+  console.log(`Data Refiner Registry: ${dataRefinerRegistryDeploy.proxyAddress}`);
+  console.log(`Query Engine: ${queryEngineDeploy.proxyAddress}`);
+};
+
+// Only ever meant for a throwaway chain
+func.skip = async (hre: HardhatRuntimeEnvironment) =>
+  !["hardhat", "localhost"].includes(hre.network.name);
+
+export default func;
+func.tags = ["LocalVanaStackDeploy"];
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable, Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const chalk = require('chalk');
+const { withRetry } = require('./chain');
+
+// Proof images are a few hundred MB
+const DOWNLOAD_TIMEOUT_MS = 10 * 60 * 1000;
+const TAR_BLOCK = 512;
+// Only small entries (image manifests and configs) are kept while scanning
+const MAX_METADATA_BYTES = 1024 * 1024;
+
+/**
+ * The artifacts the deploy scripts publish. `module` is the Python package
+ * the artifact must run (`python -m <module>`).
+ */
+const ARTIFACTS = {
+  proof: { label: 'Proof', urlField: 'proofUrl', module: 'my_proof', fix: 'npm run deploy:proof' },
+  refiner: { label: 'Refiner', urlField: 'refinerUrl', module: 'refiner', fix: 'npm run deploy:refiner' }
+};
+
+/**
+ * Error raised when an artifact cannot be downloaded (`download: true`) or
+ * is not what it should be
+ */
+class ArtifactError extends Error {
+  constructor(message, { download = false } = {}) {
+    super(message);
+    this.name = 'ArtifactError';
+    this.download = download;
+  }
+}
+
+/**
+ * Read a NUL-terminated string field of a tar header
+ */
+function field(header, start, length) {
+  const bytes = header.subarray(start, start + length);
+  const end = bytes.indexOf(0);
+  return bytes.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+/**
+ * Parse a tar header; throws when the checksum does not match, i.e. the
+ * data is not a tar archive (or is corrupt)
+ */
+function parseHeader(header) {
+  const checksum = parseInt(field(header, 148, 8).trim(), 8);
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  if (checksum !== sum) {
+    throw new ArtifactError('The artifact is not a valid tar archive (bad header checksum)');
+  }
+
+  // Sizes of 8 GiB and over use the base-256 form
+  const size = header[124] & 0x80
+    ? Number(header.subarray(125, 136).readUIntBE(5, 6))
+    : parseInt(field(header, 124, 12).trim() || '0', 8);
+  const prefix = field(header, 345, 155);
+  const name = field(header, 0, 100);
+  return { name: prefix ? `${prefix}/${name}` : name, size, type: String.fromCharCode(header[156] || 48) };
+}
+
+/**
+ * Incremental tar reader: lists entry names and keeps the content of small
+ * entries, so a large image can be checked without holding it in memory
+ */
+class TarScanner {
+  constructor() {
+    this.pending = Buffer.alloc(0);
+    this.entry = null;
+    this.nextName = null;
+    this.names = [];
+    this.files = new Map();
+    this.ended = false;
+  }
+
+  write(chunk) {
+    // Anything after the end-of-archive blocks is padding
+    if (this.ended) return;
+
+    const data = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+    let offset = 0;
+
+    while (offset < data.length && !this.ended) {
+      if (this.entry) {
+        const take = Math.min(this.entry.remaining, data.length - offset);
+        if (this.entry.chunks && take > 0) {
+          this.entry.chunks.push(data.subarray(offset, offset + take));
+        }
+        offset += take;
+        this.entry.remaining -= take;
+        if (this.entry.remaining === 0) {
+          this.finishEntry();
+        }
+        continue;
+      }
+
+      if (data.length - offset < TAR_BLOCK) break;
+      const header = data.subarray(offset, offset + TAR_BLOCK);
+      offset += TAR_BLOCK;
+      if (header.every(byte => byte === 0)) {
+        this.ended = true;
+        break;
+      }
+      this.startEntry(parseHeader(header));
+    }
+
+    this.pending = Buffer.from(data.subarray(offset));
+  }
+
+  startEntry({ name, size, type }) {
+    const padded = Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+    // GNU long names (L) and pax headers (x) describe the entry that follows
+    const metadata = type === 'L' || type === 'x';
+    const entryName = metadata ? null : (this.nextName || name).replace(/^\.\//, '');
+    if (!metadata) {
+      this.nextName = null;
+      this.names.push(entryName);
+    }
+    const keep = metadata || (type === '0' && size <= MAX_METADATA_BYTES);
+    this.entry = { name: entryName, type, size, remaining: padded, chunks: keep ? [] : null };
+    if (padded === 0) {
+      this.finishEntry();
+    }
+  }
+
+  finishEntry() {
+    const { name, type, size, chunks } = this.entry;
+    this.entry = null;
+    if (!chunks) return;
+
+    const content = Buffer.concat(chunks).subarray(0, size);
+    if (type === 'L') {
+      this.nextName = content.toString('utf8').replace(/\0+$/, '');
+    } else if (type === 'x') {
+      const paxPath = content.toString('utf8').match(/^\d+ path=(.*)$/m);
+      if (paxPath) this.nextName = paxPath[1];
+    } else {
+      this.files.set(name, content);
+    }
+  }
+
+  end() {
+    if (this.entry || this.names.length === 0) {
+      throw new ArtifactError('The artifact is a truncated or empty tar archive');
+    }
+  }
+}
+
+/**
+ * How the artifact starts `module`: the command of a `docker save` image, or
+ * `<module>/__main__.py` in a source tarball
+ *
+ * @returns {string|null} a description of the entrypoint, or null if there is none
+ */
+function findEntrypoint(scanner, module) {
+  const manifest = scanner.files.get('manifest.json');
+  if (manifest) {
+    let command;
+    try {
+      const [image] = JSON.parse(manifest.toString('utf8'));
+      const config = JSON.parse(scanner.files.get(image.Config).toString('utf8')).config || {};
+      command = [...(config.Entrypoint || []), ...(config.Cmd || [])];
+    } catch (error) {
+      throw new ArtifactError(`The artifact's Docker image manifest cannot be read: ${error.message}`);
+    }
+    return command.includes(module) ? `image: ${command.join(' ')}` : null;
+  }
+
+  const main = scanner.names.find(name => name === `${module}/__main__.py` || name.endsWith(`/${module}/__main__.py`));
+  return main ? `source: ${main}` : null;
+}
+
+/**
+ * Download an artifact, hash it and check that it is a gzip-compressed tar
+ * archive that runs the expected module. The download is streamed once.
+ *
+ * @returns {Promise<Object>} `{ url, sha256, size, entrypoint, checkedAt }`
+ */
+async function inspectArtifact(url, kind) {
+  const { label, module } = ARTIFACTS[kind];
+  if (!/^https?:\/\//.test(url)) {
+    throw new ArtifactError(`Only http(s) artifact URLs can be checked, not ${url}`, { download: true });
+  }
+
+  const response = await withRetry(
+    () => fetch(url, { redirect: 'follow', signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) }),
+    { label: `${label} artifact download` }
+  ).catch(error => {
+    throw new ArtifactError(`Downloading ${url} failed: ${error.message}`, { download: true });
+  });
+  if (!response.ok) {
+    // A release asset that is gone was deleted or replaced, not merely unreachable
+    if (response.status === 404 || response.status === 410) {
+      throw new ArtifactError(`The artifact is gone (HTTP ${response.status}): ${url}`);
+    }
+    throw new ArtifactError(`Downloading ${url} failed: HTTP ${response.status}`, { download: true });
+  }
+
+  const hash = crypto.createHash('sha256');
+  const scanner = new TarScanner();
+  let size = 0;
+  try {
+    await pipeline(
+      Readable.fromWeb(response.body),
+      new Transform({
+        transform(chunk, encoding, callback) {
+          hash.update(chunk);
+          size += chunk.length;
+          callback(null, chunk);
+        }
+      }),
+      zlib.createGunzip(),
+      new Writable({
+        write(chunk, encoding, callback) {
+          try {
+            scanner.write(chunk);
+            callback();
+          } catch (error) {
+            callback(error);
+          }
+        }
+      })
+    );
+    scanner.end();
+  } catch (error) {
+    if (error instanceof ArtifactError) throw error;
+    if (error.code && error.code.startsWith('Z_')) {
+      throw new ArtifactError(`The artifact is not a valid gzip file (${error.message})`);
+    }
+    throw new ArtifactError(`Downloading ${url} failed: ${error.message}`, { download: true });
+  }
+
+  const entrypoint = findEntrypoint(scanner, module);
+  if (!entrypoint) {
+    throw new ArtifactError(`The artifact does not run ${module}: expected a Docker image with "${module}" in its command or a ${module}/__main__.py`);
+  }
+
+  return { url, sha256: hash.digest('hex'), size, entrypoint, checkedAt: new Date().toISOString() };
+}
+
+/**
+ * Check an artifact and record its hash under deployment.artifacts[kind]
+ * (in place; the caller saves)
+ */
+async function pinArtifact(deployment, kind, url) {
+  console.log(chalk.blue(`🔍 Checking the ${ARTIFACTS[kind].label.toLowerCase()} artifact...`));
+  const record = await inspectArtifact(url, kind);
+  deployment.artifacts = deployment.artifacts || {};
+  deployment.artifacts[kind] = record;
+  console.log(chalk.green(`✅ ${record.entrypoint} (${formatSize(record.size)}, sha256 ${record.sha256})`));
+  return record;
+}
+
+/**
+ * Human-readable size of an artifact
+ */
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+module.exports = {
+  ARTIFACTS,
+  ArtifactError,
+  TarScanner,
+  findEntrypoint,
+  inspectArtifact,
+  pinArtifact,
+  formatSize
+};
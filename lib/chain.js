@@ -0,0 +1,457 @@
+const chalk = require('chalk');
+const {
+  createPublicClient,
+  createWalletClient,
+  http,
+  fallback,
+  formatEther,
+  formatGwei,
+  parseEther,
+  encodeFunctionData,
+  keccak256,
+  BaseError,
+  HttpRequestError,
+  TimeoutError,
+  InsufficientFundsError,
+  NonceTooLowError,
+  NonceTooHighError,
+  ContractFunctionRevertedError,
+  UserRejectedRequestError,
+  WaitForTransactionReceiptTimeoutError
+} = require('viem');
+const { privateKeyToAccount } = require('viem/accounts');
+const output = require('./output');
+const { decodeContractError, formatContractError } = require('./contract-errors');
+
+/**
+ * Minimum wallet balance (in VANA) required before each kind of on-chain work
+ */
+const BALANCE_REQUIREMENTS = {
+  deploy: { minimum: '0.1', description: 'contract deployment gas' },
+  register: { minimum: '1.1', description: 'the 1 VANA registration fee plus gas' },
+  transaction: { minimum: '0.01', description: 'transaction gas' },
+  // deploy + register + the proof instruction and addRefiner transactions
+  pipeline: { minimum: '1.22', description: 'the full deploy pipeline, including the 1 VANA registration fee' }
+};
+
+const RPC_TIMEOUT_MS = 15000;
+const RECEIPT_TIMEOUT_MS = Number(process.env.STREAMINT_RECEIPT_TIMEOUT_MS) || 5 * 60 * 1000;
+// The transport retries individual RPC calls; withRetry() retries whole operations on top of that
+const TRANSPORT_RETRY_COUNT = 3;
+const TRANSPORT_RETRY_DELAY_MS = 500;
+const RETRY_COUNT = 2;
+const RETRY_BASE_DELAY_MS = 2000;
+// Blocks per eth_getLogs request; public RPCs reject wider ranges
+const LOG_CHUNK_BLOCKS = 10000n;
+
+/**
+ * Error raised for chain failures, tagged with a kind so callers can give targeted advice
+ */
+class ChainError extends Error {
+  constructor(message, { kind = 'unknown', cause = null, hash = null, receipt = null } = {}) {
+    super(message);
+    this.name = 'ChainError';
+    this.kind = kind;
+    this.cause = cause;
+    this.hash = hash;
+    this.receipt = receipt;
+  }
+}
+
+/**
+ * RPC endpoints for a network, primary first. Extra endpoints come from
+ * deployment.json "rpcUrls" (via network.rpcUrls) or STREAMINT_RPC_URLS.
+ */
+function getRpcUrls(network) {
+  const extra = (process.env.STREAMINT_RPC_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+
+  return [...new Set([network.rpcUrl, ...(network.rpcUrls || []), ...extra])];
+}
+
+/**
+ * Transport that fails over between endpoints and retries the set with exponential backoff
+ */
+function createTransport(network) {
+  const transports = getRpcUrls(network).map(url => http(url, { timeout: RPC_TIMEOUT_MS, retryCount: 0 }));
+
+  return fallback(transports, {
+    retryCount: TRANSPORT_RETRY_COUNT,
+    retryDelay: TRANSPORT_RETRY_DELAY_MS
+  });
+}
+
+/**
+ * First endpoint that answers eth_chainId with the expected chain, for tools
+ * that take a single RPC URL (hardhat). Falls back to the primary endpoint.
+ */
+async function findHealthyRpcUrl(network) {
+  for (const url of getRpcUrls(network)) {
+    try {
+      const client = createPublicClient({ transport: http(url, { timeout: RPC_TIMEOUT_MS, retryCount: 1 }) });
+      if (await client.getChainId() === network.chainId) {
+        return url;
+      }
+      console.log(chalk.yellow(`⚠️  ${url} is not serving chain ${network.chainId}, skipping`));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  RPC endpoint ${url} is unreachable, trying the next one`));
+    }
+  }
+  return network.rpcUrl;
+}
+
+/**
+ * Read-only client for a network
+ */
+function createReadClient(network) {
+  return createPublicClient({
+    chain: network.chain,
+    transport: createTransport(network)
+  });
+}
+
+/**
+ * Public and wallet clients sharing one transport. Nonces are not tracked
+ * locally: each transaction reads the pending count when it is prepared, so a
+ * retried or failed preparation never leaves a gap.
+ */
+function createClients(network, privateKey) {
+  const transport = createTransport(network);
+  const account = privateKeyToAccount(privateKey);
+
+  const publicClient = createPublicClient({ chain: network.chain, transport });
+  const walletClient = createWalletClient({ account, chain: network.chain, transport });
+
+  return { account, publicClient, walletClient };
+}
+
+/**
+ * Classify an error from viem (or anything else) into a kind scripts can act on
+ */
+function classifyChainError(error) {
+  if (error instanceof ChainError) {
+    return error.kind;
+  }
+
+  if (error instanceof BaseError) {
+    const match = (type) => error.walk(err => err instanceof type);
+
+    if (match(UserRejectedRequestError)) return 'rejected';
+    if (match(InsufficientFundsError)) return 'funds';
+    if (match(NonceTooLowError) || match(NonceTooHighError)) return 'nonce';
+    if (match(ContractFunctionRevertedError)) return 'reverted';
+    if (match(WaitForTransactionReceiptTimeoutError)) return 'timeout';
+    if (match(TimeoutError) || match(HttpRequestError)) return 'network';
+  }
+
+  // Errors from child processes and fetch only carry text
+  const message = String((error && error.message) || '').toLowerCase();
+  if (message.includes('insufficient funds')) return 'funds';
+  if (message.includes('nonce') || message.includes('already known')) return 'nonce';
+  if (message.includes('reverted') || message.includes('execution failed')) return 'reverted';
+  if (message.includes('timeout') || message.includes('timed out')) return 'timeout';
+  if (message.includes('econnreset') || message.includes('econnrefused') ||
+      message.includes('enotfound') || message.includes('fetch failed') || message.includes('network')) {
+    return 'network';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Human-readable reason a contract call reverted: the decoded custom error
+ * (from the call's ABI or the Vana contracts' error table) or require()
+ * message, otherwise viem's short message
+ */
+function describeRevert(error) {
+  const decoded = decodeContractError(error);
+  if (decoded && decoded.name) {
+    return formatContractError(decoded);
+  }
+
+  const revert = error instanceof BaseError && error.walk(err => err instanceof ContractFunctionRevertedError);
+  if (revert) {
+    if (revert.data && revert.data.errorName && revert.data.errorName !== 'Error') {
+      const args = (revert.data.args || []).map(arg => String(arg)).join(', ');
+      return `${revert.data.errorName}(${args})`;
+    }
+    if (revert.reason) return revert.reason;
+    if (revert.signature) return `custom error ${revert.signature} (not in the ABI)`;
+  }
+  return (error && (error.shortMessage || error.message)) || String(error);
+}
+
+/**
+ * Whether an error is worth retrying without changing anything
+ */
+function isTransientError(error) {
+  return ['network', 'timeout'].includes(classifyChainError(error));
+}
+
+/**
+ * Run an async operation, retrying transient failures with exponential backoff
+ */
+async function withRetry(operation, { label = 'RPC request', retries = RETRY_COUNT, baseDelayMs = RETRY_BASE_DELAY_MS } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error)) {
+        throw error;
+      }
+
+      const delay = baseDelayMs * 2 ** attempt;
+      console.log(chalk.yellow(`⚠️  ${label} failed (${error.shortMessage || error.message}), retrying in ${delay / 1000}s...`));
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Wait for a receipt with a timeout. A timeout is not a failure of the
+ * transaction, so the hash is kept on the error for the user to check.
+ */
+async function waitForReceipt(publicClient, hash, { timeoutMs = RECEIPT_TIMEOUT_MS } = {}) {
+  let receipt;
+  try {
+    receipt = await publicClient.waitForTransactionReceipt({ hash, timeout: timeoutMs });
+  } catch (error) {
+    if (classifyChainError(error) === 'timeout') {
+      throw new ChainError(
+        `No receipt for ${hash} after ${Math.round(timeoutMs / 1000)}s. The transaction may still be mined - check it before retrying.`,
+        { kind: 'timeout', cause: error, hash }
+      );
+    }
+    throw error;
+  }
+
+  if (receipt.status !== 'success') {
+    throw new ChainError(`Transaction ${hash} reverted in block ${receipt.blockNumber}`, { kind: 'reverted', hash, receipt });
+  }
+
+  return receipt;
+}
+
+/**
+ * Simulate, send and confirm a contract write.
+ * Only the simulation is retried: once a transaction is broadcast it is never resent.
+ *
+ * The transaction is signed before it is broadcast, so with a `journal` its
+ * hash and nonce are recorded (under `purpose`, with `context` for decoding
+ * the result) before anything reaches the network.
+ *
+ * @returns {Promise<{hash: string, receipt: Object}>}
+ */
+async function sendContractTransaction({ publicClient, walletClient, account, address, abi, functionName, args = [], value, gas, timeoutMs, onSubmitted, journal, purpose, context }) {
+  await withRetry(
+    () => publicClient.simulateContract({ account, address, abi, functionName, args, value, gas }),
+    { label: `Simulating ${functionName}` }
+  );
+
+  const request = await withRetry(
+    () => walletClient.prepareTransactionRequest({
+      account,
+      to: address,
+      data: encodeFunctionData({ abi, functionName, args }),
+      value,
+      gas
+    }),
+    { label: `Preparing ${functionName}` }
+  );
+  const serializedTransaction = await walletClient.signTransaction(request);
+  const hash = keccak256(serializedTransaction);
+
+  if (journal) {
+    journal.record({
+      purpose: purpose || functionName,
+      hash,
+      nonce: request.nonce,
+      from: account.address,
+      contract: address,
+      functionName,
+      context
+    });
+  }
+
+  const submittedAt = Date.now();
+  try {
+    await walletClient.sendRawTransaction({ serializedTransaction });
+  } catch (error) {
+    // After a transport error the node may still have the transaction; reconciliation finds out
+    if (journal && !isTransientError(error)) {
+      journal.update(hash, { status: 'failed', reason: error.shortMessage || error.message });
+    }
+    throw error;
+  }
+  output.event('progress', { message: `${functionName} submitted`, status: 'submitted', txHash: hash, contract: address, functionName });
+  if (onSubmitted) {
+    onSubmitted(hash);
+  }
+
+  let receipt;
+  try {
+    receipt = await waitForReceipt(publicClient, hash, { timeoutMs });
+  } catch (error) {
+    if (journal && error.receipt) {
+      journal.settle(hash, error.receipt);
+    }
+    throw error;
+  }
+  if (journal) {
+    journal.settle(hash, receipt);
+  }
+
+  output.event('progress', {
+    message: `${functionName} confirmed`,
+    status: 'confirmed',
+    txHash: hash,
+    contract: address,
+    functionName,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    durationMs: Date.now() - submittedAt
+  });
+  return { hash, receipt };
+}
+
+/**
+ * Whether on-chain writes should only be simulated (--dry-run)
+ */
+function isDryRun() {
+  return process.argv.includes('--dry-run') || process.env.STREAMINT_DRY_RUN === 'true';
+}
+
+/**
+ * Simulate a contract write and estimate what it would cost, without
+ * broadcasting it. `account` may be a plain address, so no key is needed.
+ * Prints the calldata, value, gas and total VANA cost, or the revert reason.
+ *
+ * @returns {Promise<Object>} report with `ok`, `calldata`, `value`, `gas`, `gasPrice`, `cost`, and `revertReason` or `error`
+ */
+async function dryRunContractTransaction({ publicClient, account, address, abi, functionName, args = [], value = 0n, label }) {
+  const from = typeof account === 'string' ? account : account.address;
+  const report = {
+    ok: false,
+    label: label || functionName,
+    from,
+    contract: address,
+    functionName,
+    calldata: encodeFunctionData({ abi, functionName, args }),
+    value
+  };
+
+  try {
+    await withRetry(
+      () => publicClient.simulateContract({ account, address, abi, functionName, args, value }),
+      { label: `Simulating ${functionName}` }
+    );
+    report.gas = await withRetry(
+      () => publicClient.estimateContractGas({ account, address, abi, functionName, args, value }),
+      { label: 'Gas estimation' }
+    );
+    report.gasPrice = await withRetry(() => publicClient.getGasPrice(), { label: 'Gas price' });
+    report.cost = value + report.gas * report.gasPrice;
+    report.ok = true;
+  } catch (error) {
+    // An unreachable RPC says nothing about whether the call would revert
+    if (isTransientError(error)) {
+      report.error = error.shortMessage || error.message;
+    } else {
+      report.revertReason = describeRevert(error);
+    }
+  }
+
+  console.log(chalk.blue(`🧪 Dry run: ${report.label}`));
+  console.log(`  Contract:  ${address} (${functionName})`);
+  console.log(`  From:      ${from}`);
+  console.log(`  Calldata:  ${report.calldata}`);
+  console.log(`  Value:     ${formatEther(value)} VANA`);
+  if (report.ok) {
+    console.log(`  Gas:       ${report.gas} @ ${formatGwei(report.gasPrice)} gwei`);
+    console.log(`  Est. cost: ${formatEther(report.cost)} VANA (value + gas)`);
+    console.log(chalk.green('  ✅ Simulation succeeded'));
+  } else if (report.revertReason) {
+    console.log(chalk.red(`  ❌ Would fail: ${report.revertReason}`));
+  } else {
+    console.log(chalk.yellow(`  ⚠️  Could not simulate: ${report.error}`));
+  }
+  console.log();
+
+  output.event('progress', {
+    message: `${functionName} simulated`,
+    status: report.ok ? 'simulated' : (report.revertReason ? 'would-revert' : 'unavailable'),
+    ...report
+  });
+  return report;
+}
+
+/**
+ * Print the wallet balance and compare it against the requirement for `purpose`.
+ *
+ * @returns {Promise<{balance: bigint|null, sufficient: boolean|null}>} `sufficient` is null when the RPC could not be reached
+ */
+async function checkWalletBalance(publicClient, address, { purpose = 'transaction', network } = {}) {
+  const requirement = BALANCE_REQUIREMENTS[purpose];
+  const minimum = parseEther(requirement.minimum);
+
+  try {
+    const balance = await withRetry(() => publicClient.getBalance({ address }), { label: 'Balance check' });
+
+    console.log(chalk.blue('💰 Wallet Information:'));
+    if (network) {
+      console.log(`  Network: ${network.label}`);
+    }
+    console.log(`  Address: ${address}`);
+    console.log(`  Balance: ${Number(formatEther(balance)).toFixed(4)} VANA`);
+    console.log();
+
+    if (balance < minimum) {
+      console.error(chalk.red(`❌ Insufficient balance: at least ${requirement.minimum} VANA needed for ${requirement.description}`));
+      if (network) {
+        console.error(chalk.yellow(network.faucetHint));
+      }
+      console.error(chalk.yellow(`Your wallet address: ${address}`));
+      return { balance, sufficient: false };
+    }
+
+    console.log(chalk.green('✅ Wallet has sufficient balance'));
+    return { balance, sufficient: true };
+  } catch (error) {
+    console.error(chalk.yellow(`⚠️  Could not check wallet balance: ${error.shortMessage || error.message}`));
+    return { balance: null, sufficient: null };
+  }
+}
+
+/**
+ * getContractEvents over a block range of any size, split into
+ * LOG_CHUNK_BLOCKS windows
+ */
+async function getContractEventsInChunks(client, { fromBlock, toBlock, label = 'Event lookup', ...filter }) {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_BLOCKS) {
+    const end = start + LOG_CHUNK_BLOCKS - 1n < toBlock ? start + LOG_CHUNK_BLOCKS - 1n : toBlock;
+    events.push(...await withRetry(() => client.getContractEvents({ ...filter, fromBlock: start, toBlock: end }), { label }));
+  }
+  return events;
+}
+
+module.exports = {
+  BALANCE_REQUIREMENTS,
+  ChainError,
+  getRpcUrls,
+  findHealthyRpcUrl,
+  createReadClient,
+  createClients,
+  classifyChainError,
+  describeRevert,
+  isTransientError,
+  withRetry,
+  getContractEventsInChunks,
+  waitForReceipt,
+  sendContractTransaction,
+  isDryRun,
+  dryRunContractTransaction,
+  checkWalletBalance
+};
@@ -0,0 +1,137 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Exit codes used by every script so CI can tell failures apart
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  INVALID_CONFIG: 2,
+  ANSWER_REQUIRED: 3,
+  STEP_FAILED: 4
+};
+
+/**
+ * Error raised when a non-interactive run cannot continue without a human
+ */
+class ConfigError extends Error {
+  constructor(message, exitCode = EXIT_CODES.INVALID_CONFIG) {
+    super(message);
+    this.name = 'ConfigError';
+    this.exitCode = exitCode;
+  }
+}
+
+let cachedRunConfig = null;
+
+/**
+ * Read a flag value from argv, supporting both `--flag value` and `--flag=value`
+ */
+function readArg(argv, flag) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === flag) {
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith(`${flag}=`)) {
+      return argv[i].slice(flag.length + 1);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Load and parse a deployment config file
+ */
+function loadConfigFile(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new ConfigError(`Config file not found: ${configPath}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Config file ${configPath} is not valid JSON: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`Config file ${configPath} must contain a JSON object`);
+  }
+
+  return config;
+}
+
+/**
+ * Resolve how this run was invoked: interactive, or driven by --config / --yes.
+ * Flags are mirrored into the environment so scripts spawned by deploy.js inherit them.
+ */
+function getRunConfig(argv = process.argv.slice(2)) {
+  if (cachedRunConfig) {
+    return cachedRunConfig;
+  }
+
+  const configArg = readArg(argv, '--config');
+  if (argv.includes('--config') && (!configArg || configArg.startsWith('--'))) {
+    throw new ConfigError('--config requires a path, e.g. --config streamint.deploy.json');
+  }
+
+  const rawPath = configArg || process.env.STREAMINT_CONFIG;
+  const configPath = rawPath ? path.resolve(rawPath) : null;
+  const yes = argv.includes('--yes') || argv.includes('-y') || process.env.STREAMINT_YES === 'true';
+
+  cachedRunConfig = {
+    configPath,
+    config: configPath ? loadConfigFile(configPath) : {},
+    yes,
+    nonInteractive: !!configPath || yes
+  };
+
+  if (cachedRunConfig.nonInteractive) {
+    if (configPath) {
+      process.env.STREAMINT_CONFIG = configPath;
+    }
+    process.env.STREAMINT_YES = 'true';
+    // register-datadao.js already skips its confirmations in quick mode
+    process.env.QUICK_MODE = 'true';
+  }
+
+  return cachedRunConfig;
+}
+
+/**
+ * Whether prompts must be answered from the config instead of the terminal
+ */
+function isNonInteractive() {
+  return getRunConfig().nonInteractive;
+}
+
+/**
+ * Look up a configured value, preferring the step-specific section
+ */
+function getConfigValue(name, scope = null) {
+  const { config } = getRunConfig();
+
+  if (scope && config[scope] && config[scope][name] !== undefined) {
+    return config[scope][name];
+  }
+
+  return config[name];
+}
+
+/**
+ * Exit code for an error thrown anywhere in a script
+ */
+function exitCodeFor(error) {
+  return (error && error.exitCode) || EXIT_CODES.FAILURE;
+}
+
+module.exports = {
+  EXIT_CODES,
+  ConfigError,
+  getRunConfig,
+  isNonInteractive,
+  getConfigValue,
+  exitCodeFor,
+  readArg
+};
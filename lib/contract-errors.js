@@ -0,0 +1,132 @@
+const chalk = require('chalk');
+const { BaseError, decodeErrorResult } = require('viem');
+const table = require('./contract-errors.json');
+
+/**
+ * Custom errors of the Vana contracts, generated from the compiled ABIs by
+ * `npm run build:errors` (scripts/build-contract-errors.js)
+ */
+const CONTRACT_ERRORS_ABI = table.errors.map(({ name, inputs }) => ({ type: 'error', name, inputs }));
+const ERRORS_BY_SELECTOR = new Map(table.errors.map(entry => [entry.selector, entry]));
+
+// A 4-byte selector followed by whole 32-byte words; addresses and hashes never match
+const REVERT_DATA_PATTERN = /0x[0-9a-fA-F]{8}(?:[0-9a-fA-F]{64})*(?![0-9a-fA-F])/;
+
+/**
+ * Revert data carried by an error: the raw bytes viem kept, or failing that a
+ * selector (with arguments) quoted in a revert message. Accepts hex strings too.
+ */
+function findRevertData(error) {
+  if (!error) return null;
+  if (typeof error === 'string') {
+    return new RegExp(`^${REVERT_DATA_PATTERN.source}$`).test(error) ? error : null;
+  }
+
+  if (error instanceof BaseError) {
+    let data = null;
+    error.walk(err => {
+      if (typeof err.raw === 'string' && err.raw !== '0x') {
+        data = err.raw;
+      } else if (typeof err.data === 'string' && REVERT_DATA_PATTERN.test(err.data)) {
+        data = err.data;
+      } else if (err.data && typeof err.data.data === 'string' && REVERT_DATA_PATTERN.test(err.data.data)) {
+        data = err.data.data;
+      }
+      return data !== null;
+    });
+    if (data) return data;
+  }
+
+  // Other hex in messages (gas prices, chain ids) is not revert data
+  const message = String(error.message || '');
+  if (!/revert|custom error/i.test(message)) return null;
+  const match = message.match(REVERT_DATA_PATTERN);
+  return match ? match[0] : null;
+}
+
+function formatArg(value) {
+  if (Array.isArray(value)) return `[${value.map(formatArg).join(', ')}]`;
+  if (value && typeof value === 'object') return JSON.stringify(value, (key, v) => typeof v === 'bigint' ? v.toString() : v);
+  return String(value);
+}
+
+/**
+ * Decode a revert into `{ name, signature, selector, args, contracts, hint }`.
+ * `args` maps each parameter name to its value; `hint` has the values filled
+ * in. Returns null when there is no revert data or the error is not one of
+ * ours (`{ selector }` only, when just the selector is known).
+ */
+function decodeContractError(errorOrData) {
+  const data = findRevertData(errorOrData);
+  if (!data) return null;
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const entry = ERRORS_BY_SELECTOR.get(selector);
+  if (!entry) {
+    return { selector, name: null };
+  }
+
+  let values = [];
+  if (data.length > 10) {
+    try {
+      values = decodeErrorResult({ abi: CONTRACT_ERRORS_ABI, data }).args || [];
+    } catch (error) {
+      // Only the selector survived (e.g. quoted in a message); the name is still useful
+    }
+  }
+
+  const args = {};
+  entry.inputs.forEach((input, index) => {
+    if (index < values.length) args[input.name || String(index)] = values[index];
+  });
+
+  const hint = entry.hint && entry.hint.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in args ? formatArg(args[name]) : placeholder
+  );
+
+  return {
+    name: entry.name,
+    signature: entry.signature,
+    selector,
+    args,
+    contracts: entry.contracts,
+    hint
+  };
+}
+
+/**
+ * One-line description of a decoded error, e.g. `InvalidDlpId()` or
+ * `ERC20InsufficientBalance(sender: 0x…, balance: 0, needed: 5)`
+ */
+function formatContractError(decoded) {
+  if (!decoded) return null;
+  if (!decoded.name) return `unknown custom error ${decoded.selector}`;
+
+  const args = Object.entries(decoded.args).map(([name, value]) => `${name}: ${formatArg(value)}`);
+  return `${decoded.name}(${args.join(', ')})`;
+}
+
+/**
+ * Print the decoded contract error behind `error` and what to do about it.
+ * Returns the decoded error, or null when there was nothing to decode.
+ */
+function reportContractError(error, log = console.error) {
+  const decoded = decodeContractError(error);
+  if (!decoded) return null;
+
+  log(chalk.yellow(`\n💡 Contract error: ${formatContractError(decoded)}`));
+  if (decoded.hint) {
+    log(chalk.yellow(`   ${decoded.hint}`));
+  } else if (!decoded.name) {
+    log(chalk.yellow('   Not an error of the Vana contracts; check the contract address and arguments.'));
+  }
+  return decoded;
+}
+
+module.exports = {
+  CONTRACT_ERRORS_ABI,
+  findRevertData,
+  decodeContractError,
+  formatContractError,
+  reportContractError
+};
@@ -0,0 +1,137 @@
+const { ConfigError } = require('./config');
+const schema = require('./deployment.schema.json');
+
+/**
+ * Version written by this release; bump it together with a new migration
+ * in scripts/state-manager.js
+ */
+const SCHEMA_VERSION = schema.properties.schemaVersion.const;
+
+/**
+ * Step flags tracked in deployment.json `state`, all unset for a fresh project
+ */
+function emptyStateFlags() {
+  return {
+    contractsDeployed: false,
+    dataDAORegistered: false,
+    githubSetup: false,
+    proofConfigured: false,
+    proofGitSetup: false,
+    proofPublished: false,
+    refinerConfigured: false,
+    refinerGitSetup: false,
+    refinerPublished: false,
+    uiConfigured: false
+  };
+}
+
+/**
+ * Error raised when deployment.json does not match the schema
+ */
+class DeploymentSchemaError extends ConfigError {
+  constructor(filePath, issues) {
+    super(`${filePath} is invalid:\n${issues.map(issue => `  • ${issue}`).join('\n')}`);
+    this.name = 'DeploymentSchemaError';
+    this.issues = issues;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(node) {
+  if (!node.$ref) return node;
+  const name = node.$ref.replace('#/definitions/', '');
+  return { ...schema.definitions[name], ...node, $ref: undefined };
+}
+
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Check a value against the subset of JSON Schema used by deployment.schema.json
+ */
+function check(value, node, path, issues) {
+  node = resolveRef(node);
+  const at = path || 'deployment.json';
+
+  if (node.type) {
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    if (!types.some(type => matchesType(value, type))) {
+      issues.push(`${at} must be ${types.join(' or ')}${node.description ? ` (${node.description})` : ''}, got ${describe(value)}`);
+      return;
+    }
+  }
+
+  if (node.const !== undefined && value !== node.const) {
+    issues.push(`${at} must be ${describe(node.const)}, got ${describe(value)}`);
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    issues.push(`${at} must be one of ${node.enum.join(', ')}, got ${describe(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) {
+      issues.push(`${at} must not be empty`);
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      issues.push(`${at} must be a ${node.description || `string matching ${node.pattern}`}, got ${describe(value)}`);
+    }
+  }
+
+  if (typeof value === 'number' && node.minimum !== undefined && value < node.minimum) {
+    issues.push(`${at} must be at least ${node.minimum}, got ${value}`);
+  }
+
+  if (Array.isArray(value) && node.items) {
+    value.forEach((item, index) => check(item, node.items, `${at}[${index}]`, issues));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of node.required || []) {
+      if (value[key] === undefined) {
+        issues.push(`${path ? `${path}.` : ''}${key} is required`);
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (node.properties && node.properties[key]) {
+        // Optional fields may be cleared with null
+        if (child !== null || (node.required || []).includes(key)) {
+          check(child, node.properties[key], childPath, issues);
+        }
+      } else if (typeof node.additionalProperties === 'object') {
+        check(child, node.additionalProperties, childPath, issues);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a deployment object, returning a list of human-readable issues
+ */
+function validateDeployment(deployment) {
+  const issues = [];
+  check(deployment, schema, '', issues);
+  return issues;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  DeploymentSchemaError,
+  emptyStateFlags,
+  validateDeployment
+};
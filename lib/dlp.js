@@ -0,0 +1,131 @@
+const { erc20Abi, formatUnits, zeroHash } = require('viem');
+const { withRetry, getContractEventsInChunks } = require('./chain');
+
+// OpenZeppelin AccessControl's DEFAULT_ADMIN_ROLE; every DLP admin function requires it
+const DEFAULT_ADMIN_ROLE = zeroHash;
+
+const view = (name, type, inputs = []) => ({
+  type: 'function',
+  name,
+  stateMutability: 'view',
+  inputs,
+  outputs: [{ name: '', type }]
+});
+
+const write = (name, inputs = []) => ({
+  type: 'function',
+  name,
+  stateMutability: 'nonpayable',
+  inputs,
+  outputs: []
+});
+
+/**
+ * The parts of DataLiquidityPoolImplementation the scripts use
+ */
+const DLP_ABI = [
+  view('token', 'address'),
+  view('teePool', 'address'),
+  view('trustedForwarder', 'address'),
+  view('proofInstruction', 'string'),
+  view('publicKey', 'string'),
+  view('fileRewardFactor', 'uint256'),
+  view('totalContributorsRewardAmount', 'uint256'),
+  view('paused', 'bool'),
+  view('hasRole', 'bool', [{ name: 'role', type: 'bytes32' }, { name: 'account', type: 'address' }]),
+  write('pause'),
+  write('unpause'),
+  write('updateFileRewardFactor', [{ name: 'newFileRewardFactor', type: 'uint256' }]),
+  write('updateTeePool', [{ name: 'newTeePool', type: 'address' }]),
+  write('updateProofInstruction', [{ name: 'newProofInstruction', type: 'string' }]),
+  write('updatePublicKey', [{ name: 'newPublicKey', type: 'string' }]),
+  write('updateTrustedForwarder', [{ name: 'trustedForwarderAddress', type: 'address' }]),
+  write('addRewardsForContributors', [{ name: 'contributorsRewardAmount', type: 'uint256' }]),
+  {
+    type: 'event',
+    name: 'RewardRequested',
+    inputs: [
+      { indexed: true, name: 'contributorAddress', type: 'address' },
+      { indexed: true, name: 'fileId', type: 'uint256' },
+      { indexed: true, name: 'proofIndex', type: 'uint256' },
+      { indexed: false, name: 'rewardAmount', type: 'uint256' }
+    ]
+  }
+];
+
+// OpenZeppelin VestingWallet, token variants only
+const VESTING_WALLET_ABI = [
+  { type: 'function', name: 'owner', stateMutability: 'view', inputs: [], outputs: [{ name: '', type: 'address' }] },
+  { type: 'function', name: 'releasable', stateMutability: 'view', inputs: [{ name: 'token', type: 'address' }], outputs: [{ name: '', type: 'uint256' }] },
+  { type: 'function', name: 'release', stateMutability: 'nonpayable', inputs: [{ name: 'token', type: 'address' }], outputs: [] }
+];
+
+/**
+ * Read a view function of the DLP proxy
+ */
+function readDlp(client, proxyAddress, functionName, args = []) {
+  return withRetry(() => client.readContract({ address: proxyAddress, abi: DLP_ABI, functionName, args }), {
+    label: `DLP ${functionName} lookup`
+  });
+}
+
+/**
+ * Whether an account holds DEFAULT_ADMIN_ROLE on the DLP
+ */
+function isDlpAdmin(client, proxyAddress, account) {
+  return readDlp(client, proxyAddress, 'hasRole', [DEFAULT_ADMIN_ROLE, account]);
+}
+
+/**
+ * The DataDAO token, with its symbol and decimals for display
+ */
+async function loadToken(client, deployment) {
+  const { proxyAddress } = deployment.contracts;
+  const address = deployment.contracts.tokenAddress || await readDlp(client, proxyAddress, 'token');
+  const read = (functionName, args = []) => withRetry(
+    () => client.readContract({ address, abi: erc20Abi, functionName, args }),
+    { label: `Token ${functionName} lookup` }
+  );
+  const [symbol, decimals] = await Promise.all([read('symbol'), read('decimals')]);
+  return {
+    address,
+    symbol,
+    decimals,
+    balanceOf: (account) => read('balanceOf', [account]),
+    allowance: (owner, spender) => read('allowance', [owner, spender]),
+    format: (value) => `${formatUnits(value, decimals)} ${symbol}`
+  };
+}
+
+/**
+ * Rewards paid to contributors between two blocks, read from RewardRequested events
+ *
+ * @returns {Promise<Object[]>} `{ contributor, fileId, amount, blockNumber }` per payout
+ */
+async function getRewardPayouts(client, proxyAddress, { fromBlock, toBlock }) {
+  const events = await getContractEventsInChunks(client, {
+    address: proxyAddress,
+    abi: DLP_ABI,
+    eventName: 'RewardRequested',
+    fromBlock,
+    toBlock,
+    label: 'Reward event lookup'
+  });
+
+  return events.map(event => ({
+    contributor: event.args.contributorAddress,
+    fileId: event.args.fileId,
+    amount: event.args.rewardAmount,
+    blockNumber: event.blockNumber
+  }));
+}
+
+module.exports = {
+  DEFAULT_ADMIN_ROLE,
+  DLP_ABI,
+  VESTING_WALLET_ABI,
+  readDlp,
+  isDlpAdmin,
+  loadToken,
+  getRewardPayouts
+};
@@ -0,0 +1,129 @@
+const path = require('path');
+const { EnvFile } = require('./env-file');
+
+// Hosted refinement service the UI sends uploads to
+const DEFAULT_REFINEMENT_ENDPOINT = 'https://a7df0ae43df690b889c1201546d7058ceb04d21b-8000.dstack-prod5.phala.network';
+
+/**
+ * The .env file of each component and the variables it needs.
+ *
+ * A variable with `value` mirrors deployment.json (or the network) and is
+ * required once that value is known; `null` means not known yet. One with
+ * `mirror: false` is required but has no counterpart in deployment.json
+ * (secrets, keys read from the chain). `forbidden` lists variables that must
+ * not be there. `requiredAfter` is the state flag of the step that writes
+ * the file; before it completes, missing variables are not an error.
+ */
+const ENV_COMPONENTS = {
+  contracts: {
+    file: 'contracts/.env',
+    writtenBy: 'npm run setup',
+    requiredAfter: null,
+    variables: (deployment, network) => [
+      { key: 'OWNER_ADDRESS', value: deployment.address },
+      { key: 'DLP_NAME', value: deployment.dlpName },
+      { key: 'DLP_PUBLIC_KEY', value: deployment.publicKey },
+      { key: 'DLP_TOKEN_NAME', value: deployment.tokenName },
+      { key: 'DLP_TOKEN_SYMBOL', value: deployment.tokenSymbol },
+      { key: 'DLP_TOKEN_SALT', mirror: false },
+      ...(network.hardhatRpcEnv ? [{ key: network.hardhatRpcEnv, value: network.rpcUrl }] : []),
+      { key: 'DLP_REGISTRY_CONTRACT_ADDRESS', value: network.contracts.dlpRegistry },
+      { key: 'DATA_REGISTRY_CONTRACT_ADDRESS', value: network.contracts.dataRegistry },
+      { key: 'TEE_POOL_CONTRACT_ADDRESS', value: network.contracts.teePool },
+      { key: 'DAT_FACTORY_CONTRACT_ADDRESS', value: network.contracts.datFactory }
+    ],
+    forbidden: {
+      DEPLOYER_PRIVATE_KEY: 'the deployer key belongs in the vault: npm run vault -- migrate'
+    }
+  },
+  refiner: {
+    file: 'refiner/.env',
+    writtenBy: 'npm run deploy:refiner',
+    requiredAfter: 'refinerConfigured',
+    variables: () => [
+      // Read from the QueryEngine's dlpPubKeys, not deployment.json
+      { key: 'REFINEMENT_ENCRYPTION_KEY', mirror: false }
+    ],
+    forbidden: {}
+  },
+  ui: {
+    file: 'ui/.env',
+    writtenBy: 'npm run deploy:ui',
+    requiredAfter: 'uiConfigured',
+    variables: (deployment, network) => {
+      const contracts = deployment.contracts || {};
+      return [
+        { key: 'REFINER_ID', value: deployment.refinerId },
+        { key: 'NEXT_PUBLIC_PROOF_URL', value: deployment.proofUrl },
+        { key: 'NEXT_PUBLIC_DLP_CONTRACT_ADDRESS', value: contracts.proxyAddress },
+        { key: 'NEXT_PUBLIC_TOKEN_CONTRACT_ADDRESS', value: contracts.tokenAddress },
+        { key: 'NEXT_PUBLIC_DLP_ID', value: deployment.dlpId },
+        { key: 'NEXT_PUBLIC_RPC_URL', value: network.rpcUrl },
+        { key: 'NEXT_PUBLIC_CHAIN_ID', value: network.chainId },
+        { key: 'NEXT_PUBLIC_DATA_REGISTRY_ADDRESS', value: network.contracts.dataRegistry },
+        { key: 'NEXT_PUBLIC_TEE_POOL_ADDRESS', value: network.contracts.teePool },
+        { key: 'GOOGLE_CLIENT_ID', value: deployment.googleClientId },
+        { key: 'GOOGLE_CLIENT_SECRET', mirror: false },
+        { key: 'PINATA_API_KEY', mirror: false },
+        { key: 'PINATA_API_SECRET', mirror: false },
+        { key: 'NEXTAUTH_SECRET', mirror: false },
+        { key: 'NEXTAUTH_URL', mirror: false },
+        { key: 'REFINEMENT_ENDPOINT', mirror: false }
+      ];
+    },
+    forbidden: {}
+  }
+};
+
+/**
+ * Whether two values name the same thing; addresses compare case-insensitively
+ */
+function sameValue(a, b) {
+  if (/^0x[0-9a-fA-F]{40}$/.test(a) && /^0x[0-9a-fA-F]{40}$/.test(b)) {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+  return a === b;
+}
+
+/**
+ * Compare a component's .env file with deployment.json.
+ *
+ * @returns {Object} `{ component, file, env, exists, required, variables }`;
+ *   each variable has a `status` of "ok", "differs", "missing" (required but
+ *   absent), "pending" (absent before the step that writes it) or "forbidden"
+ */
+function inspectComponent(name, deployment, network, projectRoot = process.cwd()) {
+  const component = ENV_COMPONENTS[name];
+  const env = EnvFile.load(path.join(projectRoot, component.file));
+  const required = !component.requiredAfter || Boolean(deployment.state && deployment.state[component.requiredAfter]);
+
+  const variables = [];
+  for (const variable of component.variables(deployment, network)) {
+    const known = variable.mirror === false || (variable.value !== undefined && variable.value !== null);
+    if (!known) continue;
+
+    const expected = variable.mirror === false ? null : String(variable.value);
+    const actual = env.get(variable.key);
+    let status;
+    if (actual === undefined || actual === '') {
+      status = required ? 'missing' : 'pending';
+    } else {
+      status = expected === null || sameValue(actual, expected) ? 'ok' : 'differs';
+    }
+    variables.push({ key: variable.key, mirror: variable.mirror !== false, expected, actual, status });
+  }
+
+  for (const [key, reason] of Object.entries(component.forbidden)) {
+    if (env.has(key)) {
+      variables.push({ key, mirror: false, expected: null, actual: env.get(key), status: 'forbidden', reason });
+    }
+  }
+
+  return { component: name, file: component.file, writtenBy: component.writtenBy, env, exists: env.exists, required, variables };
+}
+
+module.exports = {
+  DEFAULT_REFINEMENT_ENDPOINT,
+  ENV_COMPONENTS,
+  inspectComponent
+};
@@ -0,0 +1,210 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeFileAtomic } = require('./state-file');
+
+const KEY_PATTERN = /^\s*(export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/;
+
+// dotenv's quoted value: a backslash only keeps the quote after it from closing the value
+const QUOTED_VALUE = /^('(?:\\'|[^'])*'|"(?:\\"|[^"])*"|`(?:\\`|[^`])*`)/;
+const QUOTES = ['"', "'", '`'];
+
+/**
+ * The quoted value `rest` starts with, when only whitespace or a comment
+ * follows it; otherwise dotenv reads `rest` as an unquoted value
+ */
+function matchQuoted(rest) {
+  const match = rest.match(QUOTED_VALUE);
+  return match && /^\s*(#.*)?$/.test(rest.slice(match[1].length)) ? match[1] : null;
+}
+
+/**
+ * Split the part after `KEY=` into the value, its quote character and any
+ * trailing comment, the way dotenv 16 (contracts/) and Next (ui/) read it:
+ * inside double quotes `\n` and `\r` become line breaks, nothing else is
+ * unescaped, and an unquoted value ends at the first `#`
+ */
+function parseValue(rest) {
+  const quoted = matchQuoted(rest);
+  if (quoted) {
+    const quote = quoted[0];
+    const inner = quoted.slice(1, -1);
+    return {
+      value: quote === '"' ? inner.replace(/\\n/g, '\n').replace(/\\r/g, '\r') : inner,
+      quote,
+      trailing: rest.slice(quoted.length)
+    };
+  }
+
+  const commentAt = rest.indexOf('#');
+  const valuePart = commentAt === -1 ? rest : rest.slice(0, commentAt);
+  return {
+    value: valuePart.trim(),
+    quote: '',
+    trailing: commentAt === -1 ? '' : valuePart.slice(valuePart.trimEnd().length) + rest.slice(commentAt)
+  };
+}
+
+/**
+ * Whether `text` reads back unchanged inside `quote`. dotenv has no escapes
+ * besides `\n` and `\r` in double quotes, so the quote must not occur in it.
+ */
+function fitsQuote(text, quote) {
+  if (text.includes(quote)) return false;
+  if (quote === '"') return !text.includes('\\') && !text.includes('\r');
+  // Single quotes and backticks keep line breaks as they are, over several lines
+  return true;
+}
+
+/**
+ * Render a value, keeping the quote style it was read with when it still fits.
+ * Values that would not read back the same unquoted get double quotes, or
+ * single quotes when they hold `"` or `\`, or backticks when they hold both
+ * kinds of quote.
+ */
+function formatValue(value, quote) {
+  const text = String(value);
+  const render = (q) => (q === '"' ? `"${text.replace(/\n/g, '\\n')}"` : `${q}${text}${q}`);
+  if (quote && fitsQuote(text, quote)) return render(quote);
+  if (!/[\s#"'`\\]/.test(text)) return text;
+
+  const fitting = QUOTES.find(q => fitsQuote(text, q));
+  if (!fitting) {
+    throw new Error('The value contains double quotes, single quotes and backticks, which a .env file cannot hold together');
+  }
+  return render(fitting);
+}
+
+/**
+ * A dotenv file that can be edited without losing its comments, blank lines,
+ * ordering, `export` prefixes or quoting. Unchanged lines are written back
+ * exactly as they were read.
+ */
+class EnvFile {
+  constructor(filePath, content = '') {
+    this.filePath = filePath;
+    this.eol = content.includes('\r\n') ? '\r\n' : '\n';
+    this.lines = [];
+    this.parse(content);
+  }
+
+  /**
+   * Read a .env file. A missing file loads as `template` (default empty) and
+   * is only created by save().
+   */
+  static load(filePath, { template = '' } = {}) {
+    const exists = fs.existsSync(filePath);
+    const env = new EnvFile(filePath, exists ? fs.readFileSync(filePath, 'utf8') : template);
+    env.exists = exists;
+    return env;
+  }
+
+  parse(content) {
+    const rawLines = content.split(/\r?\n/);
+    if (rawLines[rawLines.length - 1] === '') rawLines.pop();
+
+    for (let i = 0; i < rawLines.length; i++) {
+      const match = rawLines[i].match(KEY_PATTERN);
+      if (!match) {
+        this.lines.push({ text: rawLines[i] });
+        continue;
+      }
+
+      // A quoted value may continue over several lines; without a closing
+      // quote anywhere, dotenv reads the line as an unquoted value
+      let text = rawLines[i];
+      let rest = match[3];
+      if (QUOTES.includes(rest[0]) && !QUOTED_VALUE.test(rest)) {
+        for (let end = i + 1; end < rawLines.length; end++) {
+          const joined = [match[3], ...rawLines.slice(i + 1, end + 1)].join('\n');
+          if (!QUOTED_VALUE.test(joined)) continue;
+          // The first closing quote ends the value, so later lines cannot fix what follows it
+          if (matchQuoted(joined)) {
+            text = rawLines.slice(i, end + 1).join('\n');
+            rest = joined;
+            i = end;
+          }
+          break;
+        }
+      }
+
+      this.lines.push({ text, exported: Boolean(match[1]), key: match[2], ...parseValue(rest) });
+    }
+  }
+
+  find(key) {
+    // dotenv keeps the first definition of a key
+    return this.lines.find(line => line.key === key);
+  }
+
+  has(key) {
+    return Boolean(this.find(key));
+  }
+
+  get(key) {
+    const line = this.find(key);
+    return line ? line.value : undefined;
+  }
+
+  keys() {
+    return [...new Set(this.lines.filter(line => line.key).map(line => line.key))];
+  }
+
+  toObject() {
+    return Object.fromEntries(this.keys().map(key => [key, this.get(key)]));
+  }
+
+  /**
+   * Set a value in place, or append it at the end of the file
+   *
+   * @returns {boolean} whether the file content changed
+   */
+  set(key, value) {
+    const text = String(value);
+    const line = this.find(key);
+    if (line && line.value === text) {
+      return false;
+    }
+
+    if (line) {
+      line.value = text;
+      line.text = `${line.exported ? 'export ' : ''}${key}=${formatValue(text, line.quote)}${line.trailing}`;
+    } else {
+      this.lines.push({ text: `${key}=${formatValue(text, '')}`, key, value: text, quote: '', trailing: '' });
+    }
+    return true;
+  }
+
+  /**
+   * Remove every definition of a key
+   *
+   * @returns {boolean} whether the key was present
+   */
+  delete(key) {
+    const before = this.lines.length;
+    this.lines = this.lines.filter(line => line.key !== key);
+    return this.lines.length !== before;
+  }
+
+  toString() {
+    return this.lines.length > 0 ? this.lines.map(line => line.text).join(this.eol) + this.eol : '';
+  }
+
+  /**
+   * Write the file atomically. An existing file keeps its permissions; a new
+   * one gets `mode`, owner-only by default since .env files hold secrets.
+   */
+  save({ mode = 0o600 } = {}) {
+    fs.ensureDirSync(path.dirname(this.filePath));
+    const existingMode = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mode & 0o777 : null;
+    writeFileAtomic(this.filePath, this.toString(), { mode: existingMode === null ? mode : existingMode });
+    if (existingMode !== null) {
+      // The umask may have narrowed the mode the replacement file was created with
+      fs.chmodSync(this.filePath, existingMode);
+    }
+    this.exists = true;
+  }
+}
+
+module.exports = {
+  EnvFile
+};
@@ -0,0 +1,112 @@
+const { execSync } = require('child_process');
+const chalk = require('chalk');
+
+/**
+ * Repositories each DataDAO gets, created from Vana's templates
+ */
+function repositoriesFor(dlpName) {
+  const slug = dlpName.toLowerCase().replace(/\s+/g, '-');
+  return [
+    {
+      field: 'proofRepo',
+      name: `${slug}-proof`,
+      description: `Proof of Contribution for ${dlpName} DataDAO`,
+      template: 'vana-com/dlp-proof-template'
+    },
+    {
+      field: 'refinerRepo',
+      name: `${slug}-refiner`,
+      description: `Data Refinement for ${dlpName} DataDAO`,
+      template: 'vana-com/vana-data-refinement-template'
+    }
+  ];
+}
+
+/**
+ * Whether the GitHub CLI is installed and logged in
+ */
+function canUseGithubCli() {
+  try {
+    execSync('gh --version', { stdio: 'pipe' });
+    const authStatus = execSync('gh auth status', { stdio: 'pipe', encoding: 'utf8' }).toLowerCase();
+    return !authStatus.includes('not logged in') && !authStatus.includes('not authenticated');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create (or reuse) the proof and refiner repositories with the GitHub CLI
+ * and record their URLs. Without the CLI, print how to create them by hand.
+ *
+ * @returns {Promise<boolean>} whether both repositories are recorded
+ */
+async function setupGithubRepositories(stateManager, prompt) {
+  const deployment = stateManager.getState();
+
+  // Check if we have GitHub username, if not ask for it
+  let githubUsername = deployment.githubUsername;
+  if (!githubUsername) {
+    const { username } = await prompt([
+      {
+        type: 'input',
+        name: 'username',
+        message: 'GitHub username:',
+        validate: (input) => input.trim() !== '' || 'GitHub username is required'
+      }
+    ]);
+
+    githubUsername = username;
+    stateManager.updateDeployment({ githubUsername });
+  }
+
+  if (canUseGithubCli()) {
+    console.log(chalk.blue('🚀 Creating repositories automatically...'));
+
+    const created = {};
+    for (const repo of repositoriesFor(deployment.dlpName)) {
+      const repoUrl = `https://github.com/${githubUsername}/${repo.name}`;
+      try {
+        // Check if repo already exists
+        try {
+          execSync(`gh repo view ${githubUsername}/${repo.name}`, { stdio: 'pipe' });
+          console.log(chalk.green(`✅ Using existing repository: ${repo.name}`));
+          created[repo.field] = repoUrl;
+          continue;
+        } catch (error) {
+          // Repo doesn't exist, proceed with creation
+        }
+
+        // Create repository from template
+        execSync(`gh repo create ${repo.name} --template ${repo.template} --public --description "${repo.description}"`, { stdio: 'pipe' });
+
+        // Enable GitHub Actions
+        execSync(`gh api repos/${githubUsername}/${repo.name}/actions/permissions --method PUT --field enabled=true --field allowed_actions=all`, { stdio: 'pipe' });
+
+        created[repo.field] = repoUrl;
+        console.log(chalk.green(`✅ Created: ${repo.name}`));
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Failed to create ${repo.name}, will need manual setup`));
+      }
+    }
+
+    if (created.proofRepo && created.refinerRepo) {
+      stateManager.updateDeployment(created);
+      console.log(chalk.green('✅ GitHub repositories configured'));
+      return true;
+    }
+  }
+
+  console.log(chalk.yellow('⚠️  Automated GitHub setup not available'));
+  console.log('Please set up repositories manually and update deployment.json');
+  console.log();
+  console.log(chalk.cyan('1. Create proof repository with: https://github.com/new?template_name=dlp-proof-template&template_owner=vana-com&visibility=public'));
+  console.log(chalk.cyan('2. Create refiner repository from: https://github.com/new?template_name=vana-data-refinement-template&template_owner=vana-com&visibility=public'));
+  console.log(chalk.cyan('3. Update deployment.json with the new repository URLs under "proofRepo" and "refinerRepo"'));
+  console.log();
+  return false;
+}
+
+module.exports = {
+  setupGithubRepositories
+};
@@ -0,0 +1,150 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * hardhat-deploy deployment names written by contracts/deploy/dlp-deploy.ts,
+ * keyed by the field they fill in deployment.contracts
+ */
+const DLP_DEPLOYMENTS = {
+  tokenAddress: 'DLPToken',
+  proxyAddress: 'DataLiquidityPoolProxy',
+  implementationAddress: 'DataLiquidityPoolImplementation',
+  vestingAddress: 'DLPVestingWallet'
+};
+
+/**
+ * hardhat-deploy deployment names written by contracts/deploy/localStack-deploy.ts,
+ * keyed by their name in a network's core contracts
+ */
+const CORE_DEPLOYMENTS = {
+  dlpRegistry: 'DLPRegistryLocalMock',
+  dataRegistry: 'DataRegistryProxy',
+  teePool: 'TeePoolProxy',
+  datFactory: 'DATFactoryProxy',
+  dataRefinerRegistry: 'DataRefinerRegistryProxy',
+  queryEngine: 'QueryEngineProxy'
+};
+
+// Written fresh by every deploy run; the implementation may be reused when unchanged
+const ALWAYS_DEPLOYED = ['tokenAddress', 'proxyAddress', 'vestingAddress'];
+
+/**
+ * Error raised when the hardhat-deploy output is missing or unreadable
+ */
+class DeploymentArtifactError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DeploymentArtifactError';
+  }
+}
+
+/**
+ * Directory hardhat-deploy writes a network's deployments to
+ */
+function deploymentsDir(projectRoot, network) {
+  return path.join(projectRoot, 'contracts', 'deployments', network.hardhatNetwork);
+}
+
+/**
+ * Read one deployment artifact; null when it does not exist
+ */
+function readArtifact(dir, name) {
+  const file = path.join(dir, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  let artifact;
+  try {
+    artifact = fs.readJsonSync(file);
+  } catch (error) {
+    throw new DeploymentArtifactError(`${file} is not valid JSON: ${error.message}`);
+  }
+  if (!/^0x[0-9a-fA-F]{40}$/.test(artifact.address || '')) {
+    throw new DeploymentArtifactError(`${file} has no contract address`);
+  }
+
+  const receipt = artifact.receipt || {};
+  return {
+    file,
+    modifiedAt: fs.statSync(file).mtimeMs,
+    address: artifact.address,
+    abi: artifact.abi || [],
+    transactionHash: artifact.transactionHash || receipt.transactionHash || null,
+    blockNumber: receipt.blockNumber !== undefined ? Number(receipt.blockNumber) : null
+  };
+}
+
+/**
+ * Read the DLP deployment artifacts for a network.
+ *
+ * With `since` (a timestamp in ms), artifacts that every run rewrites are
+ * ignored when older, so a failed run never picks up a previous deployment.
+ * Returns `{ contracts, artifacts, missing }`: the addresses for
+ * deployment.contracts, the per-deployment record (address, ABI, tx hash,
+ * block number) for deployment.contractArtifacts, and the names not found.
+ */
+function readDlpDeployments(projectRoot, network, { since } = {}) {
+  const dir = deploymentsDir(projectRoot, network);
+  const contracts = {};
+  const artifacts = {};
+  const missing = [];
+
+  for (const [field, name] of Object.entries(DLP_DEPLOYMENTS)) {
+    const artifact = readArtifact(dir, name);
+    const stale = artifact && since && ALWAYS_DEPLOYED.includes(field) && artifact.modifiedAt < since;
+    if (!artifact || stale) {
+      missing.push(name);
+      continue;
+    }
+
+    contracts[field] = artifact.address;
+    artifacts[name] = {
+      address: artifact.address,
+      transactionHash: artifact.transactionHash,
+      blockNumber: artifact.blockNumber,
+      artifact: path.relative(projectRoot, artifact.file),
+      abi: artifact.abi
+    };
+  }
+
+  // The implementation is only meaningful next to the proxy that uses it
+  if (!contracts.proxyAddress && contracts.implementationAddress) {
+    delete contracts.implementationAddress;
+    delete artifacts[DLP_DEPLOYMENTS.implementationAddress];
+    missing.push(DLP_DEPLOYMENTS.implementationAddress);
+  }
+
+  return { contracts, artifacts, missing, dir };
+}
+
+/**
+ * Read the Vana core contracts deployed to a local node by
+ * localStack-deploy.ts. Returns `{ contracts, missing, dir }`: the
+ * addresses for deployment.json "coreContracts" and the names not found.
+ */
+function readCoreDeployments(projectRoot, network) {
+  const dir = deploymentsDir(projectRoot, network);
+  const contracts = {};
+  const missing = [];
+
+  for (const [key, name] of Object.entries(CORE_DEPLOYMENTS)) {
+    const artifact = readArtifact(dir, name);
+    if (!artifact) {
+      missing.push(name);
+      continue;
+    }
+    contracts[key] = artifact.address;
+  }
+
+  return { contracts, missing, dir };
+}
+
+module.exports = {
+  CORE_DEPLOYMENTS,
+  DLP_DEPLOYMENTS,
+  DeploymentArtifactError,
+  deploymentsDir,
+  readDlpDeployments,
+  readCoreDeployments
+};
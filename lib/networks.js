@@ -0,0 +1,166 @@
+const { defineChain } = require('viem');
+const { ConfigError, getConfigValue } = require('./config');
+
+/**
+ * Vana core contracts shared by every DataDAO on a network
+ */
+const VANA_CORE_CONTRACTS = {
+  dlpRegistry: '0x4D59880a924526d1dD33260552Ff4328b1E18a43',
+  queryEngine: '0xd25Eb66EA2452cf3238A2eC6C1FD1B7F5B320490',
+  dataRefinerRegistry: '0x93c3EF89369fDcf08Be159D9DeF0F18AB6Be008c',
+  dataRegistry: '0x8C8788f98385F6ba1adD4234e551ABba0f82Cb7C',
+  teePool: '0xE8EC6BD73b23Ad40E6B9a6f4bD343FAc411bD99A',
+  datFactory: '0xcc63F29C559fF2420B0C525F28eD6e9801C9CAfB'
+};
+
+/**
+ * Supported networks. `hardhatNetwork` is the network name in contracts/hardhat.config.ts
+ * and `hardhatRpcEnv` the contracts/.env variable that network reads its RPC URL from.
+ */
+const NETWORKS = {
+  moksha: {
+    name: 'moksha',
+    label: 'Moksha testnet',
+    chainId: 14800,
+    rpcUrl: 'https://rpc.moksha.vana.org',
+    explorerUrl: 'https://moksha.vanascan.io',
+    faucetHint: 'Get testnet VANA from https://faucet.vana.org',
+    hardhatNetwork: 'moksha',
+    hardhatRpcEnv: 'MOKSHA_RPC_URL',
+    contracts: VANA_CORE_CONTRACTS
+  },
+  mainnet: {
+    name: 'mainnet',
+    label: 'Vana mainnet',
+    chainId: 1480,
+    rpcUrl: 'https://rpc.vana.org',
+    explorerUrl: 'https://vanascan.io',
+    faucetHint: 'Mainnet has no faucet - fund the wallet with VANA from an exchange or bridge',
+    hardhatNetwork: 'vana',
+    hardhatRpcEnv: 'VANA_RPC_URL',
+    contracts: VANA_CORE_CONTRACTS
+  },
+  local: {
+    name: 'local',
+    label: 'Local hardhat node',
+    chainId: 31337,
+    rpcUrl: 'http://127.0.0.1:8545',
+    explorerUrl: null,
+    faucetHint: 'Use one of the pre-funded accounts printed by `npx hardhat node`',
+    hardhatNetwork: 'localhost',
+    hardhatRpcEnv: null,
+    // Deployed per node; supplied through deployment.json "coreContracts"
+    contracts: {}
+  }
+};
+
+const DEFAULT_NETWORK = 'moksha';
+
+/**
+ * Read --network from argv, supporting both `--network name` and `--network=name`
+ */
+function readNetworkArg(argv = process.argv.slice(2)) {
+  const index = argv.indexOf('--network');
+  if (index !== -1) {
+    return argv[index + 1];
+  }
+  const inline = argv.find(arg => arg.startsWith('--network='));
+  return inline ? inline.slice('--network='.length) : undefined;
+}
+
+/**
+ * Network explicitly requested for this run (flag, environment or deploy config)
+ */
+function getRequestedNetwork() {
+  return readNetworkArg() || process.env.STREAMINT_NETWORK || getConfigValue('network');
+}
+
+/**
+ * Resolve the network for a deployment: an explicit request wins over the one
+ * recorded in deployment.json, but may not contradict it once contracts exist.
+ *
+ * @param {Object} [deployment] - parsed deployment.json
+ * @returns {Object} network definition with a viem `chain` and resolved `contracts`
+ */
+function resolveNetwork(deployment = {}) {
+  const requested = getRequestedNetwork();
+  const recorded = deployment.network;
+  const deployed = Boolean(deployment.state && deployment.state.contractsDeployed);
+  // Projects deployed before the network was recorded could only target the default
+  const deployedOn = recorded || DEFAULT_NETWORK;
+
+  if (requested && deployed && requested !== deployedOn) {
+    throw new ConfigError(
+      `This project is deployed on "${deployedOn}" but --network ${requested} was requested. ` +
+      'Use a separate project directory per network.'
+    );
+  }
+
+  const name = requested || recorded || DEFAULT_NETWORK;
+  const base = NETWORKS[name];
+  if (!base) {
+    throw new ConfigError(`Unknown network "${name}". Expected one of: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+
+  const rpcUrl = process.env.STREAMINT_RPC_URL || deployment.rpcUrl || base.rpcUrl;
+  const network = {
+    ...base,
+    rpcUrl,
+    // Fallback endpoints tried by lib/chain.js when the primary RPC fails
+    rpcUrls: deployment.rpcUrls || [],
+    contracts: { ...base.contracts, ...(deployment.coreContracts || {}) }
+  };
+
+  network.chain = defineChain({
+    id: network.chainId,
+    name: network.label,
+    nativeCurrency: { name: 'VANA', symbol: 'VANA', decimals: 18 },
+    rpcUrls: { default: { http: [rpcUrl] } },
+    blockExplorers: network.explorerUrl
+      ? { default: { name: 'VANAScan', url: network.explorerUrl } }
+      : undefined
+  });
+
+  // Child scripts spawned by deploy.js / status.js see the same network
+  process.env.STREAMINT_NETWORK = name;
+
+  return network;
+}
+
+/**
+ * Address of a Vana core contract, failing clearly when the network lacks it
+ */
+function getCoreContract(network, key) {
+  const address = network.contracts[key];
+  if (!address) {
+    throw new ConfigError(
+      `No ${key} address configured for network "${network.name}". ` +
+      `Add "coreContracts": { "${key}": "0x..." } to deployment.json.`
+    );
+  }
+  return address;
+}
+
+/**
+ * Block explorer link for an address, or a plain address when the network has no explorer
+ */
+function addressUrl(network, address, suffix = '') {
+  return network.explorerUrl ? `${network.explorerUrl}/address/${address}${suffix}` : address;
+}
+
+/**
+ * Block explorer link for a transaction, or the bare hash when the network has no explorer
+ */
+function txUrl(network, hash) {
+  return network.explorerUrl ? `${network.explorerUrl}/tx/${hash}` : hash;
+}
+
+module.exports = {
+  NETWORKS,
+  DEFAULT_NETWORK,
+  resolveNetwork,
+  getRequestedNetwork,
+  getCoreContract,
+  addressUrl,
+  txUrl
+};
@@ -0,0 +1,256 @@
+const { getAddress, isAddressEqual, sliceHex, zeroAddress } = require('viem');
+const { withRetry } = require('./chain');
+const { getCoreContract } = require('./networks');
+const { REFINER_REGISTRY_ABI } = require('./refiners');
+const { DLP_ABI } = require('./dlp');
+const { QUERY_ENGINE_ABI } = require('./query-engine');
+const { ARTIFACTS, inspectArtifact, formatSize } = require('./artifacts');
+
+// ERC-1967 storage slot holding a proxy's implementation address
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+const DLP_REGISTRY_ABI = [
+  {
+    type: 'function',
+    name: 'dlpIds',
+    stateMutability: 'view',
+    inputs: [{ name: 'dlpAddress', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }]
+  }
+];
+
+const FIX_WITH_STATUS = 'npm run status -- --verify --fix';
+
+/**
+ * Run an RPC read, returning `{ value }` or `{ error }` so one failing read
+ * does not hide the results of the others
+ */
+async function tryRead(label, operation) {
+  try {
+    return { value: await withRetry(operation, { label }) };
+  } catch (error) {
+    return { error: error.shortMessage || error.message };
+  }
+}
+
+/**
+ * Shorten long values (keys, URLs) for the drift table
+ */
+function brief(value, max = 48) {
+  if (value === null || value === undefined || value === '') return '(none)';
+  const text = String(value);
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Build one check result. `status` is "ok", "drift" or "unverified" (the
+ * chain could not be read); `fix` is the command that resolves a drift and
+ * `adopt` the deployment.json fields `--fix` copies from the chain.
+ */
+function result(check, local, read, compare, { fix, adopt } = {}) {
+  if (read.error) {
+    return { check, local: brief(local), onChain: `error: ${read.error}`, status: 'unverified', fix: null };
+  }
+  const { ok, onChain } = compare(read.value);
+  return {
+    check,
+    local: brief(local),
+    onChain: brief(onChain),
+    status: ok ? 'ok' : 'drift',
+    fix: ok ? null : fix,
+    ...(ok || !adopt ? {} : { adopt: adopt(read.value) })
+  };
+}
+
+/**
+ * Contract code exists at a recorded address
+ */
+async function checkCode(client, check, address) {
+  const read = await tryRead(`${check} code lookup`, () => client.getCode({ address }));
+  return result(check, address, read, code => ({
+    ok: Boolean(code) && code !== '0x',
+    onChain: code && code !== '0x' ? 'contract deployed' : 'no contract code'
+  }), { fix: 'npm run deploy:contracts' });
+}
+
+/**
+ * Check every claim deployment.json makes about the chain: the DLP contracts,
+ * the registration, the proof instruction, the DLP and QueryEngine public
+ * keys and the refiner. Claims whose prerequisites are missing (e.g. no
+ * dlpId yet) are skipped rather than reported as drift.
+ *
+ * @returns {Promise<Object[]>} one `{ check, local, onChain, status, fix }` per claim
+ */
+async function verifyDeployment(deployment, network, client) {
+  const checks = [];
+  const { tokenAddress, proxyAddress, implementationAddress } = deployment.contracts || {};
+  const dlpId = deployment.dlpId ? Number(deployment.dlpId) : null;
+
+  if (tokenAddress) {
+    checks.push(await checkCode(client, 'DLP token', tokenAddress));
+  }
+  if (!proxyAddress) {
+    return checks;
+  }
+
+  const proxy = await checkCode(client, 'DLP proxy', proxyAddress);
+  checks.push(proxy);
+  if (proxy.status === 'drift') {
+    // Nothing else can be read from an address without code
+    return checks;
+  }
+
+  if (implementationAddress) {
+    const read = await tryRead('Implementation lookup', () => client.getStorageAt({ address: proxyAddress, slot: IMPLEMENTATION_SLOT }));
+    checks.push(result('DLP implementation', implementationAddress, read, slot => {
+      const onChain = slot ? getAddress(sliceHex(slot, 12)) : zeroAddress;
+      return { ok: isAddressEqual(onChain, implementationAddress), onChain };
+    }, {
+      fix: FIX_WITH_STATUS,
+      adopt: slot => ({ 'contracts.implementationAddress': getAddress(sliceHex(slot, 12)) })
+    }));
+  }
+
+  const readDlp = (functionName) => tryRead(`DLP ${functionName} lookup`, () =>
+    client.readContract({ address: proxyAddress, abi: DLP_ABI, functionName }));
+
+  if (tokenAddress) {
+    checks.push(result('DLP token()', tokenAddress, await readDlp('token'), token => ({
+      ok: isAddressEqual(token, tokenAddress),
+      onChain: token
+    }), { fix: 'npm run deploy:contracts' }));
+  }
+
+  const registered = await tryRead('dlpId lookup', () => client.readContract({
+    address: getCoreContract(network, 'dlpRegistry'),
+    abi: DLP_REGISTRY_ABI,
+    functionName: 'dlpIds',
+    args: [proxyAddress]
+  }));
+  checks.push(result('Registration (dlpId)', dlpId, registered, id => ({
+    ok: Number(id) === (dlpId || 0),
+    onChain: Number(id) > 0 ? Number(id) : 'not registered'
+  }), {
+    // The registry is authoritative once it has an id; otherwise register
+    fix: registered.value > 0n ? FIX_WITH_STATUS : 'npm run register:datadao',
+    adopt: id => (Number(id) > 0 ? { dlpId: Number(id), 'state.dataDAORegistered': true } : undefined)
+  }));
+
+  if (deployment.proofUrl) {
+    checks.push(result('Proof instruction', deployment.proofUrl, await readDlp('proofInstruction'), instruction => ({
+      ok: instruction === deployment.proofUrl,
+      onChain: instruction
+    }), { fix: `npm run dlp -- update-proof-instruction ${deployment.proofUrl}` }));
+  }
+
+  checks.push(result('DLP public key', deployment.publicKey, await readDlp('publicKey'), key => ({
+    ok: key !== '' && (!deployment.publicKey || key === deployment.publicKey),
+    onChain: key
+  }), { fix: `npm run dlp -- update-public-key ${deployment.publicKey || '<key>'}` }));
+
+  if (!dlpId) {
+    return checks;
+  }
+
+  const pubKey = await tryRead('dlpPubKeys lookup', () => client.readContract({
+    address: getCoreContract(network, 'queryEngine'),
+    abi: QUERY_ENGINE_ABI,
+    functionName: 'dlpPubKeys',
+    args: [BigInt(dlpId)]
+  }));
+  checks.push(result('QueryEngine dlpPubKeys', `dlpId ${dlpId}`, pubKey, key => ({
+    ok: key !== '',
+    onChain: key || 'not published yet'
+  }), { fix: 'wait for Vana to publish it, then npm run status -- --verify' }));
+
+  if (deployment.refinerId) {
+    const refiner = await tryRead('Refiner lookup', () => client.readContract({
+      address: getCoreContract(network, 'dataRefinerRegistry'),
+      abi: REFINER_REGISTRY_ABI,
+      functionName: 'refiners',
+      args: [BigInt(deployment.refinerId)]
+    }));
+    checks.push(result('Refiner', `refinerId ${deployment.refinerId} (dlpId ${dlpId})`, refiner, entry => ({
+      ok: Number(entry.dlpId) === dlpId,
+      onChain: Number(entry.dlpId) > 0 ? `dlpId ${entry.dlpId}` : 'no such refiner'
+    }), { fix: 'npm run deploy:refiner' }));
+
+    if (deployment.schemaUrl && refiner.value && Number(refiner.value.dlpId) === dlpId) {
+      checks.push(result('Refiner schema', deployment.schemaUrl, refiner, entry => ({
+        ok: entry.schemaDefinitionUrl === deployment.schemaUrl,
+        onChain: entry.schemaDefinitionUrl
+      }), { fix: 'npm run deploy:refiner' }));
+    }
+
+    if (deployment.refinerUrl && refiner.value && Number(refiner.value.dlpId) === dlpId) {
+      checks.push(result('Refiner instruction', deployment.refinerUrl, refiner, entry => ({
+        ok: entry.refinementInstructionUrl === deployment.refinerUrl,
+        onChain: entry.refinementInstructionUrl
+      }), { fix: 'npm run refiner -- use <refinerId>, or npm run deploy:refiner' }));
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Re-download the proof and refiner artifacts pinned in deployment.artifacts
+ * and compare their sha256 with the recorded one, to catch a release that was
+ * replaced or tampered with after it was published. Artifacts pinned for a
+ * URL that is no longer in use are reported as unverified.
+ *
+ * @returns {Promise<Object[]>} check results in the verifyDeployment() shape
+ */
+async function verifyArtifacts(deployment) {
+  const checks = [];
+  for (const [kind, { label, urlField, fix }] of Object.entries(ARTIFACTS)) {
+    const pinned = deployment.artifacts && deployment.artifacts[kind];
+    const url = deployment[urlField];
+    if (!pinned || !url) continue;
+
+    const check = `${label} artifact`;
+    const local = `sha256 ${pinned.sha256.slice(0, 16)}… (${formatSize(pinned.size)})`;
+    if (pinned.url !== url) {
+      checks.push({ check, local: brief(pinned.url), onChain: `no hash recorded for ${brief(url)}`, status: 'unverified', fix: null });
+      continue;
+    }
+
+    let read;
+    try {
+      read = { value: await inspectArtifact(url, kind) };
+    } catch (error) {
+      // A download that failed says nothing about the content; a bad archive does
+      read = error.download ? { error: error.message } : { value: { problem: error.message } };
+    }
+    checks.push(result(check, local, read, live => ({
+      ok: !live.problem && live.sha256 === pinned.sha256,
+      onChain: live.problem || `sha256 ${live.sha256.slice(0, 16)}… (${formatSize(live.size)})`
+    }), { fix: `the release at ${url} changed; check it, then ${fix}` }));
+  }
+  return checks;
+}
+
+/**
+ * Copy the on-chain values of adoptable drift into deployment (in place).
+ * Keys are dotted paths, e.g. "state.dataDAORegistered".
+ *
+ * @returns {string[]} the fields that were changed
+ */
+function adoptOnChainValues(deployment, checks) {
+  const changed = [];
+  for (const check of checks) {
+    for (const [field, value] of Object.entries(check.adopt || {})) {
+      const keys = field.split('.');
+      const parent = keys.slice(0, -1).reduce((object, key) => (object[key] = object[key] || {}), deployment);
+      parent[keys[keys.length - 1]] = value;
+      changed.push(field);
+    }
+  }
+  return changed;
+}
+
+module.exports = {
+  verifyDeployment,
+  verifyArtifacts,
+  adoptOnChainValues
+};
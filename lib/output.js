@@ -1,12 +1,129 @@
+const fs = require('fs-extra');
+const path = require('path');
+const util = require('util');
 const chalk = require('chalk');
+const { readArg } = require('./config');
+
+// Scripts spawned by deploy.js and status.js inherit the output mode through these
+const OUTPUT_ENV = 'STREAMINT_OUTPUT';
+const LOG_FILE_ENV = 'STREAMINT_LOG_FILE';
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, '');
+}
 
 /**
- * Clean output utilities for better UX
+ * Event fields must survive JSON.stringify (viem returns bigints)
+ */
+function toJsonValue(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Clean output utilities for better UX.
+ *
+ * With --json, stdout carries one JSON event per line instead of coloured
+ * text; with --log-file <path>, the same events are appended to that file in
+ * either mode. Plain console output from scripts becomes "log" events.
  */
 class OutputManager {
   constructor() {
     this.isQuiet = false;
     this.userInputMarker = '👤';
+
+    const argv = process.argv.slice(2);
+    this.json = argv.includes('--json') || process.env[OUTPUT_ENV] === 'json';
+    const logFile = readArg(argv, '--log-file') || process.env[LOG_FILE_ENV];
+    this.logFile = logFile ? path.resolve(logFile) : null;
+    this.script = process.env.npm_lifecycle_event || path.basename(process.argv[1] || 'node', '.js');
+    this.startedAt = Date.now();
+    this.currentStep = null;
+    this.console = { log: console.log.bind(console) };
+
+    if (this.json) {
+      process.env[OUTPUT_ENV] = 'json';
+    }
+    if (this.logFile) {
+      process.env[LOG_FILE_ENV] = this.logFile;
+      fs.ensureDirSync(path.dirname(this.logFile));
+    }
+    if (this.json || this.logFile) {
+      this.captureConsole();
+      process.on('exit', (code) => this.event('exit', { code, durationMs: Date.now() - this.startedAt }));
+    }
+  }
+
+  /**
+   * Emit a structured event to stdout (--json) and the log file, without
+   * printing anything in text mode. Callers add their own text output.
+   */
+  event(type, data = {}) {
+    if (!this.json && !this.logFile) {
+      return;
+    }
+
+    const line = JSON.stringify({ ts: new Date().toISOString(), script: this.script, event: type, ...data }, toJsonValue);
+    if (this.json) {
+      process.stdout.write(`${line}\n`);
+    }
+    if (this.logFile) {
+      // Loaded lazily: the vault itself prints through this module
+      const { redact } = require('./vault');
+      fs.appendFileSync(this.logFile, `${redact(line)}\n`);
+    }
+  }
+
+  /**
+   * Turn console output that bypasses this class into "log" events
+   */
+  captureConsole() {
+    const levels = { log: 'info', info: 'info', warn: 'warn', error: 'error' };
+    for (const [method, level] of Object.entries(levels)) {
+      const original = console[method].bind(console);
+      console[method] = (...args) => {
+        const message = stripAnsi(util.format(...args)).trim();
+        if (message) {
+          this.event('log', { level, message });
+        }
+        if (!this.json) {
+          original(...args);
+        }
+      };
+    }
+  }
+
+  /**
+   * Print a line in text mode only
+   */
+  print(...args) {
+    if (!this.json) {
+      this.console.log(...args);
+    }
+  }
+
+  /**
+   * Milliseconds since the current step started
+   */
+  stepDuration() {
+    return this.currentStep ? Date.now() - this.currentStep.startedAt : undefined;
+  }
+
+  /**
+   * Shell command for running an npm script as a child step, so it inherits
+   * this run's output mode (npm's own banner would corrupt the JSON stream)
+   */
+  npmRun(script) {
+    return this.json ? `npm run --silent ${script}` : `npm run ${script}`;
+  }
+
+  /**
+   * stdio for child processes whose output is shown to the user; in JSON
+   * mode it goes to stderr so stdout stays parseable
+   */
+  childStdio() {
+    return this.json ? ['inherit', 2, 2] : 'inherit';
   }
 
   /**
@@ -20,50 +137,58 @@ class OutputManager {
    * Main step header
    */
   step(title, description = '') {
-    console.log();
-    console.log(chalk.blue.bold(`🔄 ${title}`));
+    this.currentStep = { title, startedAt: Date.now() };
+    this.event('step', { title, description: description || undefined });
+
+    this.print();
+    this.print(chalk.blue.bold(`🔄 ${title}`));
     if (description) {
-      console.log(chalk.gray(`   ${description}`));
+      this.print(chalk.gray(`   ${description}`));
     }
-    console.log();
+    this.print();
   }
 
   /**
-   * Success message
+   * Success message; `data` (addresses, ids, tx hashes) is only part of the JSON event
    */
-  success(message) {
-    console.log(chalk.green(`✅ ${message}`));
+  success(message, data = {}) {
+    this.event('success', { message, step: this.currentStep ? this.currentStep.title : undefined, durationMs: this.stepDuration(), ...data });
+    this.print(chalk.green(`✅ ${message}`));
   }
 
   /**
    * Warning message
    */
-  warning(message) {
-    console.log(chalk.yellow(`⚠️  ${message}`));
+  warning(message, data = {}) {
+    this.event('warning', { message, ...data });
+    this.print(chalk.yellow(`⚠️  ${message}`));
   }
 
   /**
    * Error message
    */
-  error(message) {
-    console.log(chalk.red(`❌ ${message}`));
+  error(message, data = {}) {
+    this.event('error', { message, step: this.currentStep ? this.currentStep.title : undefined, ...data });
+    this.print(chalk.red(`❌ ${message}`));
   }
 
   /**
    * Info message (can be suppressed in quiet mode)
    */
   info(message, force = false) {
+    this.event('info', { message });
     if (!this.isQuiet || force) {
-      console.log(chalk.cyan(`ℹ️  ${message}`));
+      this.print(chalk.cyan(`ℹ️  ${message}`));
     }
   }
 
   /**
    * Progress indicator
    */
-  progress(message) {
+  progress(message, data = {}) {
+    this.event('progress', { message, ...data });
     if (!this.isQuiet) {
-      console.log(chalk.blue(`⏳ ${message}`));
+      this.print(chalk.blue(`⏳ ${message}`));
     }
   }
 
@@ -71,46 +196,55 @@ class OutputManager {
    * Mark user input clearly
    */
   userInput(prompt) {
-    console.log();
-    console.log(chalk.bgBlue.white.bold(` ${this.userInputMarker} USER INPUT REQUIRED `));
-    console.log(chalk.blue.bold(prompt));
-    console.log();
+    this.event('input', { message: prompt });
+    this.print();
+    this.print(chalk.bgBlue.white.bold(` ${this.userInputMarker} USER INPUT REQUIRED `));
+    this.print(chalk.blue.bold(prompt));
+    this.print();
   }
 
   /**
    * Show user's response
    */
   userResponse(response) {
-    console.log(chalk.green(`${this.userInputMarker} ${response}`));
-    console.log();
+    this.event('answer', { message: response });
+    this.print(chalk.green(`${this.userInputMarker} ${response}`));
+    this.print();
   }
 
   /**
    * Summary section
    */
   summary(title, items) {
-    console.log();
-    console.log(chalk.blue.bold(`📋 ${title}`));
+    this.event('summary', {
+      title,
+      items: items.map(item => (typeof item === 'string' ? item : { label: item.label, value: stripAnsi(String(item.value)) }))
+    });
+
+    this.print();
+    this.print(chalk.blue.bold(`📋 ${title}`));
     items.forEach(item => {
       if (typeof item === 'string') {
-        console.log(`  • ${item}`);
+        this.print(`  • ${item}`);
       } else {
-        console.log(`  • ${chalk.cyan(item.label)}: ${item.value}`);
+        this.print(`  • ${chalk.cyan(item.label)}: ${item.value}`);
       }
     });
-    console.log();
+    this.print();
   }
 
   /**
    * Next steps section
    */
   nextSteps(steps) {
-    console.log();
-    console.log(chalk.blue.bold('🚀 Next Steps:'));
+    this.event('summary', { title: 'Next Steps', items: steps });
+
+    this.print();
+    this.print(chalk.blue.bold('🚀 Next Steps:'));
     steps.forEach((step, index) => {
-      console.log(`  ${index + 1}. ${step}`);
+      this.print(`  ${index + 1}. ${step}`);
     });
-    console.log();
+    this.print();
   }
 
   /**
@@ -118,7 +252,7 @@ class OutputManager {
    */
   divider() {
     if (!this.isQuiet) {
-      console.log(chalk.gray('─'.repeat(50)));
+      this.print(chalk.gray('─'.repeat(50)));
     }
   }
 
@@ -126,13 +260,20 @@ class OutputManager {
    * Clear previous line (for progress updates)
    */
   clearLine() {
-    process.stdout.write('\r\x1b[K');
+    if (!this.json) {
+      process.stdout.write('\r\x1b[K');
+    }
   }
 
   /**
    * Progress bar for long operations
    */
   progressBar(current, total, message = '') {
+    this.event('progress', { message, current, total });
+    if (this.json) {
+      return;
+    }
+
     // Handle edge cases
     if (total === 0) {
       const bar = '░'.repeat(20);
@@ -153,7 +294,7 @@ class OutputManager {
     process.stdout.write(`${chalk.blue(bar)} ${percentage}% ${message}`);
     
     if (current === total) {
-      console.log(); // New line when complete
+      this.print(); // New line when complete
     }
   }
 }
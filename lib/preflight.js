@@ -0,0 +1,161 @@
+const chalk = require('chalk');
+const { keccak256, stringToHex } = require('viem');
+const { createReadClient, withRetry } = require('./chain');
+
+// The registry rejects names with 3 or fewer non-space characters (InvalidName)
+const DLP_NAME_MIN_CHARS = 4;
+
+// The DAT initializer only rejects an empty name (EmptyString); explorers and
+// wallets cut long ones, and a name is shown on every contribution
+const TOKEN_NAME_MAX_LENGTH = 64;
+
+// Wallets and explorers cut longer symbols; 11 is the limit MetaMask enforces
+const TOKEN_SYMBOL_PATTERN = /^[A-Za-z0-9]{2,11}$/;
+
+// dlp-deploy.ts creates the default DAT unless DAT_TYPE is set in contracts/.env
+const DAT_TYPE_DEFAULT = 0;
+
+const DLP_REGISTRY_NAME_ABI = [
+  {
+    type: 'function',
+    name: 'dlpNameToId',
+    stateMutability: 'view',
+    inputs: [{ name: 'dlpName', type: 'string' }],
+    outputs: [{ name: 'dlpId', type: 'uint256' }]
+  }
+];
+
+const DAT_FACTORY_ABI = [
+  {
+    type: 'function',
+    name: 'predictAddress',
+    stateMutability: 'view',
+    inputs: [
+      { name: 'datType', type: 'uint8' },
+      { name: 'salt', type: 'bytes32' }
+    ],
+    outputs: [{ name: '', type: 'address' }]
+  }
+];
+
+/**
+ * Registry naming rule for a DataDAO name, as an inquirer validate result
+ */
+function validateDlpName(input) {
+  const name = String(input || '');
+  if (name.trim() === '') {
+    return 'Name is required';
+  }
+  if (name.replace(/ /g, '').length < DLP_NAME_MIN_CHARS) {
+    return `The DLP registry needs at least ${DLP_NAME_MIN_CHARS} characters besides spaces`;
+  }
+  return true;
+}
+
+/**
+ * Token name rules, as an inquirer validate result: what the DAT initializer
+ * accepts, kept to one printable line of reasonable length
+ */
+function validateTokenName(input) {
+  const name = String(input || '');
+  if (name.trim() === '') {
+    return 'Token name is required';
+  }
+  if (/[\u0000-\u001f\u007f]/.test(name)) {
+    return 'Token name must be a single line without control characters';
+  }
+  if (name.trim() !== name) {
+    return 'Token name must not start or end with spaces';
+  }
+  if (name.length > TOKEN_NAME_MAX_LENGTH) {
+    return `Token name must be at most ${TOKEN_NAME_MAX_LENGTH} characters`;
+  }
+  return true;
+}
+
+/**
+ * Token symbol format and length, as an inquirer validate result
+ */
+function validateTokenSymbol(input) {
+  const symbol = String(input || '').trim();
+  if (symbol === '') {
+    return 'Token symbol is required';
+  }
+  if (!TOKEN_SYMBOL_PATTERN.test(symbol)) {
+    return 'Token symbol must be 2 to 11 letters or digits, without spaces';
+  }
+  return true;
+}
+
+/**
+ * Check if a DLP name is already taken on the network's registry. Without a
+ * registry address or a reachable RPC the name is assumed to be available.
+ *
+ * @returns {Promise<Object>} `{ available, existingId }`
+ */
+async function checkDlpNameAvailability(network, dlpName) {
+  const registry = network.contracts.dlpRegistry;
+  if (!registry) {
+    return { available: true, existingId: null };
+  }
+
+  try {
+    const dlpId = await withRetry(() => createReadClient(network).readContract({
+      address: registry,
+      abi: DLP_REGISTRY_NAME_ABI,
+      functionName: 'dlpNameToId',
+      args: [dlpName]
+    }), { label: 'Name availability check' });
+
+    const nameExists = Number(dlpId) > 0;
+    return {
+      available: !nameExists,
+      existingId: nameExists ? Number(dlpId) : null
+    };
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠️  Could not check name availability: ${error.shortMessage || error.message}`));
+    return { available: true, existingId: null }; // Assume available if check fails
+  }
+}
+
+/**
+ * A fresh DLP_TOKEN_SALT for contracts/.env
+ */
+function generateTokenSalt(tokenSymbol) {
+  return `${tokenSymbol}-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * Address the DAT factory will give the token for `salt`, hashed the way
+ * dlp-deploy.ts does (ethers.id). `taken` means a contract already lives
+ * there, so createToken would revert.
+ *
+ * @returns {Promise<Object|null>} `{ address, taken }`, or null when the
+ *   network has no factory address
+ */
+async function predictTokenAddress(network, salt) {
+  const factory = network.contracts.datFactory;
+  if (!factory) {
+    return null;
+  }
+
+  const client = createReadClient(network);
+  const address = await withRetry(() => client.readContract({
+    address: factory,
+    abi: DAT_FACTORY_ABI,
+    functionName: 'predictAddress',
+    args: [DAT_TYPE_DEFAULT, keccak256(stringToHex(salt))]
+  }), { label: 'Token address prediction' });
+  const code = await withRetry(() => client.getCode({ address }), { label: 'Token address check' });
+
+  return { address, taken: Boolean(code && code !== '0x') };
+}
+
+module.exports = {
+  validateDlpName,
+  validateTokenName,
+  validateTokenSymbol,
+  checkDlpNameAvailability,
+  generateTokenSalt,
+  predictTokenAddress
+};
@@ -0,0 +1,103 @@
+const inquirer = require('inquirer');
+const output = require('./output');
+const { EXIT_CODES, ConfigError, getRunConfig, getConfigValue } = require('./config');
+
+/**
+ * Default answer inquirer would pick if the user just pressed Enter
+ */
+function resolveDefault(question, answers) {
+  const value = typeof question.default === 'function'
+    ? question.default(answers)
+    : question.default;
+
+  if (value !== undefined) {
+    return value;
+  }
+
+  if (question.type === 'confirm') {
+    return true;
+  }
+
+  if (question.type === 'list' && question.choices && question.choices.length > 0) {
+    const first = question.choices[0];
+    return typeof first === 'object' ? first.value : first;
+  }
+
+  return undefined;
+}
+
+/**
+ * Answer a single question from the deployment config
+ */
+async function answerFromConfig(question, answers, scope) {
+  const { configPath } = getRunConfig();
+  const key = scope ? `${scope}.${question.name}` : question.name;
+  const message = typeof question.message === 'function' ? question.message(answers) : question.message;
+
+  let value = getConfigValue(question.name, scope);
+  if (value === undefined) {
+    value = resolveDefault(question, answers);
+  }
+
+  if (value === undefined) {
+    throw new ConfigError(
+      `No answer for "${key}" (${message}). Add it to ${configPath || 'a --config file'}.`,
+      EXIT_CODES.ANSWER_REQUIRED
+    );
+  }
+
+  if (question.type === 'list') {
+    const values = question.choices.map(choice => (typeof choice === 'object' ? choice.value : choice));
+    if (!values.includes(value)) {
+      throw new ConfigError(`Invalid value for "${key}": ${value}. Expected one of: ${values.join(', ')}`);
+    }
+  }
+
+  if (question.filter) {
+    value = await question.filter(value, answers);
+  }
+
+  if (question.validate) {
+    const result = await question.validate(typeof value === 'string' ? value : String(value), answers);
+    if (result !== true) {
+      throw new ConfigError(`Invalid value for "${key}": ${result || 'rejected'}`);
+    }
+  }
+
+  const isSecret = question.type === 'password' || /secret|privateKey/i.test(question.name);
+  const shown = isSecret ? '********' : value;
+  output.userResponse(`${message} ${shown}`);
+
+  return value;
+}
+
+/**
+ * Drop-in replacement for inquirer.prompt that reads answers from the
+ * deployment config when running with --config or --yes.
+ *
+ * @param {Array} questions - inquirer question objects
+ * @param {string} [scope] - config section checked before top-level keys (e.g. 'proof')
+ */
+async function prompt(questions, scope = null) {
+  if (!getRunConfig().nonInteractive) {
+    // With --json, stdout carries events only, so questions are asked on stderr
+    const ask = output.json ? inquirer.createPromptModule({ output: process.stderr }) : inquirer.prompt;
+    return ask(questions);
+  }
+
+  const answers = {};
+  for (const question of questions) {
+    answers[question.name] = await answerFromConfig(question, answers, scope);
+  }
+
+  return answers;
+}
+
+/**
+ * Prompt function bound to a config section, so each script can keep its own answers
+ */
+function createPrompt(scope) {
+  return (questions) => prompt(questions, scope);
+}
+
+module.exports = { prompt, createPrompt };
@@ -0,0 +1,195 @@
+const { parseEventLogs, zeroAddress } = require('viem');
+const { withRetry, getContractEventsInChunks } = require('./chain');
+const { getCoreContract } = require('./networks');
+
+// QueryEngine books payments in the native token under the zero address
+const VANA = zeroAddress;
+
+const PERMISSION_FIELDS = [
+  { name: 'grantee', type: 'address' },
+  { name: 'approved', type: 'bool' },
+  { name: 'refinerId', type: 'uint256' },
+  { name: 'tableName', type: 'string' },
+  { name: 'columnName', type: 'string' },
+  { name: 'price', type: 'uint256' }
+];
+
+/**
+ * The parts of QueryEngineImplementation the scripts use
+ */
+const QUERY_ENGINE_ABI = [
+  {
+    type: 'function',
+    name: 'dlpPubKeys',
+    stateMutability: 'view',
+    inputs: [{ name: 'dlpId', type: 'uint256' }],
+    outputs: [{ name: '', type: 'string' }]
+  },
+  {
+    type: 'function',
+    name: 'permissions',
+    stateMutability: 'view',
+    inputs: [{ name: 'permissionId', type: 'uint256' }],
+    outputs: [{ name: '', type: 'tuple', components: PERMISSION_FIELDS }]
+  },
+  {
+    type: 'function',
+    name: 'getPermissions',
+    stateMutability: 'view',
+    inputs: [{ name: 'refinerId', type: 'uint256' }, { name: 'grantee', type: 'address' }],
+    outputs: [{ name: '', type: 'tuple[]', components: [{ name: 'permissionId', type: 'uint256' }, ...PERMISSION_FIELDS] }]
+  },
+  {
+    type: 'function',
+    name: 'balanceOf',
+    stateMutability: 'view',
+    inputs: [{ name: 'dlpId', type: 'uint256' }, { name: 'token', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }]
+  },
+  {
+    type: 'function',
+    name: 'dlpPaymentPercentage',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [{ name: '', type: 'uint256' }]
+  },
+  {
+    type: 'function',
+    name: 'addPermission',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'grantee', type: 'address' },
+      { name: 'refinerId', type: 'uint256' },
+      { name: 'tableName', type: 'string' },
+      { name: 'columnName', type: 'string' },
+      { name: 'price', type: 'uint256' }
+    ],
+    outputs: [{ name: 'permissionId', type: 'uint256' }]
+  },
+  {
+    type: 'function',
+    name: 'addGenericPermission',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'refinerId', type: 'uint256' },
+      { name: 'tableName', type: 'string' },
+      { name: 'columnName', type: 'string' },
+      { name: 'price', type: 'uint256' }
+    ],
+    outputs: [{ name: 'permissionId', type: 'uint256' }]
+  },
+  {
+    type: 'function',
+    name: 'updatePermissionApproval',
+    stateMutability: 'nonpayable',
+    inputs: [{ name: 'permissionId', type: 'uint256' }, { name: 'approved', type: 'bool' }],
+    outputs: []
+  },
+  {
+    type: 'function',
+    name: 'claimDlpPayment',
+    stateMutability: 'nonpayable',
+    inputs: [{ name: 'dlpId', type: 'uint256' }, { name: 'token', type: 'address' }],
+    outputs: []
+  },
+  {
+    type: 'event',
+    name: 'PermissionAdded',
+    inputs: [
+      { indexed: true, name: 'permissionId', type: 'uint256' },
+      { indexed: true, name: 'grantee', type: 'address' },
+      { indexed: true, name: 'refinerId', type: 'uint256' },
+      { indexed: false, name: 'tableName', type: 'string' },
+      { indexed: false, name: 'columnName', type: 'string' },
+      { indexed: false, name: 'price', type: 'uint256' }
+    ]
+  },
+  {
+    type: 'event',
+    name: 'DlpPaymentClaimed',
+    inputs: [
+      { indexed: true, name: 'dlpId', type: 'uint256' },
+      { indexed: true, name: 'dlpTreasuryAddress', type: 'address' },
+      { indexed: true, name: 'token', type: 'address' },
+      { indexed: false, name: 'amount', type: 'uint256' }
+    ]
+  }
+];
+
+/**
+ * Read a view function of the QueryEngine
+ */
+function readQueryEngine(client, network, functionName, args = []) {
+  return withRetry(() => client.readContract({
+    address: getCoreContract(network, 'queryEngine'),
+    abi: QUERY_ENGINE_ABI,
+    functionName,
+    args
+  }), { label: `QueryEngine ${functionName} lookup` });
+}
+
+/**
+ * Normalise a permission read from the contract; ids and refinerIds become numbers
+ */
+function toPermission(permissionId, permission) {
+  return {
+    permissionId: Number(permissionId),
+    grantee: permission.grantee,
+    generic: permission.grantee === zeroAddress,
+    approved: permission.approved,
+    refinerId: Number(permission.refinerId),
+    tableName: permission.tableName,
+    columnName: permission.columnName,
+    price: permission.price
+  };
+}
+
+/**
+ * Approved permissions that apply to `grantee` on one refiner: the ones
+ * granted to it plus the generic ones granted to everyone
+ */
+async function getGranteePermissions(client, network, refinerId, grantee) {
+  const permissions = await readQueryEngine(client, network, 'getPermissions', [BigInt(refinerId), grantee]);
+  return permissions.map(permission => toPermission(permission.permissionId, permission));
+}
+
+/**
+ * Every permission ever added to the given refiners, found through
+ * PermissionAdded events and re-read so `approved` reflects revocations
+ */
+async function listRefinerPermissions(client, network, refinerIds, { fromBlock, toBlock }) {
+  const events = await getContractEventsInChunks(client, {
+    address: getCoreContract(network, 'queryEngine'),
+    abi: QUERY_ENGINE_ABI,
+    eventName: 'PermissionAdded',
+    args: { refinerId: refinerIds.map(id => BigInt(id)) },
+    fromBlock,
+    toBlock,
+    label: 'Permission event lookup'
+  });
+
+  const permissions = [];
+  for (const event of events) {
+    const permission = await readQueryEngine(client, network, 'permissions', [event.args.permissionId]);
+    permissions.push(toPermission(event.args.permissionId, permission));
+  }
+  return permissions.sort((a, b) => a.permissionId - b.permissionId);
+}
+
+/**
+ * The permissionId assigned by an addPermission or addGenericPermission receipt
+ */
+function decodePermissionId(receipt, queryEngineAddress) {
+  const [event] = parseEventLogs({ abi: QUERY_ENGINE_ABI, logs: receipt.logs, eventName: 'PermissionAdded' })
+    .filter(entry => entry.address.toLowerCase() === queryEngineAddress.toLowerCase());
+  return event ? Number(event.args.permissionId) : null;
+}
+
+module.exports = {
+  VANA,
+  QUERY_ENGINE_ABI,
+  readQueryEngine,
+  getGranteePermissions,
+  listRefinerPermissions,
+  decodePermissionId
+};
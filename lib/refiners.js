@@ -0,0 +1,146 @@
+const path = require('path');
+const { withRetry } = require('./chain');
+const { getCoreContract } = require('./networks');
+const { ConfigError } = require('./config');
+const { EnvFile } = require('./env-file');
+
+const REFINER_TUPLE = {
+  name: '',
+  type: 'tuple',
+  components: [
+    { name: 'dlpId', type: 'uint256' },
+    { name: 'owner', type: 'address' },
+    { name: 'name', type: 'string' },
+    { name: 'schemaDefinitionUrl', type: 'string' },
+    { name: 'refinementInstructionUrl', type: 'string' },
+    { name: 'publicKey', type: 'string' }
+  ]
+};
+
+/**
+ * The parts of DataRefinerRegistry the scripts use
+ */
+const REFINER_REGISTRY_ABI = [
+  {
+    type: 'function',
+    name: 'refiners',
+    stateMutability: 'view',
+    inputs: [{ name: 'refinerId', type: 'uint256' }],
+    outputs: [REFINER_TUPLE]
+  },
+  {
+    type: 'function',
+    name: 'dlpRefiners',
+    stateMutability: 'view',
+    inputs: [{ name: 'dlpId', type: 'uint256' }],
+    outputs: [{ name: '', type: 'uint256[]' }]
+  },
+  {
+    type: 'function',
+    name: 'addRefiner',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'dlpId', type: 'uint256' },
+      { name: 'name', type: 'string' },
+      { name: 'schemaDefinitionUrl', type: 'string' },
+      { name: 'refinementInstructionUrl', type: 'string' }
+    ],
+    outputs: []
+  },
+  {
+    type: 'function',
+    name: 'updateRefinerOwner',
+    stateMutability: 'nonpayable',
+    inputs: [{ name: 'refinerId', type: 'uint256' }],
+    outputs: []
+  },
+  {
+    type: 'function',
+    name: 'updateDlpRefinersOwner',
+    stateMutability: 'nonpayable',
+    inputs: [{ name: 'dlpId', type: 'uint256' }],
+    outputs: []
+  }
+];
+
+/**
+ * Read one refiner. Ids that were never assigned come back with dlpId 0,
+ * so those return null.
+ */
+async function getRefiner(client, network, refinerId) {
+  const refiner = await withRetry(() => client.readContract({
+    address: getCoreContract(network, 'dataRefinerRegistry'),
+    abi: REFINER_REGISTRY_ABI,
+    functionName: 'refiners',
+    args: [BigInt(refinerId)]
+  }), { label: `Refiner ${refinerId} lookup` });
+
+  if (Number(refiner.dlpId) === 0) {
+    return null;
+  }
+  return { id: Number(refinerId), ...refiner, dlpId: Number(refiner.dlpId) };
+}
+
+/**
+ * All refiners registered for a DataDAO, oldest first
+ */
+async function listDlpRefiners(client, network, dlpId) {
+  const ids = await withRetry(() => client.readContract({
+    address: getCoreContract(network, 'dataRefinerRegistry'),
+    abi: REFINER_REGISTRY_ABI,
+    functionName: 'dlpRefiners',
+    args: [BigInt(dlpId)]
+  }), { label: 'Refiner list lookup' });
+
+  const refiners = [];
+  for (const id of [...ids].sort((a, b) => (a < b ? -1 : 1))) {
+    refiners.push(await getRefiner(client, network, id));
+  }
+  return refiners.filter(Boolean);
+}
+
+/**
+ * Read a refiner and make sure it belongs to this DataDAO
+ */
+async function requireOwnRefiner(client, network, deployment, refinerId) {
+  const refiner = await getRefiner(client, network, refinerId);
+  if (!refiner) {
+    throw new ConfigError(`Refiner ${refinerId} does not exist on ${network.label}. See: npm run refiner -- list`);
+  }
+  if (refiner.dlpId !== Number(deployment.dlpId)) {
+    throw new ConfigError(`Refiner ${refinerId} belongs to dlpId ${refiner.dlpId}, not to this DataDAO (dlpId ${deployment.dlpId})`);
+  }
+  return refiner;
+}
+
+/**
+ * REFINER_ID the UI is configured with, or null without a ui/.env
+ */
+function readUiRefinerId(projectRoot = process.cwd()) {
+  const value = EnvFile.load(path.join(projectRoot, 'ui', '.env')).get('REFINER_ID');
+  return value === undefined ? null : value.trim();
+}
+
+/**
+ * Point the UI at a refiner by setting REFINER_ID in ui/.env
+ *
+ * @returns {boolean} false when there is no ui/.env to update
+ */
+function writeUiRefinerId(refinerId, projectRoot = process.cwd()) {
+  const uiEnv = EnvFile.load(path.join(projectRoot, 'ui', '.env'));
+  if (!uiEnv.exists) {
+    return false;
+  }
+  uiEnv.set('REFINER_ID', refinerId);
+  uiEnv.save();
+  return true;
+}
+
+module.exports = {
+  REFINER_REGISTRY_ABI,
+  getRefiner,
+  listDlpRefiners,
+  requireOwnRefiner,
+  readUiRefinerId,
+  writeUiRefinerId
+};
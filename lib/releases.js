@@ -0,0 +1,199 @@
+const { execSync } = require('child_process');
+const chalk = require('chalk');
+const { withRetry } = require('./chain');
+
+const GITHUB_API_URL = 'https://api.github.com';
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+const POLL_INTERVAL_MS = 15 * 1000;
+// The template workflows build a Docker image, which takes a few minutes
+const POLL_TIMEOUT_MS = 20 * 60 * 1000;
+// Releases are stamped by GitHub's clock, not this machine's
+const CLOCK_SKEW_MS = 60 * 1000;
+const RELEASES_PER_PAGE = 10;
+
+/**
+ * Error raised when the release for a push cannot be found
+ */
+class ReleaseError extends Error {
+  constructor(message, hint = null) {
+    super(message);
+    this.name = 'ReleaseError';
+    this.hint = hint;
+  }
+}
+
+/**
+ * Releases API base URL: STREAMINT_GITHUB_API_URL, else deployment.json
+ * "github.apiUrl" (a local stand-in or GitHub Enterprise), else GitHub
+ */
+function githubApiUrl(deployment = {}) {
+  const configured = process.env.STREAMINT_GITHUB_API_URL || (deployment.github && deployment.github.apiUrl);
+  return (configured || GITHUB_API_URL).replace(/\/$/, '');
+}
+
+/**
+ * Owner and name of a repository from its https or ssh URL
+ */
+function parseRepo(repoUrl) {
+  const match = String(repoUrl).match(/[/:]([^/:]+)\/([^/]+?)(?:\.git)?\/?$/);
+  if (!match) {
+    throw new ReleaseError(`Cannot tell the owner and name of repository ${repoUrl}`);
+  }
+  return { owner: match[1], name: match[2] };
+}
+
+/**
+ * GET a releases API path; GITHUB_TOKEN (or GH_TOKEN) is sent when set, for
+ * private repositories and a higher rate limit
+ */
+async function githubGet(apiUrl, apiPath) {
+  const token = process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+  const headers = { Accept: 'application/vnd.github+json', 'User-Agent': 'streamint' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await withRetry(
+    () => fetch(`${apiUrl}${apiPath}`, { headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) }),
+    { label: 'GitHub API request' }
+  );
+  if (!response.ok) {
+    const error = new ReleaseError(`GitHub API ${apiPath} failed: HTTP ${response.status}`);
+    error.status = response.status;
+    if (response.status === 404 && !token) {
+      error.hint = 'Private repositories need a token: export GITHUB_TOKEN=<token with repo read access>';
+    } else if (response.status === 403 || response.status === 429) {
+      error.hint = 'GitHub rate limit reached; export GITHUB_TOKEN to raise it';
+    }
+    throw error;
+  }
+  return response.json();
+}
+
+function git(command) {
+  return execSync(`git ${command}`, { stdio: 'pipe', encoding: 'utf8' }).trim();
+}
+
+/**
+ * Push the current branch and record what a fresh release has to match.
+ * When the remote already had the commit no new build runs, so an existing
+ * release of it is accepted.
+ *
+ * @returns {Object} `{ commit, pushedAt, alreadyPushed }`
+ */
+function pushForRelease({ branch = 'main', stdio = 'inherit' } = {}) {
+  const commit = git('rev-parse HEAD');
+  let alreadyPushed = false;
+  try {
+    git(`merge-base --is-ancestor ${commit} origin/${branch}`);
+    alreadyPushed = true;
+  } catch (error) {
+    // Not on the remote yet (or no remote branch): the push starts a build
+  }
+
+  const pushedAt = new Date();
+  execSync(`git push -u origin ${branch}`, { stdio });
+  return { commit, pushedAt, alreadyPushed };
+}
+
+/**
+ * The commit a release was built from. Workflows usually leave
+ * target_commitish as the branch name, so the tag is resolved instead.
+ */
+async function releaseCommit(apiUrl, repo, release) {
+  if (/^[0-9a-f]{40}$/i.test(release.target_commitish || '')) {
+    return release.target_commitish.toLowerCase();
+  }
+  const commit = await githubGet(apiUrl, `/repos/${repo.owner}/${repo.name}/commits/${encodeURIComponent(release.tag_name)}`);
+  return commit.sha.toLowerCase();
+}
+
+/**
+ * The uploaded .tar.gz asset of a release; with several, the one whose name
+ * contains `preferred` (e.g. "refiner"). Assets still uploading or whose
+ * upload failed are skipped.
+ */
+function selectAsset(release, preferred) {
+  const tarballs = (release.assets || []).filter(asset =>
+    asset.name.endsWith('.tar.gz') && (!asset.state || asset.state === 'uploaded'));
+  return tarballs.find(asset => preferred && asset.name.toLowerCase().includes(preferred)) || tarballs[0] || null;
+}
+
+/**
+ * Poll the repository's releases until one built from the pushed commit has a
+ * .tar.gz asset. Releases of other commits, and releases published before the
+ * push, are ignored.
+ *
+ * @returns {Promise<Object>} `{ url, assetName, tag, commit, publishedAt }`
+ */
+async function waitForRelease(deployment, repoUrl, push, {
+  preferredAsset = null,
+  timeoutMs = POLL_TIMEOUT_MS,
+  intervalMs = POLL_INTERVAL_MS
+} = {}) {
+  const apiUrl = githubApiUrl(deployment);
+  const repo = parseRepo(repoUrl);
+  const notBefore = push.alreadyPushed ? null : push.pushedAt.getTime() - CLOCK_SKEW_MS;
+  const shortCommit = push.commit.slice(0, 7);
+  const started = Date.now();
+  // Tag -> commit, so each release is resolved once
+  const commits = new Map();
+  const reported = new Set();
+
+  console.log(chalk.blue(`⏳ Waiting for ${repo.owner}/${repo.name} to publish a release of ${shortCommit}...`));
+
+  while (true) {
+    const releases = await githubGet(apiUrl, `/repos/${repo.owner}/${repo.name}/releases?per_page=${RELEASES_PER_PAGE}`);
+
+    for (const release of releases) {
+      const publishedAt = new Date(release.published_at || release.created_at).getTime();
+      if (release.draft || (notBefore !== null && publishedAt < notBefore)) continue;
+
+      if (!commits.has(release.tag_name)) {
+        commits.set(release.tag_name, await releaseCommit(apiUrl, repo, release));
+      }
+      const commit = commits.get(release.tag_name);
+      if (commit !== push.commit.toLowerCase()) {
+        if (!reported.has(release.tag_name)) {
+          reported.add(release.tag_name);
+          console.log(chalk.gray(`   Ignoring ${release.tag_name}: built from ${commit.slice(0, 7)}, not ${shortCommit}`));
+        }
+        continue;
+      }
+
+      const asset = selectAsset(release, preferredAsset);
+      if (asset) {
+        console.log(chalk.green(`✅ Release ${release.tag_name} is ready: ${asset.name}`));
+        return {
+          url: asset.browser_download_url,
+          assetName: asset.name,
+          tag: release.tag_name,
+          commit,
+          publishedAt: new Date(publishedAt).toISOString()
+        };
+      }
+      if (!reported.has(`${release.tag_name}:assets`)) {
+        reported.add(`${release.tag_name}:assets`);
+        console.log(chalk.gray(`   ${release.tag_name} has no .tar.gz asset yet`));
+      }
+    }
+
+    const elapsed = Date.now() - started;
+    if (elapsed + intervalMs > timeoutMs) {
+      throw new ReleaseError(
+        `No release of ${shortCommit} appeared within ${Math.round(timeoutMs / 60000)} minutes`,
+        `Check the build at ${repoUrl.replace(/\.git$/, '')}/actions`
+      );
+    }
+    console.log(chalk.gray(`   Still building... (${Math.floor(elapsed / 1000)}s elapsed, checking again in ${intervalMs / 1000}s)`));
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+module.exports = {
+  ReleaseError,
+  githubApiUrl,
+  parseRepo,
+  pushForRelease,
+  selectAsset,
+  waitForRelease
+};
@@ -0,0 +1,208 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+
+/**
+ * Timestamped snapshots of deployment.json, kept next to it
+ */
+const HISTORY_DIR = '.deployment-history';
+const HISTORY_LIMIT = 20;
+
+/**
+ * A script that holds the lock passes its token to the steps it spawns, so
+ * `npm run deploy` and `npm run status` can run child scripts without deadlocking
+ */
+const LOCK_TOKEN_ENV = 'STREAMINT_STATE_LOCK';
+
+// A lock file younger than this with no readable owner is still being written
+const LOCK_WRITE_GRACE_MS = 5000;
+
+const heldLocks = new Set();
+
+/**
+ * Error raised when another live process holds the state lock
+ */
+class StateLockedError extends Error {
+  constructor(lockPath, owner) {
+    const since = owner.startedAt ? ` since ${new Date(owner.startedAt).toLocaleString()}` : '';
+    super(
+      `${path.basename(lockPath, '.lock')} is in use by another Streamint command ` +
+      `(pid ${owner.pid || 'unknown'}: ${owner.command || 'unknown command'}${since}). ` +
+      `Wait for it to finish, or delete ${lockPath} if that process is gone.`
+    );
+    this.name = 'StateLockedError';
+    this.owner = owner;
+  }
+}
+
+/**
+ * Write a file via a temporary sibling and a rename, so readers and crashes
+ * only ever see the old or the new contents
+ */
+function writeFileAtomic(filePath, content, options = {}) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    const fd = fs.openSync(tmpPath, 'w', options.mode);
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+  } catch (error) {
+    fs.removeSync(tmpPath);
+    throw error;
+  }
+}
+
+function readLockOwner(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+function releaseStateLock(lockPath, token) {
+  const owner = readLockOwner(lockPath);
+  if (owner && owner.token === token) {
+    fs.removeSync(lockPath);
+  }
+  heldLocks.delete(lockPath);
+}
+
+/**
+ * Take the `<file>.lock` lock for this process. Re-entrant within a process
+ * and for child scripts spawned while it is held; released on exit. A lock
+ * left behind by a process that no longer exists is taken over.
+ */
+function acquireStateLock(filePath) {
+  const lockPath = `${filePath}.lock`;
+  if (heldLocks.has(lockPath)) {
+    return;
+  }
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      const owner = {
+        pid: process.pid,
+        token: crypto.randomBytes(8).toString('hex'),
+        command: process.env.npm_lifecycle_event
+          ? `npm run ${process.env.npm_lifecycle_event}`
+          : path.basename(process.argv[1] || 'node'),
+        startedAt: new Date().toISOString()
+      };
+      fs.writeSync(fd, JSON.stringify(owner, null, 2));
+      fs.closeSync(fd);
+
+      heldLocks.add(lockPath);
+      process.env[LOCK_TOKEN_ENV] = owner.token;
+      process.on('exit', () => releaseStateLock(lockPath, owner.token));
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const owner = readLockOwner(lockPath);
+    if (owner && owner.token === process.env[LOCK_TOKEN_ENV]) {
+      // Held by the command that spawned us
+      heldLocks.add(lockPath);
+      return;
+    }
+
+    if (!owner) {
+      let age = Infinity;
+      try {
+        age = Date.now() - fs.statSync(lockPath).mtimeMs;
+      } catch (error) {
+        // Removed in the meantime; try again
+      }
+      if (age < LOCK_WRITE_GRACE_MS) {
+        throw new StateLockedError(lockPath, {});
+      }
+    } else if (isProcessAlive(owner.pid)) {
+      throw new StateLockedError(lockPath, owner);
+    }
+
+    console.log(chalk.yellow(`⚠️  Removing stale lock ${path.basename(lockPath)}${owner ? ` left by pid ${owner.pid} (${owner.command})` : ''}`));
+    fs.removeSync(lockPath);
+  }
+
+  throw new StateLockedError(lockPath, readLockOwner(lockPath) || {});
+}
+
+function historyDirFor(filePath) {
+  return path.join(path.dirname(filePath), HISTORY_DIR);
+}
+
+/**
+ * Snapshots of a file, newest first
+ */
+function listHistory(filePath) {
+  const dir = historyDirFor(filePath);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const base = path.basename(filePath, path.extname(filePath));
+  // Compared without ".json", so `<stamp>` sorts before `<stamp>-001`, the next snapshot in the same millisecond
+  const stem = (name) => name.slice(0, -'.json'.length);
+  return fs.readdirSync(dir)
+    .filter(name => name.startsWith(`${base}-`) && name.endsWith('.json'))
+    .sort((a, b) => (stem(a) < stem(b) ? 1 : stem(a) > stem(b) ? -1 : 0))
+    .map(name => ({
+      name,
+      path: path.join(dir, name),
+      savedAt: fs.statSync(path.join(dir, name)).mtime
+    }));
+}
+
+/**
+ * Store `content` as the newest snapshot of a file, unless it matches the
+ * newest one already, and drop snapshots beyond HISTORY_LIMIT
+ */
+function saveSnapshot(filePath, content) {
+  const history = listHistory(filePath);
+  if (history.length > 0 && fs.readFileSync(history[0].path, 'utf8') === content) {
+    return;
+  }
+
+  const dir = historyDirFor(filePath);
+  fs.ensureDirSync(dir);
+
+  // Sortable by name: deployment-2025-01-31T12-00-00-000Z.json, then -001, -002... within the same millisecond
+  const base = path.basename(filePath, path.extname(filePath));
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  let name = `${base}-${stamp}.json`;
+  for (let n = 1; fs.existsSync(path.join(dir, name)); n++) {
+    name = `${base}-${stamp}-${String(n).padStart(3, '0')}.json`;
+  }
+  writeFileAtomic(path.join(dir, name), content, { mode: 0o600 });
+
+  for (const old of listHistory(filePath).slice(HISTORY_LIMIT)) {
+    fs.removeSync(old.path);
+  }
+}
+
+module.exports = {
+  HISTORY_DIR,
+  HISTORY_LIMIT,
+  StateLockedError,
+  writeFileAtomic,
+  acquireStateLock,
+  listHistory,
+  saveSnapshot
+};
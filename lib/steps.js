@@ -0,0 +1,471 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execSync } = require('child_process');
+const chalk = require('chalk');
+const { createPrompt } = require('./prompt');
+const { ConfigError, EXIT_CODES } = require('./config');
+const { createReadClient, checkWalletBalance } = require('./chain');
+const { resolveNetwork, addressUrl } = require('./networks');
+const { setupGithubRepositories } = require('./github-repos');
+const { childScriptEnv } = require('./vault');
+const output = require('./output');
+
+const prompt = createPrompt('steps');
+
+// Project file that adds custom steps to the pipeline
+const CUSTOM_STEPS_FILE = 'streamint.steps.js';
+
+/**
+ * Before deploying contracts, make sure the wallet can pay for them.
+ * Unattended runs only warn; the deploy script fails with the details.
+ */
+async function ensureFunded({ deployment, nonInteractive }) {
+  const network = resolveNetwork(deployment);
+  const { sufficient } = await checkWalletBalance(createReadClient(network), deployment.address, {
+    purpose: 'deploy',
+    network
+  });
+  if (sufficient !== false || nonInteractive) {
+    return true;
+  }
+
+  output.warning('Your wallet needs VANA tokens to deploy contracts');
+  console.log(chalk.cyan(`Wallet address: ${addressUrl(network, deployment.address)}`));
+  console.log();
+
+  const { readyToContinue } = await prompt([
+    {
+      type: 'confirm',
+      name: 'readyToContinue',
+      message: 'Have you funded your wallet?',
+      default: false
+    }
+  ]);
+  return readyToContinue;
+}
+
+/**
+ * The deployment pipeline. Each step has:
+ *
+ * - `id`: its flag in deployment.json `state`
+ * - `title`, `action` (what confirming runs) and optional `notes` to print first
+ * - `dependsOn`: ids of the steps that must be complete before it can run
+ * - a runner: `script` (an npm script), `command` (a shell command) or
+ *   `run(context)`; the context has `stateManager`, `deployment`,
+ *   `nonInteractive` and `prompt`
+ * - `isComplete(deployment)`: data that proves the step ran, for when the
+ *   flag was never set; `setsOwnFlag` when the runner sets the flag itself
+ * - `confirm`: the prompt name `npm run deploy` asks (answerable under "steps" in a deploy config)
+ * - `optional`: a failure does not stop an interactive run
+ * - `preflight(context)`: resolves false to stop before running
+ * - `details(deployment)`: one line for `npm run status`
+ * - `checkpoints`: further flags shown in progress, with optional `isComplete`
+ * - `recovery`: `{ issue, solutions }` shown when the step failed
+ */
+const BUILTIN_STEPS = [
+  {
+    id: 'contractsDeployed',
+    title: 'Smart Contracts',
+    action: 'Deploy smart contracts',
+    confirm: 'deployContracts',
+    script: 'deploy:contracts',
+    dependsOn: [],
+    setsOwnFlag: true,
+    preflight: ensureFunded,
+    isComplete: (deployment) => !!(deployment.contracts && deployment.contracts.tokenAddress && deployment.contracts.proxyAddress),
+    details: (deployment) => {
+      const { tokenAddress, proxyAddress } = deployment.contracts || {};
+      if (!tokenAddress || !proxyAddress) return null;
+      const proxyArtifact = (deployment.contractArtifacts || {}).DataLiquidityPoolProxy;
+      const block = proxyArtifact && proxyArtifact.blockNumber ? ` | Block: ${proxyArtifact.blockNumber}` : '';
+      return `Token: ${tokenAddress.slice(0, 10)}... | Proxy: ${proxyAddress.slice(0, 10)}...${block}`;
+    },
+    recovery: {
+      issue: 'Smart contract deployment failed',
+      solutions: [
+        'Check wallet balance (need VANA tokens)',
+        'Verify network connectivity',
+        'Try again: npm run deploy:contracts'
+      ]
+    }
+  },
+  {
+    id: 'dataDAORegistered',
+    title: 'DataDAO Registration',
+    action: 'Register DataDAO',
+    confirm: 'registerDataDAO',
+    script: 'register:datadao',
+    dependsOn: ['contractsDeployed'],
+    setsOwnFlag: true,
+    // If we have a dlpId, registration was successful
+    isComplete: (deployment) => !!deployment.dlpId,
+    details: (deployment) => (deployment.dlpId ? `DLP ID: ${deployment.dlpId}` : null),
+    recovery: {
+      issue: 'Registration on Vana network failed',
+      solutions: [
+        'Ensure contracts are deployed first',
+        'Check you have 1 VANA for registration fee',
+        'Try again: npm run register:datadao'
+      ]
+    }
+  },
+  {
+    id: 'githubSetup',
+    title: 'GitHub Repositories',
+    action: 'Set up the proof and refiner repositories',
+    confirm: 'setupGithub',
+    dependsOn: [],
+    run: async ({ stateManager, nonInteractive }) => {
+      if (nonInteractive) {
+        throw new ConfigError('proofRepo and refinerRepo are required for unattended deployment. Add them to the deploy config.', EXIT_CODES.ANSWER_REQUIRED);
+      }
+      await setupGithubRepositories(stateManager, prompt);
+    },
+    setsOwnFlag: true,
+    isComplete: (deployment) => !!(deployment.proofRepo && deployment.refinerRepo),
+    details: (deployment) => (deployment.proofRepo && deployment.refinerRepo ? `${deployment.proofRepo} | ${deployment.refinerRepo}` : null),
+    checkpoints: [
+      { key: 'proofGitSetup', name: 'Proof Repository Set Up', isComplete: (deployment) => !!deployment.proofRepo },
+      { key: 'refinerGitSetup', name: 'Refiner Repository Set Up', isComplete: (deployment) => !!deployment.refinerRepo }
+    ],
+    recovery: {
+      issue: 'Repository setup failed',
+      solutions: [
+        'Install the GitHub CLI and run: gh auth login',
+        'Or create the repositories from the Vana templates and add "proofRepo" and "refinerRepo" to deployment.json'
+      ]
+    }
+  },
+  {
+    id: 'proofConfigured',
+    title: 'Proof of Contribution',
+    action: 'Configure proof of contribution',
+    confirm: 'deployProof',
+    script: 'deploy:proof',
+    dependsOn: ['dataDAORegistered', 'githubSetup'],
+    setsOwnFlag: true,
+    isComplete: (deployment) => !!deployment.proofUrl,
+    details: (deployment) => (deployment.proofUrl
+      ? `Published: ${deployment.proofUrl.includes('github.com') ? 'GitHub' : 'Custom'}`
+      : null),
+    checkpoints: [{ key: 'proofPublished', name: 'Proof of Contribution Published' }],
+    recovery: {
+      issue: 'Proof system configuration failed',
+      solutions: [
+        'Ensure GitHub repository is accessible',
+        'Check dlpId is available from registration',
+        'Verify git configuration and permissions',
+        'Try again: npm run deploy:proof'
+      ]
+    }
+  },
+  {
+    id: 'refinerConfigured',
+    title: 'Data Refiner',
+    action: 'Configure data refiner',
+    confirm: 'deployRefiner',
+    script: 'deploy:refiner',
+    notes: ['This structures contributed data into queryable databases.'],
+    dependsOn: ['dataDAORegistered', 'githubSetup'],
+    setsOwnFlag: true,
+    optional: true,
+    isComplete: (deployment) => !!deployment.refinerId,
+    details: (deployment) => (deployment.refinerId ? `Refiner ID: ${deployment.refinerId}` : null),
+    checkpoints: [{ key: 'refinerPublished', name: 'Data Refiner Published' }],
+    recovery: {
+      issue: 'Refiner configuration failed',
+      solutions: [
+        'Ensure Docker is running (for local schema generation)',
+        'Check Pinata API credentials are valid',
+        'Verify GitHub repository is accessible',
+        'Check encryption key retrieval from blockchain',
+        'Try again: npm run deploy:refiner'
+      ]
+    }
+  },
+  {
+    id: 'uiConfigured',
+    title: 'User Interface',
+    action: 'Configure UI',
+    confirm: 'deployUI',
+    script: 'deploy:ui',
+    notes: ['This sets up the user interface for data contributions.'],
+    // Not on the optional refiner step: deploy:ui checks refinerId itself and
+    // explains how to record one registered outside Streamint
+    dependsOn: ['proofConfigured'],
+    setsOwnFlag: true,
+    optional: true,
+    details: () => 'Ready for development',
+    recovery: {
+      issue: 'UI configuration failed',
+      solutions: [
+        'Ensure proof deployment completed (need proofUrl)',
+        'Ensure refiner registration completed (need refinerId)',
+        'Check Google OAuth credentials are valid',
+        'Check Pinata API credentials are valid',
+        'Try again: npm run deploy:ui'
+      ]
+    }
+  }
+];
+
+/**
+ * The steps of a deployment and their dependencies. Steps run in
+ * dependency order; among steps that are ready, the one defined first runs
+ * first, so custom steps run after the built-in steps they depend on.
+ */
+class StepGraph {
+  constructor(steps = BUILTIN_STEPS) {
+    this.definitions = [];
+    this.order = null;
+    steps.forEach(step => this.register(step));
+  }
+
+  /**
+   * Add a step; see BUILTIN_STEPS for the fields
+   */
+  register(step) {
+    if (!step || typeof step.id !== 'string' || !/^[A-Za-z][A-Za-z0-9]*$/.test(step.id)) {
+      throw new ConfigError(`Step ids must be letters and digits, got ${JSON.stringify(step && step.id)}`);
+    }
+    if (this.definitions.some(existing => existing.id === step.id)) {
+      throw new ConfigError(`Step "${step.id}" is defined twice`);
+    }
+    if (!step.run && !step.script && !step.command) {
+      throw new ConfigError(`Step "${step.id}" needs a run function, an npm script or a command`);
+    }
+
+    this.definitions.push({ title: step.id, dependsOn: [], checkpoints: [], notes: [], ...step });
+    this.order = null;
+    return this;
+  }
+
+  /**
+   * Every step in the order it runs
+   */
+  get steps() {
+    if (!this.order) {
+      for (const step of this.definitions) {
+        const unknown = step.dependsOn.filter(id => !this.definitions.some(other => other.id === id));
+        if (unknown.length > 0) {
+          throw new ConfigError(`Step "${step.id}" depends on unknown step(s): ${unknown.join(', ')}`);
+        }
+      }
+
+      const order = [];
+      const remaining = [...this.definitions];
+      while (remaining.length > 0) {
+        const index = remaining.findIndex(step => step.dependsOn.every(id => order.some(done => done.id === id)));
+        if (index === -1) {
+          throw new ConfigError(`Steps depend on each other in a cycle: ${remaining.map(step => step.id).join(', ')}`);
+        }
+        order.push(...remaining.splice(index, 1));
+      }
+      this.order = order;
+    }
+    return this.order;
+  }
+
+  get(id) {
+    return this.steps.find(step => step.id === id) || null;
+  }
+
+  /**
+   * A step is complete when its flag is set or its data shows it ran
+   */
+  isComplete(stepOrId, deployment) {
+    const step = typeof stepOrId === 'string' ? this.get(stepOrId) : stepOrId;
+    if (!step) return false;
+    return !!(deployment.state && deployment.state[step.id]) || Boolean(step.isComplete && step.isComplete(deployment));
+  }
+
+  /**
+   * The dependencies of a step that are not complete yet
+   */
+  waitingFor(step, deployment) {
+    return step.dependsOn.map(id => this.get(id)).filter(dependency => !this.isComplete(dependency, deployment));
+  }
+
+  nextIncomplete(deployment) {
+    return this.steps.find(step => !this.isComplete(step, deployment)) || null;
+  }
+
+  /**
+   * How to run a step by hand
+   */
+  commandFor(step) {
+    if (step.script) return `npm run ${step.script}`;
+    return step.command || 'npm run deploy';
+  }
+
+  /**
+   * Flags the data shows to be complete although they are not set: steps
+   * and checkpoints with an `isComplete` predicate
+   */
+  inferredFlags(deployment) {
+    const state = deployment.state || {};
+    const updates = {};
+    for (const step of this.steps) {
+      for (const flag of [{ key: step.id, isComplete: step.isComplete }, ...step.checkpoints]) {
+        if (!state[flag.key] && flag.isComplete && flag.isComplete(deployment)) {
+          updates[flag.key] = true;
+        }
+      }
+    }
+    return updates;
+  }
+}
+
+/**
+ * The built-in steps plus the project's streamint.steps.js, which exports an
+ * array of step definitions or a function that registers them on the graph
+ */
+function loadStepGraph(projectRoot = process.cwd()) {
+  const graph = new StepGraph();
+  const customPath = path.join(projectRoot, CUSTOM_STEPS_FILE);
+  if (!fs.existsSync(customPath)) {
+    return graph;
+  }
+
+  let custom;
+  try {
+    custom = require(customPath);
+  } catch (error) {
+    throw new ConfigError(`Cannot load ${CUSTOM_STEPS_FILE}: ${error.message}`);
+  }
+  const steps = typeof custom === 'function' ? custom(graph) : custom;
+  if (Array.isArray(steps)) {
+    steps.forEach(step => graph.register(step));
+  }
+  // Surface unknown dependencies and cycles before anything runs
+  graph.steps;
+  return graph;
+}
+
+/**
+ * Run one step's runner. Unattended runs fail with the step's exit code.
+ */
+async function runStep(step, context) {
+  const name = step.script || step.id;
+  const startedAt = Date.now();
+  output.event('step', { title: name });
+  try {
+    if (step.run) {
+      await step.run({ prompt, ...context });
+    } else {
+      // Custom commands are not ours, so only Streamint scripts get the vault passphrase
+      execSync(step.script ? output.npmRun(step.script) : step.command, {
+        stdio: 'inherit',
+        env: step.script ? childScriptEnv() : process.env
+      });
+    }
+    output.event('success', { message: `Step "${name}" finished`, step: name, durationMs: Date.now() - startedAt });
+  } catch (error) {
+    const exitCode = error.status || error.exitCode;
+    output.event('error', { message: `Step "${name}" failed`, step: name, exitCode, durationMs: Date.now() - startedAt });
+    if (context.nonInteractive && !(error instanceof ConfigError)) {
+      // Keep specific codes (bad config, missing answer) from the child script
+      const stepError = new Error(`Step "${name}" failed`);
+      stepError.exitCode = exitCode > EXIT_CODES.FAILURE ? exitCode : EXIT_CODES.STEP_FAILED;
+      throw stepError;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run every incomplete step in order. `openState()` returns a state manager
+ * with deployment.json as the last step left it. With `confirm`, each step
+ * is offered first; declining a required step ends the run. A step whose
+ * dependencies are incomplete is left for later.
+ *
+ * @returns {Promise<boolean>} whether every step is complete afterwards
+ */
+async function runPipeline(graph, { openState, confirm = false, nonInteractive = false }) {
+  const steps = graph.steps;
+
+  for (const [index, step] of steps.entries()) {
+    const stateManager = openState();
+    const deployment = stateManager.getState();
+    const label = `Step ${index + 1}: ${step.title}`;
+
+    if (graph.isComplete(step, deployment)) {
+      console.log(chalk.green(`✅ ${label} - already done`));
+      continue;
+    }
+
+    const waiting = graph.waitingFor(step, deployment).map(dependency => dependency.title).join(', ');
+    if (waiting) {
+      if (nonInteractive) {
+        const error = new Error(`${step.title} cannot run until this is complete: ${waiting}`);
+        error.exitCode = EXIT_CODES.STEP_FAILED;
+        throw error;
+      }
+      console.log(chalk.yellow(`⏸️  ${label} - waiting for ${waiting}`));
+      continue;
+    }
+
+    console.log();
+    console.log(chalk.blue(`📋 ${label}`));
+    step.notes.forEach(note => console.log(note));
+    console.log();
+
+    if (step.preflight && !(await step.preflight({ stateManager, deployment, nonInteractive }))) {
+      output.info('Resume anytime with: npm run status');
+      return false;
+    }
+
+    if (confirm) {
+      const answers = await prompt([
+        {
+          type: 'confirm',
+          name: step.confirm || step.id,
+          message: `${step.action || `Run ${step.title}`} now?`,
+          default: true
+        }
+      ]);
+      if (!answers[step.confirm || step.id]) {
+        console.log(chalk.yellow(`⏸️  Skipping ${step.title}. Run it later with: ${graph.commandFor(step)}`));
+        if (step.optional) continue;
+        return false;
+      }
+    }
+
+    try {
+      await runStep(step, { stateManager, deployment, nonInteractive });
+    } catch (error) {
+      // The step script usually recorded a more specific error already
+      const current = openState();
+      if (!current.getState().errors[step.id]) {
+        current.recordError(step.id, error);
+      }
+      if (nonInteractive || !step.optional) {
+        throw error;
+      }
+      output.error(`${step.title} failed`);
+      console.log(chalk.yellow(`You can try again later with: ${graph.commandFor(step)}`));
+      continue;
+    }
+
+    const after = openState();
+    if (!step.setsOwnFlag) {
+      after.updateState({ [step.id]: true });
+    }
+    after.clearError(step.id);
+    if (graph.isComplete(step, after.getState())) {
+      output.success(`${step.title} done`);
+    }
+  }
+
+  const final = openState().getState();
+  return steps.every(step => graph.isComplete(step, final));
+}
+
+module.exports = {
+  BUILTIN_STEPS,
+  CUSTOM_STEPS_FILE,
+  StepGraph,
+  loadStepGraph,
+  runStep,
+  runPipeline
+};
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { ConfigError } = require('./config');
+const { withRetry } = require('./chain');
+
+const PROVIDERS = ['pinata', 'ipfs', 'local'];
+const DEFAULT_PROVIDER = 'pinata';
+
+const PINATA_API_URL = 'https://api.pinata.cloud';
+const PINATA_GATEWAY_URL = 'https://gateway.pinata.cloud/ipfs';
+const IPFS_API_URL = 'http://127.0.0.1:5001';
+const LOCAL_STORAGE_DIR = '.streamint-storage';
+
+const UPLOAD_TIMEOUT_MS = 60 * 1000;
+const FETCH_TIMEOUT_MS = 30 * 1000;
+// Gateways can take a few seconds to serve a freshly pinned file
+const VERIFY_ATTEMPTS = 5;
+const VERIFY_DELAY_MS = 3000;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * Error raised when a file cannot be stored or read back
+ */
+class StorageError extends Error {
+  constructor(message, hint = null) {
+    super(message);
+    this.name = 'StorageError';
+    this.hint = hint;
+  }
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * RFC 4648 base32, lowercase and unpadded, as used by multibase "b"
+ */
+function base32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let encoded = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      encoded += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    encoded += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return encoded;
+}
+
+/**
+ * CIDv1 of a single raw block (codec raw, sha2-256). It equals the CID
+ * `ipfs add --cid-version=1 --raw-leaves` gives files of up to 256 KiB.
+ */
+function rawCid(content) {
+  const digest = crypto.createHash('sha256').update(content).digest();
+  return `b${base32(Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]))}`;
+}
+
+/**
+ * fetch() that fails with a StorageError carrying the response body
+ */
+async function request(url, { label, timeoutMs = FETCH_TIMEOUT_MS, ...options }) {
+  const response = await withRetry(() => fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) }), { label });
+  if (!response.ok) {
+    const body = (await response.text()).trim().slice(0, 300);
+    throw Object.assign(new StorageError(`${label} failed: HTTP ${response.status}${body ? ` ${body}` : ''}`), { status: response.status });
+  }
+  return response;
+}
+
+/**
+ * Pinata pinning service. Reads go through its public gateway, or a
+ * dedicated one given as `gatewayUrl`.
+ */
+class PinataStorage {
+  constructor({ apiKey, apiSecret, gatewayUrl = PINATA_GATEWAY_URL }) {
+    this.name = 'pinata';
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+    this.gateway = gatewayUrl.replace(/\/$/, '');
+  }
+
+  async add(content, fileName) {
+    const form = new FormData();
+    form.append('file', new Blob([content]), fileName);
+    form.append('pinataMetadata', JSON.stringify({ name: fileName }));
+
+    try {
+      const response = await request(`${PINATA_API_URL}/pinning/pinFileToIPFS`, {
+        label: 'Pinata upload',
+        method: 'POST',
+        headers: { pinata_api_key: this.apiKey, pinata_secret_api_key: this.apiSecret },
+        body: form,
+        timeoutMs: UPLOAD_TIMEOUT_MS
+      });
+      const { IpfsHash } = await response.json();
+      if (!IpfsHash) {
+        throw new StorageError('Pinata did not return an IPFS hash');
+      }
+      return IpfsHash;
+    } catch (error) {
+      if (error.status === 401 || error.status === 403) {
+        error.hint = 'Check the Pinata key and secret: npm run vault -- set pinataApiKey (and pinataApiSecret)';
+      }
+      throw error;
+    }
+  }
+
+  async cat(cid) {
+    const response = await request(this.gatewayUrl(cid), { label: 'Gateway read' });
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  gatewayUrl(cid) {
+    return `${this.gateway}/${cid}`;
+  }
+}
+
+/**
+ * Any node exposing the IPFS (kubo) HTTP RPC API, such as a local
+ * `ipfs daemon` or a hosted node
+ */
+class IpfsHttpStorage {
+  constructor({ apiUrl = IPFS_API_URL, gatewayUrl = null }) {
+    this.name = 'ipfs';
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+    this.gateway = gatewayUrl ? gatewayUrl.replace(/\/$/, '') : null;
+  }
+
+  async add(content, fileName) {
+    const form = new FormData();
+    form.append('file', new Blob([content]), fileName);
+    const response = await request(`${this.apiUrl}/api/v0/add?pin=true&cid-version=1&raw-leaves=true`, {
+      label: 'IPFS add',
+      method: 'POST',
+      body: form,
+      timeoutMs: UPLOAD_TIMEOUT_MS
+    });
+    const { Hash } = await response.json();
+    if (!Hash) {
+      throw new StorageError('The IPFS node did not return a CID');
+    }
+    return Hash;
+  }
+
+  async cat(cid) {
+    const response = await request(`${this.apiUrl}/api/v0/cat?arg=${cid}`, { label: 'IPFS cat', method: 'POST' });
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  gatewayUrl(cid) {
+    return this.gateway ? `${this.gateway}/${cid}` : null;
+  }
+}
+
+/**
+ * Offline stand-in: files are kept under .streamint-storage/ by CID, so
+ * scripts and a local chain can be exercised without a network
+ */
+class LocalStorage {
+  constructor({ directory, gatewayUrl = null }) {
+    this.name = 'local';
+    this.directory = directory;
+    this.gateway = gatewayUrl ? gatewayUrl.replace(/\/$/, '') : null;
+  }
+
+  async add(content) {
+    const cid = rawCid(content);
+    fs.ensureDirSync(this.directory);
+    fs.writeFileSync(path.join(this.directory, cid), content);
+    return cid;
+  }
+
+  async cat(cid) {
+    const filePath = path.join(this.directory, cid);
+    if (!fs.existsSync(filePath)) {
+      throw new StorageError(`${cid} is not in ${this.directory}`);
+    }
+    return fs.readFileSync(filePath);
+  }
+
+  gatewayUrl(cid) {
+    return this.gateway ? `${this.gateway}/${cid}` : null;
+  }
+}
+
+/**
+ * The storage provider for a deployment: STREAMINT_STORAGE, else
+ * deployment.json "storage.provider", else Pinata. Pinata credentials are
+ * read from the vault.
+ */
+async function createStorage(deployment, vault, projectRoot = process.cwd()) {
+  const settings = deployment.storage || {};
+  const provider = process.env.STREAMINT_STORAGE || settings.provider || DEFAULT_PROVIDER;
+
+  switch (provider) {
+    case 'pinata':
+      return new PinataStorage({
+        apiKey: await vault.require('pinataApiKey'),
+        apiSecret: await vault.require('pinataApiSecret'),
+        gatewayUrl: settings.gatewayUrl
+      });
+    case 'ipfs':
+      return new IpfsHttpStorage({ apiUrl: settings.apiUrl, gatewayUrl: settings.gatewayUrl });
+    case 'local':
+      return new LocalStorage({ directory: path.join(projectRoot, LOCAL_STORAGE_DIR), gatewayUrl: settings.gatewayUrl });
+    default:
+      throw new ConfigError(`Unknown storage provider "${provider}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+/**
+ * Read a stored file back until it matches what was uploaded
+ */
+async function verifyRoundTrip(storage, cid, expectedHash) {
+  let lastError;
+  for (let attempt = 1; attempt <= VERIFY_ATTEMPTS; attempt++) {
+    try {
+      const stored = await storage.cat(cid);
+      if (sha256(stored) === expectedHash) {
+        return;
+      }
+      lastError = new StorageError(`${cid} reads back ${stored.length} bytes that differ from the uploaded file`);
+    } catch (error) {
+      lastError = error;
+    }
+    if (attempt < VERIFY_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, VERIFY_DELAY_MS));
+    }
+  }
+  throw new StorageError(`Could not read ${cid} back from ${storage.name}: ${lastError.message}`);
+}
+
+/**
+ * Upload a file and check that it reads back byte for byte.
+ *
+ * @returns {Promise<Object>} `{ provider, cid, url, ipfsUrl, gatewayUrl, size, sha256 }`;
+ *   `url` is what to publish on-chain: the gateway URL when there is one, else ipfs://
+ */
+async function publishFile(storage, filePath, { name = path.basename(filePath) } = {}) {
+  const content = fs.readFileSync(filePath);
+  const hash = sha256(content);
+
+  console.log(chalk.blue(`📤 Uploading ${name} (${content.length} bytes) to ${storage.name}...`));
+  const cid = await storage.add(content, name);
+  await verifyRoundTrip(storage, cid, hash);
+
+  const gatewayUrl = storage.gatewayUrl(cid);
+  const ipfsUrl = `ipfs://${cid}`;
+  console.log(chalk.green(`✅ Stored and verified: ${cid}`));
+  return { provider: storage.name, cid, url: gatewayUrl || ipfsUrl, ipfsUrl, gatewayUrl, size: content.length, sha256: hash };
+}
+
+module.exports = {
+  PROVIDERS,
+  StorageError,
+  PinataStorage,
+  IpfsHttpStorage,
+  LocalStorage,
+  rawCid,
+  createStorage,
+  publishFile
+};
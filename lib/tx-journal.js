@@ -0,0 +1,268 @@
+const chalk = require('chalk');
+const {
+  pad,
+  parseEventLogs,
+  TransactionNotFoundError,
+  TransactionReceiptNotFoundError
+} = require('viem');
+const { withRetry, waitForReceipt } = require('./chain');
+const { decodePermissionId } = require('./query-engine');
+
+// Settled entries beyond this many are dropped from deployment.json; pending ones never are
+const SETTLED_LIMIT = 50;
+
+const REFINER_ADDED_EVENT = {
+  type: 'event',
+  name: 'RefinerAdded',
+  inputs: [
+    { indexed: true, name: 'refinerId', type: 'uint256' },
+    { indexed: true, name: 'dlpId', type: 'uint256' },
+    { indexed: false, name: 'name', type: 'string' },
+    { indexed: false, name: 'schemaDefinitionUrl', type: 'string' },
+    { indexed: false, name: 'refinementInstructionUrl', type: 'string' }
+  ]
+};
+
+/**
+ * The dlpId assigned by a registerDlp receipt. The registry emits
+ * DlpRegistered(uint256 indexed dlpId, address indexed dlpAddress, ...); only
+ * the indexed topics are read, since the non-indexed fields differ between
+ * registry versions.
+ */
+function decodeDlpId(receipt, registryAddress, dlpAddress) {
+  const dlpTopic = pad(dlpAddress.toLowerCase());
+  const log = receipt.logs.find(entry =>
+    entry.address.toLowerCase() === registryAddress.toLowerCase() &&
+    entry.topics.length >= 3 &&
+    entry.topics[2].toLowerCase() === dlpTopic
+  );
+  return log ? Number(BigInt(log.topics[1])) : null;
+}
+
+/**
+ * The refinerId assigned by an addRefiner receipt
+ */
+function decodeRefinerId(receipt, registryAddress) {
+  const [event] = parseEventLogs({ abi: [REFINER_ADDED_EVENT], logs: receipt.logs, eventName: 'RefinerAdded' })
+    .filter(entry => entry.address.toLowerCase() === registryAddress.toLowerCase());
+  return event ? Number(event.args.refinerId) : null;
+}
+
+/**
+ * What each journaled purpose means for deployment.json once it is mined.
+ * `apply` decodes the receipt, updates the deployment in place and returns
+ * the decoded result (stored on the journal entry).
+ */
+const PURPOSES = {
+  registerDlp: {
+    description: 'DataDAO registration',
+    apply(deployment, receipt, entry) {
+      const dlpId = decodeDlpId(receipt, entry.contract, entry.context.dlpAddress);
+      if (!dlpId) return null;
+      deployment.dlpId = dlpId;
+      deployment.state.dataDAORegistered = true;
+      return { dlpId };
+    }
+  },
+  addRefiner: {
+    description: 'refiner registration',
+    apply(deployment, receipt, entry) {
+      const refinerId = decodeRefinerId(receipt, entry.contract);
+      if (!refinerId) return null;
+      // `npm run refiner -- add` without --use registers a version without switching to it
+      if (entry.context.activate !== false) {
+        deployment.refinerId = refinerId;
+        Object.assign(deployment, entry.context.urls || {});
+      }
+      return { refinerId };
+    }
+  },
+  addPermission: {
+    description: 'data access grant',
+    apply(deployment, receipt, entry) {
+      const permissionId = decodePermissionId(receipt, entry.contract);
+      return permissionId ? { permissionId } : null;
+    }
+  },
+  addGenericPermission: {
+    description: 'public data access grant',
+    apply(deployment, receipt, entry) {
+      const permissionId = decodePermissionId(receipt, entry.contract);
+      return permissionId ? { permissionId } : null;
+    }
+  },
+  updateProofInstruction: {
+    description: 'proof instruction update',
+    apply(deployment, receipt, entry) {
+      deployment.proofUrl = entry.context.proofUrl;
+      deployment.state.proofInstructionUpdated = true;
+      return { proofUrl: entry.context.proofUrl };
+    }
+  }
+};
+
+/**
+ * Journal of broadcast transactions, kept under "transactions" in
+ * deployment.json. Entries are written before a transaction is sent, so a
+ * crash between broadcast and saving the outcome can be recovered from.
+ */
+class TransactionJournal {
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+  }
+
+  entries() {
+    const deployment = this.stateManager.getState();
+    deployment.transactions = deployment.transactions || [];
+    return deployment.transactions;
+  }
+
+  find(hash) {
+    return this.entries().find(entry => entry.hash === hash);
+  }
+
+  /**
+   * Pending entries, optionally only those for one purpose
+   */
+  pending(purpose) {
+    return this.entries().filter(entry => entry.status === 'pending' && (!purpose || entry.purpose === purpose));
+  }
+
+  /**
+   * Record a signed transaction as pending. Called before it is broadcast.
+   */
+  record({ purpose, hash, nonce, from, contract, functionName, context = {} }) {
+    const now = new Date().toISOString();
+    this.entries().push({
+      purpose,
+      hash,
+      nonce,
+      from,
+      contract,
+      functionName,
+      context,
+      status: 'pending',
+      createdAt: now,
+      updatedAt: now
+    });
+    this.save();
+  }
+
+  /**
+   * Change fields of an entry, e.g. its status
+   */
+  update(hash, fields) {
+    const entry = this.find(hash);
+    if (!entry) return null;
+    Object.assign(entry, fields, { updatedAt: new Date().toISOString() });
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Settle an entry from its receipt. A successful receipt is applied to
+   * deployment.json in the same save, so the result can never be lost.
+   */
+  settle(hash, receipt) {
+    const entry = this.find(hash);
+    if (!entry) return null;
+
+    const fields = { status: receipt.status === 'success' ? 'confirmed' : 'reverted', blockNumber: Number(receipt.blockNumber) };
+    const purpose = PURPOSES[entry.purpose];
+    if (fields.status === 'confirmed' && purpose) {
+      const deployment = this.stateManager.getState();
+      deployment.state = deployment.state || {};
+      fields.result = purpose.apply(deployment, receipt, entry);
+    }
+    return this.update(hash, fields);
+  }
+
+  save() {
+    const entries = this.entries();
+    const settled = entries.filter(entry => entry.status !== 'pending');
+    const excess = new Set(settled.slice(0, Math.max(0, settled.length - SETTLED_LIMIT)));
+    if (excess.size > 0) {
+      this.stateManager.getState().transactions = entries.filter(entry => !excess.has(entry));
+    }
+    this.stateManager.saveState();
+  }
+}
+
+async function fetchOrNull(fn, notFoundError) {
+  try {
+    return await withRetry(fn, { label: 'Transaction lookup' });
+  } catch (error) {
+    if (error instanceof notFoundError || (error.walk && error.walk(err => err instanceof notFoundError))) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Resolve pending journal entries left by an earlier run: fetch their
+ * receipts (waiting for any still in the mempool) and apply the results to
+ * deployment.json. Entries whose transaction never reached the chain, or
+ * whose nonce was used by another transaction, are marked dropped.
+ *
+ * @returns {Promise<Object[]>} the entries that were settled
+ */
+async function reconcilePendingTransactions(stateManager, publicClient) {
+  const journal = new TransactionJournal(stateManager);
+  const pending = journal.pending();
+  if (pending.length === 0) {
+    return [];
+  }
+
+  console.log(chalk.blue(`🔁 Checking ${pending.length} pending transaction(s) from an earlier run...`));
+  const settled = [];
+
+  for (const entry of pending) {
+    const label = (PURPOSES[entry.purpose] || {}).description || entry.functionName || entry.purpose;
+    let receipt = await fetchOrNull(() => publicClient.getTransactionReceipt({ hash: entry.hash }), TransactionReceiptNotFoundError);
+
+    if (!receipt) {
+      const tx = await fetchOrNull(() => publicClient.getTransaction({ hash: entry.hash }), TransactionNotFoundError);
+      if (!tx) {
+        const used = await withRetry(
+          () => publicClient.getTransactionCount({ address: entry.from }),
+          { label: 'Nonce lookup' }
+        );
+        const reason = used > entry.nonce
+          ? `nonce ${entry.nonce} was used by another transaction`
+          : 'the transaction never reached the network';
+        journal.update(entry.hash, { status: 'dropped', reason });
+        console.log(chalk.yellow(`   ⚠️  ${label} ${entry.hash} was dropped: ${reason}`));
+        settled.push(journal.find(entry.hash));
+        continue;
+      }
+
+      console.log(chalk.blue(`   ⏳ ${label} ${entry.hash} is still in the mempool, waiting for it...`));
+      try {
+        receipt = await waitForReceipt(publicClient, entry.hash);
+      } catch (error) {
+        if (!error.receipt) throw error;
+        receipt = error.receipt;
+      }
+    }
+
+    const updated = journal.settle(entry.hash, receipt);
+    if (updated.status === 'confirmed') {
+      const result = updated.result ? ` (${Object.entries(updated.result).map(([key, value]) => `${key}: ${value}`).join(', ')})` : '';
+      console.log(chalk.green(`   ✅ Recovered ${label} from block ${updated.blockNumber}${result}`));
+    } else {
+      console.log(chalk.yellow(`   ⚠️  ${label} ${entry.hash} reverted in block ${updated.blockNumber}`));
+    }
+    settled.push(updated);
+  }
+
+  console.log();
+  return settled;
+}
+
+module.exports = {
+  TransactionJournal,
+  reconcilePendingTransactions,
+  decodeDlpId,
+  decodeRefinerId
+};
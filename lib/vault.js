@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { prompt } = require('./prompt');
+const { ConfigError, getRunConfig } = require('./config');
+const { writeFileAtomic, acquireStateLock } = require('./state-file');
+const { EnvFile } = require('./env-file');
+
+const VAULT_FILE = '.streamint-vault.json';
+
+/**
+ * Fields that are secrets wherever they appear (deployment.json, config answers, output)
+ */
+const SECRET_FIELDS = ['privateKey', 'pinataApiKey', 'pinataApiSecret', 'googleClientSecret'];
+
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const MIN_PASSPHRASE_LENGTH = 8;
+const MAX_UNLOCK_ATTEMPTS = 3;
+
+// Passphrase this process was started with or unlocked with. It stays out of
+// process.env so git, docker, hardhat and other tools never inherit it; only
+// Streamint's own child scripts get it, through childScriptEnv().
+let sessionPassphrase = process.env.STREAMINT_VAULT_PASSPHRASE || null;
+delete process.env.STREAMINT_VAULT_PASSPHRASE;
+
+// Every secret value seen in this process, masked in all stdout/stderr output
+const knownSecrets = new Set();
+let redactionInstalled = false;
+
+/**
+ * Replace every known secret value in a string with a placeholder
+ */
+function redact(text) {
+  if (typeof text !== 'string' || knownSecrets.size === 0) {
+    return text;
+  }
+
+  let result = text;
+  for (const secret of knownSecrets) {
+    result = result.split(secret).join('[REDACTED]');
+  }
+  return result;
+}
+
+/**
+ * Mask secrets in everything this process writes to the terminal, including
+ * console, ora spinners and piped child-process output printed by scripts.
+ */
+function installRedaction() {
+  if (redactionInstalled) return;
+  redactionInstalled = true;
+
+  for (const stream of [process.stdout, process.stderr]) {
+    const write = stream.write.bind(stream);
+    stream.write = (chunk, ...args) => {
+      if (typeof chunk === 'string') {
+        return write(redact(chunk), ...args);
+      }
+      if (Buffer.isBuffer(chunk) && knownSecrets.size > 0) {
+        return write(redact(chunk.toString('utf8')), ...args);
+      }
+      return write(chunk, ...args);
+    };
+  }
+}
+
+/**
+ * Remember a secret value so it never reaches the terminal or log files
+ */
+function registerSecret(value) {
+  // Very short values would mask unrelated output
+  if (typeof value === 'string' && value.length >= 6) {
+    knownSecrets.add(value);
+    installRedaction();
+  }
+}
+
+function deriveKey(passphrase, salt, params) {
+  return crypto.scryptSync(passphrase, salt, 32, { ...params, maxmem: 64 * 1024 * 1024 });
+}
+
+function encrypt(secrets, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(passphrase, salt, SCRYPT_PARAMS);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+  return {
+    version: 1,
+    // Names only, so presence can be checked without the passphrase
+    secrets: Object.keys(secrets).sort(),
+    kdf: { name: 'scrypt', salt: salt.toString('hex'), ...SCRYPT_PARAMS },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a vault file; returns null when the passphrase is wrong
+ */
+function decrypt(file, passphrase) {
+  const { salt, N, r, p } = file.kdf;
+  const key = deriveKey(passphrase, Buffer.from(salt, 'hex'), { N, r, p });
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(file.tag, 'hex'));
+    const json = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+    return JSON.parse(json.toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Passphrase-protected store for the deployer key and API secrets.
+ * Secrets are decrypted on first use and only ever held in memory.
+ */
+class SecretVault {
+  constructor(projectRoot = process.cwd()) {
+    this.projectRoot = projectRoot;
+    this.vaultPath = path.join(projectRoot, VAULT_FILE);
+    this.secrets = null;
+    this.passphrase = null;
+  }
+
+  /**
+   * Whether a vault file exists for this project
+   */
+  exists() {
+    return fs.existsSync(this.vaultPath);
+  }
+
+  /**
+   * Whether a secret is stored, without unlocking
+   */
+  has(name) {
+    if (this.secrets) {
+      return !!this.secrets[name];
+    }
+    if (!this.exists()) {
+      return false;
+    }
+    return (this.readFile().secrets || []).includes(name);
+  }
+
+  readFile() {
+    try {
+      return JSON.parse(fs.readFileSync(this.vaultPath, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(`Secret vault ${this.vaultPath} is unreadable: ${error.message}`);
+    }
+  }
+
+  writeFile() {
+    writeFileAtomic(this.vaultPath, JSON.stringify(encrypt(this.secrets, this.passphrase), null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Ask for the passphrase, unless STREAMINT_VAULT_PASSPHRASE or the deploy
+   * config's "vaultPassphrase" provides it
+   */
+  async askPassphrase(creating) {
+    if (sessionPassphrase) {
+      return sessionPassphrase;
+    }
+
+    const questions = [
+      {
+        type: 'password',
+        name: 'vaultPassphrase',
+        mask: '*',
+        message: creating ? 'Choose a passphrase for the secret vault:' : 'Secret vault passphrase:',
+        validate: (input) => !creating || input.length >= MIN_PASSPHRASE_LENGTH ||
+          `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`
+      }
+    ];
+    // Unattended runs take the passphrase from the config once. A default here would
+    // let an interactive Enter confirm a mistyped passphrase, so there is none.
+    if (creating && !getRunConfig().nonInteractive) {
+      questions.push({
+        type: 'password',
+        name: 'confirmPassphrase',
+        mask: '*',
+        message: 'Repeat the passphrase:',
+        validate: (input, answers) => input === answers.vaultPassphrase || 'Passphrases do not match'
+      });
+    }
+
+    const { vaultPassphrase } = await prompt(questions, 'vault');
+    return vaultPassphrase;
+  }
+
+  /**
+   * Decrypt the vault, creating it if this project has none yet
+   */
+  async unlock() {
+    if (this.secrets) {
+      return this.secrets;
+    }
+
+    if (!this.exists()) {
+      console.log(chalk.blue(`🔐 Creating secret vault (${VAULT_FILE}). Secrets are encrypted with your passphrase.`));
+      this.passphrase = await this.askPassphrase(true);
+      this.secrets = {};
+      this.writeFile();
+    } else {
+      const file = this.readFile();
+      for (let attempt = 1; !this.secrets; attempt++) {
+        const passphrase = await this.askPassphrase(false);
+        const secrets = decrypt(file, passphrase);
+
+        if (secrets) {
+          this.passphrase = passphrase;
+          this.secrets = secrets;
+        } else if (sessionPassphrase || attempt >= MAX_UNLOCK_ATTEMPTS) {
+          throw new ConfigError('Wrong passphrase for the secret vault');
+        } else {
+          console.log(chalk.red('❌ Wrong passphrase, try again'));
+        }
+      }
+    }
+
+    Object.values(this.secrets).forEach(registerSecret);
+
+    // Scripts spawned with childScriptEnv() (deploy.js, status.js) unlock without asking again
+    sessionPassphrase = this.passphrase;
+
+    await this.importPlaintextSecrets();
+    return this.secrets;
+  }
+
+  /**
+   * Get a secret, unlocking the vault on first use
+   */
+  async get(name) {
+    const secrets = await this.unlock();
+    return secrets[name];
+  }
+
+  /**
+   * Get a secret that the current step cannot run without
+   */
+  async require(name) {
+    const value = await this.get(name);
+    if (!value) {
+      throw new ConfigError(`Secret "${name}" is not in the vault. Add it with: npm run vault -- set ${name}`);
+    }
+    return value;
+  }
+
+  /**
+   * Store secrets; empty values are ignored
+   */
+  async set(updates) {
+    await this.unlock();
+
+    for (const [name, value] of Object.entries(updates)) {
+      if (value !== undefined && value !== null && value !== '') {
+        this.secrets[name] = value;
+        registerSecret(value);
+      }
+    }
+
+    this.writeFile();
+  }
+
+  /**
+   * Re-encrypt the vault under a new passphrase
+   */
+  async changePassphrase() {
+    await this.unlock();
+    sessionPassphrase = null;
+    this.passphrase = await this.askPassphrase(true);
+    sessionPassphrase = this.passphrase;
+    this.writeFile();
+  }
+
+  /**
+   * Copy of a deployment object without the secrets this vault already holds.
+   * Secrets not yet imported are kept so nothing is lost before migration.
+   */
+  withoutStoredSecrets(deployment) {
+    const copy = { ...deployment };
+    for (const field of SECRET_FIELDS) {
+      if (copy[field] && this.has(field)) {
+        delete copy[field];
+      }
+    }
+    return copy;
+  }
+
+  /**
+   * Move secrets written in plaintext by earlier versions (deployment.json,
+   * its backup, DEPLOYER_PRIVATE_KEY in contracts/.env) into the vault
+   */
+  async importPlaintextSecrets() {
+    const found = {};
+
+    for (const file of ['deployment.json', 'deployment.json.backup']) {
+      const filePath = path.join(this.projectRoot, file);
+      if (!fs.existsSync(filePath)) continue;
+
+      let deployment;
+      try {
+        deployment = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        continue;
+      }
+
+      const present = SECRET_FIELDS.filter(field => deployment[field]);
+      if (present.length === 0) continue;
+
+      for (const field of present) {
+        // The live file wins over its backup
+        if (!found[field]) found[field] = deployment[field];
+        delete deployment[field];
+      }
+      acquireStateLock(path.join(this.projectRoot, 'deployment.json'));
+      writeFileAtomic(filePath, JSON.stringify(deployment, null, 2));
+      console.log(chalk.yellow(`🔐 Moved plaintext secrets out of ${file}: ${present.join(', ')}`));
+    }
+
+    const contractsEnv = EnvFile.load(path.join(this.projectRoot, 'contracts', '.env'));
+    if (contractsEnv.has('DEPLOYER_PRIVATE_KEY')) {
+      const key = contractsEnv.get('DEPLOYER_PRIVATE_KEY');
+      if (key) found.privateKey = found.privateKey || key;
+      contractsEnv.delete('DEPLOYER_PRIVATE_KEY');
+      contractsEnv.save();
+      console.log(chalk.yellow('🔐 Moved DEPLOYER_PRIVATE_KEY out of contracts/.env'));
+    }
+
+    // Never overwrite what the vault already holds
+    const missing = Object.fromEntries(Object.entries(found).filter(([name]) => !this.secrets[name]));
+    if (Object.keys(missing).length > 0) {
+      await this.set(missing);
+    }
+  }
+}
+
+/**
+ * Environment for a Streamint script run as a child process: this process's
+ * environment and `extra`, plus the vault passphrase once it is known.
+ * Third-party commands get the plain process.env, which never holds it.
+ */
+function childScriptEnv(extra = {}) {
+  const env = { ...process.env, ...extra };
+  if (sessionPassphrase) {
+    env.STREAMINT_VAULT_PASSPHRASE = sessionPassphrase;
+  }
+  return env;
+}
+
+/**
+ * Whether a deployment.json object still carries plaintext secrets
+ */
+function findPlaintextSecrets(deployment) {
+  return SECRET_FIELDS.filter(field => deployment && deployment[field]);
+}
+
+module.exports = {
+  VAULT_FILE,
+  SECRET_FIELDS,
+  SecretVault,
+  redact,
+  registerSecret,
+  childScriptEnv,
+  findPlaintextSecrets
+};
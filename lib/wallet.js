@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { bytesToHex, keccak256 } = require('viem');
+const { privateKeyToAccount, generateMnemonic, mnemonicToAccount, english } = require('viem/accounts');
+const { ConfigError } = require('./config');
+
+/**
+ * The key with a 0x prefix, or a ConfigError saying what is wrong with it
+ */
+function normalizePrivateKey(input) {
+  const value = String(input || '').trim();
+  const privateKey = /^[0-9a-fA-F]{64}$/.test(value) ? `0x${value}` : value;
+  if (!/^0x[0-9a-fA-F]{64}$/.test(privateKey)) {
+    throw new ConfigError('A private key is 32 bytes: 64 hex characters, optionally prefixed with 0x');
+  }
+  return privateKey.toLowerCase();
+}
+
+/**
+ * A secp256k1 public key as 0x-prefixed hex, compressed (0x02/0x03...) or
+ * uncompressed (0x04...), or a ConfigError. deployment.json only holds hex keys.
+ */
+function normalizePublicKey(input) {
+  const value = String(input || '').trim();
+  const publicKey = value.startsWith('0x') ? value : `0x${value}`;
+  if (!/^0x(0[23][0-9a-fA-F]{64}|04[0-9a-fA-F]{128})$/.test(publicKey)) {
+    throw new ConfigError('A public key is hex: 0x04 and 128 hex characters (uncompressed), or 0x02/0x03 and 64 (compressed)');
+  }
+  return publicKey.toLowerCase();
+}
+
+/**
+ * The address and uncompressed public key (0x04...) that belong to a private key
+ *
+ * @returns {Object} `{ privateKey, address, publicKey }`
+ */
+function walletFromPrivateKey(input) {
+  const privateKey = normalizePrivateKey(input);
+  let account;
+  try {
+    account = privateKeyToAccount(privateKey);
+  } catch (error) {
+    // Zero, or not below the secp256k1 curve order
+    throw new ConfigError(`Not a valid secp256k1 private key: ${error.shortMessage || error.message}`);
+  }
+  return { privateKey, address: account.address, publicKey: account.publicKey };
+}
+
+/**
+ * Like walletFromPrivateKey, but a ConfigError when the key does not belong to
+ * `expectedAddress`, so a replacement key cannot silently switch the deployer
+ */
+function walletForAddress(input, expectedAddress) {
+  const wallet = walletFromPrivateKey(input);
+  if (expectedAddress && wallet.address.toLowerCase() !== expectedAddress.toLowerCase()) {
+    throw new ConfigError(`This key belongs to ${wallet.address}, not the deployment wallet ${expectedAddress}`);
+  }
+  return wallet;
+}
+
+/**
+ * A fresh wallet from a new 12-word BIP-39 phrase, at the default
+ * m/44'/60'/0'/0/0 path wallets use, so the phrase restores it anywhere
+ *
+ * @returns {Object} `{ mnemonic, privateKey, address, publicKey }`
+ */
+function generateWallet() {
+  const mnemonic = generateMnemonic(english);
+  const privateKey = bytesToHex(mnemonicToAccount(mnemonic).getHdKey().privateKey);
+  return { mnemonic, ...walletFromPrivateKey(privateKey) };
+}
+
+/**
+ * Key derived from the keystore password with its scrypt or pbkdf2 parameters
+ */
+function deriveKeystoreKey(password, kdf, params) {
+  const salt = Buffer.from(params.salt, 'hex');
+  if (kdf === 'scrypt') {
+    const { n, r, p, dklen } = params;
+    try {
+      return crypto.scryptSync(password, salt, dklen, { N: n, r, p, maxmem: 256 * n * r * p });
+    } catch (error) {
+      // OpenSSL rejects some legal combinations, such as n = 2^18 with r = 1
+      throw new ConfigError(`The keystore's scrypt parameters (n=${n}, r=${r}, p=${p}) are not supported: ${error.message}`);
+    }
+  }
+  if (kdf === 'pbkdf2') {
+    if (params.prf !== 'hmac-sha256') {
+      throw new ConfigError(`Unsupported keystore pbkdf2 prf "${params.prf}"`);
+    }
+    return crypto.pbkdf2Sync(password, salt, params.c, params.dklen, 'sha256');
+  }
+  throw new ConfigError(`Unsupported keystore kdf "${kdf}". Expected scrypt or pbkdf2.`);
+}
+
+/**
+ * Decrypt a Web3 Secret Storage (v3) keystore, as written by geth,
+ * foundry's `cast wallet` and ethers
+ *
+ * @returns {Object} `{ privateKey, address, publicKey }`
+ */
+function decryptKeystore(keystore, password) {
+  const data = keystore.crypto || keystore.Crypto;
+  if (keystore.version !== 3 || !data) {
+    throw new ConfigError('Not a version 3 JSON keystore');
+  }
+  if (data.cipher !== 'aes-128-ctr') {
+    throw new ConfigError(`Unsupported keystore cipher "${data.cipher}"`);
+  }
+
+  const derived = deriveKeystoreKey(password, data.kdf, data.kdfparams);
+  const ciphertext = Buffer.from(data.ciphertext, 'hex');
+  const mac = keccak256(Buffer.concat([derived.subarray(16, 32), ciphertext])).slice(2);
+  if (mac !== data.mac.toLowerCase()) {
+    throw new ConfigError('Wrong keystore password');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-128-ctr', derived.subarray(0, 16), Buffer.from(data.cipherparams.iv, 'hex'));
+  const wallet = walletFromPrivateKey(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('hex'));
+
+  // The address field is optional, but when present it has to match
+  if (keystore.address && wallet.address.slice(2).toLowerCase() !== keystore.address.replace(/^0x/, '').toLowerCase()) {
+    throw new ConfigError(`The keystore says it holds 0x${keystore.address.replace(/^0x/, '')}, but its key belongs to ${wallet.address}`);
+  }
+  return wallet;
+}
+
+/**
+ * Read and decrypt a keystore file
+ */
+function readKeystoreFile(filePath, password) {
+  if (!fs.existsSync(filePath)) {
+    throw new ConfigError(`Keystore file not found: ${filePath}`);
+  }
+  let keystore;
+  try {
+    keystore = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`${filePath} is not valid JSON: ${error.message}`);
+  }
+  return decryptKeystore(keystore, password);
+}
+
+module.exports = {
+  normalizePrivateKey,
+  normalizePublicKey,
+  walletFromPrivateKey,
+  walletForAddress,
+  generateWallet,
+  decryptKeystore,
+  readKeystoreFile
+};
@@ -0,0 +1,463 @@
+const chalk = require('chalk');
+const { erc20Abi, formatEther, formatUnits, getAddress, isAddress, parseEther, parseEventLogs, zeroAddress } = require('viem');
+const { createPrompt } = require('../lib/prompt');
+const { ConfigError, EXIT_CODES, exitCodeFor, readArg } = require('../lib/config');
+const { resolveNetwork, getCoreContract, txUrl } = require('../lib/networks');
+const {
+  createReadClient,
+  createClients,
+  checkWalletBalance,
+  sendContractTransaction,
+  isDryRun,
+  dryRunContractTransaction,
+  withRetry
+} = require('../lib/chain');
+const { TransactionJournal, reconcilePendingTransactions } = require('../lib/tx-journal');
+const { reportContractError } = require('../lib/contract-errors');
+const { listDlpRefiners, requireOwnRefiner } = require('../lib/refiners');
+const {
+  VANA,
+  QUERY_ENGINE_ABI,
+  readQueryEngine,
+  getGranteePermissions,
+  listRefinerPermissions,
+  decodePermissionId
+} = require('../lib/query-engine');
+const DeploymentStateManager = require('./state-manager');
+const output = require('../lib/output');
+
+const prompt = createPrompt('access');
+
+const COMMANDS = ['list', 'grant', 'grant-generic', 'revoke', 'payments', 'claim'];
+
+const USAGE = `Usage: npm run access -- <command>
+
+Commands:
+  list [buyer] [--refiner <id>] [--from-block <n>]
+                              Permissions on the DataDAO's refiners; with a buyer,
+                              only what that buyer can currently query
+  grant <buyer> [--refiner <id>] [--table <name>] [--column <name>] [--price <VANA>]
+                              Let a buyer query a refiner, one of its tables, or one column
+  grant-generic [--refiner <id>] [--table <name>] [--column <name>] [--price <VANA>]
+                              Let anyone query it
+  revoke <permissionId>       Withdraw a permission
+  payments [--token <address>]
+                              Query payments owed to the DataDAO, per token
+  claim [--token <address>]   Send owed payments to the DataDAO treasury
+
+--refiner defaults to the active refiner. Without --table the permission covers
+every table; --column needs --table. grant, grant-generic, revoke and claim
+accept --dry-run.`;
+
+/**
+ * Parse a positive integer id argument
+ */
+function parseId(value, what) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new ConfigError(`Invalid ${what} "${value}". Expected a positive integer.`);
+  }
+  return id;
+}
+
+/**
+ * Parse an address argument
+ */
+function parseAddress(value, what) {
+  if (!value || !isAddress(value)) {
+    throw new ConfigError(`Invalid ${what} "${value || ''}". Expected a 0x-prefixed address.`);
+  }
+  return getAddress(value);
+}
+
+/**
+ * Parse a VANA price into wei
+ */
+function parsePrice(value) {
+  if (!/^\d+(\.\d{1,18})?$/.test(value)) {
+    throw new ConfigError(`Invalid price "${value}". Expected an amount of VANA, like 0.5`);
+  }
+  return parseEther(value);
+}
+
+/**
+ * What a permission covers, e.g. "all tables", "table plays", "plays.artist"
+ */
+function describeScope(permission) {
+  if (!permission.tableName) return 'all tables';
+  if (!permission.columnName) return `table ${permission.tableName}`;
+  return `${permission.tableName}.${permission.columnName}`;
+}
+
+/**
+ * One permission as a line of the list
+ */
+function printPermission(permission) {
+  const state = permission.approved ? chalk.green('approved') : chalk.gray('revoked');
+  const grantee = permission.generic ? chalk.magenta('anyone') : permission.grantee;
+  console.log(`  ${chalk.cyan(`#${permission.permissionId}`)} refiner ${permission.refinerId}  ${describeScope(permission)}  ${formatEther(permission.price)} VANA  ${grantee}  ${state}`);
+}
+
+/**
+ * Permission shape for output.event; prices are bigints
+ */
+function toEventPermission(permission) {
+  return { ...permission, price: String(permission.price) };
+}
+
+/**
+ * list: permissions on the DataDAO's refiners
+ */
+async function listPermissions(client, network, deployment, buyer, args) {
+  const refinerArg = readArg(args, '--refiner');
+  const refinerIds = refinerArg
+    ? [(await requireOwnRefiner(client, network, deployment, parseId(refinerArg, 'refinerId'))).id]
+    : (await listDlpRefiners(client, network, deployment.dlpId)).map(refiner => refiner.id);
+
+  if (refinerIds.length === 0) {
+    output.info(`No refiners registered for dlpId ${deployment.dlpId}, so there is nothing to grant access to yet`);
+    return;
+  }
+
+  let permissions;
+  if (buyer) {
+    // getPermissions is authoritative for one buyer and needs no log scan
+    permissions = [];
+    for (const refinerId of refinerIds) {
+      permissions.push(...await getGranteePermissions(client, network, refinerId, buyer));
+    }
+  } else {
+    const fromBlockArg = readArg(args, '--from-block');
+    const proxyArtifact = (deployment.contractArtifacts || {}).DataLiquidityPoolProxy;
+    if (!fromBlockArg && !(proxyArtifact && proxyArtifact.blockNumber)) {
+      throw new ConfigError('The block the DLP was deployed in is not recorded in deployment.json. Pass --from-block <n> to say where to start looking for permissions.');
+    }
+    if (fromBlockArg && !/^\d+$/.test(fromBlockArg)) {
+      throw new ConfigError(`Invalid block number "${fromBlockArg}"`);
+    }
+    const fromBlock = BigInt(fromBlockArg || proxyArtifact.blockNumber);
+    const toBlock = await withRetry(() => client.getBlockNumber(), { label: 'Block number lookup' });
+    permissions = await listRefinerPermissions(client, network, refinerIds, { fromBlock, toBlock });
+  }
+
+  output.event('permissions', {
+    dlpId: Number(deployment.dlpId),
+    grantee: buyer || null,
+    permissions: permissions.map(toEventPermission)
+  });
+
+  if (permissions.length === 0) {
+    output.info(buyer ? `${buyer} cannot query any of refiners ${refinerIds.join(', ')}` : 'No permissions granted yet. Grant one with: npm run access -- grant <buyer>');
+    return;
+  }
+
+  console.log(chalk.blue.bold(buyer ? `🔑 What ${buyer} can query:` : `🔑 Permissions on refiners ${refinerIds.join(', ')}:`));
+  permissions.forEach(printPermission);
+  console.log();
+}
+
+/**
+ * Send one QueryEngine transaction after a dry-run check or confirmation.
+ *
+ * @returns {Promise<Object|null>} `{ hash, receipt }`, or null when nothing was sent
+ */
+async function sendQueryEngineTransaction(client, network, stateManager, { functionName, args, label, question, confirmByDefault = true, context }) {
+  const deployment = stateManager.getState();
+  const queryEngineAddress = getCoreContract(network, 'queryEngine');
+
+  if (isDryRun()) {
+    const report = await dryRunContractTransaction({
+      publicClient: client,
+      account: deployment.address,
+      address: queryEngineAddress,
+      abi: QUERY_ENGINE_ABI,
+      functionName,
+      args,
+      label
+    });
+    if (!report.ok) process.exitCode = EXIT_CODES.FAILURE;
+    return null;
+  }
+
+  const { confirmed } = await prompt([
+    {
+      type: 'confirm',
+      name: 'confirmed',
+      message: question,
+      default: confirmByDefault
+    }
+  ]);
+  if (!confirmed) {
+    console.log(chalk.yellow('Nothing sent.'));
+    return null;
+  }
+
+  const privateKey = await stateManager.vault.require('privateKey');
+  const { account, publicClient, walletClient } = createClients(network, privateKey);
+  const { sufficient } = await checkWalletBalance(publicClient, account.address, { network });
+  if (sufficient === false) {
+    throw new Error(`Insufficient wallet balance to send ${functionName}`);
+  }
+
+  return sendContractTransaction({
+    publicClient,
+    walletClient,
+    account,
+    address: queryEngineAddress,
+    abi: QUERY_ENGINE_ABI,
+    functionName,
+    args,
+    journal: new TransactionJournal(stateManager),
+    purpose: functionName,
+    context,
+    onSubmitted: (submittedHash) => console.log(chalk.blue(`📤 Transaction submitted: ${submittedHash}`))
+  });
+}
+
+/**
+ * grant and grant-generic: add a permission for one buyer, or for everyone
+ */
+async function grantPermission(client, network, stateManager, buyer, args) {
+  const deployment = stateManager.getState();
+  const refinerArg = readArg(args, '--refiner');
+  const refinerId = refinerArg ? parseId(refinerArg, 'refinerId') : deployment.refinerId;
+  if (!refinerId) {
+    throw new ConfigError('No active refiner in deployment.json. Pass --refiner <id>.');
+  }
+  const refiner = await requireOwnRefiner(client, network, deployment, refinerId);
+
+  const tableName = readArg(args, '--table') || '';
+  const columnName = readArg(args, '--column') || '';
+  if (columnName && !tableName) {
+    throw new ConfigError('--column needs --table: a column is always granted within one table');
+  }
+  const price = parsePrice(readArg(args, '--price') || '0');
+
+  const permission = { grantee: buyer || zeroAddress, generic: !buyer, refinerId, tableName, columnName, price };
+  output.summary(buyer ? 'New permission' : 'New generic permission', [
+    { label: 'Grantee', value: buyer || chalk.magenta('anyone') },
+    { label: 'Refiner', value: `#${refiner.id} ${refiner.name}` },
+    { label: 'Scope', value: describeScope(permission) },
+    { label: 'Price', value: `${formatEther(price)} VANA` }
+  ]);
+
+  // A buyer already covered by the same scope does not need a second permission
+  const existing = await getGranteePermissions(client, network, refinerId, permission.grantee);
+  const duplicate = existing.find(entry =>
+    entry.grantee === permission.grantee && entry.tableName === tableName && entry.columnName === columnName);
+  if (duplicate) {
+    output.warning(`Permission #${duplicate.permissionId} already grants this at ${formatEther(duplicate.price)} VANA. Revoke it first to change the price: npm run access -- revoke ${duplicate.permissionId}`);
+  }
+
+  const call = buyer
+    ? { functionName: 'addPermission', args: [buyer, BigInt(refinerId), tableName, columnName, price] }
+    : { functionName: 'addGenericPermission', args: [BigInt(refinerId), tableName, columnName, price] };
+  const sent = await sendQueryEngineTransaction(client, network, stateManager, {
+    ...call,
+    label: `Grant ${buyer || 'everyone'} access to ${describeScope(permission)} of refiner ${refinerId}`,
+    question: `Grant ${buyer || 'everyone'} access to ${describeScope(permission)} of refiner ${refinerId}?`,
+    confirmByDefault: !duplicate,
+    // The journal is JSON, so the price is stored as a string
+    context: { grantee: permission.grantee, refinerId, tableName, columnName, price: String(price) }
+  });
+  if (!sent) return;
+
+  const permissionId = decodePermissionId(sent.receipt, getCoreContract(network, 'queryEngine'));
+  output.success(`Permission ${permissionId ? `#${permissionId} ` : ''}granted`, { permissionId, txHash: sent.hash, ...toEventPermission(permission) });
+  console.log(chalk.cyan(`   Transaction: ${txUrl(network, sent.hash)}`));
+}
+
+/**
+ * revoke: withdraw a permission on one of the DataDAO's refiners
+ */
+async function revokePermission(client, network, stateManager, permissionId) {
+  const deployment = stateManager.getState();
+  const permission = await readQueryEngine(client, network, 'permissions', [BigInt(permissionId)]);
+  if (Number(permission.refinerId) === 0) {
+    throw new ConfigError(`Permission ${permissionId} does not exist on ${network.label}`);
+  }
+  await requireOwnRefiner(client, network, deployment, Number(permission.refinerId));
+
+  const grantee = permission.grantee === zeroAddress ? 'anyone' : permission.grantee;
+  if (!permission.approved) {
+    output.success(`Permission #${permissionId} is already revoked; nothing to send`);
+    return;
+  }
+
+  const sent = await sendQueryEngineTransaction(client, network, stateManager, {
+    functionName: 'updatePermissionApproval',
+    args: [BigInt(permissionId), false],
+    label: `Revoke permission ${permissionId}`,
+    question: `Revoke permission #${permissionId} (${grantee}, ${describeScope(permission)} of refiner ${permission.refinerId})?`,
+    context: { permissionId, approved: false }
+  });
+  if (!sent) return;
+
+  output.success(`Permission #${permissionId} revoked`, { permissionId, txHash: sent.hash });
+  console.log(chalk.cyan(`   Transaction: ${txUrl(network, sent.hash)}`));
+}
+
+/**
+ * Symbol and decimals for a payment token; VANA is the zero address
+ */
+async function describeToken(client, address) {
+  if (address === VANA) {
+    return { address, symbol: 'VANA', decimals: 18 };
+  }
+  const read = (functionName) => withRetry(() => client.readContract({ address, abi: erc20Abi, functionName }), {
+    label: `Token ${functionName} lookup`
+  });
+  const [symbol, decimals] = await Promise.all([read('symbol'), read('decimals')]);
+  return { address, symbol, decimals };
+}
+
+/**
+ * Payment tokens to look at: --token alone, or VANA and the DataDAO token
+ */
+function paymentTokens(deployment, args) {
+  const tokenArg = readArg(args, '--token');
+  if (tokenArg) {
+    return [parseAddress(tokenArg, 'token address')];
+  }
+  const tokens = [VANA];
+  if (deployment.contracts && deployment.contracts.tokenAddress) {
+    tokens.push(getAddress(deployment.contracts.tokenAddress));
+  }
+  return tokens;
+}
+
+/**
+ * What the QueryEngine holds for the DataDAO in each token
+ */
+async function readBalances(client, network, deployment, args) {
+  const balances = [];
+  for (const address of paymentTokens(deployment, args)) {
+    const token = await describeToken(client, address);
+    const amount = await readQueryEngine(client, network, 'balanceOf', [BigInt(deployment.dlpId), address]);
+    balances.push({ ...token, amount });
+  }
+  return balances;
+}
+
+/**
+ * payments: accrued, unclaimed query payments
+ */
+async function showPayments(client, network, deployment, args) {
+  const [balances, share] = await Promise.all([
+    readBalances(client, network, deployment, args),
+    readQueryEngine(client, network, 'dlpPaymentPercentage')
+  ]);
+
+  output.event('payments', {
+    dlpId: Number(deployment.dlpId),
+    dlpPaymentPercentage: String(share),
+    balances: balances.map(({ address, symbol, amount }) => ({ token: address, symbol, amount: String(amount) }))
+  });
+
+  output.summary(`Query payments owed to dlpId ${deployment.dlpId}`, [
+    ...balances.map(balance => ({ label: balance.symbol, value: `${formatUnits(balance.amount, balance.decimals)} ${balance.symbol}` })),
+    // dlpPaymentPercentage is scaled so that 100e18 is 100%
+    { label: 'DataDAO share', value: `${formatUnits(share, 18)}% of each query payment` }
+  ]);
+
+  if (balances.some(balance => balance.amount > 0n)) {
+    console.log(chalk.cyan('Send them to the DataDAO treasury with: npm run access -- claim'));
+  }
+}
+
+/**
+ * claim: move owed payments into the DataDAO treasury, one transaction per token
+ */
+async function claimPayments(client, network, stateManager, args) {
+  const deployment = stateManager.getState();
+  const owed = (await readBalances(client, network, deployment, args)).filter(balance => balance.amount > 0n);
+  if (owed.length === 0) {
+    output.success('No query payments to claim');
+    return;
+  }
+
+  for (const balance of owed) {
+    const amount = `${formatUnits(balance.amount, balance.decimals)} ${balance.symbol}`;
+    const sent = await sendQueryEngineTransaction(client, network, stateManager, {
+      functionName: 'claimDlpPayment',
+      args: [BigInt(deployment.dlpId), balance.address],
+      label: `Claim ${amount} of query payments`,
+      question: `Claim ${amount} into the DataDAO treasury?`,
+      context: { dlpId: Number(deployment.dlpId), token: balance.address, amount: String(balance.amount) }
+    });
+    if (!sent) continue;
+
+    const [claimed] = parseEventLogs({ abi: QUERY_ENGINE_ABI, logs: sent.receipt.logs, eventName: 'DlpPaymentClaimed' });
+    const treasury = claimed ? claimed.args.dlpTreasuryAddress : null;
+    output.success(`Claimed ${amount}${treasury ? ` to treasury ${treasury}` : ''}`, { token: balance.address, amount: String(balance.amount), treasury, txHash: sent.hash });
+    console.log(chalk.cyan(`   Transaction: ${txUrl(network, sent.hash)}`));
+  }
+}
+
+/**
+ * Data access command: QueryEngine permissions and payments
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args.find(arg => COMMANDS.includes(arg));
+  const operand = command && args[args.indexOf(command) + 1];
+  const positional = operand && !operand.startsWith('--') ? operand : undefined;
+
+  if (!command) {
+    console.log(USAGE);
+    process.exit(args.length > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS);
+  }
+
+  try {
+    const stateManager = new DeploymentStateManager();
+    const deployment = stateManager.getState();
+    const network = resolveNetwork(deployment);
+    if (!deployment.dlpId) {
+      throw new ConfigError('dlpId not found in deployment.json. Run "npm run register:datadao" first.');
+    }
+
+    const client = createReadClient(network);
+    if (['grant', 'grant-generic', 'revoke', 'claim'].includes(command) && !isDryRun()) {
+      // Settle what an earlier run sent before checking for duplicates
+      await reconcilePendingTransactions(stateManager, client);
+    }
+
+    switch (command) {
+      case 'list':
+        await listPermissions(client, network, deployment, positional && parseAddress(positional, 'buyer address'), args);
+        break;
+
+      case 'grant':
+        if (!positional) {
+          throw new ConfigError(`Missing buyer address.\n\n${USAGE}`);
+        }
+        await grantPermission(client, network, stateManager, parseAddress(positional, 'buyer address'), args);
+        break;
+
+      case 'grant-generic':
+        await grantPermission(client, network, stateManager, null, args);
+        break;
+
+      case 'revoke':
+        if (!positional) {
+          throw new ConfigError(`Missing permissionId.\n\n${USAGE}`);
+        }
+        await revokePermission(client, network, stateManager, parseId(positional, 'permissionId'));
+        break;
+
+      case 'payments':
+        await showPayments(client, network, deployment, args);
+        break;
+
+      case 'claim':
+        await claimPayments(client, network, stateManager, args);
+        break;
+    }
+  } catch (error) {
+    output.error(`Access command failed: ${error.shortMessage || error.message}`);
+    reportContractError(error);
+    process.exit(exitCodeFor(error));
+  }
+}
+
+main();
@@ -0,0 +1,216 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { toFunctionSelector } = require('viem');
+const { readArg } = require('../lib/config');
+
+/**
+ * Contracts the scripts and the UI talk to, as "<source path>:<contract name>"
+ * relative to contracts/
+ */
+const CONTRACTS = [
+  'contracts/root/DLPRootImplementation.sol:DLPRootImplementation',
+  'contracts/rootCore/DLPRootCoreImplementation.sol:DLPRootCoreImplementation',
+  'contracts/dataRefinerRegistry/DataRefinerRegistryImplementation.sol:DataRefinerRegistryImplementation',
+  'contracts/dlp/DataLiquidityPoolImplementation.sol:DataLiquidityPoolImplementation',
+  'contracts/teePool/TeePoolImplementation.sol:TeePoolImplementation',
+  'contracts/queryEngine/QueryEngineImplementation.sol:QueryEngineImplementation',
+  'contracts/dat/DAT.sol:DAT'
+];
+
+/**
+ * What to do about each error. `{name}` is replaced with the decoded argument
+ * of that name.
+ */
+const HINTS = {
+  // Access control and upgrades (OpenZeppelin)
+  AccessControlUnauthorizedAccount: '{account} is missing role {neededRole}. Send from an account that has it, or grant it from an admin account first.',
+  AccessControlBadConfirmation: 'renounceRole must be called by the account renouncing the role.',
+  EnforcedPause: 'The contract is paused. Wait for its admin to unpause it.',
+  ExpectedPause: 'This action is only allowed while the contract is paused.',
+  InvalidInitialization: 'The contract is already initialized; it cannot be initialized again.',
+  NotInitializing: 'This function can only be called during initialization.',
+  ReentrancyGuardReentrantCall: 'The call re-entered the contract; it cannot be made from inside another call to it.',
+  UUPSUnauthorizedCallContext: 'Upgrades must be sent to the proxy, not the implementation.',
+  UUPSUnsupportedProxiableUUID: 'The new implementation is not a UUPS implementation.',
+  ERC1967InvalidImplementation: '{implementation} has no code; deploy the implementation before upgrading to it.',
+  ERC1967NonPayable: 'The upgrade call does not accept VANA; send it with value 0.',
+  AddressEmptyCode: '{target} has no contract code. Check the address for the selected network.',
+  AddressInsufficientBalance: '{account} does not hold enough VANA for this transfer.',
+  FailedInnerCall: 'A call made by the contract failed. Check the target contract and arguments.',
+  SafeERC20FailedOperation: 'A transfer of token {token} failed. Check the balance and allowance.',
+
+  // DLP registration and staking (DLPRoot / DLPRootCore)
+  NotDlpOwner: 'Only the DataDAO owner can do this. Send from the owner wallet ("address" in deployment.json).',
+  InvalidDlpId: 'No DataDAO has this dlpId. Check "dlpId" in deployment.json, or run npm run register:datadao.',
+  InvalidDlpStatus: 'The DataDAO is not in a state that allows this (e.g. deregistered). Check it with npm run status.',
+  InvalidName: 'The DataDAO name is empty or already taken. Change "dlpName" in deployment.json.',
+  DlpAddressCannotBeChanged: 'A registered DataDAO cannot move to another contract address.',
+  InvalidAddress: 'An address argument is empty or invalid. Check the addresses in deployment.json.',
+  InvalidParam: 'A parameter is out of range. Re-check the values passed to the call.',
+  InvalidStakeAmount: 'The stake amount is below the minimum (or the registration fee is missing).',
+  InvalidStakersPercentage: 'The stakers percentage is outside the range the root contract allows.',
+  StakeActionPaused: 'Staking actions are paused on the root contract.',
+  StakeAlreadyClosed: 'This stake has already been closed.',
+  StakeAlreadyWithdrawn: 'This stake has already been withdrawn.',
+  StakeNotClosed: 'Close the stake before withdrawing it.',
+  StakeWithdrawalTooEarly: 'The withdrawal delay has not passed yet. Try again later.',
+  NotStakeOwner: 'Only the account that made the stake can do this.',
+  NothingToClaim: 'There is nothing to claim yet.',
+  EpochNotEnded: 'The current epoch has not ended yet.',
+  LastEpochMustBeFinalised: 'The previous epoch must be finalised first.',
+  EpochDlpScoreAlreadySaved: 'The score for this epoch has already been saved.',
+  EpochRewardsAlreadyDistributed: 'Rewards for this epoch were already distributed.',
+  NotCallableAnymore: 'This function was retired in a contract upgrade.',
+  TransferFailed: 'A VANA transfer failed. Check that the recipient can receive VANA.',
+  CheckpointUnorderedInsertion: 'Checkpoints must be written in increasing order.',
+
+  // Data refiners and access (QueryEngine / DataRefinerRegistry)
+  RefinerNotFound: 'No refiner has this refinerId. Check "refinerId" in deployment.json.',
+  NotRefinerOwner: 'Only the owner of the refiner\'s DataDAO can change its permissions.',
+  PermissionNotFound: 'No permission with this id exists.',
+  PaymentNotReceived: 'The query was not paid for. Send the required VANA with the call.',
+  ColumnNameUnexpected: 'Column names are only allowed together with a table name.',
+  InvalidDlpPaymentPercentage: 'The DataDAO payment percentage must be between 0 and 100%.',
+  InvalidDlpTreasuryAddress: 'The DataDAO treasury address is not set or invalid.',
+  ZeroAddress: 'An address argument is the zero address.',
+
+  // Contributions (DataLiquidityPool / TeePool)
+  FileAlreadyAdded: 'This file has already been contributed.',
+  InvalidScore: 'The proof score is outside the accepted range.',
+  InvalidAttestator: 'The proof was not signed by a TEE registered in the TeePool.',
+  InvalidProof: 'The proof does not match the file or DataDAO.',
+  ECDSAInvalidSignature: 'The proof signature is invalid.',
+  ECDSAInvalidSignatureLength: 'The proof signature has the wrong length ({length} bytes).',
+  ECDSAInvalidSignatureS: 'The proof signature is malformed.',
+  InsufficientFee: 'Send at least the TeePool teeFee with the job request.',
+  NoActiveTee: 'No TEE is active in the TeePool right now. Try again later.',
+  TeeAlreadyAdded: 'This TEE is already registered.',
+  TeeNotActive: 'This TEE is not active.',
+  JobCompleted: 'This job has already been completed.',
+  InvalidJobStatus: 'The job is not in a state that allows this action.',
+  InvalidJobTee: 'The job is assigned to a different TEE.',
+  NotJobOwner: 'Only the account that submitted the job can do this.',
+  CancelDelayNotPassed: 'The job can only be cancelled after the cancel delay has passed.',
+
+  // DataDAO token (DAT)
+  ERC20InsufficientBalance: '{sender} holds {balance} tokens but {needed} are needed.',
+  ERC20InsufficientAllowance: '{spender} may spend {allowance} tokens but {needed} are needed. Approve a larger amount first.',
+  ERC20ExceededCap: 'Minting would take the supply to {increasedSupply}, over the cap of {cap}.',
+  ERC20InvalidCap: 'The token cap must be greater than zero.',
+  ERC20InvalidReceiver: '{receiver} cannot receive tokens.',
+  ERC20InvalidSender: '{sender} cannot send tokens.',
+  ERC20InvalidSpender: '{spender} is not a valid spender.',
+  ERC20InvalidApprover: '{approver} is not a valid approver.',
+  AccountBlocked: 'The account is on the token\'s block list.',
+  BlockListDoesNotContain: '{addr} is not on the block list.',
+  BlockingRejected: '{addr} cannot be blocked: {reason}',
+  ZeroAmount: 'The amount must be greater than zero.',
+  EmptyString: '{paramName} must not be empty.',
+  ArrayLengthMismatch: 'The arrays passed have different lengths ({length1} and {length2}).',
+  IndexOutOfBounds: 'Index {index} is out of range (length {length}).'
+};
+
+/**
+ * Canonical signature of an ABI error, e.g. `NotDlpOwner()` or `Foo(uint256,(address,bool))`
+ */
+function formatType(input) {
+  if (!input.type.startsWith('tuple')) {
+    return input.type;
+  }
+  return `(${input.components.map(formatType).join(',')})${input.type.slice('tuple'.length)}`;
+}
+
+function errorSignature(item) {
+  return `${item.name}(${item.inputs.map(formatType).join(',')})`;
+}
+
+/**
+ * Read a compiled hardhat artifact for "<source>:<name>"
+ */
+function readArtifact(artifactsDir, id) {
+  const [source, name] = id.split(':');
+  const file = path.join(artifactsDir, source, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`${path.relative(process.cwd(), file)} not found. Compile the contracts first: cd contracts && npx hardhat compile`);
+  }
+  return { name: name.replace(/Implementation$/, ''), abi: fs.readJsonSync(file).abi };
+}
+
+/**
+ * Collect the custom errors of CONTRACTS, one entry per selector
+ */
+function collectErrors(artifactsDir) {
+  const bySignature = new Map();
+
+  for (const id of CONTRACTS) {
+    const { name, abi } = readArtifact(artifactsDir, id);
+    for (const item of abi.filter(entry => entry.type === 'error')) {
+      const signature = errorSignature(item);
+      if (!bySignature.has(signature)) {
+        bySignature.set(signature, {
+          name: item.name,
+          signature,
+          selector: toFunctionSelector(signature),
+          inputs: item.inputs,
+          contracts: [],
+          hint: HINTS[item.name] || null
+        });
+      }
+      bySignature.get(signature).contracts.push(name);
+    }
+  }
+
+  return [...bySignature.values()].sort((a, b) => a.signature.localeCompare(b.signature));
+}
+
+/**
+ * The same table as a TypeScript module for the UI
+ */
+function renderUiModule(errors) {
+  const abi = errors.map(({ name, inputs }) => ({ type: 'error', name, inputs }));
+  const hints = Object.fromEntries(errors.filter(error => error.hint).map(error => [error.name, error.hint]));
+  const contracts = Object.fromEntries(errors.map(error => [error.selector, error.contracts]));
+
+  return [
+    '// Generated by `npm run build:errors` from the compiled contracts. Do not edit.',
+    '',
+    `export const ContractErrorsAbi = ${JSON.stringify(abi, null, 2)} as const;`,
+    '',
+    `export const contractErrorHints: Record<string, string> = ${JSON.stringify(hints, null, 2)};`,
+    '',
+    `export const contractErrorSources: Record<string, readonly string[]> = ${JSON.stringify(contracts, null, 2)};`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Regenerate lib/contract-errors.json and the UI copy from the compiled contracts
+ */
+function buildContractErrors() {
+  const root = path.join(__dirname, '..');
+  const artifactsDir = path.resolve(readArg(process.argv, '--artifacts') || path.join(root, 'contracts', 'artifacts'));
+
+  const errors = collectErrors(artifactsDir);
+  const missingHints = errors.filter(error => !error.hint).map(error => error.name);
+
+  fs.writeJsonSync(path.join(root, 'lib', 'contract-errors.json'), {
+    contracts: CONTRACTS.map(id => id.split(':')[1]),
+    errors
+  }, { spaces: 2 });
+  fs.writeFileSync(path.join(root, 'ui', 'contracts', 'abi', 'ContractErrors.ts'), renderUiModule(errors));
+
+  console.log(chalk.green(`✅ Wrote ${errors.length} custom errors from ${CONTRACTS.length} contracts`));
+  console.log(chalk.gray('   lib/contract-errors.json'));
+  console.log(chalk.gray('   ui/contracts/abi/ContractErrors.ts'));
+  if (missingHints.length > 0) {
+    console.log(chalk.yellow(`⚠️  No hint for: ${missingHints.join(', ')}. Add them to HINTS in scripts/build-contract-errors.js`));
+  }
+}
+
+try {
+  buildContractErrors();
+} catch (error) {
+  console.error(chalk.red('❌ Could not build the error table:'), error.message);
+  process.exit(1);
+}
@@ -1,44 +1,15 @@
-const fs = require('fs-extra');
-const path = require('path');
 const { execSync } = require('child_process');
+const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
-const { createPublicClient, http } = require('viem');
-const { moksha } = require('viem/chains');
-
-/**
- * Check wallet balance before deployment
- */
-async function checkWalletBalance(address) {
-  const client = createPublicClient({
-    chain: moksha,
-    transport: http('https://rpc.moksha.vana.org')
-  });
-
-  try {
-    const balance = await client.getBalance({ address });
-    const balanceInVana = Number(balance) / 1e18;
-
-    console.log(chalk.blue('💰 Wallet Information:'));
-    console.log(`  Address: ${address}`);
-    console.log(`  Balance: ${balanceInVana.toFixed(4)} VANA`);
-    console.log();
-
-    if (balanceInVana < 0.1) {
-      console.error(chalk.red('❌ Insufficient balance for deployment!'));
-      console.error(chalk.yellow('Please fund your wallet with at least 0.1 VANA from https://faucet.vana.org'));
-      console.error(chalk.yellow(`Your wallet address: ${address}`));
-      process.exit(1);
-    }
-
-    console.log(chalk.green('✅ Wallet has sufficient balance for deployment'));
-    return balanceInVana;
-  } catch (error) {
-    console.error(chalk.yellow(`⚠️  Could not check wallet balance: ${error.message}`));
-    console.log(chalk.yellow('Proceeding with deployment...'));
-    return null;
-  }
-}
+const { NETWORKS, DEFAULT_NETWORK, resolveNetwork, addressUrl } = require('../lib/networks');
+const { createReadClient, checkWalletBalance, classifyChainError, findHealthyRpcUrl } = require('../lib/chain');
+const { SecretVault } = require('../lib/vault');
+const { exitCodeFor } = require('../lib/config');
+const { reportContractError } = require('../lib/contract-errors');
+const { DLP_DEPLOYMENTS, DeploymentArtifactError, readDlpDeployments } = require('../lib/hardhat-deployments');
+const DeploymentStateManager = require('./state-manager');
+const output = require('../lib/output');
 
 /**
  * Deploy smart contracts
@@ -47,15 +18,40 @@ async function deployContracts() {
   console.log(chalk.blue('Deploying smart contracts...'));
 
   // Declare variables outside try block so they're accessible in catch
-  let tokenMatch, proxyMatch, vestingMatch;
+  let network;
+  const projectRoot = process.cwd();
+  const startedAt = Date.now();
+  const vault = new SecretVault(projectRoot);
+  let stateManager;
 
   try {
     // Load deployment info to get wallet address
-    const deploymentPath = path.resolve('deployment.json');
-    const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
+    stateManager = new DeploymentStateManager(projectRoot);
+    const deployment = stateManager.getState();
+    network = resolveNetwork(deployment);
 
     // Check wallet balance first
-    await checkWalletBalance(deployment.address);
+    const { sufficient } = await checkWalletBalance(createReadClient(network), deployment.address, {
+      purpose: 'deploy',
+      network
+    });
+    if (sufficient === false) {
+      process.exit(1);
+    }
+    if (sufficient === null) {
+      console.log(chalk.yellow('Proceeding with deployment...'));
+    }
+
+    // Hardhat reads the deployer key from the environment; it is never written to contracts/.env
+    const hardhatEnv = {
+      ...process.env,
+      DEPLOYER_PRIVATE_KEY: await vault.require('privateKey')
+    };
+
+    // Point hardhat at the first RPC endpoint that answers
+    if (network.hardhatRpcEnv) {
+      hardhatEnv[network.hardhatRpcEnv] = await findHealthyRpcUrl(network);
+    }
 
     // Change to contracts directory
     process.chdir('contracts');
@@ -65,16 +61,17 @@ async function deployContracts() {
       text: 'Running hardhat deployment...\n' +
             chalk.yellow('💡 This usually takes 2-5 minutes depending on network conditions\n') +
             chalk.gray('   • Compiling contracts\n') +
-            chalk.gray('   • Deploying to Moksha testnet\n') +
+            chalk.gray(`   • Deploying to ${network.label}\n`) +
             chalk.gray('   • Verifying on block explorer'),
       spinner: 'dots'
     }).start();
 
-    let output;
+    let deployOutput;
     try {
-      output = execSync('npx hardhat deploy --network moksha --tags DLPDeploy', {
+      deployOutput = execSync(`npx hardhat deploy --network ${network.hardhatNetwork} --tags DLPDeploy`, {
         encoding: 'utf8',
-        stdio: 'pipe'
+        stdio: 'pipe',
+        env: hardhatEnv
       });
       spinner.succeed(chalk.green('✅ Hardhat deployment completed successfully!'));
     } catch (deployError) {
@@ -84,98 +81,89 @@ async function deployContracts() {
 
     console.log();
     console.log(chalk.cyan('📋 Deployment Output:'));
-    console.log(output);
-
-    // Extract contract addresses from output - look for specific patterns
-    tokenMatch = output.match(/Token Address:\s*(0x[a-fA-F0-9]{40})/);
-    proxyMatch = output.match(/DataLiquidityPoolProxy\s+deployed\s+to:\s*(0x[a-fA-F0-9]{40})/);
-    vestingMatch = output.match(/Vesting Wallet Address:\s*(0x[a-fA-F0-9]{40})/);
-
-    // Also look for "Proxy deployed to:" pattern in case format changes
-    const altProxyMatch = output.match(/Proxy deployed to:\s*(0x[a-fA-F0-9]{40})/);
-
-    if (!tokenMatch) {
-      console.error(chalk.red('Error: Failed to extract token address from deployment output.'));
-      console.error(chalk.yellow('Please check deployment logs above for contract addresses.'));
-      console.error(chalk.yellow('You may need to manually extract addresses from the output.'));
-      process.exit(1);
+    console.log(deployOutput);
+
+    // hardhat-deploy records every contract it deployed under contracts/deployments/<network>/
+    const { contracts, artifacts, missing, dir } = readDlpDeployments(projectRoot, network, { since: startedAt });
+    const missingRequired = missing.filter(name => name === DLP_DEPLOYMENTS.tokenAddress || name === DLP_DEPLOYMENTS.proxyAddress);
+    if (missingRequired.length > 0) {
+      throw new DeploymentArtifactError(
+        `Hardhat finished but did not write ${missingRequired.map(name => `${name}.json`).join(', ')} to ${path.relative(projectRoot, dir)}. ` +
+        'Check the deployment output above for the contract addresses.'
+      );
     }
-
-    const tokenAddress = tokenMatch[1];
-
-    // Get proxy address from either pattern
-    const proxyAddress = proxyMatch ? proxyMatch[1] : (altProxyMatch ? altProxyMatch[1] : null);
-
-    if (!proxyAddress) {
-      console.error(chalk.red('Error: Failed to extract DataLiquidityPool proxy address from deployment output.'));
-      console.error(chalk.yellow('Please check deployment logs above for the proxy address.'));
-      process.exit(1);
+    for (const name of missing) {
+      console.log(chalk.yellow(`⚠️  No deployment artifact for ${name}; it will be missing from deployment.json`));
     }
 
-    // Update deployment.json with contract addresses
+    // Update deployment.json with contract addresses and their deployment records
     deployment.contracts = {
-      tokenAddress: tokenAddress,
-      proxyAddress: proxyAddress,
-      vestingAddress: vestingMatch ? vestingMatch[1] : null
+      ...contracts,
+      vestingAddress: contracts.vestingAddress || null
     };
+    deployment.contractArtifacts = artifacts;
 
-    // Keep backward compatibility
-    deployment.tokenAddress = tokenAddress;
-    deployment.proxyAddress = proxyAddress;
-
+    deployment.network = network.name;
     deployment.state = deployment.state || {};
     deployment.state.contractsDeployed = true;
+    delete deployment.partial;
 
-    console.log(chalk.green('✅ Contracts deployed successfully!'));
-    console.log(chalk.cyan('Token Address:'), tokenAddress);
-    console.log(chalk.cyan('DLP Proxy Address:'), proxyAddress);
+    output.success('Contracts deployed successfully!', { network: network.name, contracts: deployment.contracts });
+    console.log(chalk.cyan('Token Address:'), contracts.tokenAddress);
+    console.log(chalk.cyan('DLP Proxy Address:'), contracts.proxyAddress);
 
-    if (vestingMatch) {
-      const vestingAddress = vestingMatch[1];
-      deployment.vestingAddress = vestingAddress;
-      console.log(chalk.cyan('Vesting Address:'), vestingAddress);
+    if (contracts.implementationAddress) {
+      console.log(chalk.cyan('DLP Implementation Address:'), contracts.implementationAddress);
+    }
+    if (contracts.vestingAddress) {
+      console.log(chalk.cyan('Vesting Address:'), contracts.vestingAddress);
     }
 
-    // Save back to parent directory since we changed to contracts dir
-    fs.writeFileSync(path.resolve('..', 'deployment.json'), JSON.stringify(deployment, null, 2));
+    stateManager.saveState(deployment);
 
   } catch (error) {
+    output.event('error', { message: error.message, exitCode: exitCodeFor(error) });
     console.error(chalk.red('Contract deployment failed:'));
     console.error(error.message);
 
-    // Load deployment for error handling
-    const deploymentPath = path.resolve('deployment.json');
-    let deployment = {};
-    try {
-      deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-    } catch (e) {
-      // If we can't load deployment.json, create minimal object
-      deployment = { address: 'unknown' };
+    // deployment.json itself is unusable; its validation message is all the guidance there is
+    if (!stateManager) {
+      process.exit(exitCodeFor(error));
+    }
+
+    const deployment = stateManager.getState();
+
+    // Resolving the network may itself be what failed; fall back to its static definition for hints
+    if (!network) {
+      network = NETWORKS[deployment.network] || NETWORKS[DEFAULT_NETWORK];
     }
 
     // Comprehensive error analysis
     const errorLower = error.message.toLowerCase();
+    const errorKind = classifyChainError(error);
     let suggestedAction = '';
     let canRetry = false;
 
-    if (errorLower.includes('insufficient funds') || errorLower.includes('insufficient_funds')) {
+    if (errorKind === 'funds') {
       suggestedAction = 'funding';
       console.error(chalk.yellow('\n💡 Insufficient funds detected'));
       console.error(chalk.yellow('Your wallet needs VANA tokens to deploy contracts.'));
-    } else if (errorLower.includes('nonce') || errorLower.includes('already known')) {
+    } else if (errorKind === 'nonce') {
       suggestedAction = 'nonce';
       canRetry = true;
       console.error(chalk.yellow('\n💡 Transaction nonce issue detected'));
       console.error(chalk.yellow('This usually happens when a previous transaction is pending.'));
-    } else if (errorLower.includes('timeout') || errorLower.includes('network')) {
+    } else if (errorKind === 'network' || errorKind === 'timeout') {
       suggestedAction = 'network';
       canRetry = true;
       console.error(chalk.yellow('\n💡 Network connectivity issue detected'));
       console.error(chalk.yellow('The network may be congested or unreachable.'));
-    } else if (errorLower.includes('reverted') || errorLower.includes('execution failed')) {
+    } else if (errorKind === 'reverted') {
       suggestedAction = 'reverted';
-      console.error(chalk.yellow('\n💡 Transaction was reverted'));
-      console.error(chalk.yellow('The contract deployment was rejected by the network.'));
+      if (!reportContractError(error)) {
+        console.error(chalk.yellow('\n💡 Transaction was reverted'));
+        console.error(chalk.yellow('The contract deployment was rejected by the network.'));
+      }
     } else if (errorLower.includes('enoent') || errorLower.includes('command not found')) {
       suggestedAction = 'setup';
       console.error(chalk.yellow('\n💡 Hardhat not found'));
@@ -187,21 +175,21 @@ async function deployContracts() {
 
     switch(suggestedAction) {
       case 'funding':
-        console.error(chalk.white('1. Check balance: ') + chalk.blue('https://moksha.vanascan.io/address/' + deployment.address));
-        console.error(chalk.white('2. Get testnet VANA: ') + chalk.blue('https://faucet.vana.org'));
+        console.error(chalk.white('1. Check balance: ') + chalk.blue(addressUrl(network, deployment.address)));
+        console.error(chalk.white('2. Fund the wallet: ') + chalk.blue(network.faucetHint));
         console.error(chalk.white('3. Wait for funds to arrive (1-2 minutes)'));
         console.error(chalk.white('4. Run this command again: ') + chalk.green('npm run deploy-contracts'));
         break;
 
       case 'nonce':
         console.error(chalk.white('1. Wait 30 seconds for pending transactions'));
-        console.error(chalk.white('2. Check transaction status: ') + chalk.blue('https://moksha.vanascan.io/address/' + deployment.address));
+        console.error(chalk.white('2. Check transaction status: ') + chalk.blue(addressUrl(network, deployment.address)));
         console.error(chalk.white('3. Retry deployment: ') + chalk.green('npm run deploy-contracts'));
         break;
 
       case 'network':
         console.error(chalk.white('1. Check your internet connection'));
-        console.error(chalk.white('2. Verify RPC is accessible: ') + chalk.blue('https://rpc.moksha.vana.org'));
+        console.error(chalk.white('2. Verify RPC is accessible: ') + chalk.blue(network.rpcUrl));
         console.error(chalk.white('3. Wait 2-3 minutes for network congestion'));
         console.error(chalk.white('4. Retry deployment: ') + chalk.green('npm run deploy-contracts'));
         break;
@@ -219,19 +207,16 @@ async function deployContracts() {
         console.error(chalk.white('4. Contact support with the error message'));
     }
 
-    // Save partial state if we got any addresses
-    if (tokenMatch || proxyMatch || vestingMatch) {
+    // Save partial state if hardhat got as far as deploying anything this run
+    const partial = readPartialDeployments(projectRoot, network, startedAt);
+    if (partial) {
       console.error(chalk.yellow('\n⚠️  Partial deployment detected. Saving progress...'));
-      const partialState = {
+      stateManager.saveState({
         ...deployment,
-        state: deployment.state || {},
+        contracts: { ...(deployment.contracts || {}), ...partial.contracts },
+        contractArtifacts: { ...(deployment.contractArtifacts || {}), ...partial.artifacts },
         partial: true
-      };
-      if (tokenMatch) partialState.tokenAddress = tokenMatch[1];
-      if (proxyMatch) partialState.proxyAddress = proxyMatch[1];
-      if (vestingMatch) partialState.vestingAddress = vestingMatch[1];
-
-      fs.writeFileSync(deploymentPath, JSON.stringify(partialState, null, 2));
+      });
       console.error(chalk.green('✅ Partial progress saved to deployment.json'));
     }
 
@@ -241,7 +226,23 @@ async function deployContracts() {
       console.error(chalk.white('You can retry with: ') + chalk.green('npm run deploy-contracts'));
     }
 
-    process.exit(1);
+    process.exit(exitCodeFor(error));
+  }
+}
+
+/**
+ * Deployment artifacts written by a failed run, or null when there are none
+ */
+function readPartialDeployments(projectRoot, network, startedAt) {
+  if (!network) {
+    return null;
+  }
+  try {
+    const { contracts, artifacts } = readDlpDeployments(projectRoot, network, { since: startedAt });
+    return Object.keys(contracts).length > 0 ? { contracts, artifacts } : null;
+  } catch (error) {
+    console.error(chalk.yellow(`⚠️  Could not read deployment artifacts: ${error.message}`));
+    return null;
   }
 }
 
@@ -1,12 +1,32 @@
-const inquirer = require("inquirer");
+const { createPrompt } = require("../lib/prompt");
+const { EXIT_CODES, exitCodeFor } = require("../lib/config");
 const fs = require("fs-extra");
 const path = require("path");
 const chalk = require("chalk");
 const { execSync } = require("child_process");
-const { createPublicClient, createWalletClient, http } = require('viem');
-const { privateKeyToAccount } = require('viem/accounts');
-const { moksha } = require('viem/chains');
+const { resolveNetwork, addressUrl, txUrl } = require('../lib/networks');
+const {
+  createReadClient,
+  createClients,
+  checkWalletBalance,
+  sendContractTransaction,
+  isDryRun,
+  dryRunContractTransaction
+} = require('../lib/chain');
+const { SecretVault } = require("../lib/vault");
+const { TransactionJournal, reconcilePendingTransactions } = require("../lib/tx-journal");
+const { reportContractError } = require("../lib/contract-errors");
+const { EnvFile } = require("../lib/env-file");
+const { pushForRelease, waitForRelease } = require("../lib/releases");
+const { ArtifactError, pinArtifact } = require("../lib/artifacts");
 const DeploymentStateManager = require('./state-manager');
+const output = require('../lib/output');
+
+const prompt = createPrompt("proof");
+const vault = new SecretVault();
+
+// Network selected via --network or recorded in deployment.json (set in deployProof)
+let network;
 
 // DLP contract ABI (not in /lib for self-contained template script)
 const DLP_ABI = [
@@ -183,54 +203,21 @@ function setupGitRepository(deployment) {
 }
 
 /**
- * Handle automatic deployment flow
+ * Handle automatic deployment flow: push, then wait for the release GitHub
+ * Actions publishes for that commit
  */
 async function handleAutomaticDeployment(deployment) {
   console.log(chalk.blue("🚀 Pushing to GitHub..."));
 
+  let push;
   try {
-    execSync("git push -u origin main", { stdio: "inherit" });
+    push = pushForRelease({ stdio: output.childStdio() });
     console.log();
     console.log(chalk.green("✅ Successfully pushed to GitHub!"));
     console.log();
     console.log(chalk.blue("⏳ GitHub Actions is now building your proof..."));
     console.log(chalk.yellow("This usually takes 2-3 minutes."));
     console.log();
-
-    console.log(chalk.yellow("⚠️  IMPORTANT: Wait for the NEW build to complete!"));
-    console.log(chalk.yellow("   Don't use an existing/old release - you need the fresh build."));
-    console.log();
-
-    console.log(chalk.cyan("📋 Next steps:"));
-    console.log(
-      "1. Visit: " + chalk.yellow(`${deployment.proofRepo}/releases`)
-    );
-    console.log("2. " + chalk.cyan("WAIT") + " for a new release to appear (with your latest changes)");
-    console.log("3. Copy the .tar.gz URL from the " + chalk.yellow("newest") + " release");
-    console.log("4. Return here and enter the URL below");
-
-    // Wait for user to get the URL
-    const { proofUrl } = await inquirer.prompt([
-      {
-        type: "input",
-        name: "proofUrl",
-        message: "Enter the .tar.gz URL from the NEWEST GitHub Release:",
-        validate: (input) => {
-          if (input.trim() === "") return "Proof URL is required";
-          if (!input.includes(".tar.gz"))
-            return "URL must point to a .tar.gz file";
-          if (
-            !input.includes("github.com") &&
-            !input.includes("githubusercontent.com")
-          ) {
-            return "URL should be from GitHub releases";
-          }
-          return true;
-        },
-      },
-    ]);
-
-    return proofUrl;
   } catch (error) {
     console.log(chalk.red("❌ Failed to push to GitHub:"), error.message);
     console.log();
@@ -239,6 +226,41 @@ async function handleAutomaticDeployment(deployment) {
     console.log();
     throw error;
   }
+
+  try {
+    const release = await waitForRelease(deployment, deployment.proofRepo, push, { preferredAsset: "proof" });
+    console.log(chalk.cyan("Proof URL:"), release.url);
+    return release.url;
+  } catch (error) {
+    console.log(chalk.yellow("⚠️  Could not detect the new release:", error.message));
+    if (error.hint) console.log(chalk.yellow(`   ${error.hint}`));
+    console.log();
+  }
+
+  console.log(chalk.cyan("📋 Next steps:"));
+  console.log(
+    "1. Visit: " + chalk.yellow(`${deployment.proofRepo}/releases`)
+  );
+  console.log("2. " + chalk.cyan("WAIT") + ` for a release built from ${push.commit.slice(0, 7)} (not an older one)`);
+  console.log("3. Copy its .tar.gz URL");
+  console.log("4. Return here and enter the URL below");
+
+  // Wait for user to get the URL
+  const { proofUrl } = await prompt([
+    {
+      type: "input",
+      name: "proofUrl",
+      message: "Enter the .tar.gz URL from the NEWEST GitHub Release:",
+      validate: (input) => {
+        if (input.trim() === "") return "Proof URL is required";
+        if (!input.includes(".tar.gz"))
+          return "URL must point to a .tar.gz file";
+        return true;
+      },
+    },
+  ]);
+
+  return proofUrl;
 }
 
 /**
@@ -259,7 +281,7 @@ async function handleManualDeployment(deployment) {
   console.log(chalk.yellow("3. Get the artifact URL from the " + chalk.yellow("newest") + " release in Releases section"));
   console.log();
 
-  const { proofUrl } = await inquirer.prompt([
+  const { proofUrl } = await prompt([
     {
       type: "input",
       name: "proofUrl",
@@ -276,70 +298,67 @@ async function handleManualDeployment(deployment) {
   return proofUrl;
 }
 
+/**
+ * Download the proof release, check it and record its sha256 before it is
+ * published on-chain. When the check fails, the user decides whether to use
+ * the URL anyway.
+ *
+ * @returns {Promise<boolean>} whether to go ahead with the URL
+ */
+async function pinProofArtifact(deployment, proofUrl) {
+  try {
+    await pinArtifact(deployment, "proof", proofUrl);
+    return true;
+  } catch (error) {
+    if (!(error instanceof ArtifactError)) throw error;
+    console.log(chalk.yellow(`⚠️  ${error.message}`));
+    const { useAnyway } = await prompt([
+      {
+        type: "confirm",
+        name: "useAnyway",
+        message: "Publish this proof URL without a recorded hash?",
+        default: false,
+      },
+    ]);
+    if (useAnyway && deployment.artifacts) {
+      delete deployment.artifacts.proof;
+    }
+    return useAnyway;
+  }
+}
+
 /**
  * Update UI environment with proof URL
  */
 function updateUIEnvironment(deployment) {
-  const uiEnvPath = path.join(process.cwd(), "ui", ".env");
-  if (!fs.existsSync(uiEnvPath)) {
+  const uiEnv = EnvFile.load(path.join(process.cwd(), "ui", ".env"));
+  if (!uiEnv.exists) {
     return;
   }
 
-  let uiEnv = fs.readFileSync(uiEnvPath, "utf8");
-
-  // Add NEXT_PUBLIC_PROOF_URL if it doesn't exist
-  if (!uiEnv.includes("NEXT_PUBLIC_PROOF_URL")) {
-    uiEnv += `\nNEXT_PUBLIC_PROOF_URL=${deployment.proofUrl}\n`;
-  } else {
-    // Replace it if it exists
-    uiEnv = uiEnv.replace(
-      /NEXT_PUBLIC_PROOF_URL=.*/,
-      `NEXT_PUBLIC_PROOF_URL=${deployment.proofUrl}`
-    );
-  }
-
-  fs.writeFileSync(uiEnvPath, uiEnv);
+  uiEnv.set("NEXT_PUBLIC_PROOF_URL", deployment.proofUrl);
+  uiEnv.save();
   console.log(chalk.green("✅ UI configuration updated with proof URL"));
 }
 
 /**
  * Update proof instruction on the DLP contract
  */
-async function updateDLPProofInstruction(deployment) {
+async function updateDLPProofInstruction(deployment, stateManager) {
   console.log(chalk.blue("🔗 Updating proof instruction on DLP contract..."));
 
   try {
-    // Load private key from contracts/.env
-    const contractsEnvPath = path.join(process.cwd(), 'contracts', '.env');
-    if (!fs.existsSync(contractsEnvPath)) {
-      throw new Error('contracts/.env file not found. Cannot access private key for contract update.');
-    }
+    // Unlocks the secret vault on first use
+    const privateKey = await vault.require("privateKey");
+    const { account, publicClient, walletClient } = createClients(network, privateKey);
 
-    const contractsEnv = fs.readFileSync(contractsEnvPath, 'utf8');
-    const privateKeyMatch = contractsEnv.match(/DEPLOYER_PRIVATE_KEY=(.+)/);
-    if (!privateKeyMatch) {
-      throw new Error('DEPLOYER_PRIVATE_KEY not found in contracts/.env');
+    const { sufficient } = await checkWalletBalance(publicClient, account.address, { network });
+    if (sufficient === false) {
+      throw new Error('Insufficient wallet balance to update the proof instruction');
     }
 
-    const privateKey = privateKeyMatch[1].trim();
-    const account = privateKeyToAccount(privateKey);
-
-    // Create clients
-    const publicClient = createPublicClient({
-      chain: moksha,
-      transport: http('https://rpc.moksha.vana.org')
-    });
-
-    const walletClient = createWalletClient({
-      account,
-      chain: moksha,
-      transport: http('https://rpc.moksha.vana.org')
-    });
-
     // Get DLP proxy address
-    const dlpProxyAddress = deployment.proxyAddress ||
-                           (deployment.contracts && deployment.contracts.proxyAddress) ||
-                           deployment.dlpAddress;
+    const dlpProxyAddress = deployment.contracts && deployment.contracts.proxyAddress;
 
     if (!dlpProxyAddress) {
       throw new Error('DLP proxy address not found in deployment configuration');
@@ -352,37 +371,38 @@ async function updateDLPProofInstruction(deployment) {
     // Update proof instruction on contract
     console.log(chalk.blue("📝 Submitting transaction to update proof instruction..."));
     
-    const txHash = await walletClient.writeContract({
+    const { hash: txHash } = await sendContractTransaction({
+      publicClient,
+      walletClient,
+      account,
       address: dlpProxyAddress,
       abi: DLP_ABI,
       functionName: 'updateProofInstruction',
-      args: [deployment.proofUrl]
+      args: [deployment.proofUrl],
+      journal: new TransactionJournal(stateManager),
+      purpose: "updateProofInstruction",
+      context: { proofUrl: deployment.proofUrl },
+      onSubmitted: (hash) => {
+        console.log(chalk.blue(`📝 Transaction submitted: ${hash}`));
+        console.log(chalk.blue('⏳ Waiting for confirmation...'));
+      }
     });
 
-    console.log(chalk.blue(`📝 Transaction submitted: ${txHash}`));
-    console.log(chalk.blue('⏳ Waiting for confirmation...'));
+    output.success("Proof instruction updated on DLP contract successfully!", { txHash, dlpAddress: dlpProxyAddress });
+    console.log(chalk.cyan(`   Transaction: ${txUrl(network, txHash)}`));
 
-    // Wait for transaction receipt
-    const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
+    // Mark this step as completed
+    deployment.state = deployment.state || {};
+    deployment.state.proofInstructionUpdated = true;
 
-    if (receipt.status === 'success') {
-      console.log(chalk.green("✅ Proof instruction updated on DLP contract successfully!"));
-      console.log(chalk.cyan(`   Transaction: https://moksha.vanascan.io/tx/${txHash}`));
-      
-      // Mark this step as completed
-      deployment.state = deployment.state || {};
-      deployment.state.proofInstructionUpdated = true;
-      
-      return true;
-    } else {
-      throw new Error('Transaction failed');
-    }
+    return true;
 
   } catch (error) {
     console.log(chalk.red("❌ Failed to update proof instruction on contract:"), error.message);
+    reportContractError(error, console.log);
     console.log();
     console.log(chalk.yellow("💡 You can update it manually later:"));
-    console.log(chalk.cyan("1. Go to: https://moksha.vanascan.io/address/" + (deployment.proxyAddress || deployment.dlpAddress) + "?tab=write_proxy"));
+    console.log(chalk.cyan("1. Go to: " + addressUrl(network, deployment.contracts && deployment.contracts.proxyAddress, "?tab=write_proxy")));
     console.log(chalk.cyan("2. Connect your wallet"));
     console.log(chalk.cyan("3. Find 'updateProofInstruction' function"));
     console.log(chalk.cyan("4. Enter proof URL: " + deployment.proofUrl));
@@ -399,19 +419,9 @@ async function updateDLPProofInstruction(deployment) {
 /**
  * Validate deployment configuration
  */
-function validateDeployment() {
-  const deploymentPath = path.join(process.cwd(), "deployment.json");
-
-  if (!fs.existsSync(deploymentPath)) {
-    console.error(
-      chalk.red(
-        "Error: deployment.json not found. Run previous deployment steps first."
-      )
-    );
-    process.exit(1);
-  }
-
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+function validateDeployment(stateManager) {
+  // The state manager has already migrated and schema-checked the file
+  const deployment = stateManager.getState();
 
   if (!deployment.dlpId) {
     console.error(
@@ -446,6 +456,39 @@ function extractRepoName(proofRepo) {
   return repoMatch[1];
 }
 
+/**
+ * --dry-run: simulate updateProofInstruction without touching the proof repo,
+ * GitHub or deployment.json
+ */
+async function dryRunProof(deployment) {
+  const dlpProxyAddress = deployment.contracts && deployment.contracts.proxyAddress;
+  if (!dlpProxyAddress) {
+    throw new Error("DLP proxy address not found in deployment configuration");
+  }
+
+  // The real URL only exists once GitHub Actions has built a release
+  const proofUrl = deployment.proofUrl || `${deployment.proofRepo}/releases/download/v1/proof.tar.gz`;
+  if (!deployment.proofUrl) {
+    console.log(chalk.yellow(`No proof release yet; simulating with a placeholder URL: ${proofUrl}`));
+    console.log();
+  }
+
+  const report = await dryRunContractTransaction({
+    publicClient: createReadClient(network),
+    account: deployment.address,
+    address: dlpProxyAddress,
+    abi: DLP_ABI,
+    functionName: "updateProofInstruction",
+    args: [proofUrl],
+    label: "Update the proof instruction on the DLP"
+  });
+
+  console.log(chalk.blue("🧪 Dry run complete: nothing was pushed or broadcast and deployment.json is unchanged."));
+  if (!report.ok) {
+    process.exitCode = EXIT_CODES.FAILURE;
+  }
+}
+
 /**
  * Deploy Proof of Contribution component
  */
@@ -458,7 +501,16 @@ async function deployProof() {
     );
 
     // Validate deployment configuration
-    const deployment = validateDeployment();
+    const deployment = validateDeployment(stateManager);
+    network = resolveNetwork(deployment);
+
+    if (isDryRun()) {
+      await dryRunProof(deployment);
+      return;
+    }
+
+    // Settle a proof instruction update an earlier run broadcast but never saw confirmed
+    await reconcilePendingTransactions(stateManager, createReadClient(network));
     const repoName = extractRepoName(deployment.proofRepo);
 
     // Update proof configuration with dlpId
@@ -474,7 +526,7 @@ async function deployProof() {
     console.log(chalk.blue("📋 Proof Deployment Options:"));
     console.log();
 
-    const { deploymentChoice } = await inquirer.prompt([
+    const { deploymentChoice } = await prompt([
       {
         type: "list",
         name: "deploymentChoice",
@@ -519,11 +571,14 @@ async function deployProof() {
 
       // Go back to project root and save
       process.chdir("..");
-      const deploymentPath = path.join(process.cwd(), "deployment.json");
-      fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
+      stateManager.saveState(deployment);
       return;
     }
 
+    if (proofUrl && !(await pinProofArtifact(deployment, proofUrl))) {
+      throw new Error(`The proof artifact at ${proofUrl} failed its checks; publish a working release and run this script again`);
+    }
+
     // Update deployment with proof URL
     if (proofUrl) {
       deployment.proofUrl = proofUrl;
@@ -536,20 +591,19 @@ async function deployProof() {
     process.chdir("..");
 
     // Update deployment.json
-    const deploymentPath = path.join(process.cwd(), "deployment.json");
-    fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
+    stateManager.saveState(deployment);
 
     // Update UI environment
     updateUIEnvironment(deployment);
 
     // Update proof instruction on the DLP contract (only if we have a proof URL)
     if (deployment.proofUrl) {
-      await updateDLPProofInstruction(deployment);
+      await updateDLPProofInstruction(deployment, stateManager);
     } else {
       console.log(chalk.yellow("⚠️  No proof URL available, skipping contract update"));
       console.log();
       console.log(chalk.yellow("💡 You can update it manually later:"));
-      console.log(chalk.cyan("1. Go to: https://moksha.vanascan.io/address/" + (deployment.proxyAddress || deployment.dlpAddress) + "?tab=write_proxy"));
+      console.log(chalk.cyan("1. Go to: " + addressUrl(network, deployment.contracts && deployment.contracts.proxyAddress, "?tab=write_proxy")));
       console.log(chalk.cyan("2. Connect your wallet"));
       console.log(chalk.cyan("3. Find 'updateProofInstruction' function"));
       console.log(chalk.cyan("4. Enter proof URL: " + deployment.proofUrl));
@@ -557,6 +611,7 @@ async function deployProof() {
       console.log();
     }
 
+    output.event("success", { message: "Proof of Contribution configured successfully", proofUrl: deployment.proofUrl });
     console.log();
     console.log(
       chalk.green("🎉 Proof of Contribution configured successfully!")
@@ -579,9 +634,13 @@ async function deployProof() {
     
     console.log();
     console.log(chalk.yellow('💡 This error has been recorded. Run "npm run status" to see recovery options.'));
-    process.exit(1);
+    process.exit(exitCodeFor(error));
   }
 }
 
-// Run the deployment
-deployProof();
+// Run the deployment; errors thrown before the step starts (e.g. an invalid deployment.json) land here
+deployProof().catch(error => {
+  output.event("error", { message: error.message, exitCode: exitCodeFor(error) });
+  console.error(chalk.red('Proof deployment failed:'), error.message);
+  process.exit(exitCodeFor(error));
+});
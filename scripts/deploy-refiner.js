@@ -1,12 +1,36 @@
-const inquirer = require('inquirer');
+const { createPrompt } = require('../lib/prompt');
+const { EXIT_CODES, exitCodeFor } = require('../lib/config');
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 const { execSync } = require('child_process');
-const { createPublicClient, createWalletClient, http } = require('viem');
-const { privateKeyToAccount } = require('viem/accounts');
-const { moksha } = require('viem/chains');
+const { resolveNetwork, getCoreContract, addressUrl, txUrl } = require('../lib/networks');
+const {
+  createReadClient,
+  createClients,
+  checkWalletBalance,
+  classifyChainError,
+  withRetry,
+  sendContractTransaction,
+  isDryRun,
+  dryRunContractTransaction
+} = require('../lib/chain');
+const { SecretVault } = require('../lib/vault');
+const { TransactionJournal, reconcilePendingTransactions, decodeRefinerId } = require('../lib/tx-journal');
+const { reportContractError } = require('../lib/contract-errors');
+const { REFINER_REGISTRY_ABI, writeUiRefinerId } = require('../lib/refiners');
+const { QUERY_ENGINE_ABI } = require('../lib/query-engine');
+const { EnvFile } = require('../lib/env-file');
+const { createStorage, publishFile } = require('../lib/storage');
+const { pushForRelease, waitForRelease } = require('../lib/releases');
+const { ArtifactError, pinArtifact } = require('../lib/artifacts');
 const DeploymentStateManager = require('./state-manager');
+const output = require('../lib/output');
+
+const prompt = createPrompt('refiner');
+// Created before the script changes into refiner/, so they resolve the project root
+const projectRoot = process.cwd();
+const vault = new SecretVault(projectRoot);
 
 // Verify we're in the correct directory
 if (!fs.existsSync(path.join(process.cwd(), 'deployment.json'))) {
@@ -16,51 +40,15 @@ if (!fs.existsSync(path.join(process.cwd(), 'deployment.json'))) {
   process.exit(1);
 }
 
-// QueryEngine contract for getting encryption key (correct contract)
-const QUERY_ENGINE_ADDRESS = '0xd25Eb66EA2452cf3238A2eC6C1FD1B7F5B320490';
-const QUERY_ENGINE_ABI = [
-  {
-    "inputs": [{"internalType": "uint256", "name": "dlpId", "type": "uint256"}],
-    "name": "dlpPubKeys",
-    "outputs": [{"internalType": "string", "name": "", "type": "string"}],
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
-
-// DataRefinerRegistry contract for registering refiners
-const REFINER_REGISTRY_ADDRESS = '0x93c3EF89369fDcf08Be159D9DeF0F18AB6Be008c';
-const REFINER_REGISTRY_ABI = [
-  {
-    "inputs": [
-      {"internalType": "uint256", "name": "dlpId", "type": "uint256"},
-      {"internalType": "string", "name": "name", "type": "string"},
-      {"internalType": "string", "name": "schemaDefinitionUrl", "type": "string"},
-      {"internalType": "string", "name": "refinementInstructionUrl", "type": "string"}
-    ],
-    "name": "addRefiner",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  }
-];
+// Network selected via --network or recorded in deployment.json (set in deployRefiner)
+let network;
 
 /**
  * Update UI .env file with refinerId
  */
 function updateRefinerId(refinerId) {
   try {
-    const uiEnvPath = path.join(process.cwd(), '..', 'ui', '.env');
-    if (fs.existsSync(uiEnvPath)) {
-      let uiEnv = fs.readFileSync(uiEnvPath, 'utf8');
-
-      if (uiEnv.includes('REFINER_ID=')) {
-        uiEnv = uiEnv.replace(/REFINER_ID=.*/, `REFINER_ID=${refinerId}`);
-      } else {
-        uiEnv += `\nREFINER_ID=${refinerId}\n`;
-      }
-
-      fs.writeFileSync(uiEnvPath, uiEnv);
+    if (writeUiRefinerId(refinerId, projectRoot)) {
       console.log(chalk.green('✅ UI configuration updated with refinerId'));
     }
   } catch (error) {
@@ -68,14 +56,40 @@ function updateRefinerId(refinerId) {
   }
 }
 
+/**
+ * Download the refiner release, check it and record its sha256 before it is
+ * registered. When the check fails, the user decides whether to register the
+ * URL anyway.
+ *
+ * @returns {Promise<boolean>} whether to go ahead with the URL
+ */
+async function pinRefinerArtifact(deployment, refinerUrl) {
+  try {
+    await pinArtifact(deployment, 'refiner', refinerUrl);
+    return true;
+  } catch (error) {
+    if (!(error instanceof ArtifactError)) throw error;
+    console.log(chalk.yellow(`⚠️  ${error.message}`));
+    const { useAnyway } = await prompt([
+      {
+        type: 'confirm',
+        name: 'useAnyway',
+        message: 'Register this refiner URL without a recorded hash?',
+        default: false
+      }
+    ]);
+    if (useAnyway && deployment.artifacts) {
+      delete deployment.artifacts.refiner;
+    }
+    return useAnyway;
+  }
+}
+
 /**
  * Poll for encryption key from blockchain with retries
  */
 async function pollEncryptionKey(dlpId, maxAttempts = 60) {
-  const client = createPublicClient({
-    chain: moksha,
-    transport: http('https://rpc.moksha.vana.org')
-  });
+  const client = createReadClient(network);
 
   console.log(chalk.blue(`🔑 Polling for encryption key (dlpId: ${dlpId})...`));
   console.log(chalk.yellow('This usually takes a few minutes after DataDAO registration.'));
@@ -83,7 +97,7 @@ async function pollEncryptionKey(dlpId, maxAttempts = 60) {
   for (let i = 0; i < maxAttempts; i++) {
     try {
       const encryptionKey = await client.readContract({
-        address: QUERY_ENGINE_ADDRESS,
+        address: getCoreContract(network, 'queryEngine'),
         abi: QUERY_ENGINE_ABI,
         functionName: 'dlpPubKeys',
         args: [BigInt(dlpId)]
@@ -115,18 +129,15 @@ async function pollEncryptionKey(dlpId, maxAttempts = 60) {
  * Get encryption key from blockchain (legacy single attempt)
  */
 async function getEncryptionKey(dlpId) {
-  const client = createPublicClient({
-    chain: moksha,
-    transport: http('https://rpc.moksha.vana.org')
-  });
+  const client = createReadClient(network);
 
   try {
-    const encryptionKey = await client.readContract({
-      address: QUERY_ENGINE_ADDRESS,
+    const encryptionKey = await withRetry(() => client.readContract({
+      address: getCoreContract(network, 'queryEngine'),
       abi: QUERY_ENGINE_ABI,
       functionName: 'dlpPubKeys',
       args: [BigInt(dlpId)]
-    });
+    }), { label: 'Encryption key lookup' });
 
     return encryptionKey;
   } catch (error) {
@@ -138,26 +149,19 @@ async function getEncryptionKey(dlpId) {
 /**
  * Register refiner on-chain automatically
  */
-async function registerRefinerOnChain(dlpId, refinerName, schemaUrl, refinerUrl, publicKey, privateKey) {
+async function registerRefinerOnChain(dlpId, refinerName, schemaUrl, refinerUrl, publicKey, privateKey, journal) {
   try {
     console.log(chalk.blue('🔗 Registering refiner on-chain automatically...'));
 
-    // Create wallet client for sending transactions
-    const account = privateKeyToAccount(privateKey);
-    const walletClient = createWalletClient({
-      account,
-      chain: moksha,
-      transport: http('https://rpc.moksha.vana.org')
-    });
+    const { account, publicClient, walletClient } = createClients(network, privateKey);
 
-    // Create public client for reading
-    const publicClient = createPublicClient({
-      chain: moksha,
-      transport: http('https://rpc.moksha.vana.org')
-    });
+    const { sufficient } = await checkWalletBalance(publicClient, account.address, { network });
+    if (sufficient === false) {
+      throw new Error('Insufficient wallet balance to register the refiner');
+    }
 
     console.log(chalk.cyan('📋 Transaction parameters:'));
-    console.log(`  Contract: ${REFINER_REGISTRY_ADDRESS}`);
+    console.log(`  Contract: ${getCoreContract(network, 'dataRefinerRegistry')}`);
     console.log(`  dlpId: ${dlpId}`);
     console.log(`  name: ${refinerName}`);
     console.log(`  schemaDefinitionUrl: ${schemaUrl}`);
@@ -166,64 +170,63 @@ async function registerRefinerOnChain(dlpId, refinerName, schemaUrl, refinerUrl,
 
     // Estimate gas first
     console.log(chalk.blue('⛽ Estimating gas...'));
-    const gasEstimate = await publicClient.estimateContractGas({
-      address: REFINER_REGISTRY_ADDRESS,
+    const gasEstimate = await withRetry(() => publicClient.estimateContractGas({
+      address: getCoreContract(network, 'dataRefinerRegistry'),
       abi: REFINER_REGISTRY_ABI,
       functionName: 'addRefiner',
       args: [BigInt(dlpId), refinerName, schemaUrl, refinerUrl],
       account
-    });
+    }), { label: 'Gas estimation' });
 
     console.log(chalk.cyan(`Estimated gas: ${gasEstimate.toString()}`));
 
     // Send transaction
     console.log(chalk.blue('📤 Sending transaction...'));
-    const hash = await walletClient.writeContract({
-      address: REFINER_REGISTRY_ADDRESS,
+    const { hash, receipt } = await sendContractTransaction({
+      publicClient,
+      walletClient,
+      account,
+      address: getCoreContract(network, 'dataRefinerRegistry'),
       abi: REFINER_REGISTRY_ABI,
       functionName: 'addRefiner',
       args: [BigInt(dlpId), refinerName, schemaUrl, refinerUrl],
-      gas: gasEstimate
+      gas: gasEstimate,
+      journal,
+      purpose: 'addRefiner',
+      context: { dlpId: Number(dlpId) },
+      onSubmitted: (submittedHash) => {
+        console.log(chalk.cyan(`Transaction hash: ${submittedHash}`));
+        console.log(chalk.blue('⏳ Waiting for transaction confirmation...'));
+      }
     });
 
-    console.log(chalk.cyan(`Transaction hash: ${hash}`));
-    console.log(chalk.blue('⏳ Waiting for transaction confirmation...'));
-
-    // Wait for transaction receipt
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    console.log(chalk.green('✅ Transaction confirmed!'));
+    console.log(chalk.cyan(`Block: ${receipt.blockNumber}`));
+    console.log(chalk.cyan(`Gas used: ${receipt.gasUsed}`));
 
-    if (receipt.status === 'success') {
-      console.log(chalk.green('✅ Transaction confirmed!'));
-      console.log(chalk.cyan(`Block: ${receipt.blockNumber}`));
-      console.log(chalk.cyan(`Gas used: ${receipt.gasUsed}`));
+    // Extract refinerId from the RefinerAdded event
+    const refinerId = decodeRefinerId(receipt, getCoreContract(network, 'dataRefinerRegistry'));
 
-      // Extract refinerId from logs
-      const refinerAddedLog = receipt.logs.find(log =>
-        log.address.toLowerCase() === REFINER_REGISTRY_ADDRESS.toLowerCase()
-      );
-
-      if (refinerAddedLog) {
-        // The refinerId is typically the first topic after the event signature
-        // For RefinerAdded(uint256 indexed refinerId, ...)
-        const refinerId = parseInt(refinerAddedLog.topics[1], 16);
-        console.log(chalk.green(`✅ Refiner registered with ID: ${refinerId}`));
-        return refinerId;
-      } else {
-        console.log(chalk.yellow('⚠️  Could not extract refinerId from transaction logs'));
-        console.log(chalk.yellow('You can find it manually at:'));
-        console.log(chalk.cyan(`https://moksha.vanascan.io/tx/${hash}`));
-        return null;
-      }
+    if (refinerId) {
+      output.success(`Refiner registered with ID: ${refinerId}`, { refinerId, txHash: hash });
+      return refinerId;
     } else {
-      throw new Error('Transaction failed');
+      console.log(chalk.yellow('⚠️  Could not extract refinerId from transaction logs'));
+      console.log(chalk.yellow('You can find it manually at:'));
+      console.log(chalk.cyan(txUrl(network, hash)));
+      return null;
     }
 
   } catch (error) {
     console.log(chalk.red('❌ Automatic registration failed:'), error.message);
 
-    if (error.message.includes('insufficient funds')) {
+    const errorKind = classifyChainError(error);
+    if (errorKind === 'funds') {
       console.log(chalk.yellow('💡 Make sure your wallet has enough VANA tokens for gas fees'));
-    } else if (error.message.includes('execution reverted')) {
+    } else if (errorKind === 'timeout' && error.hash) {
+      console.log(chalk.yellow('💡 The transaction may still confirm. Check it before retrying:'));
+      console.log(chalk.cyan(txUrl(network, error.hash)));
+    } else if (errorKind === 'reverted' && !reportContractError(error, console.log)) {
       console.log(chalk.yellow('💡 Transaction was reverted. Possible reasons:'));
       console.log('  • Refiner already exists for this DLP');
       console.log('  • Invalid parameters');
@@ -234,6 +237,35 @@ async function registerRefinerOnChain(dlpId, refinerName, schemaUrl, refinerUrl,
   }
 }
 
+/**
+ * --dry-run: simulate addRefiner without building, uploading, pushing or
+ * changing deployment.json
+ */
+async function dryRunRefiner(deployment) {
+  // Both URLs only exist after the schema upload and the GitHub release
+  const schemaUrl = deployment.schemaUrl || 'ipfs://<schema CID after upload>';
+  const refinerUrl = deployment.refinerUrl || `${deployment.refinerRepo}/releases/download/v1/refiner.tar.gz`;
+  if (!deployment.schemaUrl || !deployment.refinerUrl) {
+    console.log(chalk.yellow('Schema or refiner not published yet; simulating with placeholder URLs.'));
+    console.log();
+  }
+
+  const report = await dryRunContractTransaction({
+    publicClient: createReadClient(network),
+    account: deployment.address,
+    address: getCoreContract(network, 'dataRefinerRegistry'),
+    abi: REFINER_REGISTRY_ABI,
+    functionName: 'addRefiner',
+    args: [BigInt(deployment.dlpId), `${deployment.dlpName} Refiner`, schemaUrl, refinerUrl],
+    label: 'Register the refiner in the data refiner registry'
+  });
+
+  console.log(chalk.blue('🧪 Dry run complete: nothing was uploaded, pushed or broadcast and deployment.json is unchanged.'));
+  if (!report.ok) {
+    process.exitCode = EXIT_CODES.FAILURE;
+  }
+}
+
 /**
  * Deploy Data Refinement component
  */
@@ -253,8 +285,9 @@ async function deployRefiner() {
       process.exit(1);
     }
 
-    // Load deployment information
-    const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
+    // Load deployment information (migrated and schema-checked by the state manager)
+    const deployment = stateManager.getState();
+    network = resolveNetwork(deployment);
 
     if (!deployment.dlpId) {
       const error = new Error('dlpId not found in deployment.json. Run "npm run register:datadao" first.');
@@ -270,6 +303,23 @@ async function deployRefiner() {
       process.exit(1);
     }
 
+    if (isDryRun()) {
+      await dryRunRefiner(deployment);
+      return;
+    }
+
+    // An addRefiner an earlier run broadcast but never saw confirmed is not sent again
+    const recovered = (await reconcilePendingTransactions(stateManager, createReadClient(network)))
+      .find(entry => entry.purpose === 'addRefiner' && entry.result && entry.context.dlpId === Number(deployment.dlpId));
+    if (recovered) {
+      deployment.state.refinerConfigured = true;
+      deployment.state.refinerPublished = true;
+      updateRefinerId(deployment.refinerId);
+      stateManager.saveState(deployment);
+      output.success(`Refiner registration recovered: refinerId ${deployment.refinerId}`, { refinerId: deployment.refinerId, txHash: recovered.hash });
+      return;
+    }
+
     // Get encryption key from blockchain
     console.log(chalk.blue('🔍 Retrieving encryption key from blockchain...'));
     let encryptionKey = await pollEncryptionKey(deployment.dlpId);
@@ -279,12 +329,12 @@ async function deployRefiner() {
       console.log(chalk.yellow('This might be because the registration is still processing.'));
       console.log();
       console.log(chalk.blue('Manual steps to get the encryption key:'));
-      console.log('1. Visit: https://moksha.vanascan.io/address/0xd25Eb66EA2452cf3238A2eC6C1FD1B7F5B320490?tab=read_proxy');
+      console.log('1. Visit: ' + addressUrl(network, getCoreContract(network, 'queryEngine'), '?tab=read_proxy'));
       console.log(`2. Call dlpPubKeys with dlpId: ${deployment.dlpId}`);
       console.log('3. Copy the returned key');
       console.log();
 
-      const { manualKey } = await inquirer.prompt([
+      const { manualKey } = await prompt([
         {
           type: 'input',
           name: 'manualKey',
@@ -299,24 +349,9 @@ async function deployRefiner() {
     }
 
     // Update refiner .env with encryption key
-    const refinerEnvPath = path.join(process.cwd(), 'refiner', '.env');
-    let refinerEnv = '';
-
-    if (fs.existsSync(refinerEnvPath)) {
-      refinerEnv = fs.readFileSync(refinerEnvPath, 'utf8');
-    }
-
-    // Update or add REFINEMENT_ENCRYPTION_KEY
-    if (refinerEnv.includes('REFINEMENT_ENCRYPTION_KEY')) {
-      refinerEnv = refinerEnv.replace(
-        /REFINEMENT_ENCRYPTION_KEY=.*/,
-        `REFINEMENT_ENCRYPTION_KEY=${encryptionKey}`
-      );
-    } else {
-      refinerEnv += `\nREFINEMENT_ENCRYPTION_KEY=${encryptionKey}\n`;
-    }
-
-    fs.writeFileSync(refinerEnvPath, refinerEnv);
+    const refinerEnv = EnvFile.load(path.join(process.cwd(), 'refiner', '.env'));
+    refinerEnv.set('REFINEMENT_ENCRYPTION_KEY', encryptionKey);
+    refinerEnv.save();
     console.log(chalk.green('✅ Refiner .env updated with encryption key'));
 
     // Update schema metadata
@@ -469,7 +504,7 @@ async function deployRefiner() {
     console.log(chalk.blue('📋 Refiner Deployment Options:'));
     console.log();
 
-    const { deploymentChoice } = await inquirer.prompt([
+    const { deploymentChoice } = await prompt([
       {
         type: 'list',
         name: 'deploymentChoice',
@@ -486,39 +521,24 @@ async function deployRefiner() {
       console.log(chalk.blue('🚀 Pushing to GitHub...'));
 
       try {
-        execSync('git push -u origin main', { stdio: 'inherit' });
+        const push = pushForRelease({ stdio: output.childStdio() });
         console.log();
         console.log(chalk.green('✅ Successfully pushed to GitHub!'));
         console.log();
         console.log(chalk.blue('⏳ GitHub Actions is now building your refiner...'));
         console.log(chalk.yellow('This usually takes 2-3 minutes.'));
         console.log();
-        console.log(chalk.yellow('⚠️  IMPORTANT: Wait for the NEW build to complete!'));
-        console.log(chalk.yellow('   Don\'t use an existing/old release - you need the fresh build.'));
-        console.log();
-        console.log(chalk.cyan('📋 Next steps:'));
-        console.log('1. Visit: ' + chalk.yellow(`${deployment.refinerRepo}/releases`));
-        console.log('2. ' + chalk.cyan('WAIT') + ' for a new release to appear (with your latest changes)');
-        console.log();
-        console.log(chalk.gray('💡 Note: If you just created the repository, the build may have already completed automatically.'));
-        console.log();
 
-        // Wait for user confirmation that build is complete
-        const { buildComplete } = await inquirer.prompt([
-          {
-            type: 'confirm',
-            name: 'buildComplete',
-            message: 'Is there a successful build available (either new or existing)?',
-            default: true
-          }
-        ]);
-
-        if (!buildComplete) {
-          console.log(chalk.yellow('Please wait for a build to complete and run this script again.'));
-          return;
+        let release = null;
+        try {
+          release = await waitForRelease(deployment, deployment.refinerRepo, push, { preferredAsset: 'refiner' });
+        } catch (error) {
+          console.log(chalk.yellow('⚠️  Could not detect the new release:', error.message));
+          if (error.hint) console.log(chalk.yellow(`   ${error.hint}`));
+          console.log();
         }
 
-        // Auto-upload schema to IPFS using Pinata
+        // Auto-upload schema to IPFS through the configured storage provider
         console.log(chalk.blue('📤 Uploading schema to IPFS...'));
 
         const schemaPath = path.join(process.cwd(), 'output', 'schema.json');
@@ -526,41 +546,20 @@ async function deployRefiner() {
 
         if (fs.existsSync(schemaPath)) {
           try {
-            // Read Pinata credentials from .env
-            const envPath = path.join(process.cwd(), '.env');
-            const envContent = fs.readFileSync(envPath, 'utf8');
-            const pinataApiKey = envContent.match(/PINATA_API_KEY=(.+)/)?.[1];
-            const pinataApiSecret = envContent.match(/PINATA_API_SECRET=(.+)/)?.[1];
-
-            if (!pinataApiKey || !pinataApiSecret) {
-              throw new Error('Pinata credentials not found in .env. Pinata API key and secret are required for IPFS uploads.');
-            }
-
-            // Upload to Pinata using curl (simple approach)
-            const uploadCmd = `curl -X POST "https://api.pinata.cloud/pinning/pinFileToIPFS" \
-              -H "pinata_api_key: ${pinataApiKey}" \
-              -H "pinata_secret_api_key: ${pinataApiSecret}" \
-              -F "file=@${schemaPath}" \
-              -F 'pinataMetadata={"name":"${deployment.dlpName}-schema.json"}'`;
-
-            const result = execSync(uploadCmd, { encoding: 'utf8' });
-            const response = JSON.parse(result);
-
-            if (response.IpfsHash) {
-              schemaUrl = `https://gateway.pinata.cloud/ipfs/${response.IpfsHash}`;
-              console.log(chalk.green('✅ Schema uploaded to IPFS successfully!'));
-              console.log(chalk.cyan('Schema URL:'), schemaUrl);
-            } else {
-              throw new Error('Failed to get IPFS hash from Pinata response');
-            }
+            const storage = await createStorage(deployment, vault, projectRoot);
+            const stored = await publishFile(storage, schemaPath, { name: `${deployment.dlpName}-schema.json` });
+            schemaUrl = stored.url;
+            console.log(chalk.green('✅ Schema uploaded to IPFS successfully!'));
+            console.log(chalk.cyan('Schema URL:'), schemaUrl);
           } catch (error) {
             console.log(chalk.yellow('⚠️  Automatic IPFS upload failed:', error.message));
+            if (error.hint) console.log(chalk.yellow(`   ${error.hint}`));
             console.log(chalk.yellow('Please upload schema.json manually to Pinata:'));
             console.log(chalk.cyan('1. Go to https://pinata.cloud'));
             console.log(chalk.cyan('2. Upload the file: output/schema.json'));
             console.log(chalk.cyan('3. Copy the IPFS URL'));
 
-            const { manualSchemaUrl } = await inquirer.prompt([
+            const { manualSchemaUrl } = await prompt([
               {
                 type: 'input',
                 name: 'manualSchemaUrl',
@@ -572,7 +571,7 @@ async function deployRefiner() {
           }
         } else {
           console.log(chalk.yellow('⚠️  Schema file not found locally.'));
-          const { manualSchemaUrl } = await inquirer.prompt([
+          const { manualSchemaUrl } = await prompt([
             {
               type: 'input',
               name: 'manualSchemaUrl',
@@ -583,24 +582,35 @@ async function deployRefiner() {
           schemaUrl = manualSchemaUrl;
         }
 
-        // Get refiner artifact URL from GitHub Releases
-        console.log();
-        console.log(chalk.blue('📋 Get the refiner artifact:'));
-        console.log('1. Visit: ' + chalk.yellow(`${deployment.refinerRepo}/releases`));
-        console.log('2. Copy the .tar.gz download URL');
-
-        const { refinerUrl } = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'refinerUrl',
-            message: 'Enter the .tar.gz URL from GitHub Releases:',
-            validate: (input) => {
-              if (input.trim() === '') return 'Refiner URL is required';
-              if (!input.includes('.tar.gz')) return 'URL must point to a .tar.gz file';
-              return true;
+        let refinerUrl = release && release.url;
+        if (refinerUrl) {
+          console.log(chalk.cyan('Refiner URL:'), refinerUrl);
+        } else {
+          // Get refiner artifact URL from GitHub Releases
+          console.log();
+          console.log(chalk.blue('📋 Get the refiner artifact:'));
+          console.log('1. Visit: ' + chalk.yellow(`${deployment.refinerRepo}/releases`));
+          console.log('2. ' + chalk.cyan('WAIT') + ` for a release built from ${push.commit.slice(0, 7)} (not an older one)`);
+          console.log('3. Copy its .tar.gz download URL');
+
+          ({ refinerUrl } = await prompt([
+            {
+              type: 'input',
+              name: 'refinerUrl',
+              message: 'Enter the .tar.gz URL from GitHub Releases:',
+              validate: (input) => {
+                if (input.trim() === '') return 'Refiner URL is required';
+                if (!input.includes('.tar.gz')) return 'URL must point to a .tar.gz file';
+                return true;
+              }
             }
-          }
-        ]);
+          ]));
+        }
+
+        if (!(await pinRefinerArtifact(deployment, refinerUrl))) {
+          console.log(chalk.yellow('Nothing registered. Publish a working refiner release and run this script again.'));
+          return;
+        }
 
         // Save URLs
         deployment.schemaUrl = schemaUrl;
@@ -611,36 +621,19 @@ async function deployRefiner() {
         console.log(chalk.blue('📋 Registering refiner on-chain...'));
 
         try {
-          // Get the private key from contracts/.env
-          const contractsEnvPath = path.join(process.cwd(), '..', 'contracts', '.env');
-
-          if (!fs.existsSync(contractsEnvPath)) {
-            throw new Error('contracts/.env file not found');
-          }
-
-          const contractsEnv = fs.readFileSync(contractsEnvPath, 'utf8');
-          const privateKeyMatch = contractsEnv.match(/DEPLOYER_PRIVATE_KEY=(.+)/);
-
-          if (!privateKeyMatch) {
-            throw new Error('DEPLOYER_PRIVATE_KEY not found in contracts/.env');
-          }
+          const privateKey = await vault.require('privateKey');
 
-          const privateKey = privateKeyMatch[1].trim();
-
-          // Get deployment info for other parameters
-          const innerDeploymentPath = path.join(process.cwd(), '..', 'deployment.json');
-          const innerDeployment = JSON.parse(fs.readFileSync(innerDeploymentPath, 'utf8'));
-
-          const refinerName = `${innerDeployment.dlpName} Refiner`;
+          const refinerName = `${deployment.dlpName} Refiner`;
 
           // Try automatic registration first
           const refinerId = await registerRefinerOnChain(
-            innerDeployment.dlpId,
+            deployment.dlpId,
             refinerName,
             schemaUrl,
             refinerUrl,
             encryptionKey,
-            privateKey
+            privateKey,
+            new TransactionJournal(stateManager)
           );
 
           if (refinerId) {
@@ -656,12 +649,12 @@ async function deployRefiner() {
             console.log(chalk.yellow('Please complete the registration manually:'));
             console.log();
             console.log(chalk.cyan('1. Visit the DataRefinerRegistryImplementation contract:'));
-            console.log(`   https://moksha.vanascan.io/address/${REFINER_REGISTRY_ADDRESS}?tab=read_write_proxy`);
+            console.log(`   ${addressUrl(network, getCoreContract(network, 'dataRefinerRegistry'), '?tab=read_write_proxy')}`);
             console.log();
             console.log(chalk.cyan('2. Find the "addRefiner" method'));
             console.log();
             console.log(chalk.cyan('3. Fill in the parameters:'));
-            console.log(`   dlpId: ${innerDeployment.dlpId}`);
+            console.log(`   dlpId: ${deployment.dlpId}`);
             console.log(`   name: ${refinerName}`);
             console.log(`   schemaDefinitionUrl: ${schemaUrl}`);
             console.log(`   refinementInstructionUrl: ${refinerUrl}`);
@@ -669,14 +662,14 @@ async function deployRefiner() {
             console.log(chalk.cyan('4. Connect your wallet and submit the transaction'));
             console.log();
 
-            const { manualRefinerId } = await inquirer.prompt([
+            const { manualRefinerId } = await prompt([
               {
                 type: 'input',
                 name: 'manualRefinerId',
                 message: 'Enter the refinerId from the transaction logs:',
                 validate: (input) => {
                   const num = parseInt(input);
-                  if (isNaN(num) || num < 0) return 'Please enter a valid refinerId number';
+                  if (isNaN(num) || num < 1) return 'Please enter a valid refinerId number';
                   return true;
                 }
               }
@@ -693,7 +686,7 @@ async function deployRefiner() {
           console.log(chalk.yellow('⚠️  Automatic refiner registration failed:', error.message));
           console.log(chalk.yellow('You can complete this step manually later.'));
 
-          const { skipRegistration } = await inquirer.prompt([
+          const { skipRegistration } = await prompt([
             {
               type: 'confirm',
               name: 'skipRegistration',
@@ -739,7 +732,7 @@ async function deployRefiner() {
       console.log(chalk.yellow('5. Register the refiner on-chain'));
       console.log();
 
-      const { schemaUrl, refinerUrl } = await inquirer.prompt([
+      const { schemaUrl, refinerUrl } = await prompt([
         {
           type: 'input',
           name: 'schemaUrl',
@@ -754,6 +747,11 @@ async function deployRefiner() {
         }
       ]);
 
+      if (!(await pinRefinerArtifact(deployment, refinerUrl))) {
+        console.log(chalk.yellow('Nothing registered. Publish a working refiner release and run this script again.'));
+        return;
+      }
+
       deployment.schemaUrl = schemaUrl;
       deployment.refinerUrl = refinerUrl;
 
@@ -763,9 +761,7 @@ async function deployRefiner() {
 
       try {
         // Read the encryption key from .env for registration
-        const envPath = path.join(process.cwd(), '.env');
-        const envContent = fs.readFileSync(envPath, 'utf8');
-        const encryptionKey = envContent.match(/REFINEMENT_ENCRYPTION_KEY=(.+)/)?.[1];
+        const encryptionKey = EnvFile.load(path.join(process.cwd(), '.env')).get('REFINEMENT_ENCRYPTION_KEY');
 
         if (!encryptionKey) {
           throw new Error('Encryption key not found in .env file');
@@ -781,7 +777,7 @@ async function deployRefiner() {
         console.log(chalk.yellow('⚠️  On-chain registration requires manual completion via Vanascan:'));
         console.log();
         console.log(chalk.cyan('1. Visit the DataRefinerRegistryImplementation contract:'));
-        console.log(`   https://moksha.vanascan.io/address/${REFINER_REGISTRY_ADDRESS}?tab=read_write_proxy`);
+        console.log(`   ${addressUrl(network, getCoreContract(network, 'dataRefinerRegistry'), '?tab=read_write_proxy')}`);
         console.log();
         console.log(chalk.cyan('2. Find the "addRefiner" method'));
         console.log();
@@ -801,7 +797,7 @@ async function deployRefiner() {
         console.log(chalk.blue('🔍 Attempting to automatically detect refinerId...'));
         console.log(chalk.yellow('Please submit the transaction in Vanascan, then press Enter to continue.'));
 
-        await inquirer.prompt([
+        await prompt([
           {
             type: 'input',
             name: 'continue',
@@ -832,14 +828,14 @@ async function deployRefiner() {
 
         if (!refinerId) {
           console.log(chalk.yellow('🔧 Please enter the refinerId manually:'));
-          const { manualRefinerId } = await inquirer.prompt([
+          const { manualRefinerId } = await prompt([
             {
               type: 'input',
               name: 'manualRefinerId',
               message: 'Enter the refinerId from the transaction logs:',
               validate: (input) => {
                 const num = parseInt(input);
-                if (isNaN(num) || num < 0) return 'Please enter a valid refinerId number';
+                if (isNaN(num) || num < 1) return 'Please enter a valid refinerId number';
                 return true;
               }
             }
@@ -857,7 +853,7 @@ async function deployRefiner() {
         console.log(chalk.yellow('⚠️  Automatic refiner registration failed:', error.message));
         console.log(chalk.yellow('You can complete this step manually later.'));
 
-        const { skipRegistration } = await inquirer.prompt([
+        const { skipRegistration } = await prompt([
           {
             type: 'confirm',
             name: 'skipRegistration',
@@ -886,8 +882,7 @@ async function deployRefiner() {
 
       // Go back to project root
       process.chdir('..');
-      const skipDeploymentPath = path.join(process.cwd(), 'deployment.json');
-      fs.writeFileSync(skipDeploymentPath, JSON.stringify(deployment, null, 2));
+      stateManager.saveState(deployment);
       return;
     }
 
@@ -895,9 +890,14 @@ async function deployRefiner() {
     process.chdir('..');
 
     // Update deployment.json
-    const finalDeploymentPath = path.join(process.cwd(), 'deployment.json');
-    fs.writeFileSync(finalDeploymentPath, JSON.stringify(deployment, null, 2));
+    stateManager.saveState(deployment);
 
+    output.event('success', {
+      message: 'Data Refiner configured successfully',
+      refinerId: deployment.refinerId,
+      schemaUrl: deployment.schemaUrl,
+      refinerUrl: deployment.refinerUrl
+    });
     console.log();
     console.log(chalk.green('🎉 Data Refiner configured successfully!'));
     console.log();
@@ -912,9 +912,13 @@ async function deployRefiner() {
     
     console.log();
     console.log(chalk.yellow('💡 This error has been recorded. Run "npm run status" to see recovery options.'));
-    process.exit(1);
+    process.exit(exitCodeFor(error));
   }
 }
 
-// Run the deployment
-deployRefiner();
\ No newline at end of file
+// Run the deployment; errors thrown before the step starts (e.g. an invalid deployment.json) land here
+deployRefiner().catch(error => {
+  output.event('error', { message: error.message, exitCode: exitCodeFor(error) });
+  console.error(chalk.red('Refiner deployment failed:'), error.message);
+  process.exit(exitCodeFor(error));
+});
\ No newline at end of file
@@ -10,19 +10,25 @@ if (!fs.existsSync(path.join(process.cwd(), 'deployment.json'))) {
   process.exit(1);
 }
 
-const inquirer = require('inquirer');
 const DeploymentStateManager = require('./state-manager');
+const output = require('../lib/output');
+const { resolveNetwork, getCoreContract, addressUrl } = require('../lib/networks');
+const { exitCodeFor } = require('../lib/config');
+const { EnvFile } = require('../lib/env-file');
+const { DEFAULT_REFINEMENT_ENDPOINT } = require('../lib/env-components');
 
 /**
  * Deploy UI Configuration
  */
 async function deployUI() {
   console.log(chalk.blue('Configuring DataDAO UI...'));
+  let stateManager;
 
   try {
     // Initialize state manager
-    const stateManager = new DeploymentStateManager();
+    stateManager = new DeploymentStateManager();
     const deployment = stateManager.getState();
+    const network = resolveNetwork(deployment);
 
     // Show current progress
     stateManager.showProgress();
@@ -43,7 +49,7 @@ async function deployUI() {
         console.log();
         console.log(chalk.cyan('Option 2: Manual registration'));
         console.log('  1. Visit the DataRefinerRegistryImplementation contract:');
-        console.log(`     https://moksha.vanascan.io/address/0x93c3EF89369fDcf08Be159D9DeF0F18AB6Be008c?tab=read_write_proxy&source_address=0xf2D607F416a0B367bd3084e83567B3325bD157B5#0x4bb01bbd`);
+        console.log(`     ${addressUrl(network, getCoreContract(network, 'dataRefinerRegistry'), '?tab=read_write_proxy')}`);
         console.log('  2. Find the "addRefiner" method');
         console.log('  3. Use the parameters from your refiner deployment');
         console.log('  4. Get the refinerId from the transaction logs');
@@ -66,78 +72,72 @@ async function deployUI() {
 
     console.log(chalk.blue('📝 Configuring UI environment...'));
 
-    // Read current UI .env
+    // Update ui/.env in place, keeping anything the user added
     const uiEnvPath = path.join(process.cwd(), 'ui', '.env');
-    let uiEnv = '';
-
-    if (fs.existsSync(uiEnvPath)) {
-      uiEnv = fs.readFileSync(uiEnvPath, 'utf8');
-    }
-
-    // Helper function to update or add env variable
-    const updateEnvVar = (envContent, key, value) => {
-      const regex = new RegExp(`^${key}=.*$`, 'm');
-      if (regex.test(envContent)) {
-        return envContent.replace(regex, `${key}=${value}`);
-      } else {
-        return envContent + `\n${key}=${value}`;
-      }
-    };
+    const uiEnv = EnvFile.load(uiEnvPath);
 
     // Update all required environment variables
-    uiEnv = updateEnvVar(uiEnv, 'REFINER_ID', deployment.refinerId);
-    uiEnv = updateEnvVar(uiEnv, 'NEXT_PUBLIC_PROOF_URL', deployment.proofUrl);
+    uiEnv.set('REFINER_ID', deployment.refinerId);
+    uiEnv.set('NEXT_PUBLIC_PROOF_URL', deployment.proofUrl);
 
     // Generate NEXTAUTH_SECRET if not present
-    if (!uiEnv.includes('NEXTAUTH_SECRET=')) {
+    if (!uiEnv.get('NEXTAUTH_SECRET')) {
       const crypto = require('crypto');
       const nextAuthSecret = crypto.randomBytes(32).toString('hex');
-      uiEnv = updateEnvVar(uiEnv, 'NEXTAUTH_SECRET', nextAuthSecret);
+      uiEnv.set('NEXTAUTH_SECRET', nextAuthSecret);
       console.log(chalk.green('✓ Generated NEXTAUTH_SECRET for session encryption'));
     }
 
     // Add NEXTAUTH_URL for proper OAuth configuration
-    uiEnv = updateEnvVar(uiEnv, 'NEXTAUTH_URL', 'http://localhost:3000');
+    uiEnv.set('NEXTAUTH_URL', 'http://localhost:3000');
 
     // Add contract addresses if available
-    if (deployment.proxyAddress) {
-      uiEnv = updateEnvVar(uiEnv, 'NEXT_PUBLIC_DLP_CONTRACT_ADDRESS', deployment.proxyAddress);
+    const contracts = deployment.contracts || {};
+    if (contracts.proxyAddress) {
+      uiEnv.set('NEXT_PUBLIC_DLP_CONTRACT_ADDRESS', contracts.proxyAddress);
     }
-    if (deployment.tokenAddress) {
-      uiEnv = updateEnvVar(uiEnv, 'NEXT_PUBLIC_TOKEN_CONTRACT_ADDRESS', deployment.tokenAddress);
+    if (contracts.tokenAddress) {
+      uiEnv.set('NEXT_PUBLIC_TOKEN_CONTRACT_ADDRESS', contracts.tokenAddress);
     }
     if (deployment.dlpId) {
-      uiEnv = updateEnvVar(uiEnv, 'NEXT_PUBLIC_DLP_ID', deployment.dlpId);
+      uiEnv.set('NEXT_PUBLIC_DLP_ID', deployment.dlpId);
+    }
+
+    // Add network configuration (read by ui/contracts/chains.ts and addresses.ts)
+    uiEnv.set('NEXT_PUBLIC_RPC_URL', network.rpcUrl);
+    uiEnv.set('NEXT_PUBLIC_CHAIN_ID', network.chainId);
+    if (network.contracts.dataRegistry) {
+      uiEnv.set('NEXT_PUBLIC_DATA_REGISTRY_ADDRESS', network.contracts.dataRegistry);
+    }
+    if (network.contracts.teePool) {
+      uiEnv.set('NEXT_PUBLIC_TEE_POOL_ADDRESS', network.contracts.teePool);
     }
 
-    // Add network configuration
-    uiEnv = updateEnvVar(uiEnv, 'NEXT_PUBLIC_NETWORK_RPC_URL', 'https://rpc.moksha.vana.org');
-    uiEnv = updateEnvVar(uiEnv, 'NEXT_PUBLIC_NETWORK_CHAIN_ID', '14800');
+    // The UI server reads these secrets at runtime, so they are copied out of the vault
+    const { vault } = stateManager;
 
     // Add Pinata credentials (required)
-    if (!deployment.pinataApiKey || !deployment.pinataApiSecret) {
-      throw new Error('Missing required Pinata credentials in deployment.json. Pinata API key and secret are required for IPFS functionality.');
-    }
-    uiEnv = updateEnvVar(uiEnv, 'PINATA_API_KEY', deployment.pinataApiKey);
-    uiEnv = updateEnvVar(uiEnv, 'PINATA_API_SECRET', deployment.pinataApiSecret);
+    uiEnv.set('PINATA_API_KEY', await vault.require('pinataApiKey'));
+    uiEnv.set('PINATA_API_SECRET', await vault.require('pinataApiSecret'));
 
     // Add Google OAuth credentials (required)
-    if (!deployment.googleClientId || !deployment.googleClientSecret) {
-      throw new Error('Missing required Google OAuth credentials in deployment.json. Google Client ID and secret are required for user authentication.');
+    if (!deployment.googleClientId) {
+      throw new Error('Missing required Google Client ID in deployment.json. It is required for user authentication.');
     }
-    uiEnv = updateEnvVar(uiEnv, 'GOOGLE_CLIENT_ID', deployment.googleClientId);
-    uiEnv = updateEnvVar(uiEnv, 'GOOGLE_CLIENT_SECRET', deployment.googleClientSecret);
+    uiEnv.set('GOOGLE_CLIENT_ID', deployment.googleClientId);
+    uiEnv.set('GOOGLE_CLIENT_SECRET', await vault.require('googleClientSecret'));
 
     // Add refinement endpoint (hardcoded for now - single server instance)
-    uiEnv = updateEnvVar(uiEnv, 'REFINEMENT_ENDPOINT', 'https://a7df0ae43df690b889c1201546d7058ceb04d21b-8000.dstack-prod5.phala.network');
+    uiEnv.set('REFINEMENT_ENDPOINT', DEFAULT_REFINEMENT_ENDPOINT);
 
-    // Write updated .env file
-    fs.writeFileSync(uiEnvPath, uiEnv.trim() + '\n');
+    // Write updated .env file (owner-only, it holds secrets)
+    uiEnv.save({ mode: 0o600 });
     console.log(chalk.green('✓ UI environment configured'));
 
     // Mark UI as configured
     stateManager.markCompleted('uiConfigured');
 
+    output.event('success', { message: 'DataDAO UI configuration completed', uiEnv: uiEnvPath });
     console.log(chalk.green('🎉 DataDAO UI configuration completed!'));
     console.log();
     console.log(chalk.blue('🚀 Your DataDAO is now ready!'));
@@ -150,23 +150,25 @@ async function deployUI() {
     console.log(chalk.blue('Then visit: ') + chalk.cyan('http://localhost:3000'));
     console.log();
     console.log(chalk.blue('📋 Summary of your DataDAO:'));
+    console.log(chalk.cyan('  Network:'), network.label);
     console.log(chalk.cyan('  DLP Name:'), deployment.dlpName);
     console.log(chalk.cyan('  Token:'), `${deployment.tokenName} (${deployment.tokenSymbol})`);
     console.log(chalk.cyan('  DLP ID:'), deployment.dlpId);
     console.log(chalk.cyan('  Refiner ID:'), deployment.refinerId);
-    console.log(chalk.cyan('  Contract:'), deployment.proxyAddress);
-    console.log(chalk.cyan('  Token Contract:'), deployment.tokenAddress);
+    console.log(chalk.cyan('  Contract:'), contracts.proxyAddress);
+    console.log(chalk.cyan('  Token Contract:'), contracts.tokenAddress);
 
   } catch (error) {
+    output.event('error', { message: error.message, exitCode: exitCodeFor(error) });
     console.error(chalk.red('UI configuration failed:'), error.message);
     
-    // Record the error in state for recovery suggestions
-    const stateManager = new DeploymentStateManager();
-    stateManager.recordError('uiConfigured', error);
-    
-    console.log();
-    console.log(chalk.yellow('💡 This error has been recorded. Run "npm run status" to see recovery options.'));
-    process.exit(1);
+    // Record the error in state for recovery suggestions (not possible if deployment.json itself is invalid)
+    if (stateManager) {
+      stateManager.recordError('uiConfigured', error);
+      console.log();
+      console.log(chalk.yellow('💡 This error has been recorded. Run "npm run status" to see recovery options.'));
+    }
+    process.exit(exitCodeFor(error));
   }
 }
 
@@ -1,8 +1,30 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { execSync } = require('child_process');
 const chalk = require('chalk');
-const inquirer = require('inquirer');
+const { ConfigError, getRunConfig, exitCodeFor } = require('../lib/config');
+const { getRequestedNetwork } = require('../lib/networks');
+const { SecretVault } = require('../lib/vault');
+const DeploymentStateManager = require('./state-manager');
+const { acquireStateLock } = require('../lib/state-file');
+const { loadStepGraph, runStep, runPipeline } = require('../lib/steps');
+const output = require('../lib/output');
+
+/**
+ * What a finished (or partial) deployment produced, for the JSON summary event
+ */
+function deploymentResults(deployment) {
+  return {
+    network: deployment.network,
+    dlpName: deployment.dlpName,
+    contracts: deployment.contracts,
+    dlpId: deployment.dlpId,
+    proofUrl: deployment.proofUrl,
+    refinerId: deployment.refinerId,
+    schemaUrl: deployment.schemaUrl,
+    refinerUrl: deployment.refinerUrl,
+    state: deployment.state
+  };
+}
 
 /**
  * Main deployment orchestrator - follows tutorial order
@@ -14,205 +36,68 @@ async function deployAll() {
   console.log();
 
   try {
-    // Load deployment state
-    const deploymentPath = path.join(process.cwd(), 'deployment.json');
-    let deployment = {};
+    const { nonInteractive, configPath } = getRunConfig();
 
-    if (fs.existsSync(deploymentPath)) {
-      deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
+    // Step scripts are spawned through npm, so pass --network down via the environment
+    const requestedNetwork = getRequestedNetwork();
+    if (requestedNetwork) {
+      process.env.STREAMINT_NETWORK = requestedNetwork;
     }
 
-    const state = deployment.state || {};
-
-    // Show current progress
-    console.log(chalk.blue('📊 Current Progress:'));
-    console.log(`  ${state.contractsDeployed ? '✅' : '⏸️'} Smart contracts deployed`);
-    console.log(`  ${state.dataDAORegistered ? '✅' : '⏸️'} DataDAO registered`);
-    console.log(`  ${state.proofGitSetup ? '✅' : '⏸️'} GitHub repositories setup`);
-    console.log(`  ${state.proofConfigured ? '✅' : '⏸️'} Proof of contribution configured`);
-    console.log(`  ${state.refinerConfigured ? '✅' : '⏸️'} Data refiner configured`);
-    console.log(`  ${state.uiConfigured ? '✅' : '⏸️'} UI configured`);
-    console.log();
-
-    // Step 1: Deploy Contracts (if not done)
-    if (!state.contractsDeployed) {
-      console.log(chalk.blue('📋 Step 1: Deploy Smart Contracts'));
+    if (nonInteractive) {
+      console.log(chalk.blue(`🤖 Running unattended${configPath ? ` with ${configPath}` : ''}`));
       console.log();
-
-      const { deployContracts } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'deployContracts',
-          message: 'Deploy smart contracts now?',
-          default: true
-        }
-      ]);
-
-      if (deployContracts) {
-        console.log(chalk.blue('Running contract deployment...'));
-        execSync('npm run deploy:contracts', { stdio: 'inherit' });
-        console.log();
-      } else {
-        console.log(chalk.yellow('Skipping contract deployment. Run manually: npm run deploy:contracts'));
-        return;
-      }
-    } else {
-      console.log(chalk.green('✅ Step 1: Smart contracts already deployed'));
     }
 
-    // Reload state after contracts
-    if (fs.existsSync(deploymentPath)) {
-      deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-    }
+    // Load deployment state
+    const deploymentPath = path.join(process.cwd(), 'deployment.json');
 
-    // Step 2: Register DataDAO (if not done)
-    if (!deployment.state?.dataDAORegistered) {
-      console.log(chalk.blue('📋 Step 2: Register DataDAO'));
-      console.log();
+    // Hold the state lock for the whole pipeline; the steps spawned below share it
+    acquireStateLock(deploymentPath);
 
-      const { registerDataDAO } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'registerDataDAO',
-          message: 'Register DataDAO now?',
-          default: true
-        }
-      ]);
-
-      if (registerDataDAO) {
-        console.log(chalk.blue('Running DataDAO registration...'));
-        execSync('npm run register:datadao', { stdio: 'inherit' });
-        console.log();
-      } else {
-        console.log(chalk.yellow('Skipping DataDAO registration. Run manually: npm run register:datadao'));
-        return;
-      }
-    } else {
-      console.log(chalk.green('✅ Step 2: DataDAO already registered'));
+    // Unattended runs start from scratch by running setup with the same config
+    if (!fs.existsSync(deploymentPath) && nonInteractive) {
+      console.log(chalk.blue('📋 Step 0: Project Setup'));
+      await runStep({ id: 'setup', script: 'setup' }, { nonInteractive });
+      console.log();
     }
 
-    // Reload state after registration
-    if (fs.existsSync(deploymentPath)) {
-      deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
+    if (!fs.existsSync(deploymentPath)) {
+      throw new ConfigError('deployment.json not found. Run npm run setup first.');
     }
+    let deployment = new DeploymentStateManager().getState();
+    const graph = loadStepGraph();
 
-    // Step 3: Configure Proof (follows tutorial order)
-    if (!deployment.state?.proofConfigured) {
-      console.log(chalk.blue('📋 Step 3: Configure Proof of Contribution'));
-      console.log();
-      console.log(chalk.yellow('⚠️  This requires GitHub repositories to be set up first.'));
-      console.log('If you haven\'t forked the repositories yet, please do so before continuing.');
-      console.log();
-
-      const { deployProof } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'deployProof',
-          message: 'Configure proof of contribution now?',
-          default: true
-        }
-      ]);
-
-      if (deployProof) {
-        console.log(chalk.blue('Running proof configuration...'));
-        execSync('npm run deploy:proof', { stdio: 'inherit' });
-        console.log();
-      } else {
-        console.log(chalk.yellow('Skipping proof configuration. Run manually: npm run deploy:proof'));
-        console.log(chalk.yellow('Note: This is required for data validation.'));
-        return;
-      }
-    } else {
-      console.log(chalk.green('✅ Step 3: Proof of contribution already configured'));
-    }
+    // Show current progress
+    console.log(chalk.blue('📊 Current Progress:'));
+    graph.steps.forEach(step => {
+      console.log(`  ${graph.isComplete(step, deployment) ? '✅' : '⏸️'} ${step.title}`);
+    });
+    console.log();
 
-    // Step 4: Configure Refiner (follows tutorial order)
-    if (!deployment.state?.refinerConfigured) {
-      console.log(chalk.blue('📋 Step 4: Configure Data Refiner'));
+    // Unlock the secret vault once up front; step scripts inherit the passphrase
+    const vault = new SecretVault();
+    if (vault.exists() && !graph.steps.every(step => graph.isComplete(step, deployment))) {
+      await vault.unlock();
       console.log();
-      console.log('This structures contributed data into queryable databases.');
-      console.log(chalk.yellow('⚠️  Requires GitHub repositories to be set up first.'));
-
-      if (!deployment.state?.refinerGitSetup) {
-        console.log(chalk.red('⚠️  GitHub setup required first. Please complete Step 1.'));
-        console.log();
-      }
-
-      const { deployRefiner } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'deployRefiner',
-          message: deployment.state?.refinerGitSetup ? 'Configure data refiner now?' : 'Skip refiner configuration (requires GitHub setup)?',
-          default: deployment.state?.refinerGitSetup || false
-        }
-      ]);
-
-      if (deployRefiner && deployment.state?.refinerGitSetup) {
-        console.log();
-        console.log(chalk.blue('🔧 Configuring data refiner...'));
-        try {
-          execSync('npm run deploy:refiner', { stdio: 'inherit' });
-          console.log();
-          console.log(chalk.green('✅ Data refiner configured successfully!'));
-        } catch (error) {
-          console.log();
-          console.log(chalk.red('❌ Refiner configuration failed'));
-          console.log(chalk.yellow('You can try again later with: npm run deploy:refiner'));
-          console.log();
-        }
-      } else {
-        console.log();
-        console.log(chalk.yellow('⏸️  Skipping refiner configuration for now.'));
-        if (!deployment.state?.refinerGitSetup) {
-          console.log('Complete GitHub setup first, then run: ' + chalk.cyan('npm run deploy:refiner'));
-        } else {
-          console.log('You can configure later with: ' + chalk.cyan('npm run deploy:refiner'));
-        }
-        console.log();
-      }
-    } else {
-      console.log(chalk.green('✅ Step 4: Data refiner already configured'));
     }
 
-    // Step 5: Configure UI (follows tutorial order)
-    if (!deployment.state?.uiConfigured) {
-      console.log(chalk.blue('📋 Step 5: Configure UI'));
-      console.log();
-      console.log('This sets up the user interface for data contributions.');
-
-      const { deployUI } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'deployUI',
-          message: 'Configure UI now?',
-          default: true
-        }
-      ]);
-
-      if (deployUI) {
-        console.log();
-        console.log(chalk.blue('🎨 Configuring UI...'));
-        try {
-          execSync('npm run deploy:ui', { stdio: 'inherit' });
-          console.log();
-          console.log(chalk.green('✅ UI configured successfully!'));
-        } catch (error) {
-          console.log();
-          console.log(chalk.red('❌ UI configuration failed'));
-          console.log(chalk.yellow('You can try again later with: npm run deploy:ui'));
-          console.log();
-        }
-      } else {
-        console.log();
-        console.log(chalk.yellow('⏸️  Skipping UI configuration for now.'));
-        console.log('You can configure later with: ' + chalk.cyan('npm run deploy:ui'));
-        console.log();
-      }
-    } else {
-      console.log(chalk.green('✅ Step 5: UI already configured'));
-    }
+    // Each step reloads deployment.json, which the previous step's script updated
+    const finished = await runPipeline(graph, {
+      openState: () => new DeploymentStateManager(),
+      confirm: true,
+      nonInteractive
+    });
+    console.log();
 
     // Final status
+    deployment = new DeploymentStateManager().getState();
+    output.event('summary', { title: 'Deployment', ...deploymentResults(deployment) });
+    if (!finished) {
+      output.info('Some steps are still pending. Resume with: npm run deploy');
+      return;
+    }
+
     console.log(chalk.green('🎉 DataDAO deployment completed!'));
     console.log();
     console.log(chalk.blue('🎯 Your DataDAO is ready to use:'));
@@ -226,6 +111,7 @@ async function deployAll() {
     console.log('  • Deploy to production when ready');
 
   } catch (error) {
+    output.event('error', { message: error.message, exitCode: exitCodeFor(error) });
     console.error(chalk.red('Deployment failed:'), error.message);
     console.log();
     console.log(chalk.yellow('You can resume deployment by running:'));
@@ -233,12 +119,13 @@ async function deployAll() {
     console.log('  • ' + chalk.cyan('npm run deploy') + ' - Resume deployment');
     console.log();
     console.log(chalk.yellow('Or run individual steps:'));
-    console.log('  • ' + chalk.cyan('npm run deploy:contracts') + ' - Deploy contracts');
-    console.log('  • ' + chalk.cyan('npm run register:datadao') + ' - Register DataDAO');
-    console.log('  • ' + chalk.cyan('npm run deploy:proof') + ' - Configure proof');
-    console.log('  • ' + chalk.cyan('npm run deploy:refiner') + ' - Configure refiner');
-    console.log('  • ' + chalk.cyan('npm run deploy:ui') + ' - Configure UI');
-    process.exit(1);
+    try {
+      const graph = loadStepGraph();
+      graph.steps.forEach(step => console.log('  • ' + chalk.cyan(graph.commandFor(step)) + ` - ${step.action || step.title}`));
+    } catch (graphError) {
+      // The error above may be a broken streamint.steps.js
+    }
+    process.exit(exitCodeFor(error));
   }
 }
 
@@ -0,0 +1,353 @@
+const { execSync, spawn } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { createPrompt } = require('../lib/prompt');
+const { ConfigError, getRunConfig, getConfigValue, exitCodeFor } = require('../lib/config');
+const { resolveNetwork } = require('../lib/networks');
+const { createReadClient, createClients, sendContractTransaction } = require('../lib/chain');
+const { SecretVault, childScriptEnv } = require('../lib/vault');
+const { walletFromPrivateKey } = require('../lib/wallet');
+const { validateDlpName, validateTokenName, validateTokenSymbol } = require('../lib/preflight');
+const { CORE_DEPLOYMENTS, DeploymentArtifactError, readCoreDeployments } = require('../lib/hardhat-deployments');
+const { createStorage, publishFile } = require('../lib/storage');
+const { TransactionJournal } = require('../lib/tx-journal');
+const { reportContractError } = require('../lib/contract-errors');
+const { EnvFile } = require('../lib/env-file');
+const { acquireStateLock } = require('../lib/state-file');
+const DeploymentStateManager = require('./state-manager');
+const output = require('../lib/output');
+
+const prompt = createPrompt('local');
+
+// Account #0 of every hardhat node. The key is public: never send real funds to it.
+const HARDHAT_DEV_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+// Node log, the generated setup config and placeholder artifacts
+const LOCAL_DIR = '.streamint-local';
+const NODE_START_TIMEOUT_MS = 2 * 60 * 1000;
+const NODE_POLL_INTERVAL_MS = 1000;
+
+// Stand-ins for the Pinata and Google secrets setup requires; replace them with
+// `npm run vault -- set <name>` and `npm run deploy:ui` to sign in and upload from the UI
+const PLACEHOLDER_SECRETS = {
+  pinataApiKey: 'local-pinata-api-key',
+  pinataApiSecret: 'local-pinata-api-secret',
+  googleClientId: 'local-google-client-id',
+  googleClientSecret: 'local-google-client-secret'
+};
+
+// The DataRefinerRegistry in contracts/ predates the live one: addRefiner also takes the refiner's public key
+const LOCAL_ADD_REFINER_ABI = [
+  {
+    type: 'function',
+    name: 'addRefiner',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'dlpId', type: 'uint256' },
+      { name: 'name', type: 'string' },
+      { name: 'schemaDefinitionUrl', type: 'string' },
+      { name: 'refinementInstructionUrl', type: 'string' },
+      { name: 'publicKey', type: 'string' }
+    ],
+    outputs: [{ name: '', type: 'uint256' }]
+  }
+];
+
+/**
+ * A deployment.json for another network is not ours to replace
+ */
+function checkExistingProject(projectRoot) {
+  const deploymentPath = path.join(projectRoot, 'deployment.json');
+  if (!fs.existsSync(deploymentPath)) {
+    return;
+  }
+  const deployment = fs.readJsonSync(deploymentPath);
+  const deployed = Boolean(deployment.dlpId || (deployment.state && deployment.state.contractsDeployed));
+  if (deployment.network !== 'local' && deployed) {
+    throw new ConfigError(
+      `deployment.json belongs to a deployment on "${deployment.network}". ` +
+      'Run npm run dev:local in a separate clone, or retire the deployment first with npm run teardown.'
+    );
+  }
+}
+
+/**
+ * The chain id of whatever answers on the local RPC URL, or null
+ */
+async function probeNode(network) {
+  try {
+    return await createReadClient(network).getChainId();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reuse a hardhat node that is already running, or start one in contracts/.
+ * hardhat-deploy would run every deploy script on start, hence --no-deploy.
+ *
+ * @returns {Promise<ChildProcess|null>} the node this run started
+ */
+async function ensureNode(projectRoot, network, { detach }) {
+  const chainId = await probeNode(network);
+  if (chainId === network.chainId) {
+    console.log(chalk.green(`✅ Using the node already running at ${network.rpcUrl}`));
+    return null;
+  }
+  if (chainId !== null) {
+    throw new ConfigError(`${network.rpcUrl} answers with chain id ${chainId}, not a hardhat node (${network.chainId}). Stop it first.`);
+  }
+
+  fs.ensureDirSync(path.join(projectRoot, LOCAL_DIR));
+  const logPath = path.join(LOCAL_DIR, 'hardhat-node.log');
+  const log = fs.openSync(path.join(projectRoot, logPath), 'w');
+  console.log(chalk.blue(`⛓️  Starting a hardhat node (log: ${logPath})...`));
+  const node = spawn('npx', ['hardhat', 'node', '--no-deploy'], {
+    cwd: path.join(projectRoot, 'contracts'),
+    stdio: ['ignore', log, log],
+    detached: detach
+  });
+  fs.closeSync(log);
+  node.logPath = logPath;
+
+  const deadline = Date.now() + NODE_START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (node.exitCode !== null) {
+      throw new Error(`The hardhat node exited with code ${node.exitCode}. See ${logPath}; are the contracts/ dependencies installed?`);
+    }
+    if (await probeNode(network) === network.chainId) {
+      console.log(chalk.green(`✅ Hardhat node running at ${network.rpcUrl} (pid ${node.pid})`));
+      if (detach) node.unref();
+      return node;
+    }
+    await new Promise(resolve => setTimeout(resolve, NODE_POLL_INTERVAL_MS));
+  }
+  node.kill();
+  throw new Error(`The hardhat node did not answer within ${NODE_START_TIMEOUT_MS / 1000}s. See ${logPath}.`);
+}
+
+/**
+ * Run one of this repo's npm scripts against the local network. Its stdout is
+ * inherited like in lib/steps.js, so in JSON mode its events reach the caller.
+ */
+function runScript(script, env) {
+  execSync(output.npmRun(script), { stdio: 'inherit', env });
+}
+
+/**
+ * Setup answers for the local project, written where `npm run setup` reads a
+ * --config from. Anything in this run's own --config is passed through.
+ */
+function writeSetupConfig(projectRoot, answers, wallet) {
+  const config = {
+    ...getRunConfig().config,
+    network: 'local',
+    dlpName: answers.dlpName,
+    tokenName: answers.tokenName,
+    tokenSymbol: answers.tokenSymbol,
+    walletSource: 'privateKey',
+    privateKey: wallet.privateKey,
+    registration: { method: 'auto' }
+  };
+  for (const [name, placeholder] of Object.entries(PLACEHOLDER_SECRETS)) {
+    config[name] = getConfigValue(name) || placeholder;
+  }
+
+  const configPath = path.join(projectRoot, LOCAL_DIR, 'setup-config.json');
+  fs.outputJsonSync(configPath, config, { spaces: 2, mode: 0o600 });
+  return configPath;
+}
+
+/**
+ * Store a small JSON file in local storage; its URL stands in for an
+ * artifact that would be built and published on a real network
+ */
+async function publishPlaceholder(projectRoot, storage, name, content) {
+  const filePath = path.join(projectRoot, LOCAL_DIR, name);
+  fs.outputJsonSync(filePath, content, { spaces: 2 });
+  const stored = await publishFile(storage, filePath, { name });
+  return stored.url;
+}
+
+/**
+ * Register a refiner with a placeholder schema and instruction, and record it
+ * as the active one the way `npm run refiner -- add --use` does
+ */
+async function registerLocalRefiner(projectRoot, stateManager, network, storage, wallet) {
+  // The journal saves through this manager, so it has to hold what the child scripts wrote
+  stateManager.state = stateManager.loadState();
+  const deployment = stateManager.getState();
+  const schemaUrl = await publishPlaceholder(projectRoot, storage, 'schema.json', {
+    name: `${deployment.dlpName} Data Schema`,
+    version: '0.0.1',
+    description: 'Placeholder schema for local development',
+    dialect: 'sqlite',
+    schema: ''
+  });
+  const refinerUrl = await publishPlaceholder(projectRoot, storage, 'refinement-instruction.json', {
+    description: 'Placeholder refinement instruction for local development. Build the refiner image to replace it.'
+  });
+
+  const { account, publicClient, walletClient } = createClients(network, wallet.privateKey);
+  const { receipt } = await sendContractTransaction({
+    publicClient,
+    walletClient,
+    account,
+    address: network.contracts.dataRefinerRegistry,
+    abi: LOCAL_ADD_REFINER_ABI,
+    functionName: 'addRefiner',
+    // No TEE publishes a DataDAO key locally; the DLP public key stands in for it
+    args: [BigInt(deployment.dlpId), `${deployment.dlpName} Refiner`, schemaUrl, refinerUrl, deployment.publicKey],
+    journal: new TransactionJournal(stateManager),
+    purpose: 'addRefiner',
+    context: { dlpId: Number(deployment.dlpId), activate: true, urls: { schemaUrl, refinerUrl } }
+  });
+
+  const refinerEnv = EnvFile.load(path.join(projectRoot, 'refiner', '.env'));
+  refinerEnv.set('REFINEMENT_ENCRYPTION_KEY', deployment.publicKey);
+  refinerEnv.save();
+
+  stateManager.state = stateManager.loadState();
+  const { refinerId } = stateManager.getState();
+  if (!refinerId) {
+    throw new Error(`The refiner was registered in block ${receipt.blockNumber}, but no refinerId could be read from the receipt`);
+  }
+  output.success(`Refiner registered with ID: ${refinerId}`, { refinerId });
+}
+
+/**
+ * Start (or reuse) a hardhat node, deploy the Vana core contracts and the
+ * DLP to it, register the DataDAO and a refiner, and configure the UI
+ */
+async function devLocal() {
+  const projectRoot = process.cwd();
+  const detach = process.argv.includes('--detach');
+  let node = null;
+
+  try {
+    // Every script spawned below follows the local network
+    process.env.STREAMINT_NETWORK = 'local';
+    let network = resolveNetwork();
+
+    output.step('Local Vana stack', `${network.label} at ${network.rpcUrl}; no network access needed`);
+    checkExistingProject(projectRoot);
+    acquireStateLock(path.join(projectRoot, 'deployment.json'));
+
+    const answers = await prompt([
+      {
+        type: 'input',
+        name: 'dlpName',
+        message: 'DataDAO Name:',
+        default: 'Local DAO',
+        validate: validateDlpName
+      },
+      {
+        type: 'input',
+        name: 'tokenName',
+        message: 'Token Name:',
+        default: 'Local DAO Token',
+        validate: validateTokenName
+      },
+      {
+        type: 'input',
+        name: 'tokenSymbol',
+        message: 'Token Symbol:',
+        default: 'LDAO',
+        validate: validateTokenSymbol
+      }
+    ]);
+    const wallet = walletFromPrivateKey(HARDHAT_DEV_PRIVATE_KEY);
+
+    // Unlocking once here hands the passphrase to the scripts spawned below with childScriptEnv()
+    const vault = new SecretVault(projectRoot);
+    const storedKey = await vault.get('privateKey');
+    if (storedKey && storedKey.toLowerCase() !== wallet.privateKey) {
+      throw new ConfigError('The secret vault holds a different deployer key. Run npm run dev:local in a separate clone so it is not replaced.');
+    }
+
+    node = await ensureNode(projectRoot, network, { detach });
+
+    output.step('Vana core contracts', Object.values(CORE_DEPLOYMENTS).join(', '));
+    execSync(`npx hardhat deploy --network ${network.hardhatNetwork} --tags LocalVanaStackDeploy --reset`, {
+      cwd: path.join(projectRoot, 'contracts'),
+      stdio: output.childStdio(),
+      env: { ...process.env, OWNER_ADDRESS: wallet.address }
+    });
+    const { contracts: coreContracts, missing, dir } = readCoreDeployments(projectRoot, network);
+    if (missing.length > 0) {
+      throw new DeploymentArtifactError(`Hardhat finished but did not write ${missing.map(name => `${name}.json`).join(', ')} to ${path.relative(projectRoot, dir)}`);
+    }
+
+    output.step('Project setup');
+    const configPath = writeSetupConfig(projectRoot, answers, wallet);
+    const childEnv = childScriptEnv({ STREAMINT_CONFIG: configPath, STREAMINT_YES: 'true' });
+    runScript('setup', childEnv);
+
+    const stateManager = new DeploymentStateManager(projectRoot);
+    stateManager.updateDeployment({ coreContracts, storage: { provider: 'local' } });
+    network = resolveNetwork(stateManager.getState());
+    const storage = await createStorage(stateManager.getState(), vault, projectRoot);
+
+    // The DLP is initialized with its proof instruction, so it is published first
+    const proofUrl = await publishPlaceholder(projectRoot, storage, 'proof-instruction.json', {
+      description: 'Placeholder proof of contribution for local development. No TEE runs proofs on a local node.'
+    });
+    const contractsEnv = EnvFile.load(path.join(projectRoot, 'contracts', '.env'));
+    contractsEnv.set('DLP_REGISTRY_CONTRACT_ADDRESS', coreContracts.dlpRegistry);
+    contractsEnv.set('DATA_REGISTRY_CONTRACT_ADDRESS', coreContracts.dataRegistry);
+    contractsEnv.set('TEE_POOL_CONTRACT_ADDRESS', coreContracts.teePool);
+    contractsEnv.set('DAT_FACTORY_CONTRACT_ADDRESS', coreContracts.datFactory);
+    contractsEnv.set('DLP_PROOF_INSTRUCTION', proofUrl);
+    contractsEnv.save();
+
+    output.step('DataDAO contracts');
+    runScript('deploy:contracts', childEnv);
+
+    output.step('DataDAO registration');
+    runScript('register:datadao', childEnv);
+    // deploy:contracts and register:datadao wrote deployment.json behind this manager's back
+    stateManager.state = stateManager.loadState();
+    stateManager.updateDeployment({ proofUrl });
+
+    output.step('Refiner registration');
+    await registerLocalRefiner(projectRoot, stateManager, network, storage, wallet);
+
+    output.step('UI configuration');
+    runScript('deploy:ui', childEnv);
+    fs.removeSync(configPath);
+
+    const deployment = stateManager.loadState();
+    output.summary('Local Stack', [
+      { label: 'RPC', value: network.rpcUrl },
+      { label: 'Deployer', value: `${wallet.address} (hardhat account #0)` },
+      { label: 'DataDAO', value: `${deployment.dlpName}, dlpId ${deployment.dlpId}` },
+      { label: 'DLP proxy', value: deployment.contracts.proxyAddress },
+      { label: 'Token', value: deployment.contracts.tokenAddress },
+      { label: 'Refiner ID', value: deployment.refinerId },
+      ...Object.entries(coreContracts).map(([key, address]) => ({ label: key, value: address }))
+    ]);
+    output.nextSteps([
+      'Start the UI: npm run ui:dev, then open http://localhost:3000',
+      'Sign-in and uploads need real Google and Pinata keys: npm run vault -- set <name>, then npm run deploy:ui',
+      'Check the chain against deployment.json: npm run status -- --verify'
+    ]);
+
+    if (node && detach) {
+      console.log(chalk.blue(`⛓️  The hardhat node keeps running in the background (pid ${node.pid}, log: ${node.logPath}). Stop it with: kill ${node.pid}`));
+    } else if (node) {
+      // The chain lives in this node's memory; it is gone once the node stops
+      console.log(chalk.blue(`⛓️  Hardhat node running at ${network.rpcUrl}. Press Ctrl+C to stop it.`));
+      await new Promise(resolve => node.on('exit', resolve));
+    }
+  } catch (error) {
+    output.error(`Local stack failed: ${error.shortMessage || error.message}`);
+    reportContractError(error);
+    if (node && node.exitCode === null) {
+      node.kill();
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+devLocal();
@@ -0,0 +1,298 @@
+const chalk = require('chalk');
+const { formatEther, getAddress, isAddress } = require('viem');
+const { createPrompt } = require('../lib/prompt');
+const { ConfigError, EXIT_CODES, exitCodeFor } = require('../lib/config');
+const { resolveNetwork, txUrl } = require('../lib/networks');
+const {
+  createReadClient,
+  createClients,
+  checkWalletBalance,
+  sendContractTransaction,
+  isDryRun,
+  dryRunContractTransaction
+} = require('../lib/chain');
+const { TransactionJournal, reconcilePendingTransactions } = require('../lib/tx-journal');
+const { reportContractError } = require('../lib/contract-errors');
+const { DLP_ABI, readDlp, isDlpAdmin } = require('../lib/dlp');
+const { normalizePublicKey } = require('../lib/wallet');
+const DeploymentStateManager = require('./state-manager');
+const output = require('../lib/output');
+
+const prompt = createPrompt('dlp');
+
+/**
+ * Argument parsers; each throws a ConfigError naming what was expected
+ */
+function parseUint(value) {
+  if (!/^\d+$/.test(value)) {
+    throw new ConfigError(`"${value}" is not a whole number (the factor is in the token's smallest unit, 18 decimals)`);
+  }
+  return BigInt(value);
+}
+
+function parseAddress(value) {
+  if (!isAddress(value)) {
+    throw new ConfigError(`"${value}" is not a valid address`);
+  }
+  return getAddress(value);
+}
+
+function parseUrl(value) {
+  if (!/^(https?|ipfs):\/\/\S+$/.test(value)) {
+    throw new ConfigError(`"${value}" is not an http(s) or ipfs URL`);
+  }
+  return value;
+}
+
+function formatFactor(value) {
+  return `${value} (${formatEther(value)} tokens per file at full score)`;
+}
+
+/**
+ * Admin actions of the DLP. `getter` reads the current value, `parse` turns
+ * the command-line argument into the proposed one, and `mirror` is the
+ * deployment.json field that holds the same value.
+ */
+const ACTIONS = {
+  pause: {
+    functionName: 'pause',
+    getter: 'paused',
+    description: 'Stop file contributions and reward claims',
+    proposed: () => true
+  },
+  unpause: {
+    functionName: 'unpause',
+    getter: 'paused',
+    description: 'Resume file contributions and reward claims',
+    proposed: () => false
+  },
+  'update-file-reward-factor': {
+    functionName: 'updateFileRewardFactor',
+    getter: 'fileRewardFactor',
+    argument: '<factor>',
+    description: 'Reward for a file with a full proof score, in token units (18 decimals)',
+    parse: parseUint,
+    format: formatFactor
+  },
+  'update-public-key': {
+    functionName: 'updatePublicKey',
+    getter: 'publicKey',
+    argument: '<key>',
+    description: 'Public key contributors encrypt their files for (0x-prefixed hex)',
+    parse: normalizePublicKey,
+    mirror: 'publicKey'
+  },
+  'update-tee-pool': {
+    functionName: 'updateTeePool',
+    getter: 'teePool',
+    argument: '<address>',
+    description: 'TeePool contract that validates contributions',
+    parse: parseAddress
+  },
+  'update-proof-instruction': {
+    functionName: 'updateProofInstruction',
+    getter: 'proofInstruction',
+    argument: '<url>',
+    description: 'Proof of contribution release the TEE runs',
+    parse: parseUrl,
+    mirror: 'proofUrl'
+  },
+  'update-trusted-forwarder': {
+    functionName: 'updateTrustedForwarder',
+    getter: 'trustedForwarder',
+    argument: '<address>',
+    description: 'ERC-2771 forwarder allowed to relay gasless transactions',
+    parse: parseAddress
+  }
+};
+
+const USAGE = `Usage: npm run dlp -- <action> [value]
+
+Actions:
+  show${' '.repeat(32)}Current settings and whether your wallet is an admin
+${Object.entries(ACTIONS).map(([name, action]) =>
+    `  ${`${name} ${action.argument || ''}`.padEnd(36)}${action.description}`).join('\n')}
+
+Every action needs DEFAULT_ADMIN_ROLE on the DLP and accepts --dry-run.`;
+
+/**
+ * Display form of a value read from (or sent to) the DLP
+ */
+function formatValue(action, value) {
+  if (action.format) return action.format(value);
+  if (value === '') return '(empty)';
+  return String(value);
+}
+
+/**
+ * Fail unless `account` may call the DLP admin functions
+ */
+async function requireAdmin(client, proxyAddress, account) {
+  if (!(await isDlpAdmin(client, proxyAddress, account))) {
+    throw new ConfigError(
+      `${account} does not have DEFAULT_ADMIN_ROLE on the DLP (${proxyAddress}). ` +
+      'Send from the wallet that deployed the DLP, or have an admin grant the role first.'
+    );
+  }
+}
+
+/**
+ * show: every setting the admin actions change
+ */
+async function showSettings(client, deployment) {
+  const { proxyAddress } = deployment.contracts;
+  const items = [];
+  const seen = new Set();
+
+  // pause and unpause share a getter
+  for (const action of Object.values(ACTIONS)) {
+    if (seen.has(action.getter)) continue;
+    seen.add(action.getter);
+    items.push({ label: action.getter, value: formatValue(action, await readDlp(client, proxyAddress, action.getter)) });
+  }
+
+  const admin = await isDlpAdmin(client, proxyAddress, deployment.address);
+  items.push({ label: 'Admin', value: admin ? chalk.green(`${deployment.address} has DEFAULT_ADMIN_ROLE`) : chalk.yellow(`${deployment.address} is not an admin`) });
+
+  output.summary(`DLP ${proxyAddress}`, items);
+}
+
+/**
+ * Run one admin action: show current and proposed values, check the role,
+ * send the transaction and record the change
+ */
+async function runAction(client, network, stateManager, name, rawValue) {
+  const action = ACTIONS[name];
+  const deployment = stateManager.getState();
+  const { proxyAddress } = deployment.contracts;
+
+  if (action.parse && rawValue === undefined) {
+    throw new ConfigError(`Missing value: npm run dlp -- ${name} ${action.argument}`);
+  }
+  const proposed = action.parse ? action.parse(rawValue) : action.proposed();
+  const current = await readDlp(client, proxyAddress, action.getter);
+
+  output.summary(`${action.functionName} on ${proxyAddress}`, [
+    { label: `Current ${action.getter}`, value: formatValue(action, current) },
+    { label: `Proposed ${action.getter}`, value: chalk.cyan(formatValue(action, proposed)) }
+  ]);
+
+  if (String(current) === String(proposed)) {
+    output.success(`${action.getter} is already ${formatValue(action, proposed)}; nothing to send`);
+    return;
+  }
+
+  const args = action.parse ? [proposed] : [];
+  if (isDryRun()) {
+    await requireAdmin(client, proxyAddress, deployment.address);
+    const report = await dryRunContractTransaction({
+      publicClient: client,
+      account: deployment.address,
+      address: proxyAddress,
+      abi: DLP_ABI,
+      functionName: action.functionName,
+      args,
+      label: action.description
+    });
+    if (!report.ok) process.exitCode = EXIT_CODES.FAILURE;
+    return;
+  }
+
+  const privateKey = await stateManager.vault.require('privateKey');
+  const { account, publicClient, walletClient } = createClients(network, privateKey);
+  await requireAdmin(client, proxyAddress, account.address);
+
+  const { confirmed } = await prompt([
+    {
+      type: 'confirm',
+      name: 'confirmed',
+      message: `Send ${action.functionName} from ${account.address}?`,
+      default: true
+    }
+  ]);
+  if (!confirmed) {
+    console.log(chalk.yellow('Nothing sent.'));
+    return;
+  }
+
+  const { sufficient } = await checkWalletBalance(publicClient, account.address, { network });
+  if (sufficient === false) {
+    throw new Error(`Insufficient wallet balance to send ${action.functionName}`);
+  }
+
+  const { hash, receipt } = await sendContractTransaction({
+    publicClient,
+    walletClient,
+    account,
+    address: proxyAddress,
+    abi: DLP_ABI,
+    functionName: action.functionName,
+    args,
+    journal: new TransactionJournal(stateManager),
+    purpose: action.functionName,
+    // The journal is JSON, so bigints are stored as strings
+    context: action.mirror === 'proofUrl' ? { proofUrl: proposed } : { value: String(proposed) },
+    onSubmitted: (submittedHash) => console.log(chalk.blue(`📤 Transaction submitted: ${submittedHash}`))
+  });
+
+  deployment.adminHistory = deployment.adminHistory || [];
+  deployment.adminHistory.push({
+    action: name,
+    functionName: action.functionName,
+    previous: String(current),
+    value: String(proposed),
+    from: account.address,
+    txHash: hash,
+    blockNumber: Number(receipt.blockNumber),
+    at: new Date().toISOString()
+  });
+  if (action.mirror) {
+    deployment[action.mirror] = proposed;
+  }
+  stateManager.saveState();
+
+  output.success(`${action.getter} is now ${formatValue(action, proposed)}`, { txHash: hash, functionName: action.functionName });
+  console.log(chalk.cyan(`   Transaction: ${txUrl(network, hash)}`));
+}
+
+/**
+ * DLP administration command
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args.find(arg => arg === 'show' || ACTIONS[arg]);
+  const operand = command && args[args.indexOf(command) + 1];
+  const value = operand && !operand.startsWith('--') ? operand : undefined;
+
+  if (!command) {
+    console.log(USAGE);
+    process.exit(args.length > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS);
+  }
+
+  try {
+    const stateManager = new DeploymentStateManager();
+    const deployment = stateManager.getState();
+    const network = resolveNetwork(deployment);
+    if (!deployment.contracts || !deployment.contracts.proxyAddress) {
+      throw new ConfigError('No DLP proxy address in deployment.json. Run "npm run deploy:contracts" first.');
+    }
+
+    const client = createReadClient(network);
+    if (command === 'show') {
+      await showSettings(client, deployment);
+      return;
+    }
+
+    if (!isDryRun()) {
+      // Settle changes an earlier run sent before comparing against the chain
+      await reconcilePendingTransactions(stateManager, client);
+    }
+    await runAction(client, network, stateManager, command, value);
+  } catch (error) {
+    output.error(`DLP command failed: ${error.shortMessage || error.message}`);
+    reportContractError(error);
+    process.exit(exitCodeFor(error));
+  }
+}
+
+main();
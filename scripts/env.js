@@ -0,0 +1,169 @@
+const chalk = require('chalk');
+const { ConfigError, EXIT_CODES, exitCodeFor } = require('../lib/config');
+const { resolveNetwork } = require('../lib/networks');
+const { isDryRun } = require('../lib/chain');
+const { ENV_COMPONENTS, inspectComponent } = require('../lib/env-components');
+const DeploymentStateManager = require('./state-manager');
+const output = require('../lib/output');
+
+const COMMANDS = ['diff', 'check', 'sync'];
+
+const USAGE = `Usage: npm run env -- <command> [${Object.keys(ENV_COMPONENTS).join('|')}...]
+
+Commands:
+  diff    Show .env values that differ from deployment.json
+  check   Also report missing required variables; exits 1 on any problem
+  sync    Copy the deployment.json values into the .env files (accepts --dry-run)
+
+Without a component, every component is covered.`;
+
+/**
+ * Show a .env value in the report; values without a deployment.json
+ * counterpart are secrets or keys, so only their presence is shown
+ */
+function shown(variable, value) {
+  if (value === undefined || value === '') return chalk.gray('(unset)');
+  return variable.mirror ? value : chalk.gray('(set)');
+}
+
+/**
+ * Print one component's variables that need attention
+ *
+ * @returns {number} how many problems `check` counts
+ */
+function report(inspection, { includeMissing }) {
+  const label = chalk.bold(inspection.file);
+  if (!inspection.exists) {
+    if (inspection.required) {
+      console.log(`${chalk.red('✗')} ${label} does not exist; ${inspection.writtenBy} writes it`);
+      return 1;
+    }
+    console.log(`${chalk.gray('-')} ${label} not created yet (${inspection.writtenBy} writes it)`);
+    return 0;
+  }
+
+  const problems = inspection.variables.filter(variable =>
+    variable.status === 'differs' || variable.status === 'forbidden' || (includeMissing && variable.status === 'missing'));
+  if (problems.length === 0) {
+    console.log(`${chalk.green('✓')} ${label}`);
+    return 0;
+  }
+
+  console.log(`${chalk.yellow('✗')} ${label}`);
+  for (const variable of problems) {
+    if (variable.status === 'differs') {
+      console.log(`    ${variable.key}`);
+      console.log(chalk.red(`      - .env:            ${shown(variable, variable.actual)}`));
+      console.log(chalk.green(`      + deployment.json: ${variable.expected}`));
+    } else if (variable.status === 'forbidden') {
+      console.log(`    ${variable.key} ${chalk.red('should not be here')}: ${variable.reason}`);
+    } else {
+      const source = variable.mirror ? `deployment.json has ${variable.expected}` : `${inspection.writtenBy} sets it`;
+      console.log(`    ${variable.key} ${chalk.red('is missing')} (${source})`);
+    }
+  }
+  return problems.length;
+}
+
+/**
+ * Machine-readable form of an inspection, without secret values
+ */
+function toEvent(inspection) {
+  return {
+    component: inspection.component,
+    file: inspection.file,
+    exists: inspection.exists,
+    required: inspection.required,
+    variables: inspection.variables.map(({ key, mirror, expected, actual, status }) => ({
+      key,
+      status,
+      expected,
+      actual: mirror ? (actual === undefined ? null : actual) : undefined
+    }))
+  };
+}
+
+/**
+ * sync: write deployment.json values into the existing .env files
+ */
+function syncComponent(inspection) {
+  if (!inspection.exists) {
+    console.log(`${chalk.gray('-')} ${inspection.file} not created yet; ${inspection.writtenBy} writes it`);
+    return 0;
+  }
+
+  const changes = inspection.variables.filter(variable =>
+    variable.mirror && ['differs', 'missing', 'pending'].includes(variable.status));
+  if (changes.length === 0) {
+    console.log(`${chalk.green('✓')} ${inspection.file} already matches deployment.json`);
+    return 0;
+  }
+
+  console.log(`${isDryRun() ? chalk.cyan('Would update') : chalk.green('Updated')} ${chalk.bold(inspection.file)}:`);
+  for (const variable of changes) {
+    console.log(`    ${variable.key}=${variable.expected}${variable.actual ? chalk.gray(` (was ${variable.actual})`) : ''}`);
+    inspection.env.set(variable.key, variable.expected);
+  }
+  if (!isDryRun()) {
+    inspection.env.save();
+  }
+
+  const left = inspection.variables.filter(variable => !variable.mirror && ['missing', 'forbidden'].includes(variable.status));
+  if (left.length > 0) {
+    output.warning(`${inspection.file} still needs attention for ${left.map(variable => variable.key).join(', ')}: see npm run env -- check`);
+  }
+  return changes.length;
+}
+
+/**
+ * Compare and sync the components' .env files with deployment.json
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const command = args.find(arg => COMMANDS.includes(arg));
+
+  if (!command) {
+    console.log(USAGE);
+    process.exit(args.length > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS);
+  }
+
+  try {
+    const operands = args.slice(args.indexOf(command) + 1).filter(arg => !arg.startsWith('--'));
+    const unknown = operands.filter(name => !ENV_COMPONENTS[name]);
+    if (unknown.length > 0) {
+      throw new ConfigError(`Unknown component "${unknown[0]}". Expected one of: ${Object.keys(ENV_COMPONENTS).join(', ')}`);
+    }
+
+    const stateManager = new DeploymentStateManager();
+    const deployment = stateManager.getState();
+    const network = resolveNetwork(deployment);
+    const inspections = (operands.length > 0 ? operands : Object.keys(ENV_COMPONENTS))
+      .map(name => inspectComponent(name, deployment, network));
+
+    output.event('env', { command, components: inspections.map(toEvent) });
+
+    if (command === 'sync') {
+      const changed = inspections.reduce((total, inspection) => total + syncComponent(inspection), 0);
+      if (changed > 0 && !isDryRun()) {
+        output.success(`${changed} variable(s) synced from deployment.json`, { changed });
+      }
+      return;
+    }
+
+    const problems = inspections.reduce((total, inspection) =>
+      total + report(inspection, { includeMissing: command === 'check' }), 0);
+    if (problems === 0) {
+      output.success(command === 'check' ? 'Every .env file is complete and matches deployment.json' : 'No differences from deployment.json');
+    } else if (command === 'check') {
+      output.error(`${problems} problem(s) in the .env files. npm run env -- sync fixes values that differ from deployment.json.`);
+      process.exitCode = EXIT_CODES.FAILURE;
+    } else if (inspections.some(inspection => inspection.variables.some(variable => variable.status === 'differs'))) {
+      console.log(chalk.cyan('\nCopy the deployment.json values over with: npm run env -- sync'));
+    }
+  } catch (error) {
+    output.error(`Env command failed: ${error.message}`);
+    process.exit(exitCodeFor(error));
+  }
+}
+
+main();
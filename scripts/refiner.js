@@ -0,0 +1,371 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { createPrompt } = require('../lib/prompt');
+const { ConfigError, EXIT_CODES, exitCodeFor, readArg } = require('../lib/config');
+const { resolveNetwork, getCoreContract, txUrl } = require('../lib/networks');
+const {
+  createReadClient,
+  createClients,
+  checkWalletBalance,
+  sendContractTransaction,
+  isDryRun,
+  dryRunContractTransaction
+} = require('../lib/chain');
+const { TransactionJournal, reconcilePendingTransactions, decodeRefinerId } = require('../lib/tx-journal');
+const { reportContractError } = require('../lib/contract-errors');
+const {
+  REFINER_REGISTRY_ABI,
+  getRefiner,
+  listDlpRefiners,
+  requireOwnRefiner,
+  readUiRefinerId,
+  writeUiRefinerId
+} = require('../lib/refiners');
+const { createStorage, publishFile, rawCid } = require('../lib/storage');
+const DeploymentStateManager = require('./state-manager');
+const output = require('../lib/output');
+
+const prompt = createPrompt('refiner');
+
+const COMMANDS = ['list', 'show', 'add', 'use', 'transfer-owner'];
+
+const USAGE = `Usage: npm run refiner -- <command>
+
+Commands:
+  list                        Show the DataDAO's refiners
+  show [refinerId]            Show one refiner (default: the active one)
+  add [--schema <url> | --schema-file <path>] [--instruction <url>] [--name <name>] [--use]
+                              Register a new refiner version; --use also makes it active.
+                              --schema-file uploads the schema to IPFS first
+  use <refinerId>             Make a refiner active and point the UI at it
+  transfer-owner [refinerId]  Make your wallet the owner of the DataDAO's refiners
+                              (or just one), after the DataDAO changed owner
+
+add and transfer-owner accept --dry-run.`;
+
+/**
+ * Parse a refinerId argument
+ */
+function parseRefinerId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new ConfigError(`Invalid refinerId "${value}". Expected a positive integer.`);
+  }
+  return id;
+}
+
+/**
+ * Markers for the refiner deployment.json and the UI currently use
+ */
+function describeUsage(refiner, deployment, uiRefinerId) {
+  const tags = [];
+  if (refiner.id === Number(deployment.refinerId)) tags.push(chalk.green('active'));
+  if (uiRefinerId !== null && refiner.id === Number(uiRefinerId)) tags.push(chalk.blue('UI'));
+  return tags.length > 0 ? ` (${tags.join(', ')})` : '';
+}
+
+/**
+ * list: every refiner registered for the DataDAO
+ */
+async function listRefiners(client, network, deployment) {
+  const refiners = await listDlpRefiners(client, network, deployment.dlpId);
+  output.event('refiners', {
+    dlpId: Number(deployment.dlpId),
+    refiners: refiners.map(({ id, name, owner, schemaDefinitionUrl, refinementInstructionUrl }) =>
+      ({ id, name, owner, schemaDefinitionUrl, refinementInstructionUrl }))
+  });
+
+  if (refiners.length === 0) {
+    output.info(`No refiners registered for dlpId ${deployment.dlpId} yet. Add one with: npm run refiner -- add`);
+    return;
+  }
+
+  const uiRefinerId = readUiRefinerId();
+  console.log(chalk.blue.bold(`🧪 Refiners of dlpId ${deployment.dlpId} on ${network.label}:`));
+  for (const refiner of refiners) {
+    console.log(`  ${chalk.cyan(`#${refiner.id}`)} ${refiner.name}${describeUsage(refiner, deployment, uiRefinerId)}`);
+    console.log(chalk.gray(`      schema:      ${refiner.schemaDefinitionUrl}`));
+    console.log(chalk.gray(`      instruction: ${refiner.refinementInstructionUrl}`));
+  }
+  console.log();
+}
+
+/**
+ * show: one refiner in detail
+ */
+async function showRefiner(client, network, deployment, refinerId) {
+  const refiner = await getRefiner(client, network, refinerId);
+  if (!refiner) {
+    throw new ConfigError(`Refiner ${refinerId} does not exist on ${network.label}`);
+  }
+
+  const uiRefinerId = readUiRefinerId();
+  output.summary(`Refiner #${refiner.id}`, [
+    { label: 'Name', value: refiner.name },
+    { label: 'DataDAO', value: refiner.dlpId === Number(deployment.dlpId) ? `dlpId ${refiner.dlpId} (yours)` : chalk.yellow(`dlpId ${refiner.dlpId} (not yours)`) },
+    { label: 'Owner', value: refiner.owner },
+    { label: 'Schema', value: refiner.schemaDefinitionUrl },
+    { label: 'Instruction', value: refiner.refinementInstructionUrl },
+    { label: 'Public key', value: refiner.publicKey || '(none)' },
+    { label: 'Used by', value: describeUsage(refiner, deployment, uiRefinerId).replace(/^ \((.*)\)$/, '$1') || 'nothing' }
+  ]);
+}
+
+/**
+ * use: make a registered refiner the active one in deployment.json and ui/.env
+ */
+async function useRefiner(client, network, stateManager, refinerId) {
+  const deployment = stateManager.getState();
+  const refiner = await requireOwnRefiner(client, network, deployment, refinerId);
+
+  deployment.refinerId = refiner.id;
+  deployment.schemaUrl = refiner.schemaDefinitionUrl;
+  deployment.refinerUrl = refiner.refinementInstructionUrl;
+  stateManager.saveState();
+
+  output.success(`Refiner #${refiner.id} (${refiner.name}) is now active`, { refinerId: refiner.id });
+  if (writeUiRefinerId(refiner.id)) {
+    console.log(chalk.green(`✅ ui/.env now has REFINER_ID=${refiner.id}; restart the UI to pick it up`));
+  } else {
+    console.log(chalk.yellow('No ui/.env yet; npm run deploy:ui will configure the UI with this refiner.'));
+  }
+}
+
+/**
+ * Publish a schema file through the configured storage provider. A dry run
+ * uploads nothing and uses the file's raw-block CID as a stand-in URL.
+ */
+async function uploadSchema(stateManager, schemaFile) {
+  const filePath = path.resolve(schemaFile);
+  if (!fs.existsSync(filePath)) {
+    throw new ConfigError(`Schema file not found: ${filePath}`);
+  }
+  if (isDryRun()) {
+    const url = `ipfs://${rawCid(fs.readFileSync(filePath))}`;
+    console.log(chalk.cyan(`Dry run: ${schemaFile} is not uploaded; using ${url} in its place`));
+    return url;
+  }
+
+  const deployment = stateManager.getState();
+  const storage = await createStorage(deployment, stateManager.vault);
+  const stored = await publishFile(storage, filePath, { name: `${deployment.dlpName}-schema.json` });
+  return stored.url;
+}
+
+/**
+ * add: register a new refiner version without the build and publish steps of deploy:refiner
+ */
+async function addRefiner(client, network, stateManager, args) {
+  const deployment = stateManager.getState();
+  const schemaFile = readArg(args, '--schema-file');
+  const schemaUrl = schemaFile
+    ? await uploadSchema(stateManager, schemaFile)
+    : readArg(args, '--schema') || deployment.schemaUrl;
+  const refinerUrl = readArg(args, '--instruction') || deployment.refinerUrl;
+  if (!schemaUrl || !refinerUrl) {
+    throw new ConfigError('A schema URL and a refinement instruction URL are required: pass --schema <url> (or --schema-file <path>) and --instruction <url>');
+  }
+
+  const existing = await listDlpRefiners(client, network, deployment.dlpId);
+  const name = readArg(args, '--name') ||
+    (existing.length > 0 ? `${deployment.dlpName} Refiner v${existing.length + 1}` : `${deployment.dlpName} Refiner`);
+  const activate = args.includes('--use');
+  const registryAddress = getCoreContract(network, 'dataRefinerRegistry');
+  const callArgs = [BigInt(deployment.dlpId), name, schemaUrl, refinerUrl];
+
+  console.log(chalk.cyan('📋 New refiner:'));
+  console.log(`  name:        ${name}`);
+  console.log(`  schema:      ${schemaUrl}`);
+  console.log(`  instruction: ${refinerUrl}`);
+  console.log();
+
+  const duplicate = existing.find(refiner => refiner.schemaDefinitionUrl === schemaUrl && refiner.refinementInstructionUrl === refinerUrl);
+  if (duplicate) {
+    output.warning(`Refiner #${duplicate.id} already has this schema and instruction. To switch to it: npm run refiner -- use ${duplicate.id}`);
+  }
+
+  if (isDryRun()) {
+    const report = await dryRunContractTransaction({
+      publicClient: client,
+      account: deployment.address,
+      address: registryAddress,
+      abi: REFINER_REGISTRY_ABI,
+      functionName: 'addRefiner',
+      args: callArgs,
+      label: 'Register a refiner in the data refiner registry'
+    });
+    if (!report.ok) process.exitCode = EXIT_CODES.FAILURE;
+    return;
+  }
+
+  const { confirmed } = await prompt([
+    {
+      type: 'confirm',
+      name: 'confirmed',
+      message: `Register this refiner for dlpId ${deployment.dlpId}${activate ? ' and make it active' : ''}?`,
+      default: !duplicate
+    }
+  ]);
+  if (!confirmed) {
+    console.log(chalk.yellow('Nothing registered.'));
+    return;
+  }
+
+  const privateKey = await stateManager.vault.require('privateKey');
+  const { account, publicClient, walletClient } = createClients(network, privateKey);
+  const { sufficient } = await checkWalletBalance(publicClient, account.address, { network });
+  if (sufficient === false) {
+    throw new Error('Insufficient wallet balance to register the refiner');
+  }
+
+  const { hash, receipt } = await sendContractTransaction({
+    publicClient,
+    walletClient,
+    account,
+    address: registryAddress,
+    abi: REFINER_REGISTRY_ABI,
+    functionName: 'addRefiner',
+    args: callArgs,
+    journal: new TransactionJournal(stateManager),
+    purpose: 'addRefiner',
+    context: { dlpId: Number(deployment.dlpId), activate, urls: { schemaUrl, refinerUrl } },
+    onSubmitted: (submittedHash) => console.log(chalk.blue(`📤 Transaction submitted: ${submittedHash}`))
+  });
+
+  const refinerId = decodeRefinerId(receipt, registryAddress);
+  if (!refinerId) {
+    output.warning(`Registered, but the refinerId could not be read from the receipt: ${txUrl(network, hash)}`);
+    return;
+  }
+
+  output.success(`Refiner registered with ID: ${refinerId}`, { refinerId, txHash: hash, active: activate });
+  if (activate) {
+    // The journal already made it active in deployment.json
+    if (writeUiRefinerId(refinerId)) {
+      console.log(chalk.green(`✅ ui/.env now has REFINER_ID=${refinerId}; restart the UI to pick it up`));
+    }
+  } else {
+    console.log(chalk.cyan(`To switch to it: npm run refiner -- use ${refinerId}`));
+  }
+}
+
+/**
+ * transfer-owner: after the DataDAO changed owner, the new owner takes over its refiners
+ */
+async function transferOwner(client, network, stateManager, refinerId) {
+  const deployment = stateManager.getState();
+  const refiners = refinerId
+    ? [await requireOwnRefiner(client, network, deployment, refinerId)]
+    : await listDlpRefiners(client, network, deployment.dlpId);
+  const call = refinerId
+    ? { functionName: 'updateRefinerOwner', args: [BigInt(refinerId)] }
+    : { functionName: 'updateDlpRefinersOwner', args: [BigInt(deployment.dlpId)] };
+  const registryAddress = getCoreContract(network, 'dataRefinerRegistry');
+
+  if (isDryRun()) {
+    const report = await dryRunContractTransaction({
+      publicClient: client,
+      account: deployment.address,
+      address: registryAddress,
+      abi: REFINER_REGISTRY_ABI,
+      ...call,
+      label: `Make ${deployment.address} the owner of ${refinerId ? `refiner ${refinerId}` : 'all refiners of the DataDAO'}`
+    });
+    if (!report.ok) process.exitCode = EXIT_CODES.FAILURE;
+    return;
+  }
+
+  const privateKey = await stateManager.vault.require('privateKey');
+  const { account, publicClient, walletClient } = createClients(network, privateKey);
+  const toTransfer = refiners.filter(refiner => refiner.owner.toLowerCase() !== account.address.toLowerCase());
+  if (toTransfer.length === 0) {
+    output.success(`${account.address} already owns ${refinerId ? `refiner ${refinerId}` : 'every refiner of the DataDAO'}`);
+    return;
+  }
+
+  console.log(chalk.cyan(`Refiners to move to ${account.address}:`));
+  toTransfer.forEach(refiner => console.log(`  #${refiner.id} ${refiner.name} ${chalk.gray(`(owner ${refiner.owner})`)}`));
+  console.log();
+
+  const { hash } = await sendContractTransaction({
+    publicClient,
+    walletClient,
+    account,
+    address: registryAddress,
+    abi: REFINER_REGISTRY_ABI,
+    ...call,
+    journal: new TransactionJournal(stateManager),
+    purpose: call.functionName,
+    context: { dlpId: Number(deployment.dlpId) },
+    onSubmitted: (submittedHash) => console.log(chalk.blue(`📤 Transaction submitted: ${submittedHash}`))
+  });
+
+  output.success(`${account.address} now owns ${toTransfer.length} refiner(s)`, { txHash: hash, refinerIds: toTransfer.map(refiner => refiner.id) });
+}
+
+/**
+ * Refiner lifecycle command
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args.find(arg => COMMANDS.includes(arg));
+  const operand = command && args[args.indexOf(command) + 1];
+  const refinerArg = operand && !operand.startsWith('--') ? operand : undefined;
+
+  if (!command) {
+    console.log(USAGE);
+    process.exit(args.length > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS);
+  }
+
+  try {
+    const stateManager = new DeploymentStateManager();
+    const deployment = stateManager.getState();
+    const network = resolveNetwork(deployment);
+    if (!deployment.dlpId) {
+      throw new ConfigError('dlpId not found in deployment.json. Run "npm run register:datadao" first.');
+    }
+
+    const client = createReadClient(network);
+    if (['add', 'transfer-owner'].includes(command) && !isDryRun()) {
+      // A refiner an earlier run registered should not be registered twice
+      await reconcilePendingTransactions(stateManager, client);
+    }
+
+    switch (command) {
+      case 'list':
+        await listRefiners(client, network, deployment);
+        break;
+
+      case 'show': {
+        const refinerId = refinerArg ? parseRefinerId(refinerArg) : deployment.refinerId;
+        if (!refinerId) {
+          throw new ConfigError('No active refiner in deployment.json. Pass a refinerId: npm run refiner -- show <refinerId>');
+        }
+        await showRefiner(client, network, deployment, refinerId);
+        break;
+      }
+
+      case 'add':
+        await addRefiner(client, network, stateManager, args);
+        break;
+
+      case 'use':
+        if (!refinerArg) {
+          throw new ConfigError(`Missing refinerId.\n\n${USAGE}`);
+        }
+        await useRefiner(client, network, stateManager, parseRefinerId(refinerArg));
+        break;
+
+      case 'transfer-owner':
+        await transferOwner(client, network, stateManager, refinerArg && parseRefinerId(refinerArg));
+        break;
+    }
+  } catch (error) {
+    output.error(`Refiner command failed: ${error.shortMessage || error.message}`);
+    reportContractError(error);
+    process.exit(exitCodeFor(error));
+  }
+}
+
+main();
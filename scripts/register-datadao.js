@@ -1,13 +1,35 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
-const inquirer = require('inquirer');
-const { createPublicClient, createWalletClient, http, parseEther } = require('viem');
-const { privateKeyToAccount } = require('viem/accounts');
-const { moksha } = require('viem/chains');
-
-// DLP Registry contract address and ABI
-const DLP_REGISTRY_ADDRESS = '0x4D59880a924526d1dD33260552Ff4328b1E18a43';
+const { createPrompt } = require('../lib/prompt');
+const { EXIT_CODES, exitCodeFor } = require('../lib/config');
+const { parseEther } = require('viem');
+const { resolveNetwork, getCoreContract, addressUrl } = require('../lib/networks');
+const {
+  createReadClient,
+  createClients,
+  checkWalletBalance,
+  classifyChainError,
+  withRetry,
+  sendContractTransaction,
+  isDryRun,
+  dryRunContractTransaction
+} = require('../lib/chain');
+const { SecretVault } = require('../lib/vault');
+const { checkDlpNameAvailability } = require('../lib/preflight');
+const { reportContractError } = require('../lib/contract-errors');
+const { TransactionJournal, reconcilePendingTransactions } = require('../lib/tx-journal');
+const DeploymentStateManager = require('./state-manager');
+const output = require('../lib/output');
+
+const prompt = createPrompt('registration');
+const vault = new SecretVault();
+
+// Network selected via --network or recorded in deployment.json (set in registerDataDAO)
+let network;
+let stateManager;
+
+// DLP Registry contract ABI (address comes from the selected network)
 const DLP_REGISTRY_ABI = [
   {
     "inputs": [{"internalType": "address", "name": "dlpAddress", "type": "address"}],
@@ -16,13 +38,6 @@ const DLP_REGISTRY_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
-  {
-    "inputs": [{"internalType": "string", "name": "dlpName", "type": "string"}],
-    "name": "dlpNameToId",
-    "outputs": [{"internalType": "uint256", "name": "dlpId", "type": "uint256"}],
-    "stateMutability": "view",
-    "type": "function"
-  },
   {
     "inputs": [
       {
@@ -75,73 +90,19 @@ const DLP_REGISTRY_ABI = [
   }
 ];
 
-/**
- * Attempt to decode error signature via openchain API
- */
-async function decodeErrorSignature(signature) {
-  try {
-    // Try openchain.xyz API for signature lookup
-    const response = await fetch(`https://api.openchain.xyz/signature-database/v1/lookup?function=${signature}&filter=true`);
-    
-    if (response.ok) {
-      const data = await response.json();
-      if (data.result && data.result.function && data.result.function.length > 0) {
-        const decoded = data.result.function[0].name;
-        return `${decoded}`;
-      }
-    }
-  } catch (error) {
-    // Fallback silently if API fails
-  }
-
-  // Fallback: try to extract from viem error if possible
-  return `Unknown error signature: ${signature}`;
-}
-
-/**
- * Check if DLP name is already taken
- */
-async function checkDlpNameAvailability(dlpName) {
-  const client = createPublicClient({
-    chain: moksha,
-    transport: http('https://rpc.moksha.vana.org')
-  });
-
-  try {
-    const dlpId = await client.readContract({
-      address: DLP_REGISTRY_ADDRESS,
-      abi: DLP_REGISTRY_ABI,
-      functionName: 'dlpNameToId',
-      args: [dlpName]
-    });
-
-    const nameExists = Number(dlpId) > 0;
-    return {
-      available: !nameExists,
-      existingId: nameExists ? Number(dlpId) : null
-    };
-  } catch (error) {
-    console.warn(chalk.yellow(`⚠️  Could not check name availability: ${error.message}`));
-    return { available: true, existingId: null }; // Assume available if check fails
-  }
-}
-
 /**
  * Get dlpId from the registry automatically
  */
 async function getDlpId(dlpAddress) {
-  const client = createPublicClient({
-    chain: moksha,
-    transport: http('https://rpc.moksha.vana.org')
-  });
+  const client = createReadClient(network);
 
   try {
-    const dlpId = await client.readContract({
-      address: DLP_REGISTRY_ADDRESS,
+    const dlpId = await withRetry(() => client.readContract({
+      address: getCoreContract(network, 'dlpRegistry'),
       abi: DLP_REGISTRY_ABI,
       functionName: 'dlpIds',
       args: [dlpAddress]
-    });
+    }), { label: 'dlpId lookup' });
 
     return Number(dlpId);
   } catch (error) {
@@ -151,38 +112,26 @@ async function getDlpId(dlpAddress) {
 }
 
 /**
- * Check wallet balance before registration
+ * The registerDlp call (target, arguments and 1 VANA fee) for this deployment
  */
-async function checkWalletBalance(address) {
-  const client = createPublicClient({
-    chain: moksha,
-    transport: http('https://rpc.moksha.vana.org')
-  });
-
-  try {
-    const balance = await client.getBalance({ address });
-    const balanceInVana = Number(balance) / 1e18;
-
-    console.log(chalk.blue('💰 Wallet Information:'));
-    console.log(`  Address: ${address}`);
-    console.log(`  Balance: ${balanceInVana.toFixed(4)} VANA`);
-    console.log();
-
-    if (balanceInVana < 1.1) {
-      console.error(chalk.red('❌ Insufficient balance for registration!'));
-      console.error(chalk.yellow('Registration requires 1 VANA + gas fees (recommend at least 1.1 VANA)'));
-      console.error(chalk.yellow('Please fund your wallet from https://faucet.vana.org'));
-      console.error(chalk.yellow(`Your wallet address: ${address}`));
-      return false;
-    }
-
-    console.log(chalk.green('✅ Wallet has sufficient balance for registration'));
-    return true;
-  } catch (error) {
-    console.error(chalk.yellow(`⚠️  Could not check wallet balance: ${error.message}`));
-    console.log(chalk.yellow('Proceeding with registration...'));
-    return true;
-  }
+function buildRegistrationCall(deployment, dlpProxyAddress) {
+  return {
+    address: getCoreContract(network, 'dlpRegistry'),
+    abi: DLP_REGISTRY_ABI,
+    functionName: 'registerDlp',
+    args: [
+      {
+        dlpAddress: dlpProxyAddress,
+        ownerAddress: deployment.address,
+        treasuryAddress: deployment.address,
+        name: deployment.dlpName,
+        iconUrl: '',
+        website: '',
+        metadata: ''
+      }
+    ],
+    value: parseEther('1') // 1 VANA registration fee
+  };
 }
 
 /**
@@ -192,48 +141,26 @@ async function performAutomatedRegistration(deployment, quickMode = false) {
   console.log(chalk.blue('⚡ Starting automated registration...'));
   console.log();
 
-  // Load private key from contracts .env
-  const contractsEnvPath = path.join(process.cwd(), 'contracts', '.env');
-  if (!fs.existsSync(contractsEnvPath)) {
-    console.error(chalk.red('No contracts/.env file found. Cannot access private key.'));
-    throw new Error('No contracts/.env file found. Cannot access private key.');
-  }
-
-  const envContent = fs.readFileSync(contractsEnvPath, 'utf8');
-  const privateKeyMatch = envContent.match(/DEPLOYER_PRIVATE_KEY=(.+)/);
+  // Unlocks the secret vault on first use
+  const privateKey = await vault.require('privateKey');
 
-  if (!privateKeyMatch) {
-    console.error(chalk.red('No DEPLOYER_PRIVATE_KEY found in contracts/.env'));
-    throw new Error('No DEPLOYER_PRIVATE_KEY found in contracts/.env');
-  }
-
-  const privateKey = privateKeyMatch[1].trim();
+  // Get the DLP proxy address
+  const dlpProxyAddress = deployment.contracts && deployment.contracts.proxyAddress;
 
   try {
-    // Create account and clients
-    const account = privateKeyToAccount(privateKey);
-
-    const publicClient = createPublicClient({
-      chain: moksha,
-      transport: http('https://rpc.moksha.vana.org')
-    });
-
-    const walletClient = createWalletClient({
-      account,
-      chain: moksha,
-      transport: http('https://rpc.moksha.vana.org')
-    });
+    const { account, publicClient, walletClient } = createClients(network, privateKey);
 
     // Check balance
-    const hasBalance = await checkWalletBalance(account.address);
-    if (!hasBalance) {
+    const { sufficient } = await checkWalletBalance(publicClient, account.address, {
+      purpose: 'register',
+      network
+    });
+    if (sufficient === false) {
       throw new Error('Insufficient wallet balance for registration');
     }
-
-    // Get the DLP proxy address (supports both old and new format)
-    const dlpProxyAddress = deployment.proxyAddress ||
-                           (deployment.contracts && deployment.contracts.proxyAddress) ||
-                           deployment.dlpAddress;
+    if (sufficient === null) {
+      console.log(chalk.yellow('Proceeding with registration...'));
+    }
 
     if (!dlpProxyAddress) {
       console.error(chalk.red('❌ DLP proxy address not found in deployment.json'));
@@ -242,15 +169,8 @@ async function performAutomatedRegistration(deployment, quickMode = false) {
     }
 
     // Prepare registration parameters
-    const registrationParams = {
-      dlpAddress: dlpProxyAddress,
-      ownerAddress: deployment.address,
-      treasuryAddress: deployment.address,
-      name: deployment.dlpName,
-      iconUrl: '',
-      website: '',
-      metadata: ''
-    };
+    const registrationCall = buildRegistrationCall(deployment, dlpProxyAddress);
+    const [registrationParams] = registrationCall.args;
 
     console.log(chalk.blue('📋 Registration Parameters:'));
     console.log(`  DLP Address: ${registrationParams.dlpAddress}`);
@@ -262,7 +182,7 @@ async function performAutomatedRegistration(deployment, quickMode = false) {
 
     // Skip confirmation in quick mode
     if (!quickMode) {
-      const { confirm } = await inquirer.prompt([
+      const { confirm } = await prompt([
         {
           type: 'confirm',
           name: 'confirm',
@@ -279,117 +199,93 @@ async function performAutomatedRegistration(deployment, quickMode = false) {
 
     console.log(chalk.blue('🚀 Submitting registration transaction...'));
 
-    // Call registerDlp function
-    const hash = await walletClient.writeContract({
-      address: DLP_REGISTRY_ADDRESS,
-      abi: DLP_REGISTRY_ABI,
-      functionName: 'registerDlp',
-      args: [
-        {
-          dlpAddress: registrationParams.dlpAddress,
-          ownerAddress: registrationParams.ownerAddress,
-          treasuryAddress: registrationParams.treasuryAddress,
-          name: registrationParams.name,
-          iconUrl: registrationParams.iconUrl,
-          website: registrationParams.website,
-          metadata: registrationParams.metadata
-        }
-      ],
-      value: parseEther('1') // 1 VANA registration fee
+    // Simulate first so reverts surface before the fee is spent
+    const { hash, receipt } = await sendContractTransaction({
+      publicClient,
+      walletClient,
+      account,
+      ...registrationCall,
+      journal: new TransactionJournal(stateManager),
+      purpose: 'registerDlp',
+      context: { dlpAddress: dlpProxyAddress },
+      onSubmitted: (hash) => {
+        console.log(chalk.blue(`📝 Transaction submitted: ${hash}`));
+        console.log(chalk.blue('⏳ Waiting for confirmation...'));
+      }
     });
 
-    console.log(chalk.blue(`📝 Transaction submitted: ${hash}`));
-    console.log(chalk.blue('⏳ Waiting for confirmation...'));
-
-    // Wait for transaction receipt
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
-
-    if (receipt.status === 'success') {
-      console.log(chalk.green('✅ Registration transaction confirmed!'));
-      console.log(`   Block: ${receipt.blockNumber}`);
-      console.log(`   Gas used: ${receipt.gasUsed}`);
-      console.log();
-
-      // Get the dlpId
-      console.log(chalk.blue('🔍 Retrieving dlpId...'));
-      const dlpId = await getDlpId(dlpProxyAddress);
-
-      if (dlpId > 0) {
-        console.log(chalk.green(`✅ Registration successful! dlpId: ${dlpId}`));
-        deployment.dlpId = dlpId;
-        deployment.state = deployment.state || {};
-        deployment.state.dataDAORegistered = true;
-
-        // Save deployment.json immediately with error handling
-        const deploymentPath = path.join(process.cwd(), 'deployment.json');
-        try {
-          fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
-          console.log(chalk.blue(`📝 Saved dlpId ${dlpId} to ${deploymentPath}`));
-        } catch (saveError) {
-          console.error(chalk.red(`❌ Failed to save dlpId to deployment.json: ${saveError.message}`));
-          console.error(chalk.yellow(`Please manually add "dlpId": ${dlpId} to deployment.json`));
-          // Still return true since registration succeeded
-        }
+    console.log(chalk.green('✅ Registration transaction confirmed!'));
+    console.log(`   Block: ${receipt.blockNumber}`);
+    console.log(`   Gas used: ${receipt.gasUsed}`);
+    console.log();
+
+    // The journal decodes the dlpId from the receipt; fall back to asking the registry
+    console.log(chalk.blue('🔍 Retrieving dlpId...'));
+    const dlpId = deployment.dlpId || await getDlpId(dlpProxyAddress);
+
+    if (dlpId > 0) {
+      output.success(`Registration successful! dlpId: ${dlpId}`, { dlpId, txHash: hash, dlpAddress: dlpProxyAddress });
+      deployment.dlpId = dlpId;
+      deployment.state = deployment.state || {};
+      deployment.state.dataDAORegistered = true;
 
-        return true;
-      } else {
-        console.error(chalk.red('Registration transaction succeeded but could not retrieve dlpId'));
-        console.log(chalk.yellow('Please check the transaction and try querying dlpId manually'));
-        throw new Error('Registration transaction succeeded but could not retrieve dlpId');
+      // Save deployment.json immediately with error handling
+      try {
+        stateManager.saveState(deployment);
+        console.log(chalk.blue(`📝 Saved dlpId ${dlpId} to ${stateManager.deploymentPath}`));
+      } catch (saveError) {
+        console.error(chalk.red(`❌ Failed to save dlpId to deployment.json: ${saveError.message}`));
+        console.error(chalk.yellow(`Please manually add "dlpId": ${dlpId} to deployment.json`));
+        // Still return true since registration succeeded
       }
+
+      return true;
     } else {
-      console.error(chalk.red('❌ Registration transaction failed'));
-      console.log(`   Transaction hash: ${hash}`);
-      throw new Error(`Registration transaction failed. Hash: ${hash}`);
+      console.error(chalk.red('Registration transaction succeeded but could not retrieve dlpId'));
+      console.log(chalk.yellow('Please check the transaction and try querying dlpId manually'));
+      throw new Error('Registration transaction succeeded but could not retrieve dlpId');
     }
 
   } catch (error) {
     console.error(chalk.red('Registration failed:'), error.message);
 
-    // Try to decode error signature
-    const signatureMatch = error.message.match(/0x[0-9a-fA-F]{8}/);
-    if (signatureMatch) {
-      const signature = signatureMatch[0];
-      try {
-        const decodedError = await decodeErrorSignature(signature);
-        console.error(chalk.yellow(`\n💡 Decoded error: ${decodedError}`));
-      } catch (decodeError) {
-        console.error(chalk.yellow(`\n💡 Error signature: ${signature} (could not decode)`));
-      }
-    }
+    // Name the custom error behind a revert and what to do about it
+    const contractError = reportContractError(error);
 
     // Comprehensive error analysis
     const errorLower = error.message.toLowerCase();
+    const errorKind = classifyChainError(error);
     let recoverySteps = [];
     let canRetry = false;
 
-    if (errorLower.includes('insufficient funds') || errorLower.includes('insufficient_funds')) {
+    if (errorKind === 'funds') {
       console.error(chalk.yellow('\n💡 Insufficient funds detected'));
       console.error(chalk.yellow('Registration requires 1 VANA + gas fees (~1.1 VANA total)'));
       recoverySteps = [
-        'Check balance: https://moksha.vanascan.io/address/' + deployment.address,
-        'Get testnet VANA: https://faucet.vana.org',
+        'Check balance: ' + addressUrl(network, deployment.address),
+        network.faucetHint,
         'Wait 1-2 minutes for funds to arrive',
         'Retry registration: npm run register:datadao'
       ];
-    } else if (errorLower.includes('user rejected') || errorLower.includes('user denied')) {
+    } else if (errorKind === 'rejected') {
       console.error(chalk.yellow('\n💡 Transaction cancelled by user'));
       canRetry = true;
       recoverySteps = [
         'No action needed - you cancelled the transaction',
         'Retry when ready: npm run register:datadao'
       ];
-    } else if (errorLower.includes('already registered') || errorLower.includes('dlp exists') || 
-               errorLower.includes('invalidname') || errorLower.includes('name') && errorLower.includes('taken')) {
+    } else if ((contractError && contractError.name === 'InvalidName') ||
+               errorLower.includes('already registered') || errorLower.includes('dlp exists') ||
+               errorLower.includes('name') && errorLower.includes('taken')) {
       console.error(chalk.yellow('\n💡 DataDAO name conflict detected'));
       recoverySteps = [
-        'Check registration on Vanascan: https://moksha.vanascan.io/address/' + dlpProxyAddress,
+        'Check registration on Vanascan: ' + addressUrl(network, dlpProxyAddress),
         'If registered, run: npm run status to update local state',
-        'Otherwise, check existing DataDAO names: https://moksha.vanascan.io/address/0x4D59880a924526d1dD33260552Ff4328b1E18a43',
+        'Otherwise, check existing DataDAO names: ' + addressUrl(network, getCoreContract(network, 'dlpRegistry')),
         'Edit deployment.json and change "dlpName" to something unique',
         'Retry registration after changing the name'
       ];
-    } else if (errorLower.includes('reverted') || errorLower.includes('execution failed')) {
+    } else if (errorKind === 'reverted') {
       console.error(chalk.yellow('\n💡 Transaction was reverted by the network'));
       recoverySteps = [
         'Verify contract deployment succeeded: npm run status',
@@ -397,15 +293,15 @@ async function performAutomatedRegistration(deployment, quickMode = false) {
         'Ensure you\'re using the proxy address, not implementation',
         'Try manual registration via Vanascan'
       ];
-    } else if (errorLower.includes('nonce') || errorLower.includes('already known')) {
+    } else if (errorKind === 'nonce') {
       console.error(chalk.yellow('\n💡 Transaction nonce conflict detected'));
       canRetry = true;
       recoverySteps = [
         'Wait 30 seconds for pending transactions',
-        'Check recent transactions: https://moksha.vanascan.io/address/' + deployment.address,
+        'Check recent transactions: ' + addressUrl(network, deployment.address),
         'Retry registration: npm run register:datadao'
       ];
-    } else if (errorLower.includes('timeout') || errorLower.includes('network')) {
+    } else if (errorKind === 'network' || errorKind === 'timeout') {
       console.error(chalk.yellow('\n💡 Network connectivity issue'));
       canRetry = true;
       recoverySteps = [
@@ -436,7 +332,7 @@ async function performAutomatedRegistration(deployment, quickMode = false) {
     // Offer alternative registration method
     console.error(chalk.cyan('\n🌐 Alternative: Manual Registration'));
     console.error(chalk.white('You can also register manually via Vanascan:'));
-    console.error(chalk.blue('https://moksha.vanascan.io/address/0x4D59880a924526d1dD33260552Ff4328b1E18a43?tab=write_proxy'));
+    console.error(chalk.blue(addressUrl(network, getCoreContract(network, 'dlpRegistry'), '?tab=write_proxy')));
 
     throw error; // Re-throw the original error
   }
@@ -446,14 +342,12 @@ async function performAutomatedRegistration(deployment, quickMode = false) {
  * PRESERVED: Manual registration flow
  */
 async function performManualRegistration(deployment) {
-  // Get the DLP proxy address (supports both old and new format)
-  const dlpProxyAddress = deployment.proxyAddress ||
-                         (deployment.contracts && deployment.contracts.proxyAddress) ||
-                         deployment.dlpAddress;
+  // Get the DLP proxy address
+  const dlpProxyAddress = deployment.contracts && deployment.contracts.proxyAddress;
 
   console.log();
   console.log(chalk.yellow('🔗 Manual Registration Steps:'));
-  console.log('1. Go to https://moksha.vanascan.io/address/0x4D59880a924526d1dD33260552Ff4328b1E18a43?tab=write_proxy');
+  console.log('1. Go to ' + addressUrl(network, getCoreContract(network, 'dlpRegistry'), '?tab=write_proxy'));
   console.log('2. Connect your wallet');
   console.log('3. Find the "registerDlp" method');
   console.log('4. Fill in the registration info:');
@@ -470,7 +364,7 @@ async function performManualRegistration(deployment) {
   console.log('8. Add the dlpId to your deployment.json (ie. "dlpId": 123,)');
   console.log();
 
-  const { completed } = await inquirer.prompt([
+  const { completed } = await prompt([
     {
       type: 'confirm',
       name: 'completed',
@@ -482,7 +376,7 @@ async function performManualRegistration(deployment) {
   if (!completed) {
     // Instead of exiting, offer options to continue
     while (true) {
-      const { manualAction } = await inquirer.prompt([
+      const { manualAction } = await prompt([
         {
           type: 'list',
           name: 'manualAction',
@@ -502,7 +396,7 @@ async function performManualRegistration(deployment) {
       } else if (manualAction === 'instructions') {
         console.log();
         console.log(chalk.yellow('🔗 Manual Registration Steps:'));
-        console.log('1. Go to https://moksha.vanascan.io/address/0x4D59880a924526d1dD33260552Ff4328b1E18a43?tab=write_proxy');
+        console.log('1. Go to ' + addressUrl(network, getCoreContract(network, 'dlpRegistry'), '?tab=write_proxy'));
         console.log('2. Connect your wallet');
         console.log('3. Find the "registerDlp" method');
         console.log('4. Fill in the registration info:');
@@ -554,7 +448,7 @@ async function performManualRegistration(deployment) {
 
     // Instead of exiting, offer retry options
     while (true) {
-      const { retryAction } = await inquirer.prompt([
+      const { retryAction } = await prompt([
         {
           type: 'list',
           name: 'retryAction',
@@ -586,12 +480,12 @@ async function performManualRegistration(deployment) {
       } else if (retryAction === 'check') {
         console.log();
         console.log(chalk.blue('💡 Check your transaction:'));
-        console.log(`• Wallet transactions: https://moksha.vanascan.io/address/${deployment.address}`);
-        console.log(`• DLP contract: https://moksha.vanascan.io/address/${dlpProxyAddress}`);
+        console.log(`• Wallet transactions: ${addressUrl(network, deployment.address)}`);
+        console.log(`• DLP contract: ${addressUrl(network, dlpProxyAddress)}`);
         console.log('• Look for a recent "registerDlp" transaction');
         console.log();
       } else if (retryAction === 'manual') {
-        const { manualDlpId } = await inquirer.prompt([
+        const { manualDlpId } = await prompt([
           {
             type: 'input',
             name: 'manualDlpId',
@@ -642,15 +536,21 @@ async function registerDataDAO() {
     throw new Error('No deployment.json found. Please deploy contracts first.');
   }
 
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
+  // Migrates older files and fails on invalid fields
+  stateManager = new DeploymentStateManager();
+  const deployment = stateManager.getState();
+  network = resolveNetwork(deployment);
+
+  // Pick up a registration an earlier run broadcast but never saw confirmed
+  if (!isDryRun()) {
+    await reconcilePendingTransactions(stateManager, createReadClient(network));
+  }
 
   // Detect quick mode from environment or deployment config
   const quickMode = process.env.QUICK_MODE === 'true' || deployment.quickMode === true;
 
-  // Get the DLP proxy address (supports both old and new format)
-  const dlpProxyAddress = deployment.proxyAddress ||
-                         (deployment.contracts && deployment.contracts.proxyAddress) ||
-                         deployment.dlpAddress;
+  // Get the DLP proxy address
+  const dlpProxyAddress = deployment.contracts && deployment.contracts.proxyAddress;
 
   if (!dlpProxyAddress) {
     console.error(chalk.red('No DLP proxy address found. Please deploy contracts first.'));
@@ -658,6 +558,7 @@ async function registerDataDAO() {
   }
 
   console.log(chalk.blue('📋 Registration Information:'));
+  console.log(`  Network: ${network.label}`);
   console.log(`  DLP Address: ${dlpProxyAddress}`);
   console.log(`  Owner Address: ${deployment.address}`);
   console.log(`  DLP Name: ${deployment.dlpName}`);
@@ -668,13 +569,18 @@ async function registerDataDAO() {
   const existingDlpId = await getDlpId(dlpProxyAddress);
 
   if (existingDlpId > 0) {
-    console.log(chalk.green(`✅ DataDAO already registered with dlpId: ${existingDlpId}`));
+    output.success(`DataDAO already registered with dlpId: ${existingDlpId}`, { dlpId: existingDlpId, dlpAddress: dlpProxyAddress });
+    if (isDryRun()) {
+      console.log(chalk.blue('🧪 Dry run: nothing to send.'));
+      return;
+    }
+
     deployment.dlpId = existingDlpId;
     deployment.state = deployment.state || {};
     deployment.state.dataDAORegistered = true;
     
     try {
-      fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
+      stateManager.saveState(deployment);
       console.log(chalk.blue(`📝 Updated deployment.json with dlpId: ${existingDlpId}`));
     } catch (saveError) {
       console.error(chalk.red(`❌ Failed to save dlpId to deployment.json: ${saveError.message}`));
@@ -692,7 +598,7 @@ async function registerDataDAO() {
 
   // Check if the DLP name is already taken BEFORE attempting registration
   console.log(chalk.blue('🔍 Checking DLP name availability...'));
-  const nameCheck = await checkDlpNameAvailability(deployment.dlpName);
+  const nameCheck = await checkDlpNameAvailability(network, deployment.dlpName);
 
   if (!nameCheck.available) {
     console.error(chalk.red(`❌ DLP name "${deployment.dlpName}" is already taken (dlpId: ${nameCheck.existingId})`));
@@ -700,9 +606,9 @@ async function registerDataDAO() {
     console.log();
 
     recoverySteps = [
-      'Check registration on Vanascan: https://moksha.vanascan.io/address/' + dlpProxyAddress,
+      'Check registration on Vanascan: ' + addressUrl(network, dlpProxyAddress),
       'If registered, run: npm run status to update local state',
-      'Otherwise, check existing DataDAO names: https://moksha.vanascan.io/address/0x4D59880a924526d1dD33260552Ff4328b1E18a43',
+      'Otherwise, check existing DataDAO names: ' + addressUrl(network, getCoreContract(network, 'dlpRegistry')),
       'Edit deployment.json and change "dlpName" to something unique',
       'Retry registration after changing the name'
     ];
@@ -720,6 +626,21 @@ async function registerDataDAO() {
   console.log(chalk.green(`✅ DLP name "${deployment.dlpName}" is available`));
   console.log();
 
+  if (isDryRun()) {
+    // Simulated from the owner address, so the vault stays locked
+    const report = await dryRunContractTransaction({
+      publicClient: createReadClient(network),
+      account: deployment.address,
+      label: `Register "${deployment.dlpName}" in the DLP registry`,
+      ...buildRegistrationCall(deployment, dlpProxyAddress)
+    });
+    console.log(chalk.blue('🧪 Dry run complete: nothing was broadcast and deployment.json is unchanged.'));
+    if (!report.ok) {
+      process.exitCode = EXIT_CODES.FAILURE;
+    }
+    return;
+  }
+
   let registrationMethod = 'auto'; // Default to auto
 
   // In quick mode, skip the selection and go straight to automated registration
@@ -727,7 +648,7 @@ async function registerDataDAO() {
     console.log(chalk.blue('📋 Registration Options:'));
     console.log();
 
-    const { method } = await inquirer.prompt([
+    const { method } = await prompt([
       {
         type: 'list',
         name: 'method',
@@ -747,7 +668,7 @@ async function registerDataDAO() {
 
       // Instead of just returning, offer to continue later
       while (true) {
-        const { skipAction } = await inquirer.prompt([
+        const { skipAction } = await prompt([
           {
             type: 'list',
             name: 'skipAction',
@@ -762,7 +683,7 @@ async function registerDataDAO() {
 
         if (skipAction === 'register') {
           // Go back to registration method selection
-          const { newMethod } = await inquirer.prompt([
+          const { newMethod } = await prompt([
             {
               type: 'list',
               name: 'newMethod',
@@ -817,6 +738,7 @@ async function registerDataDAO() {
 
 // Run registration
 registerDataDAO().catch(error => {
+  output.event('error', { message: error.message, exitCode: exitCodeFor(error) });
   console.error(chalk.red('Registration failed:'), error.message);
-  process.exit(1);
+  process.exit(exitCodeFor(error));
 });
\ No newline at end of file
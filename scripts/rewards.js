@@ -0,0 +1,281 @@
+const chalk = require('chalk');
+const { erc20Abi, formatUnits, isAddressEqual, parseUnits } = require('viem');
+const { createPrompt } = require('../lib/prompt');
+const { ConfigError, EXIT_CODES, exitCodeFor, readArg } = require('../lib/config');
+const { resolveNetwork, txUrl } = require('../lib/networks');
+const {
+  createReadClient,
+  createClients,
+  checkWalletBalance,
+  sendContractTransaction,
+  withRetry,
+  isDryRun,
+  dryRunContractTransaction
+} = require('../lib/chain');
+const { TransactionJournal, reconcilePendingTransactions } = require('../lib/tx-journal');
+const { reportContractError } = require('../lib/contract-errors');
+const { DLP_ABI, VESTING_WALLET_ABI, readDlp, loadToken, getRewardPayouts } = require('../lib/dlp');
+const DeploymentStateManager = require('./state-manager');
+const output = require('../lib/output');
+
+const prompt = createPrompt('rewards');
+
+// Default window for the payout rate
+const DEFAULT_DAYS = 7;
+
+const USAGE = `Usage: npm run rewards -- <command>
+
+Commands:
+  status [--days <n>]                 Reward pool balance, payout rate over the last n days (default ${DEFAULT_DAYS})
+                                      and how many more contributions it covers
+  fund <amount> [--from owner|vesting]
+                                      Approve and deposit <amount> tokens into the reward pool.
+                                      --from vesting first releases the vested tokens to the owner
+
+fund accepts --dry-run.`;
+
+/**
+ * Seconds between blocks, measured over the last 1000 blocks
+ */
+async function measureBlockTime(client, latest) {
+  const span = latest.number < 1000n ? latest.number : 1000n;
+  if (span === 0n) return null;
+  const earlier = await withRetry(() => client.getBlock({ blockNumber: latest.number - span }), { label: 'Block lookup' });
+  return Number(latest.timestamp - earlier.timestamp) / Number(span);
+}
+
+/**
+ * Pool balance, payout rate and projections
+ */
+async function collectPoolStatus(client, deployment, token, days) {
+  const { proxyAddress } = deployment.contracts;
+  const [pool, factor, paused, held] = await Promise.all([
+    readDlp(client, proxyAddress, 'totalContributorsRewardAmount'),
+    readDlp(client, proxyAddress, 'fileRewardFactor'),
+    readDlp(client, proxyAddress, 'paused'),
+    token.balanceOf(proxyAddress)
+  ]);
+
+  const latest = await withRetry(() => client.getBlock(), { label: 'Block lookup' });
+  const secondsPerBlock = await measureBlockTime(client, latest);
+  const proxyArtifact = (deployment.contractArtifacts || {}).DataLiquidityPoolProxy;
+  const deployedAt = BigInt((proxyArtifact && proxyArtifact.blockNumber) || 0);
+  const windowBlocks = secondsPerBlock ? BigInt(Math.ceil((days * 86400) / secondsPerBlock)) : latest.number;
+  const fromBlock = latest.number - windowBlocks > deployedAt ? latest.number - windowBlocks : deployedAt;
+
+  const payouts = await getRewardPayouts(client, proxyAddress, { fromBlock, toBlock: latest.number });
+  const paid = payouts.reduce((sum, payout) => sum + payout.amount, 0n);
+  const windowDays = secondsPerBlock ? (Number(latest.number - fromBlock) * secondsPerBlock) / 86400 : days;
+  const averageReward = payouts.length > 0 ? paid / BigInt(payouts.length) : null;
+
+  return {
+    pool,
+    held,
+    factor,
+    paused,
+    windowDays,
+    payouts: payouts.length,
+    paid,
+    averageReward,
+    paidPerDay: windowDays > 0 ? Number(formatUnits(paid, token.decimals)) / windowDays : 0,
+    fullScoreClaims: factor > 0n ? pool / factor : null,
+    averageClaims: averageReward ? pool / averageReward : null
+  };
+}
+
+/**
+ * status: print the pool and what it can still pay for
+ */
+async function showStatus(client, deployment, token, days) {
+  const status = await collectPoolStatus(client, deployment, token, days);
+  const perDay = `${status.paidPerDay.toFixed(2)} ${token.symbol}/day`;
+  const runway = status.paidPerDay > 0
+    ? `${(Number(formatUnits(status.pool, token.decimals)) / status.paidPerDay).toFixed(1)} days at the current rate`
+    : 'no payouts in the window';
+
+  output.event('rewards', {
+    token: token.address,
+    pool: status.pool,
+    held: status.held,
+    fileRewardFactor: status.factor,
+    paused: status.paused,
+    windowDays: status.windowDays,
+    payouts: status.payouts,
+    paid: status.paid,
+    paidPerDay: status.paidPerDay,
+    fullScoreClaims: status.fullScoreClaims,
+    averageClaims: status.averageClaims
+  });
+
+  output.summary('Contributor Reward Pool', [
+    { label: 'Pool balance', value: token.format(status.pool) },
+    { label: 'File reward factor', value: `${token.format(status.factor)} per file at full score` },
+    { label: `Paid in the last ${status.windowDays.toFixed(1)} days`, value: `${token.format(status.paid)} to ${status.payouts} file(s)` },
+    { label: 'Payout rate', value: status.averageReward !== null ? `${perDay}, ${token.format(status.averageReward)} per file on average` : perDay },
+    { label: 'Covers', value: [
+      status.fullScoreClaims !== null && `${status.fullScoreClaims} full-score file(s)`,
+      status.averageClaims !== null && `${status.averageClaims} at the recent average`
+    ].filter(Boolean).join(', ') || 'n/a' },
+    { label: 'Runway', value: runway }
+  ]);
+
+  if (status.paused) {
+    output.warning('The DLP is paused; no rewards can be claimed. Resume with: npm run dlp -- unpause');
+  }
+  if (status.factor > 0n && status.pool < status.factor) {
+    output.warning('The pool cannot pay a full-score file; the next such claim will revert. Fund it with: npm run rewards -- fund <amount>');
+  }
+  if (status.held < status.pool) {
+    output.warning(`The DLP holds ${token.format(status.held)}, less than the pool balance it records`);
+  }
+}
+
+/**
+ * fund: (release vested tokens,) approve and deposit into the pool
+ *
+ * @returns {Promise<boolean>} whether the deposit was sent
+ */
+async function fundPool(client, network, stateManager, token, amountArg, source) {
+  const deployment = stateManager.getState();
+  const { proxyAddress, vestingAddress } = deployment.contracts;
+
+  const amount = /^\d+(\.\d+)?$/.test(amountArg || '') ? parseUnits(amountArg, token.decimals) : 0n;
+  if (amount <= 0n) {
+    throw new ConfigError(`Invalid amount "${amountArg || ''}". Usage: npm run rewards -- fund <amount in ${token.symbol}>`);
+  }
+  if (!['owner', 'vesting'].includes(source)) {
+    throw new ConfigError(`Invalid --from "${source}". Expected owner or vesting.`);
+  }
+
+  const owner = deployment.address;
+  const steps = [];
+  if (source === 'vesting') {
+    if (!vestingAddress) {
+      throw new ConfigError('No vesting wallet in deployment.json (contracts.vestingAddress)');
+    }
+    const [beneficiary, releasable] = await Promise.all([
+      withRetry(() => client.readContract({ address: vestingAddress, abi: VESTING_WALLET_ABI, functionName: 'owner' }), { label: 'Vesting owner lookup' }),
+      withRetry(() => client.readContract({ address: vestingAddress, abi: VESTING_WALLET_ABI, functionName: 'releasable', args: [token.address] }), { label: 'Vesting lookup' })
+    ]);
+    if (!isAddressEqual(beneficiary, owner)) {
+      throw new ConfigError(`The vesting wallet pays out to ${beneficiary}, not to the deployment wallet ${owner}`);
+    }
+    if (releasable === 0n) {
+      throw new ConfigError('Nothing has vested yet; the vesting wallet has no tokens to release');
+    }
+    steps.push({ label: `Release ${token.format(releasable)} from the vesting wallet`, address: vestingAddress, abi: VESTING_WALLET_ABI, functionName: 'release', args: [token.address], purpose: 'releaseVested', adds: releasable });
+  }
+
+  const [balance, allowance] = await Promise.all([token.balanceOf(owner), token.allowance(owner, proxyAddress)]);
+  const available = balance + steps.reduce((sum, step) => sum + step.adds, 0n);
+  if (available < amount) {
+    throw new ConfigError(
+      `${owner} has ${token.format(available)} available, less than ${token.format(amount)}` +
+      (source === 'owner' && vestingAddress ? '. Vested tokens can be added with --from vesting' : '')
+    );
+  }
+  if (allowance < amount) {
+    steps.push({ label: `Approve the DLP to spend ${token.format(amount)}`, address: token.address, abi: erc20Abi, functionName: 'approve', args: [proxyAddress, amount], purpose: 'approve' });
+  }
+  steps.push({ label: `Deposit ${token.format(amount)} into the reward pool`, address: proxyAddress, abi: DLP_ABI, functionName: 'addRewardsForContributors', args: [amount], purpose: 'addRewardsForContributors' });
+
+  console.log(chalk.cyan('📋 Funding plan:'));
+  steps.forEach((step, index) => console.log(`  ${index + 1}. ${step.label}`));
+  console.log();
+
+  if (isDryRun()) {
+    // Later steps depend on the state earlier ones leave behind, so only the first can be simulated
+    const [first] = steps;
+    const report = await dryRunContractTransaction({ publicClient: client, account: owner, ...first });
+    if (steps.length > 1) {
+      console.log(chalk.gray(`The remaining ${steps.length - 1} step(s) depend on this one and were not simulated.`));
+    }
+    if (!report.ok) process.exitCode = EXIT_CODES.FAILURE;
+    return false;
+  }
+
+  const { confirmed } = await prompt([
+    { type: 'confirm', name: 'confirmed', message: `Send ${steps.length} transaction(s) from ${owner}?`, default: true }
+  ]);
+  if (!confirmed) {
+    console.log(chalk.yellow('Nothing sent.'));
+    return false;
+  }
+
+  const privateKey = await stateManager.vault.require('privateKey');
+  const { account, publicClient, walletClient } = createClients(network, privateKey);
+  const { sufficient } = await checkWalletBalance(publicClient, account.address, { network });
+  if (sufficient === false) {
+    throw new Error('Insufficient VANA balance for gas');
+  }
+
+  const journal = new TransactionJournal(stateManager);
+  for (const step of steps) {
+    console.log(chalk.blue(`⏳ ${step.label}...`));
+    const { hash } = await sendContractTransaction({
+      publicClient,
+      walletClient,
+      account,
+      address: step.address,
+      abi: step.abi,
+      functionName: step.functionName,
+      args: step.args,
+      journal,
+      purpose: step.purpose,
+      context: { amount: String(amount) }
+    });
+    console.log(chalk.green(`   ✅ ${txUrl(network, hash)}`));
+  }
+
+  output.success(`Deposited ${token.format(amount)} into the reward pool`, { amount, token: token.address });
+  return true;
+}
+
+/**
+ * Reward pool command
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args.find(arg => ['status', 'fund'].includes(arg));
+  const operand = command && args[args.indexOf(command) + 1];
+
+  if (!command) {
+    console.log(USAGE);
+    process.exit(args.length > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS);
+  }
+
+  try {
+    const stateManager = new DeploymentStateManager();
+    const deployment = stateManager.getState();
+    const network = resolveNetwork(deployment);
+    if (!deployment.contracts || !deployment.contracts.proxyAddress) {
+      throw new ConfigError('No DLP proxy address in deployment.json. Run "npm run deploy:contracts" first.');
+    }
+
+    const client = createReadClient(network);
+    const token = await loadToken(client, deployment);
+
+    if (command === 'status') {
+      const days = Number(readArg(args, '--days') || DEFAULT_DAYS);
+      if (!(days > 0)) {
+        throw new ConfigError('--days must be a positive number');
+      }
+      await showStatus(client, deployment, token, days);
+      return;
+    }
+
+    if (!isDryRun()) {
+      await reconcilePendingTransactions(stateManager, client);
+    }
+    const amount = operand && !operand.startsWith('--') ? operand : undefined;
+    if (await fundPool(client, network, stateManager, token, amount, readArg(args, '--from') || 'owner')) {
+      await showStatus(client, deployment, token, DEFAULT_DAYS);
+    }
+  } catch (error) {
+    output.error(`Rewards command failed: ${error.shortMessage || error.message}`);
+    reportContractError(error);
+    process.exit(exitCodeFor(error));
+  }
+}
+
+main();
@@ -1,8 +1,25 @@
-const inquirer = require('inquirer');
+const { prompt } = require('../lib/prompt');
+const { ConfigError, getConfigValue, getRunConfig, exitCodeFor } = require('../lib/config');
+const { resolveNetwork } = require('../lib/networks');
+const { SecretVault, registerSecret } = require('../lib/vault');
+const { walletFromPrivateKey, generateWallet, readKeystoreFile } = require('../lib/wallet');
+const { createReadClient, checkWalletBalance } = require('../lib/chain');
+const {
+  validateDlpName,
+  validateTokenName,
+  validateTokenSymbol,
+  checkDlpNameAvailability,
+  generateTokenSalt,
+  predictTokenAddress
+} = require('../lib/preflight');
+const { EnvFile } = require('../lib/env-file');
+const { DEFAULT_REFINEMENT_ENDPOINT } = require('../lib/env-components');
+const DeploymentStateManager = require('./state-manager');
+const output = require('../lib/output');
+const { SCHEMA_VERSION, DeploymentSchemaError, emptyStateFlags, validateDeployment } = require('../lib/deployment-schema');
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
-const { createWalletClient, hexToBytes } = require('viem');
 
 /**
  * Main setup function
@@ -11,12 +28,34 @@ async function setup() {
   try {
     console.log(chalk.blue('Setting up your DataDAO project...'));
 
+    const network = resolveNetwork();
+    console.log(chalk.blue(`Network: ${network.label} (use --network moksha|mainnet|local to change)`));
+
     // Collect configuration through interactive prompts
-    const config = await promptForConfig();
+    const config = await promptForConfig(network);
+
+    // Chain checks run before anything is written
+    const preflight = await runPreflightChecks(config, network);
+
+    // Secrets go to the encrypted vault, never to deployment.json or .env files
+    const vault = new SecretVault();
+    await vault.set({
+      privateKey: config.privateKey,
+      pinataApiKey: config.pinataApiKey,
+      pinataApiSecret: config.pinataApiSecret,
+      googleClientSecret: config.googleClientSecret
+    });
+    console.log(chalk.green('🔐 Private key and API secrets saved to the secret vault'));
 
     // Generate environment files
-    await generateEnvFiles(config);
+    await generateEnvFiles(config, network);
 
+    output.event('success', {
+      message: 'Setup completed',
+      network: network.name,
+      address: config.address,
+      predictedTokenAddress: preflight.tokenAddress
+    });
     console.log(chalk.green('Setup completed successfully!'));
     console.log();
     console.log('Next steps:');
@@ -27,69 +66,159 @@ async function setup() {
     console.log('   ' + chalk.cyan('npm run register:datadao'));
     console.log();
   } catch (error) {
+    output.event('error', { message: error.message, exitCode: exitCodeFor(error) });
     console.error(chalk.red('Setup failed:'), error.message);
-    process.exit(1);
+    process.exit(exitCodeFor(error));
+  }
+}
+
+/**
+ * Show a new wallet's recovery phrase until the user confirms it is written
+ * down. It goes to stderr only, so it never reaches --json output or a log file.
+ */
+async function showRecoveryPhrase(wallet, network) {
+  const words = wallet.mnemonic.split(' ').map((word, index) => `${String(index + 1).padStart(2)}. ${word}`);
+  process.stderr.write([
+    '',
+    chalk.yellow.bold('🔑 Recovery phrase for your new deployer wallet'),
+    chalk.yellow('Write these words down in order and keep them offline. They are the only backup'),
+    chalk.yellow('of this wallet outside the secret vault, and they are not shown again.'),
+    '',
+    ...[0, 3, 6, 9].map(row => `  ${words.slice(row, row + 3).map(word => word.padEnd(16)).join('')}`),
+    '',
+    `  Address: ${wallet.address}`,
+    ''
+  ].join('\n') + '\n');
+
+  let saved = false;
+  while (!saved) {
+    ({ mnemonicSaved: saved } = await prompt([
+      {
+        type: 'confirm',
+        name: 'mnemonicSaved',
+        message: 'Have you written down the recovery phrase?',
+        default: false
+      }
+    ]));
   }
+  registerSecret(wallet.mnemonic);
+
+  console.log(chalk.yellow(`Fund ${wallet.address} before deploying. ${network.faucetHint}`));
+}
+
+/**
+ * Choose the deployer wallet: a private key, a JSON keystore or a new one.
+ * The address and public key are derived from the key, never typed in.
+ *
+ * @returns {Promise<Object>} `{ privateKey, address, publicKey }`
+ */
+async function promptForWallet(network) {
+  const { walletSource } = await prompt([
+    {
+      type: 'list',
+      name: 'walletSource',
+      message: 'Deployer wallet:',
+      choices: [
+        { name: 'Enter a private key', value: 'privateKey' },
+        { name: 'Import an encrypted JSON keystore', value: 'keystore' },
+        { name: 'Generate a new wallet', value: 'generate' }
+      ]
+    }
+  ]);
+
+  let wallet;
+  if (walletSource === 'generate') {
+    if (getRunConfig().nonInteractive) {
+      throw new ConfigError('A new wallet cannot be generated in an unattended run: nobody would see its recovery phrase. Set "walletSource" to "privateKey" or "keystore".');
+    }
+    wallet = generateWallet();
+    await showRecoveryPhrase(wallet, network);
+  } else if (walletSource === 'keystore') {
+    const { keystorePath, keystorePassword } = await prompt([
+      {
+        type: 'input',
+        name: 'keystorePath',
+        message: 'Path to the keystore file:',
+        validate: (input) => fs.existsSync(path.resolve(input.trim())) || 'File not found'
+      },
+      {
+        type: 'password',
+        name: 'keystorePassword',
+        message: 'Keystore password:'
+      }
+    ]);
+    console.log(chalk.blue('🔓 Decrypting keystore...'));
+    wallet = readKeystoreFile(path.resolve(keystorePath.trim()), keystorePassword);
+  } else {
+    const { privateKey } = await prompt([
+      {
+        type: 'password',
+        name: 'privateKey',
+        message: 'Wallet Private Key (used for deployment):',
+        validate: (input) => {
+          try {
+            walletFromPrivateKey(input);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        }
+      }
+    ]);
+    wallet = walletFromPrivateKey(privateKey);
+  }
+
+  // Configs written before the address was derived may still list it; it has to match
+  for (const field of ['address', 'publicKey']) {
+    const given = getConfigValue(field);
+    if (given && given.toLowerCase() !== wallet[field].toLowerCase()) {
+      throw new ConfigError(`"${field}" in the config (${given}) does not belong to the private key, which gives ${wallet[field]}`);
+    }
+  }
+
+  console.log(chalk.green(`✅ Wallet address: ${wallet.address}`));
+  console.log(chalk.gray(`   Public key: ${wallet.publicKey}`));
+  return { privateKey: wallet.privateKey, address: wallet.address, publicKey: wallet.publicKey };
 }
 
 /**
  * Prompt for configuration
  */
-async function promptForConfig() {
+async function promptForConfig(network) {
   console.log(chalk.blue('Please provide the following information:'));
 
-  const answers = await inquirer.prompt([
+  const answers = await prompt([
     {
       type: 'input',
       name: 'dlpName',
       message: 'DataDAO Name:',
       default: 'QuickstartDAO',
-      validate: (input) => input.trim() !== '' ? true : 'Name is required'
+      validate: async (input) => {
+        const format = validateDlpName(input);
+        if (format !== true) return format;
+        const { available, existingId } = await checkDlpNameAvailability(network, input);
+        return available || `"${input}" is already registered on ${network.label} (dlpId ${existingId}). Choose another name.`;
+      }
     },
     {
       type: 'input',
       name: 'tokenName',
       message: 'Token Name:',
       default: 'QuickToken',
-      validate: (input) => input.trim() !== '' ? true : 'Token name is required'
+      validate: validateTokenName
     },
     {
       type: 'input',
       name: 'tokenSymbol',
       message: 'Token Symbol:',
       default: 'QTKN',
-      validate: (input) => input.trim() !== '' ? true : 'Token symbol is required'
-    },
-    {
-      type: 'password',
-      name: 'privateKey',
-      message: 'Wallet Private Key (used for deployment):',
-      validate: (input) => {
-        if (input.trim() === '') return 'Private key is required';
-        if (!input.startsWith('0x')) return 'Private key must start with 0x';
-        return true;
-      }
-    },
-    {
-      type: 'input',
-      name: 'address',
-      message: 'Wallet Address:',
-      validate: (input) => {
-        if (input.trim() === '') return 'Address is required';
-        if (!input.startsWith('0x')) return 'Address must start with 0x';
-        return true;
-      }
-    },
-    {
-      type: 'input',
-      name: 'publicKey',
-      message: 'Wallet Public Key:',
-      validate: (input) => {
-        if (input.trim() === '') return 'Public key is required';
-        if (!input.startsWith('0x')) return 'Public key must start with 0x';
-        return true;
-      }
+      validate: validateTokenSymbol
     },
+  ]);
+
+  Object.assign(answers, await promptForWallet(network));
+
+  Object.assign(answers, await prompt([
     {
       type: 'input',
       name: 'pinataApiKey',
@@ -114,47 +243,123 @@ async function promptForConfig() {
       message: 'Google Client Secret (for UI):',
       validate: (input) => input.trim() !== '' ? true : 'Google Client Secret is required'
     }
-  ]);
+  ]));
+
+  // Repositories are only known up front in unattended runs; interactive
+  // users set them up later through `npm run status`
+  const proofRepo = getConfigValue('proofRepo');
+  const refinerRepo = getConfigValue('refinerRepo');
+  if (proofRepo) answers.proofRepo = proofRepo;
+  if (refinerRepo) answers.refinerRepo = refinerRepo;
 
   return answers;
 }
 
+/**
+ * Pick the token salt and report where the DAT factory will put the token,
+ * then compare the wallet balance with what the full pipeline costs. A low
+ * balance only warns: nothing is sent until `npm run deploy`.
+ *
+ * @returns {Promise<Object>} `{ tokenAddress }`, null when it could not be predicted
+ */
+async function runPreflightChecks(config, network) {
+  console.log(chalk.blue('🔍 Running pre-flight checks...'));
+
+  // A random salt colliding is near impossible, but createToken would revert on it
+  let prediction = null;
+  config.tokenSalt = generateTokenSalt(config.tokenSymbol);
+  try {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      prediction = await predictTokenAddress(network, config.tokenSalt);
+      if (!prediction || !prediction.taken) break;
+      config.tokenSalt = generateTokenSalt(config.tokenSymbol);
+    }
+  } catch (error) {
+    output.warning(`Could not predict the token address: ${error.shortMessage || error.message}`);
+  }
+
+  if (!prediction) {
+    console.log(chalk.gray('   Token address: not predicted (no DAT factory for this network yet)'));
+  } else if (prediction.taken) {
+    throw new ConfigError(`The DAT factory already has a contract at ${prediction.address} for every salt tried. Re-run setup.`);
+  } else {
+    console.log(chalk.green(`✅ Token ${config.tokenSymbol} will be deployed at ${prediction.address}`));
+  }
+
+  const { sufficient } = await checkWalletBalance(createReadClient(network), config.address, {
+    purpose: 'pipeline',
+    network
+  });
+  if (sufficient === false) {
+    output.warning('Fund the wallet before running npm run deploy');
+  }
+
+  return { tokenAddress: prediction && !prediction.taken ? prediction.address : null };
+}
+
 /**
  * Generate environment files for each component
  */
-async function generateEnvFiles(config) {
+async function generateEnvFiles(config, network) {
+  // Build and validate deployment.json before writing anything
+  const deployment = {
+    schemaVersion: SCHEMA_VERSION,
+    network: network.name,
+    dlpName: config.dlpName,
+    tokenName: config.tokenName,
+    tokenSymbol: config.tokenSymbol,
+    address: config.address,
+    publicKey: config.publicKey,
+    googleClientId: config.googleClientId
+  };
+
+  if (config.proofRepo) deployment.proofRepo = config.proofRepo;
+  if (config.refinerRepo) deployment.refinerRepo = config.refinerRepo;
+  deployment.state = emptyStateFlags();
+
+  const issues = validateDeployment(deployment);
+  if (issues.length > 0) {
+    throw new DeploymentSchemaError('deployment.json', issues);
+  }
+
   console.log(chalk.blue('Generating environment files...'));
 
-  // Contracts .env
-  const contractsEnv = `DEPLOYER_PRIVATE_KEY=${config.privateKey}
-OWNER_ADDRESS=${config.address}
-DLP_NAME=${config.dlpName}
-DLP_PUBLIC_KEY=${config.publicKey}
-DLP_TOKEN_NAME=${config.tokenName}
-DLP_TOKEN_SYMBOL=${config.tokenSymbol}
-DLP_TOKEN_SALT=${config.tokenSymbol}-${Date.now()}-${Math.random().toString(36).substring(2, 8)}
-`;
+  // Values are set in place, so comments and variables added by hand survive a re-run
+  // Contracts .env (DEPLOYER_PRIVATE_KEY is passed in from the vault at deploy time)
+  const contractsEnv = EnvFile.load(path.join(process.cwd(), 'contracts', '.env'));
+  contractsEnv.set('OWNER_ADDRESS', config.address);
+  contractsEnv.set('DLP_NAME', config.dlpName);
+  contractsEnv.set('DLP_PUBLIC_KEY', config.publicKey);
+  contractsEnv.set('DLP_TOKEN_NAME', config.tokenName);
+  contractsEnv.set('DLP_TOKEN_SYMBOL', config.tokenSymbol);
+  contractsEnv.set('DLP_TOKEN_SALT', config.tokenSalt);
 
-  fs.writeFileSync(path.join(process.cwd(), 'contracts', '.env'), contractsEnv);
+  // Core contract addresses and RPC for the hardhat network the DLP deploys to
+  const networkEnv = [
+    [network.hardhatRpcEnv, network.rpcUrl],
+    ['DLP_REGISTRY_CONTRACT_ADDRESS', network.contracts.dlpRegistry],
+    ['DATA_REGISTRY_CONTRACT_ADDRESS', network.contracts.dataRegistry],
+    ['TEE_POOL_CONTRACT_ADDRESS', network.contracts.teePool],
+    ['DAT_FACTORY_CONTRACT_ADDRESS', network.contracts.datFactory]
+  ];
+  for (const [key, value] of networkEnv) {
+    if (key && value) contractsEnv.set(key, value);
+  }
+  contractsEnv.save();
 
   // Create a blank .env for refiner
-  const refinerEnv = `# Will be populated with refinement encryption key after DataDAO registration
-PINATA_API_KEY=${config.pinataApiKey}
-PINATA_API_SECRET=${config.pinataApiSecret}
-`;
-
-  fs.writeFileSync(path.join(process.cwd(), 'refiner', '.env'), refinerEnv);
+  EnvFile.load(path.join(process.cwd(), 'refiner', '.env'), {
+    template: '# Will be populated with refinement encryption key after DataDAO registration\n'
+  }).save();
 
   // Create a blank .env for UI
-  const uiEnv = `# Will be populated with additional values after deployment
-GOOGLE_CLIENT_ID=${config.googleClientId}
-GOOGLE_CLIENT_SECRET=${config.googleClientSecret}
-PINATA_API_KEY=${config.pinataApiKey}
-PINATA_API_SECRET=${config.pinataApiSecret}
-REFINEMENT_ENDPOINT=https://a7df0ae43df690b889c1201546d7058ceb04d21b-8000.dstack-prod5.phala.network
-`;
-
-  fs.writeFileSync(path.join(process.cwd(), 'ui', '.env'), uiEnv);
+  // Secrets are added by deploy-ui, which the UI needs at runtime
+  const uiEnv = EnvFile.load(path.join(process.cwd(), 'ui', '.env'), {
+    template: '# Will be populated with additional values after deployment\n'
+  });
+  uiEnv.set('GOOGLE_CLIENT_ID', config.googleClientId);
+  uiEnv.set('REFINEMENT_ENDPOINT', DEFAULT_REFINEMENT_ENDPOINT);
+  uiEnv.save();
 
   // Copy example .env files if they don't exist
   if (fs.existsSync(path.join(process.cwd(), 'contracts', '.env.example'))) {
@@ -171,19 +376,8 @@ REFINEMENT_ENDPOINT=https://a7df0ae43df690b889c1201546d7058ceb04d21b-8000.dstack
     );
   }
 
-  // Create deployment.json to track state
-  const deployment = {
-    dlpName: config.dlpName,
-    tokenName: config.tokenName,
-    tokenSymbol: config.tokenSymbol,
-    address: config.address,
-    publicKey: config.publicKey
-  };
-
-  fs.writeFileSync(
-    path.join(process.cwd(), 'deployment.json'),
-    JSON.stringify(deployment, null, 2)
-  );
+  // Save deployment.json to track state (an existing one is kept in the history)
+  DeploymentStateManager.create(deployment);
 
   console.log(chalk.green('Environment files generated successfully.'));
 }
@@ -1,7 +1,123 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
-const inquirer = require('inquirer');
+const { createPrompt } = require('../lib/prompt');
+const { ConfigError } = require('../lib/config');
+const { SecretVault, SECRET_FIELDS, redact } = require('../lib/vault');
+const { writeFileAtomic, acquireStateLock, listHistory, saveSnapshot } = require('../lib/state-file');
+const { SCHEMA_VERSION, DeploymentSchemaError, emptyStateFlags, validateDeployment } = require('../lib/deployment-schema');
+const { loadStepGraph } = require('../lib/steps');
+const { walletForAddress } = require('../lib/wallet');
+
+const prompt = createPrompt('status');
+
+/**
+ * Upgrades for deployment.json, applied in order to files older than SCHEMA_VERSION.
+ * Each entry moves a file from schema `from` to `from + 1`.
+ */
+const MIGRATIONS = [
+  {
+    from: 1,
+    description: 'contract addresses moved under "contracts", state flags initialised',
+    migrate(deployment) {
+      const { tokenAddress, proxyAddress, vestingAddress, dlpAddress, ...rest } = deployment;
+      const contracts = { ...(deployment.contracts || {}) };
+
+      // Addresses that were never set stay out: the schema checks every key that is present
+      if (!contracts.tokenAddress && tokenAddress) contracts.tokenAddress = tokenAddress;
+      if (!contracts.proxyAddress && (proxyAddress || dlpAddress)) contracts.proxyAddress = proxyAddress || dlpAddress;
+      contracts.vestingAddress = contracts.vestingAddress || vestingAddress || null;
+
+      if (contracts.tokenAddress || contracts.proxyAddress) {
+        rest.contracts = contracts;
+      } else {
+        delete rest.contracts;
+      }
+
+      // Manually entered ids were sometimes saved as strings
+      for (const field of ['dlpId', 'refinerId']) {
+        if (typeof rest[field] === 'string' && /^\d+$/.test(rest[field])) {
+          rest[field] = Number(rest[field]);
+        }
+      }
+
+      if (!rest.state) {
+        rest.state = {
+          ...emptyStateFlags(),
+          contractsDeployed: !!(rest.contracts && rest.contracts.tokenAddress && rest.contracts.proxyAddress),
+          dataDAORegistered: !!rest.dlpId
+        };
+      }
+
+      return rest;
+    }
+  }
+];
+
+/**
+ * Parse deployment.json text, apply pending migrations and validate the result
+ */
+function parseDeployment(text, source) {
+  let deployment;
+  try {
+    deployment = JSON.parse(text);
+  } catch (error) {
+    throw new DeploymentSchemaError(source, [`not valid JSON: ${error.message}`]);
+  }
+
+  const fromVersion = deployment.schemaVersion || 1;
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new DeploymentSchemaError(source, [
+      `schemaVersion ${fromVersion} was written by a newer Streamint; this version reads up to ${SCHEMA_VERSION}`
+    ]);
+  }
+
+  for (const migration of MIGRATIONS.filter(m => m.from >= fromVersion)) {
+    const { schemaVersion, ...fields } = migration.migrate(deployment);
+    deployment = { schemaVersion: migration.from + 1, ...fields };
+    console.log(chalk.blue(`🔄 Upgraded deployment.json to schema v${deployment.schemaVersion}: ${migration.description}`));
+  }
+
+  const issues = validateDeployment(deployment);
+  if (issues.length > 0) {
+    throw new DeploymentSchemaError(source, issues);
+  }
+
+  return { deployment, migrated: fromVersion < SCHEMA_VERSION };
+}
+
+/**
+ * deployment.json text for `deployment`, refusing anything the loader would
+ * reject so a bad value never reaches the file
+ */
+function serializeDeployment(deployment, deploymentPath) {
+  const text = JSON.stringify(deployment, null, 2);
+  const issues = validateDeployment(JSON.parse(text));
+  if (issues.length > 0) {
+    throw new DeploymentSchemaError(`${deploymentPath} (not saved)`, issues);
+  }
+  return text;
+}
+
+/**
+ * Copy the current deployment.json into the history before it is replaced
+ */
+function snapshotDeployment(deploymentPath) {
+  if (!fs.existsSync(deploymentPath)) {
+    return;
+  }
+
+  let content = fs.readFileSync(deploymentPath, 'utf8');
+  try {
+    // History never keeps plaintext secrets, even from files written before the vault
+    const current = JSON.parse(content);
+    SECRET_FIELDS.forEach(field => delete current[field]);
+    content = JSON.stringify(current, null, 2);
+  } catch (error) {
+    // Keep an unparseable file as-is so it can still be repaired by hand
+  }
+  saveSnapshot(deploymentPath, content);
+}
 
 /**
  * Enhanced state management for DataDAO deployment with error recovery
@@ -9,32 +125,68 @@ const inquirer = require('inquirer');
 class DeploymentStateManager {
   constructor(projectRoot = process.cwd()) {
     this.deploymentPath = path.join(projectRoot, 'deployment.json');
+    this.vault = new SecretVault(projectRoot);
+
+    // Held until this command exits, so concurrent runs cannot overwrite each other's changes
+    acquireStateLock(this.deploymentPath);
     this.state = this.loadState();
   }
 
   /**
-   * Load deployment state from file
+   * Write a brand-new deployment.json (used by setup), snapshotting any
+   * existing one first
+   */
+  static create(deployment, projectRoot = process.cwd()) {
+    const deploymentPath = path.join(projectRoot, 'deployment.json');
+    acquireStateLock(deploymentPath);
+    const text = serializeDeployment(deployment, deploymentPath);
+    snapshotDeployment(deploymentPath);
+    writeFileAtomic(deploymentPath, text);
+    return new DeploymentStateManager(projectRoot);
+  }
+
+  /**
+   * Earlier versions of deployment.json, newest first
+   */
+  static getHistory(projectRoot = process.cwd()) {
+    return listHistory(path.join(projectRoot, 'deployment.json'));
+  }
+
+  /**
+   * Roll deployment.json back to snapshot `index` (1 = newest). Works even when
+   * the current file is unreadable; its contents become the newest snapshot,
+   * so a restore can itself be undone.
+   */
+  static restoreSnapshot(index, projectRoot = process.cwd()) {
+    const deploymentPath = path.join(projectRoot, 'deployment.json');
+    acquireStateLock(deploymentPath);
+
+    const history = listHistory(deploymentPath);
+    const entry = history[index - 1];
+    if (!entry) {
+      throw new ConfigError(
+        history.length === 0
+          ? 'No deployment.json history yet. A snapshot is taken each time a script saves it.'
+          : `No snapshot #${index}. Choose 1-${history.length} (npm run status -- --history lists them).`
+      );
+    }
+
+    const { deployment } = parseDeployment(fs.readFileSync(entry.path, 'utf8'), entry.path);
+    snapshotDeployment(deploymentPath);
+    writeFileAtomic(deploymentPath, JSON.stringify(deployment, null, 2));
+    return entry;
+  }
+
+  /**
+   * Load deployment state from file, upgrading older schema versions in place
    */
   loadState() {
     if (!fs.existsSync(this.deploymentPath)) {
       throw new Error('deployment.json not found. Run deployment steps in order.');
     }
 
-    const deployment = JSON.parse(fs.readFileSync(this.deploymentPath, 'utf8'));
-
-    // Initialize state tracking if not present
-    if (!deployment.state) {
-      deployment.state = {
-        contractsDeployed: !!deployment.tokenAddress && !!deployment.proxyAddress,
-        dataDAORegistered: !!deployment.dlpId,
-        proofConfigured: false,
-        proofGitSetup: false,
-        proofPublished: false,
-        refinerConfigured: false,
-        refinerGitSetup: false,
-        refinerPublished: false,
-        uiConfigured: false
-      };
+    const { deployment, migrated } = parseDeployment(fs.readFileSync(this.deploymentPath, 'utf8'), this.deploymentPath);
+    if (migrated) {
       this.saveState(deployment);
     }
 
@@ -47,18 +199,14 @@ class DeploymentStateManager {
   }
 
   /**
-   * Save state to file with backup
+   * Save state atomically, keeping the previous contents in the history
    */
   saveState(newState = null) {
     const stateToSave = newState || this.state;
-    
-    // Create backup before saving
-    if (fs.existsSync(this.deploymentPath)) {
-      const backupPath = this.deploymentPath + '.backup';
-      fs.copyFileSync(this.deploymentPath, backupPath);
-    }
-    
-    fs.writeFileSync(this.deploymentPath, JSON.stringify(stateToSave, null, 2));
+
+    const text = serializeDeployment(this.vault.withoutStoredSecrets(stateToSave), this.deploymentPath);
+    snapshotDeployment(this.deploymentPath);
+    writeFileAtomic(this.deploymentPath, text);
     if (!newState) {
       this.state = stateToSave;
     }
@@ -69,9 +217,9 @@ class DeploymentStateManager {
    */
   recordError(step, error) {
     this.state.errors[step] = {
-      message: error.message,
+      message: redact(error.message),
       timestamp: new Date().toISOString(),
-      stack: error.stack
+      stack: redact(error.stack)
     };
     this.saveState();
   }
@@ -87,77 +235,26 @@ class DeploymentStateManager {
   }
 
   /**
-   * Get recovery suggestions for failed steps
+   * The deployment steps, including the project's custom ones
    */
-  getRecoverySuggestions() {
-    const suggestions = [];
-    
-    if (this.state.errors.contractsDeployed) {
-      suggestions.push({
-        step: 'Contract Deployment',
-        issue: 'Smart contract deployment failed',
-        solutions: [
-          'Check wallet balance (need VANA tokens)',
-          'Verify network connectivity',
-          'Try again: npm run deploy:contracts'
-        ]
-      });
-    }
-
-    if (this.state.errors.dataDAORegistered) {
-      suggestions.push({
-        step: 'DataDAO Registration',
-        issue: 'Registration on Vana network failed',
-        solutions: [
-          'Ensure contracts are deployed first',
-          'Check you have 1 VANA for registration fee',
-          'Try again: npm run register:datadao'
-        ]
-      });
-    }
-
-    if (this.state.errors.proofConfigured) {
-      suggestions.push({
-        step: 'Proof of Contribution',
-        issue: 'Proof system configuration failed',
-        solutions: [
-          'Ensure GitHub repository is accessible',
-          'Check dlpId is available from registration',
-          'Verify git configuration and permissions',
-          'Try again: npm run deploy:proof'
-        ]
-      });
-    }
-
-    if (this.state.errors.refinerConfigured) {
-      suggestions.push({
-        step: 'Data Refiner',
-        issue: 'Refiner configuration failed',
-        solutions: [
-          'Ensure Docker is running (for local schema generation)',
-          'Check Pinata API credentials are valid',
-          'Verify GitHub repository is accessible',
-          'Check encryption key retrieval from blockchain',
-          'Try again: npm run deploy:refiner'
-        ]
-      });
-    }
-
-    if (this.state.errors.uiConfigured) {
-      suggestions.push({
-        step: 'User Interface',
-        issue: 'UI configuration failed',
-        solutions: [
-          'Ensure proof deployment completed (need proofUrl)',
-          'Ensure refiner registration completed (need refinerId)',
-          'Check Google OAuth credentials are valid',
-          'Check Pinata API credentials are valid',
-          'Try again: npm run deploy:ui'
-        ]
-      });
+  get steps() {
+    if (!this.stepGraph) {
+      this.stepGraph = loadStepGraph(path.dirname(this.deploymentPath));
     }
+    return this.stepGraph;
+  }
 
-    return suggestions;
+  /**
+   * Get recovery suggestions for failed steps
+   */
+  getRecoverySuggestions() {
+    return this.steps.steps
+      .filter(step => this.state.errors[step.id])
+      .map(step => ({
+        step: step.title,
+        issue: (step.recovery && step.recovery.issue) || `${step.title} failed`,
+        solutions: (step.recovery && step.recovery.solutions) || [`Try again: ${this.steps.commandFor(step)}`]
+      }));
   }
 
   /**
@@ -184,7 +281,7 @@ class DeploymentStateManager {
       console.log();
     }
 
-    const { action } = await inquirer.prompt([
+    const { action } = await prompt([
       {
         type: 'list',
         name: 'action',
@@ -209,7 +306,7 @@ class DeploymentStateManager {
 
     // Check required fields
     const requiredFields = [
-      'dlpName', 'tokenName', 'tokenSymbol', 'privateKey', 'address'
+      'dlpName', 'tokenName', 'tokenSymbol', 'address'
     ];
 
     for (const field of requiredFields) {
@@ -218,12 +315,19 @@ class DeploymentStateManager {
       }
     }
 
+    // Secrets live in the vault (or, before migration, in plaintext here)
+    const hasSecret = (field) => !!this.state[field] || this.vault.has(field);
+
+    if (!hasSecret('privateKey')) {
+      issues.push('Missing privateKey');
+    }
+
     // Check external service credentials
-    if (!this.state.pinataApiKey || !this.state.pinataApiSecret) {
+    if (!hasSecret('pinataApiKey') || !hasSecret('pinataApiSecret')) {
       issues.push('Missing Pinata credentials');
     }
 
-    if (!this.state.googleClientId || !this.state.googleClientSecret) {
+    if (!this.state.googleClientId || !hasSecret('googleClientSecret')) {
       issues.push('Missing Google OAuth credentials');
     }
 
@@ -232,14 +336,8 @@ class DeploymentStateManager {
       issues.push('Marked as registered but missing dlpId');
     }
 
-    if (this.state.state.contractsDeployed) {
-      // Check both old and new contract address formats
-      const hasOldFormat = this.state.tokenAddress && this.state.proxyAddress;
-      const hasNewFormat = this.state.contracts && this.state.contracts.tokenAddress && this.state.contracts.proxyAddress;
-      
-      if (!hasOldFormat && !hasNewFormat) {
-        issues.push('Marked as deployed but missing contract addresses');
-      }
+    if (this.state.state.contractsDeployed && !this.hasContractAddresses()) {
+      issues.push('Marked as deployed but missing contract addresses');
     }
 
     return issues;
@@ -260,7 +358,7 @@ class DeploymentStateManager {
     issues.forEach(issue => console.log(`  • ${issue}`));
     console.log();
 
-    const { shouldFix } = await inquirer.prompt([
+    const { shouldFix } = await prompt([
       {
         type: 'confirm',
         name: 'shouldFix',
@@ -274,7 +372,7 @@ class DeploymentStateManager {
     // Interactive fixes for each issue
     for (const issue of issues) {
       if (issue.includes('Pinata')) {
-        const { pinataApiKey, pinataApiSecret } = await inquirer.prompt([
+        const { pinataApiKey, pinataApiSecret } = await prompt([
           {
             type: 'input',
             name: 'pinataApiKey',
@@ -289,12 +387,12 @@ class DeploymentStateManager {
           }
         ]);
 
-        this.updateDeployment({ pinataApiKey, pinataApiSecret });
-        console.log(chalk.green('✅ Pinata credentials updated'));
+        await this.vault.set({ pinataApiKey, pinataApiSecret });
+        console.log(chalk.green('✅ Pinata credentials saved to the secret vault'));
       }
 
       if (issue.includes('Google OAuth')) {
-        const { googleClientId, googleClientSecret } = await inquirer.prompt([
+        const { googleClientId, googleClientSecret } = await prompt([
           {
             type: 'input',
             name: 'googleClientId',
@@ -309,9 +407,31 @@ class DeploymentStateManager {
           }
         ]);
 
-        this.updateDeployment({ googleClientId, googleClientSecret });
+        await this.vault.set({ googleClientSecret });
+        this.updateDeployment({ googleClientId });
         console.log(chalk.green('✅ Google OAuth credentials updated'));
       }
+
+      if (issue.includes('privateKey')) {
+        const { privateKey } = await prompt([
+          {
+            type: 'password',
+            name: 'privateKey',
+            message: 'Enter deployer wallet private key:',
+            validate: input => {
+              try {
+                walletForAddress(input, this.state.address);
+                return true;
+              } catch (error) {
+                return error.message;
+              }
+            }
+          }
+        ]);
+
+        await this.vault.set({ privateKey: walletForAddress(privateKey, this.state.address).privateKey });
+        console.log(chalk.green('✅ Private key saved to the secret vault'));
+      }
     }
   }
 
@@ -341,50 +461,25 @@ class DeploymentStateManager {
   }
 
   /**
-   * Check if a step is completed - looks at both state flags and actual data
+   * Whether the token and DLP proxy addresses are recorded
+   */
+  hasContractAddresses() {
+    const { contracts } = this.state;
+    return !!(contracts && contracts.tokenAddress && contracts.proxyAddress);
+  }
+
+  /**
+   * Check if a step (or checkpoint) is completed - looks at both state flags and actual data
    */
   isCompleted(step) {
-    // First check the explicit state flag
-    if (this.state.state[step]) {
-      return true;
+    if (this.steps.get(step)) {
+      return this.steps.isComplete(step, this.state);
     }
 
-    // If state flag is false, check if we have the data that proves completion
-    switch (step) {
-      case 'contractsDeployed':
-        // Check both old and new contract address formats
-        const hasOldFormat = this.state.tokenAddress && this.state.proxyAddress;
-        const hasNewFormat = this.state.contracts && this.state.contracts.tokenAddress && this.state.contracts.proxyAddress;
-        return hasOldFormat || hasNewFormat;
-
-      case 'dataDAORegistered':
-        // If we have a dlpId, registration was successful
-        return !!this.state.dlpId;
-
-      case 'proofGitSetup':
-        // If we have a proof repo URL, GitHub setup was done
-        return !!this.state.proofRepo;
-
-      case 'refinerGitSetup':
-        // If we have a refiner repo URL, GitHub setup was done
-        return !!this.state.refinerRepo;
-
-      case 'proofConfigured':
-        // Check for proof deployment artifacts
-        return !!(this.state.proofUrl || this.state.proofContractAddress);
-
-      case 'refinerConfigured':
-        // Check for refiner deployment artifacts
-        return !!(this.state.refinerId || this.state.refinerContractAddress);
-
-      case 'uiConfigured':
-        // Check if UI environment files exist (this should check filesystem in real implementation)
-        // For now, just use the state flag
-        return !!this.state.state[step];
-
-      default:
-        return !!this.state.state[step];
-    }
+    const checkpoint = this.steps.steps
+      .flatMap(definition => definition.checkpoints)
+      .find(candidate => candidate.key === step);
+    return !!this.state.state[step] || Boolean(checkpoint && checkpoint.isComplete && checkpoint.isComplete(this.state));
   }
 
   /**
@@ -401,45 +496,8 @@ class DeploymentStateManager {
    * Sync state flags based on actual data present
    */
   syncStateFromData() {
-    const updates = {};
-    let hasUpdates = false;
-
-    // Check contracts deployment
-    if (!this.state.state.contractsDeployed && this.isCompleted('contractsDeployed')) {
-      updates.contractsDeployed = true;
-      hasUpdates = true;
-    }
-
-    // Check DataDAO registration
-    if (!this.state.state.dataDAORegistered && this.isCompleted('dataDAORegistered')) {
-      updates.dataDAORegistered = true;
-      hasUpdates = true;
-    }
-
-    // Check GitHub setup
-    if (!this.state.state.proofGitSetup && this.isCompleted('proofGitSetup')) {
-      updates.proofGitSetup = true;
-      hasUpdates = true;
-    }
-
-    if (!this.state.state.refinerGitSetup && this.isCompleted('refinerGitSetup')) {
-      updates.refinerGitSetup = true;
-      hasUpdates = true;
-    }
-
-    // Check proof configuration
-    if (!this.state.state.proofConfigured && this.isCompleted('proofConfigured')) {
-      updates.proofConfigured = true;
-      hasUpdates = true;
-    }
-
-    // Check refiner configuration
-    if (!this.state.state.refinerConfigured && this.isCompleted('refinerConfigured')) {
-      updates.refinerConfigured = true;
-      hasUpdates = true;
-    }
-
-    if (hasUpdates) {
+    const updates = this.steps.inferredFlags(this.state);
+    if (Object.keys(updates).length > 0) {
       this.updateState(updates);
       return updates;
     }
@@ -451,21 +509,13 @@ class DeploymentStateManager {
    * Display current progress
    */
   showProgress() {
-    const steps = [
-      { key: 'contractsDeployed', name: 'Smart Contracts Deployed' },
-      { key: 'dataDAORegistered', name: 'DataDAO Registered' },
-      { key: 'proofConfigured', name: 'Proof of Contribution Configured' },
-      { key: 'proofPublished', name: 'Proof of Contribution Published' },
-      { key: 'refinerConfigured', name: 'Data Refiner Configured' },
-      { key: 'refinerPublished', name: 'Data Refiner Published' },
-      { key: 'uiConfigured', name: 'UI Configured' }
-    ];
-
     console.log(chalk.blue('\n📋 Deployment Progress:'));
-    steps.forEach(step => {
-      const status = this.isCompleted(step.key) ?
-        chalk.green('✅') : chalk.gray('⏸️');
-      console.log(`  ${status} ${step.name}`);
+    this.steps.steps.forEach(step => {
+      [{ key: step.id, name: step.title }, ...step.checkpoints].forEach(({ key, name }) => {
+        const status = this.isCompleted(key) ?
+          chalk.green('✅') : chalk.gray('⏸️');
+        console.log(`  ${status} ${name}`);
+      });
     });
     console.log();
   }
@@ -474,21 +524,8 @@ class DeploymentStateManager {
    * Get the next incomplete step in the deployment process
    */
   getNextIncompleteStep() {
-    const steps = [
-      'contractsDeployed',
-      'dataDAORegistered', 
-      'proofConfigured',
-      'refinerConfigured',
-      'uiConfigured'
-    ];
-    
-    for (const step of steps) {
-      if (!this.isCompleted(step)) {
-        return step;
-      }
-    }
-    
-    return null; // All steps completed
+    const step = this.steps.nextIncomplete(this.state);
+    return step ? step.id : null; // null when all steps are completed
   }
 
   /**
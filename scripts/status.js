@@ -1,15 +1,157 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
-const inquirer = require('inquirer');
+const { createPrompt } = require('../lib/prompt');
+const { ConfigError, EXIT_CODES, exitCodeFor, getRunConfig } = require('../lib/config');
 const DeploymentStateManager = require('./state-manager');
 const output = require('../lib/output');
+const { resolveNetwork } = require('../lib/networks');
+const { createReadClient } = require('../lib/chain');
+const { runStep, runPipeline } = require('../lib/steps');
+const { findPlaintextSecrets } = require('../lib/vault');
+const { reconcilePendingTransactions } = require('../lib/tx-journal');
+const { verifyDeployment, verifyArtifacts, adoptOnChainValues } = require('../lib/onchain-verify');
+const { walletForAddress } = require('../lib/wallet');
+
+const prompt = createPrompt('status');
+
+/**
+ * Short description of a deployment.json snapshot for the history list
+ */
+function describeSnapshot(entry) {
+  try {
+    const snapshot = JSON.parse(fs.readFileSync(entry.path, 'utf8'));
+    const flags = Object.values(snapshot.state || {});
+    const parts = [
+      snapshot.dlpName,
+      snapshot.dlpId && `dlpId ${snapshot.dlpId}`,
+      flags.length > 0 && `${flags.filter(Boolean).length}/${flags.length} steps`
+    ];
+    return parts.filter(Boolean).join(' · ');
+  } catch (error) {
+    return chalk.red('unreadable');
+  }
+}
+
+/**
+ * List deployment.json snapshots, newest first
+ */
+function showHistory() {
+  const history = DeploymentStateManager.getHistory();
+  if (history.length === 0) {
+    output.info('No deployment.json history yet. A snapshot is taken each time a script saves it.');
+    return;
+  }
+
+  output.step('deployment.json History', 'Roll back with: npm run status -- --restore <n>');
+  history.forEach((entry, index) => {
+    console.log(`  ${chalk.cyan(String(index + 1).padStart(2))}  ${entry.savedAt.toLocaleString()}  ${chalk.gray(describeSnapshot(entry))}`);
+  });
+  console.log();
+}
+
+/**
+ * Pad a table cell, ignoring colour codes
+ */
+function cell(text, width) {
+  const visible = text.replace(/\x1b\[[0-9;]*m/g, '');
+  return text + ' '.repeat(Math.max(0, width - visible.length));
+}
+
+/**
+ * Every claim deployment.json makes: on-chain state, then the published
+ * release artifacts
+ */
+async function verifyAll(deployment, network) {
+  return [
+    ...await verifyDeployment(deployment, network, createReadClient(network)),
+    ...await verifyArtifacts(deployment)
+  ];
+}
+
+/**
+ * Check deployment.json against the chain and the published artifacts and
+ * print a drift table. With --fix, on-chain values the chain is
+ * authoritative for are copied back.
+ *
+ * @returns {Promise<boolean>} whether everything matched (after --fix)
+ */
+async function verifyAgainstChain(stateManager, network, fix) {
+  const deployment = stateManager.getState();
+  output.step('On-chain Verification', `Checking deployment.json against ${network.label}`);
+
+  let checks = await verifyAll(deployment, network);
+  if (checks.length === 0) {
+    output.info('Nothing to verify yet: deployment.json has no contract addresses');
+    return true;
+  }
+
+  if (fix) {
+    const changed = adoptOnChainValues(deployment, checks);
+    if (changed.length > 0) {
+      stateManager.saveState();
+      output.success(`Updated deployment.json from the chain: ${changed.join(', ')}`, { fields: changed });
+      checks = await verifyAll(deployment, network);
+    }
+  }
+
+  const icons = { ok: chalk.green('✅'), drift: chalk.red('❌'), unverified: chalk.yellow('⚠️ ') };
+  const rows = checks.map(check => [
+    `${icons[check.status]} ${check.check}`,
+    check.local,
+    check.status === 'ok' ? chalk.gray(check.onChain) : chalk.yellow(check.onChain)
+  ]);
+  const headers = ['   Check', 'deployment.json', 'Published'];
+  const widths = headers.map((header, column) => Math.max(header.length, ...rows.map(row => row[column].replace(/\x1b\[[0-9;]*m/g, '').length)));
+
+  console.log(chalk.bold(`  ${headers.map((header, column) => cell(header, widths[column])).join('  ')}`));
+  rows.forEach(row => console.log(`  ${row.map((text, column) => cell(text, widths[column])).join('  ')}`));
+  console.log();
+
+  const drift = checks.filter(check => check.status === 'drift');
+  const unverified = checks.filter(check => check.status === 'unverified');
+  output.event('verify', { checks: checks.map(({ adopt, ...check }) => check) });
+
+  if (drift.length > 0) {
+    output.warning(`${drift.length} claim(s) in deployment.json do not match what is published`);
+    console.log(chalk.blue.bold('🔧 Fixes:'));
+    drift.forEach(check => console.log(`  • ${chalk.cyan(check.check)}: ${check.fix}`));
+    console.log();
+  }
+  if (unverified.length > 0) {
+    output.warning(`${unverified.length} check(s) could not be completed; run --verify again when the RPC and release downloads are reachable`);
+  }
+  if (drift.length === 0 && unverified.length === 0) {
+    output.success(`All ${checks.length} claims verified`);
+  }
+
+  return drift.length === 0 && unverified.length === 0;
+}
 
 /**
  * Enhanced status command with recovery options
  */
 async function showStatus() {
   try {
+    const args = process.argv.slice(2);
+    if (args.includes('--history')) {
+      showHistory();
+      return;
+    }
+
+    if (args.includes('--restore')) {
+      const index = Number(args[args.indexOf('--restore') + 1]);
+      if (!Number.isInteger(index) || index < 1) {
+        showHistory();
+        throw new ConfigError('Usage: npm run status -- --restore <n>, where <n> is a number from the list above');
+      }
+
+      const entry = DeploymentStateManager.restoreSnapshot(index);
+      output.success(`Restored deployment.json from snapshot #${index} (${entry.savedAt.toLocaleString()})`);
+      output.info('The replaced version is now snapshot #1, in case you need it back');
+      console.log();
+    }
+
     const stateManager = new DeploymentStateManager();
     
     // Auto-sync state flags based on actual data
@@ -22,13 +164,48 @@ async function showStatus() {
       console.log();
     }
     
-    const deployment = stateManager.getState();
+    let deployment = stateManager.getState();
+    const network = resolveNetwork(deployment);
+
+    // Settle transactions an earlier run broadcast but never saw confirmed
+    try {
+      await reconcilePendingTransactions(stateManager, createReadClient(network));
+    } catch (error) {
+      const pending = (deployment.transactions || []).filter(entry => entry.status === 'pending');
+      output.warning(`Could not check ${pending.length} pending transaction(s): ${error.shortMessage || error.message}`);
+    }
+
+    if (args.includes('--verify')) {
+      const verified = await verifyAgainstChain(stateManager, network, args.includes('--fix'));
+      process.exit(verified ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE);
+    }
+
+    // Projects set up before the secret vault kept keys in plaintext
+    const plaintextSecrets = findPlaintextSecrets(deployment);
+    if (plaintextSecrets.length > 0) {
+      output.warning(`deployment.json contains plaintext secrets: ${plaintextSecrets.join(', ')}`);
+      const { migrate } = await prompt([
+        {
+          type: 'confirm',
+          name: 'migrate',
+          message: 'Move them into the encrypted secret vault now?',
+          default: true
+        }
+      ]);
+      if (migrate) {
+        // Unlocking imports plaintext secrets and scrubs the files
+        await stateManager.vault.unlock();
+        stateManager.state = stateManager.loadState();
+        deployment = stateManager.getState();
+      }
+    }
 
     output.step('DataDAO Project Status', `Project: ${deployment.dlpName || 'Unknown'}`);
 
     // Show basic project info
     if (deployment.dlpName) {
       output.summary('Project Information', [
+        { label: 'Network', value: `${network.label} (chain ${network.chainId})` },
         { label: 'DataDAO Name', value: deployment.dlpName },
         { label: 'Token', value: `${deployment.tokenName} (${deployment.tokenSymbol})` },
         { label: 'Wallet Address', value: deployment.address }
@@ -36,18 +213,13 @@ async function showStatus() {
     }
 
     // Show deployment progress with better formatting
-    const steps = [
-      { key: 'contractsDeployed', name: 'Smart Contracts', details: getContractDetails(deployment) },
-      { key: 'dataDAORegistered', name: 'DataDAO Registration', details: getRegistrationDetails(deployment) },
-      { key: 'proofConfigured', name: 'Proof of Contribution', details: getProofDetails(deployment) },
-      { key: 'refinerConfigured', name: 'Data Refiner', details: getRefinerDetails(deployment) },
-      { key: 'uiConfigured', name: 'User Interface', details: getUIDetails(deployment) }
-    ];
+    const steps = stateManager.steps.steps;
 
     console.log(chalk.blue.bold('📋 Deployment Progress:'));
     steps.forEach(step => {
-      const isCompleted = stateManager.isCompleted(step.key);
-      const hasError = deployment.errors && deployment.errors[step.key];
+      const isCompleted = stateManager.isCompleted(step.id);
+      const hasError = deployment.errors && deployment.errors[step.id];
+      const details = step.details && step.details(deployment);
 
       let status, statusText;
       if (hasError) {
@@ -61,9 +233,9 @@ async function showStatus() {
         statusText = chalk.gray('Pending');
       }
 
-      console.log(`  ${status} ${step.name} - ${statusText}`);
-      if (step.details && (isCompleted || hasError)) {
-        console.log(chalk.gray(`     ${step.details}`));
+      console.log(`  ${status} ${step.title} - ${statusText}`);
+      if (details && (isCompleted || hasError)) {
+        console.log(chalk.gray(`     ${details}`));
       }
     });
     console.log();
@@ -71,16 +243,12 @@ async function showStatus() {
     // Check for issues and offer recovery
     const issues = stateManager.validateConfiguration();
     const hasErrors = deployment.errors && Object.keys(deployment.errors).length > 0;
-    const hasIncompleteSteps = !stateManager.isCompleted('contractsDeployed') ||
-                              !stateManager.isCompleted('dataDAORegistered') ||
-                              !stateManager.isCompleted('proofConfigured') ||
-                              !stateManager.isCompleted('refinerConfigured') ||
-                              !stateManager.isCompleted('uiConfigured');
+    const hasIncompleteSteps = steps.some(step => !stateManager.isCompleted(step.id));
 
     if (hasErrors) {
       output.warning('Issues detected in your setup');
 
-      const { action } = await inquirer.prompt([
+      const { action } = await prompt([
         {
           type: 'list',
           name: 'action',
@@ -118,10 +286,10 @@ async function showStatus() {
       // Automatically resume the guided setup flow without asking
       console.log();
       output.info('Resuming guided setup from where you left off...');
-      await resumeGuidedSetup(stateManager, deployment);
+      await resumeGuidedSetup(stateManager);
     } else {
       // All good - show next steps
-      const nextSteps = getNextSteps(deployment);
+      const nextSteps = getNextSteps(stateManager);
       if (nextSteps.length > 0) {
         output.nextSteps(nextSteps);
       } else {
@@ -137,96 +305,43 @@ async function showStatus() {
 
   } catch (error) {
     output.error(`Status check failed: ${error.message}`);
-    process.exit(1);
-  }
-}
-
-function getContractDetails(deployment) {
-  if (deployment.tokenAddress && deployment.proxyAddress) {
-    return `Token: ${deployment.tokenAddress.slice(0, 10)}... | Proxy: ${deployment.proxyAddress.slice(0, 10)}...`;
+    process.exit(exitCodeFor(error));
   }
-  return null;
 }
 
-function getRegistrationDetails(deployment) {
-  if (deployment.dlpId) {
-    return `DLP ID: ${deployment.dlpId}`;
-  }
-  return null;
-}
-
-function getProofDetails(deployment) {
-  if (deployment.proofUrl) {
-    return `Published: ${deployment.proofUrl.includes('github.com') ? 'GitHub' : 'Custom'}`;
-  }
-  return null;
-}
-
-function getRefinerDetails(deployment) {
-  if (deployment.refinerId) {
-    return `Refiner ID: ${deployment.refinerId}`;
-  }
-  return null;
-}
-
-function getUIDetails(deployment) {
-  if (deployment.state && deployment.state.uiConfigured) {
-    return 'Ready for development';
-  }
-  return null;
-}
-
-function getNextSteps(deployment) {
-  const steps = [];
-
-  if (!deployment.state.contractsDeployed) {
-    steps.push('Deploy smart contracts: npm run deploy:contracts');
-  } else if (!deployment.state.dataDAORegistered) {
-    steps.push('Register DataDAO: npm run register:datadao');
-  } else if (!deployment.state.proofConfigured) {
-    steps.push('Configure proof system: npm run deploy:proof');
-  } else if (!deployment.state.refinerConfigured) {
-    steps.push('Configure data refiner: npm run deploy:refiner');
-  } else if (!deployment.state.uiConfigured) {
-    steps.push('Configure UI: npm run deploy:ui');
-  }
-
-  return steps;
+/**
+ * The command for the first step that is not complete yet
+ */
+function getNextSteps(stateManager) {
+  const graph = stateManager.steps;
+  const step = graph.nextIncomplete(stateManager.getState());
+  return step ? [`${step.action || step.title}: ${graph.commandFor(step)}`] : [];
 }
 
+/**
+ * Run every step that recorded an error again, in dependency order
+ */
 async function retryFailedSteps(stateManager) {
-  const errors = Object.keys(stateManager.state.errors);
+  const graph = stateManager.steps;
+  const failed = graph.steps.filter(step => stateManager.state.errors[step.id]);
 
-  for (const step of errors) {
-    output.step(`Retrying ${step}`, 'Attempting automatic recovery...');
+  for (const step of failed) {
+    output.step(`Retrying ${step.title}`, 'Attempting automatic recovery...');
 
     try {
       // Clear the error first
-      stateManager.clearError(step);
-
-      // Run the appropriate script
-      const { execSync } = require('child_process');
-      const scriptMap = {
-        contractsDeployed: 'deploy:contracts',
-        dataDAORegistered: 'register:datadao',
-        proofConfigured: 'deploy:proof',
-        refinerConfigured: 'deploy:refiner',
-        uiConfigured: 'deploy:ui'
-      };
-
-      if (scriptMap[step]) {
-        execSync(`npm run ${scriptMap[step]}`, { stdio: 'inherit' });
-        output.success(`${step} completed successfully`);
-      }
+      stateManager.clearError(step.id);
+      await runStep(step, { stateManager, deployment: stateManager.getState(), nonInteractive: false });
+      output.success(`${step.title} completed successfully`);
     } catch (error) {
-      output.error(`${step} failed again: ${error.message}`);
-      stateManager.recordError(step, error);
+      output.error(`${step.title} failed again: ${error.message}`);
+      stateManager.recordError(step.id, error);
     }
   }
 }
 
 async function updateCredentials(stateManager) {
-  const { credentialType } = await inquirer.prompt([
+  const { credentialType } = await prompt([
     {
       type: 'list',
       name: 'credentialType',
@@ -240,28 +355,28 @@ async function updateCredentials(stateManager) {
     }
   ]);
 
+  const { vault } = stateManager;
+
   switch (credentialType) {
     case 'pinata':
-      const { pinataApiKey, pinataApiSecret } = await inquirer.prompt([
+      const { pinataApiKey, pinataApiSecret } = await prompt([
         {
-          type: 'input',
+          type: 'password',
           name: 'pinataApiKey',
-          message: 'Pinata API Key:',
-          default: stateManager.state.pinataApiKey
+          message: 'Pinata API Key (leave empty to keep current):'
         },
         {
           type: 'password',
           name: 'pinataApiSecret',
-          message: 'Pinata API Secret:',
-          default: stateManager.state.pinataApiSecret
+          message: 'Pinata API Secret (leave empty to keep current):'
         }
       ]);
-      stateManager.updateDeployment({ pinataApiKey, pinataApiSecret });
-      output.success('Pinata credentials updated');
+      await vault.set({ pinataApiKey, pinataApiSecret });
+      output.success('Pinata credentials saved to the secret vault');
       break;
 
     case 'google':
-      const { googleClientId, googleClientSecret } = await inquirer.prompt([
+      const { googleClientId, googleClientSecret } = await prompt([
         {
           type: 'input',
           name: 'googleClientId',
@@ -271,252 +386,59 @@ async function updateCredentials(stateManager) {
         {
           type: 'password',
           name: 'googleClientSecret',
-          message: 'Google OAuth Client Secret:',
-          default: stateManager.state.googleClientSecret
+          message: 'Google OAuth Client Secret (leave empty to keep current):'
         }
       ]);
-      stateManager.updateDeployment({ googleClientId, googleClientSecret });
+      await vault.set({ googleClientSecret });
+      stateManager.updateDeployment({ googleClientId });
       output.success('Google OAuth credentials updated');
       break;
 
+    case 'wallet':
+      const { privateKey } = await prompt([
+        {
+          type: 'password',
+          name: 'privateKey',
+          message: 'Wallet private key:',
+          validate: (input) => {
+            try {
+              walletForAddress(input, stateManager.state.address);
+              return true;
+            } catch (error) {
+              return error.message;
+            }
+          }
+        }
+      ]);
+      await vault.set({ privateKey: walletForAddress(privateKey, stateManager.state.address).privateKey });
+      output.success('Private key saved to the secret vault');
+      break;
+
     case 'view':
+      const stored = (name) => (vault.has(name) ? 'Stored in vault' : 'Not set');
       output.summary('Current Configuration', [
-        { label: 'Pinata API Key', value: stateManager.state.pinataApiKey ? '***' + stateManager.state.pinataApiKey.slice(-4) : 'Not set' },
+        { label: 'Pinata API Key', value: stored('pinataApiKey') },
+        { label: 'Pinata API Secret', value: stored('pinataApiSecret') },
         { label: 'Google Client ID', value: stateManager.state.googleClientId ? `${stateManager.state.googleClientId.slice(0, 20)}...` : 'Missing (required)' },
-        { label: 'Wallet Address', value: stateManager.state.address || 'Not set' }
+        { label: 'Google Client Secret', value: stored('googleClientSecret') },
+        { label: 'Wallet Address', value: stateManager.state.address || 'Not set' },
+        { label: 'Wallet Private Key', value: stored('privateKey') }
       ]);
       break;
   }
 }
 
-async function resumeGuidedSetup(stateManager, deployment) {
-  const { execSync } = require('child_process');
-
+/**
+ * Run the remaining steps without asking before each one
+ */
+async function resumeGuidedSetup(stateManager) {
   try {
-    // Check wallet balance first
-    if (!deployment.state.contractsDeployed) {
-      output.step('Step 1: Deploy Smart Contracts', 'Checking wallet balance...');
-
-      // Check if wallet needs funding
-      const needsFunding = await checkWalletBalance(deployment.address);
-      if (needsFunding) {
-        output.warning('Your wallet needs VANA tokens to deploy contracts');
-        console.log(chalk.yellow(`Please fund your wallet at: https://faucet.vana.org`));
-        console.log(chalk.cyan(`Wallet address: ${deployment.address}`));
-        console.log();
-
-        const { readyToContinue } = await inquirer.prompt([
-          {
-            type: 'confirm',
-            name: 'readyToContinue',
-            message: 'Have you funded your wallet?',
-            default: false
-          }
-        ]);
-
-        if (!readyToContinue) {
-          output.info('Resume setup anytime by running: create-datadao status');
-          return;
-        }
-      }
-
-      // Deploy contracts
-      output.step('Deploying contracts...', 'This may take a few minutes');
-
-      try {
-        execSync('npm run deploy:contracts', { stdio: 'inherit' });
-        output.success('Smart contracts deployed successfully!');
-      } catch (error) {
-        output.error('Contract deployment failed');
-        stateManager.recordError('contractsDeployed', error);
-        return;
-      }
-    }
-
-    // Register DataDAO
-    if (!deployment.state.dataDAORegistered) {
-      console.log();
-      output.step('Step 2: Register DataDAO', 'Registering on Vana network...');
-
-      try {
-        execSync('npm run register:datadao', { stdio: 'inherit' });
-        output.success('DataDAO registered successfully!');
-      } catch (error) {
-        output.error('Registration failed');
-        stateManager.recordError('dataDAORegistered', error);
-        return;
-      }
-    }
-
-    // Setup GitHub repos if needed
-    if (!deployment.proofRepo || !deployment.refinerRepo) {
-      console.log();
-      output.step('Step 3: GitHub Repository Setup', 'Creating repositories...');
-
-      // Check if we have GitHub username, if not ask for it
-      let githubUsername = deployment.githubUsername;
-      if (!githubUsername) {
-        const { username } = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'username',
-            message: 'GitHub username:',
-            validate: (input) => input.trim() !== '' || 'GitHub username is required'
-          }
-        ]);
-
-        githubUsername = username;
-        stateManager.updateDeployment({ githubUsername });
-      }
-
-      // Try automated GitHub setup
-      let canUseAutomation = false;
-      try {
-        const { execSync } = require('child_process');
-        execSync('gh --version', { stdio: 'pipe' });
-
-        try {
-          const authStatus = execSync('gh auth status', { stdio: 'pipe', encoding: 'utf8' });
-          canUseAutomation = !authStatus.toLowerCase().includes('not logged in') &&
-                           !authStatus.toLowerCase().includes('not authenticated');
-        } catch (error) {
-          canUseAutomation = false;
-        }
-      } catch (error) {
-        canUseAutomation = false;
-      }
-
-      if (canUseAutomation) {
-        try {
-          console.log(chalk.blue('🚀 Creating repositories automatically...'));
-
-          // Create repositories using GitHub CLI
-          const dlpName = deployment.dlpName;
-          const repos = [
-            {
-              name: `${dlpName.toLowerCase().replace(/\s+/g, '-')}-proof`,
-              description: `Proof of Contribution for ${dlpName} DataDAO`,
-              template: 'vana-com/dlp-proof-template'
-            },
-            {
-              name: `${dlpName.toLowerCase().replace(/\s+/g, '-')}-refiner`,
-              description: `Data Refinement for ${dlpName} DataDAO`,
-              template: 'vana-com/vana-data-refinement-template'
-            }
-          ];
-
-          const createdRepos = [];
-          for (const repo of repos) {
-            try {
-              // Check if repo already exists
-              try {
-                execSync(`gh repo view ${githubUsername}/${repo.name}`, { stdio: 'pipe' });
-                console.log(chalk.green(`✅ Using existing repository: ${repo.name}`));
-                createdRepos.push(`https://github.com/${githubUsername}/${repo.name}`);
-                continue;
-              } catch (error) {
-                // Repo doesn't exist, proceed with creation
-              }
-
-              // Create repository from template
-              execSync(`gh repo create ${repo.name} --template ${repo.template} --public --description "${repo.description}"`, { stdio: 'pipe' });
-
-              // Enable GitHub Actions
-              execSync(`gh api repos/${githubUsername}/${repo.name}/actions/permissions --method PUT --field enabled=true --field allowed_actions=all`, { stdio: 'pipe' });
-
-              const repoUrl = `https://github.com/${githubUsername}/${repo.name}`;
-              createdRepos.push(repoUrl);
-              console.log(chalk.green(`✅ Created: ${repo.name}`));
-            } catch (error) {
-              console.log(chalk.yellow(`⚠️  Failed to create ${repo.name}, will need manual setup`));
-            }
-          }
-
-          if (createdRepos.length >= 2) {
-            // Update deployment with repo URLs
-            stateManager.updateDeployment({
-              proofRepo: createdRepos[0],
-              refinerRepo: createdRepos[1]
-            });
-
-            console.log(chalk.green('✅ GitHub repositories configured'));
-          } else {
-            throw new Error('Failed to create required repositories');
-          }
-        } catch (error) {
-          canUseAutomation = false;
-        }
-      }
-
-      // Fall back to manual setup if automation failed
-      if (!canUseAutomation) {
-        console.log(chalk.yellow('⚠️  Automated GitHub setup not available'));
-        console.log('Please set up repositories manually and update deployment.json');
-        console.log();
-        console.log(chalk.cyan('1. Create proof repository with: https://github.com/new?template_name=dlp-proof-template&template_owner=vana-com&visibility=public'));
-        console.log(chalk.cyan('2. Create refiner repository from: https://github.com/new?template_name=vana-data-refinement-template&template_owner=vana-com&visibility=public'));
-        console.log(chalk.cyan('3. Update deployment.json with the new repository URLs under "proofRepo" and "refinerRepo"'));
-        console.log();
-
-        const { skipGitHub } = await inquirer.prompt([
-          {
-            type: 'confirm',
-            name: 'skipGitHub',
-            message: 'Skip GitHub setup for now and continue?',
-            default: true
-          }
-        ]);
-
-        if (!skipGitHub) {
-          output.info('Please set up GitHub repositories and run create-datadao status again');
-          return;
-        }
-      }
-    }
-
-    // Deploy proof
-    if (!deployment.state.proofConfigured) {
-      console.log();
-      output.step('Step 4: Deploy Proof System', 'Setting up proof of contribution...');
-
-      try {
-        execSync('npm run deploy:proof', { stdio: 'inherit' });
-        output.success('Proof system deployed!');
-      } catch (error) {
-        output.error('Proof deployment failed');
-        stateManager.recordError('proofConfigured', error);
-        return;
-      }
-    }
-
-    // Deploy refiner
-    if (!deployment.state.refinerConfigured) {
-      console.log();
-      output.step('Step 5: Deploy Data Refiner', 'Setting up data refinement...');
-
-      try {
-        execSync('npm run deploy:refiner', { stdio: 'inherit' });
-        output.success('Data refiner deployed!');
-      } catch (error) {
-        output.error('Refiner deployment failed');
-        stateManager.recordError('refinerConfigured', error);
-        return;
-      }
-    }
-
-    // Configure UI
-    if (!deployment.state.uiConfigured) {
-      console.log();
-      output.step('Step 6: Configure UI', 'Setting up user interface...');
-
-      try {
-        execSync('npm run deploy:ui', { stdio: 'inherit' });
-        output.success('UI configured successfully!');
-      } catch (error) {
-        output.error('UI configuration failed');
-        stateManager.recordError('uiConfigured', error);
-        return;
-      }
+    const finished = await runPipeline(stateManager.steps, {
+      openState: () => new DeploymentStateManager(),
+      nonInteractive: getRunConfig().nonInteractive
+    });
+    if (!finished) {
+      return;
     }
 
     // All done!
@@ -531,15 +453,11 @@ async function resumeGuidedSetup(stateManager, deployment) {
 
   } catch (error) {
     output.error(`Setup failed: ${error.message}`);
+    // Same exit codes as npm run deploy, so unattended runs see the failure
+    process.exitCode = exitCodeFor(error);
   }
 }
 
-async function checkWalletBalance(address) {
-  // This is a placeholder - in real implementation, check actual balance
-  // For now, we'll prompt the user
-  return true;
-}
-
 function showDetailedErrors(errors) {
   if (!errors || Object.keys(errors).length === 0) {
     output.info('No errors recorded - all pending steps are waiting to be executed');
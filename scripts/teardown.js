@@ -0,0 +1,408 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { isAddressEqual } = require('viem');
+const { createPrompt } = require('../lib/prompt');
+const { ConfigError, EXIT_CODES, exitCodeFor } = require('../lib/config');
+const { resolveNetwork, txUrl } = require('../lib/networks');
+const {
+  createReadClient,
+  createClients,
+  checkWalletBalance,
+  sendContractTransaction,
+  withRetry,
+  isDryRun,
+  dryRunContractTransaction
+} = require('../lib/chain');
+const { TransactionJournal, reconcilePendingTransactions } = require('../lib/tx-journal');
+const { reportContractError } = require('../lib/contract-errors');
+const { DLP_ABI, VESTING_WALLET_ABI, readDlp, isDlpAdmin, loadToken } = require('../lib/dlp');
+const { listDlpRefiners } = require('../lib/refiners');
+const { ENV_COMPONENTS } = require('../lib/env-components');
+const { EnvFile } = require('../lib/env-file');
+const { deploymentsDir } = require('../lib/hardhat-deployments');
+const { emptyStateFlags } = require('../lib/deployment-schema');
+const { generateTokenSalt } = require('../lib/preflight');
+const DeploymentStateManager = require('./state-manager');
+const output = require('../lib/output');
+
+const prompt = createPrompt('teardown');
+
+// Retired deployments are copied here, one directory per teardown
+const ARCHIVE_DIR = '.streamint-archive';
+
+// deployment.json fields that describe the project rather than one deployment of it
+const PROJECT_FIELDS = [
+  'schemaVersion', 'network', 'rpcUrl', 'rpcUrls', 'coreContracts', 'storage',
+  'dlpName', 'tokenName', 'tokenSymbol', 'address', 'publicKey', 'googleClientId',
+  'githubUsername', 'github', 'proofRepo', 'refinerRepo', 'quickMode'
+];
+
+/**
+ * Sends teardown transactions from the deployment wallet. The vault is only
+ * unlocked, and the admin role checked, when the first transaction is sent.
+ */
+class TeardownSender {
+  constructor(client, network, stateManager) {
+    this.client = client;
+    this.network = network;
+    this.stateManager = stateManager;
+    this.session = null;
+  }
+
+  async open() {
+    if (this.session) return this.session;
+
+    const deployment = this.stateManager.getState();
+    const privateKey = await this.stateManager.vault.require('privateKey');
+    const { account, publicClient, walletClient } = createClients(this.network, privateKey);
+    if (!(await isDlpAdmin(this.client, deployment.contracts.proxyAddress, account.address))) {
+      throw new ConfigError(
+        `${account.address} does not have DEFAULT_ADMIN_ROLE on the DLP (${deployment.contracts.proxyAddress}). ` +
+        'Run the teardown from the wallet that deployed the DLP.'
+      );
+    }
+
+    const { sufficient } = await checkWalletBalance(publicClient, account.address, { network: this.network });
+    if (sufficient === false) {
+      throw new Error('Insufficient VANA balance for gas');
+    }
+
+    this.session = { account, publicClient, walletClient, journal: new TransactionJournal(this.stateManager) };
+    return this.session;
+  }
+
+  /**
+   * Send one call, or simulate it under --dry-run
+   *
+   * @returns {Promise<string|null>} the transaction hash; null for a dry run
+   */
+  async send({ label, address, abi, functionName, args = [], purpose, context = {} }) {
+    if (isDryRun()) {
+      const report = await dryRunContractTransaction({
+        publicClient: this.client,
+        account: this.stateManager.getState().address,
+        address,
+        abi,
+        functionName,
+        args,
+        label
+      });
+      if (!report.ok) process.exitCode = EXIT_CODES.FAILURE;
+      return null;
+    }
+
+    const { account, publicClient, walletClient, journal } = await this.open();
+    console.log(chalk.blue(`⏳ ${label}...`));
+    const { hash } = await sendContractTransaction({
+      publicClient,
+      walletClient,
+      account,
+      address,
+      abi,
+      functionName,
+      args,
+      journal,
+      purpose,
+      context
+    });
+    console.log(chalk.green(`   ✅ ${txUrl(this.network, hash)}`));
+    return hash;
+  }
+}
+
+/**
+ * Ask before a teardown step; dry runs simulate every step without asking
+ */
+async function confirmStep(name, message) {
+  if (isDryRun()) return true;
+  const answers = await prompt([{ type: 'confirm', name, message, default: true }]);
+  return answers[name];
+}
+
+/**
+ * Step 1: pause the DLP so no more files or reward claims are accepted
+ */
+async function pauseDlp(client, sender, deployment, record) {
+  const { proxyAddress } = deployment.contracts;
+  output.step('Step 1: Pause the DLP', 'Stops file contributions and reward claims');
+
+  if (await readDlp(client, proxyAddress, 'paused')) {
+    output.success('The DLP is already paused');
+    return;
+  }
+  if (!(await confirmStep('pauseDlp', 'Pause the DLP now?'))) {
+    console.log(chalk.yellow('⏸️  Left running. Pause it later with: npm run dlp -- pause'));
+    return;
+  }
+
+  const txHash = await sender.send({ label: 'Pause the DLP', address: proxyAddress, abi: DLP_ABI, functionName: 'pause', purpose: 'pause' });
+  record.actions.push({ action: 'pause', txHash });
+}
+
+/**
+ * Step 2: clear the proof instruction, or point it at a replacement
+ */
+async function retireProofInstruction(client, sender, deployment, record) {
+  const { proxyAddress } = deployment.contracts;
+  output.step('Step 2: Proof Instruction', 'The proof the TEE runs for new contributions');
+
+  const current = await readDlp(client, proxyAddress, 'proofInstruction');
+  if (current === '') {
+    output.success('The proof instruction is already empty');
+    return;
+  }
+  console.log(`  Current: ${chalk.cyan(current)}`);
+  console.log();
+
+  // Dry runs simulate clearing it
+  const { proofInstruction: choice } = isDryRun() ? { proofInstruction: 'clear' } : await prompt([
+    {
+      type: 'list',
+      name: 'proofInstruction',
+      message: 'What should happen to the proof instruction?',
+      choices: [
+        { name: 'Clear it', value: 'clear' },
+        { name: 'Replace it with another proof URL', value: 'replace' },
+        { name: 'Keep it', value: 'keep' }
+      ]
+    }
+  ]);
+  if (choice === 'keep') {
+    console.log(chalk.yellow('⏸️  Proof instruction kept'));
+    return;
+  }
+
+  let value = '';
+  if (choice === 'replace') {
+    ({ replacementProofUrl: value } = await prompt([
+      {
+        type: 'input',
+        name: 'replacementProofUrl',
+        message: 'Replacement proof URL:',
+        validate: (input) => /^(https?|ipfs):\/\/\S+$/.test(input.trim()) || 'Enter an http(s) or ipfs URL'
+      }
+    ]));
+    value = value.trim();
+  }
+
+  const txHash = await sender.send({
+    label: value ? `Set the proof instruction to ${value}` : 'Clear the proof instruction',
+    address: proxyAddress,
+    abi: DLP_ABI,
+    functionName: 'updateProofInstruction',
+    args: [value],
+    // Not the updateProofInstruction purpose: that one would record the URL as proofUrl
+    purpose: `${choice}ProofInstruction`,
+    context: { previous: current, value }
+  });
+  record.actions.push({ action: `${choice}ProofInstruction`, txHash });
+}
+
+/**
+ * Step 3: mark the DataDAO's refiners retired. The registry cannot delete a
+ * refiner or give it to another address: its owner is always the DataDAO
+ * owner, so they are recorded as retired instead.
+ */
+async function retireRefiners(client, network, deployment, record) {
+  output.step('Step 3: Refiners', 'Registered refiners stay in the DataRefinerRegistry');
+
+  const refiners = await listDlpRefiners(client, network, deployment.dlpId);
+  if (refiners.length === 0) {
+    output.info(`No refiners registered for dlpId ${deployment.dlpId}`);
+    return;
+  }
+  refiners.forEach(refiner => console.log(`  #${refiner.id} ${refiner.name} ${chalk.gray(`(owner ${refiner.owner})`)}`));
+  console.log();
+  console.log(chalk.gray('The registry has no way to remove a refiner or hand it to another address; its owner follows the DataDAO owner.'));
+
+  if (!(await confirmStep('retireRefiners', `Record ${refiners.length} refiner(s) as retired?`))) {
+    console.log(chalk.yellow('⏸️  Refiners not recorded'));
+    return;
+  }
+  record.refinerIds = refiners.map(refiner => refiner.id);
+  output.success(`Refiner(s) ${record.refinerIds.join(', ')} will be recorded as retired`);
+}
+
+/**
+ * Step 4: release vested tokens to the owner. Tokens in the reward pool stay
+ * in the DLP, which has no withdrawal function.
+ */
+async function withdrawRewards(client, sender, deployment, record) {
+  const { proxyAddress, vestingAddress } = deployment.contracts;
+  output.step('Step 4: Reward Tokens', 'Tokens held for contributor rewards');
+
+  const token = await loadToken(client, deployment);
+  const pool = await readDlp(client, proxyAddress, 'totalContributorsRewardAmount');
+  if (pool > 0n) {
+    output.warning(`${token.format(pool)} in the reward pool cannot be withdrawn: the DLP contract has no withdrawal function`);
+  } else {
+    output.info('The reward pool is empty');
+  }
+
+  if (!vestingAddress) {
+    return;
+  }
+  const [beneficiary, releasable] = await Promise.all([
+    withRetry(() => client.readContract({ address: vestingAddress, abi: VESTING_WALLET_ABI, functionName: 'owner' }), { label: 'Vesting owner lookup' }),
+    withRetry(() => client.readContract({ address: vestingAddress, abi: VESTING_WALLET_ABI, functionName: 'releasable', args: [token.address] }), { label: 'Vesting lookup' })
+  ]);
+  if (releasable === 0n) {
+    output.info('Nothing has vested in the vesting wallet yet');
+    return;
+  }
+  if (!isAddressEqual(beneficiary, deployment.address)) {
+    output.warning(`The vesting wallet pays out to ${beneficiary}, not to ${deployment.address}; skipping`);
+    return;
+  }
+  if (!(await confirmStep('releaseVested', `Release ${token.format(releasable)} from the vesting wallet to ${deployment.address}?`))) {
+    console.log(chalk.yellow('⏸️  Vested tokens left in the vesting wallet'));
+    return;
+  }
+
+  const txHash = await sender.send({
+    label: `Release ${token.format(releasable)} from the vesting wallet`,
+    address: vestingAddress,
+    abi: VESTING_WALLET_ABI,
+    functionName: 'release',
+    args: [token.address],
+    purpose: 'releaseVested',
+    context: { amount: String(releasable) }
+  });
+  record.actions.push({ action: 'releaseVested', txHash });
+}
+
+/**
+ * Step 5: copy deployment.json, the .env files and the hardhat deployments
+ * into the archive, then reset deployment.json so the project can be deployed
+ * again. The .env files the deploy steps write are removed; contracts/.env
+ * is kept with a new token salt.
+ */
+async function archiveAndReset(stateManager, network, record) {
+  const projectRoot = path.dirname(stateManager.deploymentPath);
+  const deployment = stateManager.getState();
+  const archive = path.join(ARCHIVE_DIR, record.retiredAt.replace(/[:.]/g, '-'));
+  const envFiles = Object.values(ENV_COMPONENTS).map(component => component.file)
+    .filter(file => fs.existsSync(path.join(projectRoot, file)));
+  const hardhatDir = deploymentsDir(projectRoot, network);
+
+  output.step('Step 5: Archive and Reset', `Copies go to ${archive}/`);
+  console.log(`  • deployment.json${envFiles.map(file => `\n  • ${file}`).join('')}`);
+  if (fs.existsSync(hardhatDir)) {
+    console.log(`  • ${path.relative(projectRoot, hardhatDir)}/`);
+  }
+  console.log();
+
+  if (isDryRun()) {
+    console.log(chalk.gray('Dry run: nothing archived and deployment.json left as it is.'));
+    return false;
+  }
+  if (!(await confirmStep('archiveDeployment', 'Archive these and reset deployment.json for a fresh deployment?'))) {
+    console.log(chalk.yellow('⏸️  deployment.json left as it is'));
+    return false;
+  }
+
+  const archiveRoot = path.join(projectRoot, archive);
+  fs.ensureDirSync(archiveRoot, { mode: 0o700 });
+  fs.writeFileSync(path.join(archiveRoot, 'deployment.json'), JSON.stringify(stateManager.vault.withoutStoredSecrets(deployment), null, 2), { mode: 0o600 });
+  for (const file of envFiles) {
+    fs.ensureDirSync(path.dirname(path.join(archiveRoot, file)));
+    fs.copySync(path.join(projectRoot, file), path.join(archiveRoot, file));
+    fs.chmodSync(path.join(archiveRoot, file), 0o600);
+  }
+  if (fs.existsSync(hardhatDir)) {
+    fs.copySync(hardhatDir, path.join(archiveRoot, path.relative(projectRoot, hardhatDir)));
+  }
+
+  for (const [name, component] of Object.entries(ENV_COMPONENTS)) {
+    const filePath = path.join(projectRoot, component.file);
+    if (!fs.existsSync(filePath)) continue;
+    if (name === 'contracts') {
+      const contractsEnv = EnvFile.load(filePath);
+      // The DAT factory deploys tokens at a salt-derived address, so the old salt would collide
+      contractsEnv.set('DLP_TOKEN_SALT', generateTokenSalt(deployment.tokenSymbol));
+      contractsEnv.save();
+    } else {
+      fs.removeSync(filePath);
+    }
+  }
+
+  record.archive = archive;
+  const reset = {};
+  for (const field of PROJECT_FIELDS) {
+    if (deployment[field] !== undefined) reset[field] = deployment[field];
+  }
+  reset.retired = [...(deployment.retired || []), record];
+  reset.state = emptyStateFlags();
+  reset.errors = {};
+  stateManager.saveState(reset);
+  stateManager.state = stateManager.loadState();
+  return true;
+}
+
+/**
+ * Retire a DataDAO deployment, asking before each step
+ */
+async function main() {
+  try {
+    const stateManager = new DeploymentStateManager();
+    const deployment = stateManager.getState();
+    const network = resolveNetwork(deployment);
+    const client = createReadClient(network);
+    const proxyAddress = deployment.contracts && deployment.contracts.proxyAddress;
+
+    output.step(`Teardown: ${deployment.dlpName}`, `${network.label}${deployment.dlpId ? `, dlpId ${deployment.dlpId}` : ''}`);
+    if (isDryRun()) {
+      console.log(chalk.gray('Dry run: transactions are simulated and no files are changed.'));
+      console.log();
+    } else {
+      await reconcilePendingTransactions(stateManager, client);
+      output.warning('This retires the deployment. On-chain changes cannot be undone, except by deploying again.');
+      await prompt([
+        {
+          type: 'input',
+          name: 'confirmName',
+          message: `Type the DataDAO name (${deployment.dlpName}) to continue:`,
+          validate: (input) => input.trim() === deployment.dlpName || `Type "${deployment.dlpName}" exactly`
+        }
+      ]);
+    }
+
+    const record = {
+      retiredAt: new Date().toISOString(),
+      network: network.name,
+      dlpId: deployment.dlpId,
+      contracts: deployment.contracts,
+      refinerIds: [],
+      actions: []
+    };
+    const sender = new TeardownSender(client, network, stateManager);
+
+    if (proxyAddress) {
+      await pauseDlp(client, sender, deployment, record);
+      await retireProofInstruction(client, sender, deployment, record);
+    } else {
+      output.info('No DLP proxy in deployment.json; skipping the on-chain steps');
+    }
+    if (deployment.dlpId) {
+      await retireRefiners(client, network, deployment, record);
+    }
+    if (proxyAddress) {
+      await withdrawRewards(client, sender, deployment, record);
+    }
+
+    if (await archiveAndReset(stateManager, network, record)) {
+      output.success(`${deployment.dlpName} retired; archived in ${record.archive}/`, { archive: record.archive, actions: record.actions });
+      output.nextSteps([
+        'Deploy again from scratch: npm run deploy',
+        'See what was retired: the "retired" list in deployment.json'
+      ]);
+    }
+  } catch (error) {
+    output.error(`Teardown failed: ${error.shortMessage || error.message}`);
+    reportContractError(error);
+    process.exit(exitCodeFor(error));
+  }
+}
+
+main();
@@ -0,0 +1,99 @@
+const chalk = require('chalk');
+const { createPrompt } = require('../lib/prompt');
+const { ConfigError, exitCodeFor } = require('../lib/config');
+const { SecretVault, SECRET_FIELDS } = require('../lib/vault');
+
+const prompt = createPrompt('vault');
+
+const USAGE = `Usage: npm run vault -- <command>
+
+Commands:
+  list             Show which secrets are stored (values are never printed)
+  set <name>       Store or replace a secret (${SECRET_FIELDS.join(', ')})
+  migrate          Move plaintext secrets from deployment.json and contracts/.env into the vault
+  passwd           Change the vault passphrase`;
+
+/**
+ * List stored secret names without unlocking
+ */
+function listSecrets(vault) {
+  if (!vault.exists()) {
+    console.log(chalk.yellow('No secret vault yet. It is created by `npm run setup` or `npm run vault -- set <name>`.'));
+    return;
+  }
+
+  console.log(chalk.blue(`🔐 Secret vault: ${vault.vaultPath}`));
+  for (const name of SECRET_FIELDS) {
+    const status = vault.has(name) ? chalk.green('stored') : chalk.gray('not set');
+    console.log(`  ${name.padEnd(20)} ${status}`);
+  }
+}
+
+/**
+ * Prompt for one secret and store it
+ */
+async function setSecret(vault, name) {
+  if (!SECRET_FIELDS.includes(name)) {
+    throw new ConfigError(`Unknown secret "${name}". Expected one of: ${SECRET_FIELDS.join(', ')}`);
+  }
+
+  const { value } = await prompt([
+    {
+      type: 'password',
+      name: 'value',
+      mask: '*',
+      message: `${name}:`,
+      validate: (input) => input.trim() !== '' || 'A value is required'
+    }
+  ]);
+
+  await vault.set({ [name]: value.trim() });
+  console.log(chalk.green(`✅ ${name} saved to the secret vault`));
+}
+
+/**
+ * Vault management command
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args.find(arg => ['list', 'set', 'migrate', 'passwd'].includes(arg));
+  const name = command && args[args.indexOf(command) + 1];
+  const vault = new SecretVault();
+
+  try {
+    switch (command) {
+      case 'list':
+        listSecrets(vault);
+        break;
+
+      case 'set':
+        if (!name) {
+          throw new ConfigError(`Missing secret name.\n\n${USAGE}`);
+        }
+        await setSecret(vault, name);
+        break;
+
+      case 'migrate':
+        // Unlocking imports any plaintext secrets it finds
+        await vault.unlock();
+        console.log(chalk.green('✅ No plaintext secrets left in deployment.json or contracts/.env'));
+        break;
+
+      case 'passwd':
+        await vault.changePassphrase();
+        console.log(chalk.green('✅ Vault passphrase changed'));
+        break;
+
+      default:
+        console.log(USAGE);
+        if (args.length > 0) {
+          process.exit(1);
+        }
+    }
+  } catch (error) {
+    console.error(chalk.red('Vault command failed:'), error.message);
+    process.exit(exitCodeFor(error));
+  }
+}
+
+main();
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const zlib = require('zlib');
+const { ArtifactError, TarScanner, findEntrypoint, inspectArtifact } = require('../lib/artifacts');
+
+/**
+ * A ustar header block for an entry of `size` bytes
+ */
+function tarHeader(name, size, type = '0') {
+  const header = Buffer.alloc(512);
+  header.write(name.slice(0, 100), 0);
+  header.write('0000644\0', 100);
+  header.write('0000000\0', 108);
+  header.write('0000000\0', 116);
+  header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+  header.write('00000000000\0', 136);
+  header.write('        ', 148);
+  header.write(type, 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  const sum = header.reduce((total, byte) => total + byte, 0);
+  header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+  return header;
+}
+
+/**
+ * A header plus content padded to whole blocks
+ */
+function tarEntry(name, content = '', type = '0') {
+  const data = Buffer.from(content);
+  const padding = Buffer.alloc((512 - (data.length % 512)) % 512);
+  return Buffer.concat([tarHeader(name, data.length, type), data, padding]);
+}
+
+/**
+ * A complete archive: the entries and the two end-of-archive blocks
+ */
+function tarArchive(entries) {
+  return Buffer.concat([...entries, Buffer.alloc(1024)]);
+}
+
+/**
+ * Feed `data` to a fresh scanner in chunks of `chunkSize` bytes
+ */
+function scan(data, chunkSize = data.length) {
+  const scanner = new TarScanner();
+  for (let offset = 0; offset < data.length; offset += chunkSize) {
+    scanner.write(data.subarray(offset, offset + chunkSize));
+  }
+  scanner.end();
+  return scanner;
+}
+
+const SOURCE_ARCHIVE = tarArchive([
+  tarEntry('./', '', '5'),
+  tarEntry('./refiner/', '', '5'),
+  tarEntry('./refiner/__main__.py', 'print("refine")\n'),
+  tarEntry('./README.md', '# Refiner\n')
+]);
+
+test('lists entry names and keeps small file contents', () => {
+  const scanner = scan(SOURCE_ARCHIVE);
+  assert.deepStrictEqual(scanner.names, ['', 'refiner/', 'refiner/__main__.py', 'README.md']);
+  assert.strictEqual(scanner.files.get('README.md').toString(), '# Refiner\n');
+});
+
+test('gives the same result however the stream is chunked', () => {
+  const whole = scan(SOURCE_ARCHIVE);
+  for (const chunkSize of [1, 7, 511, 513]) {
+    const chunked = scan(SOURCE_ARCHIVE, chunkSize);
+    assert.deepStrictEqual(chunked.names, whole.names, `chunks of ${chunkSize}`);
+    assert.deepStrictEqual([...chunked.files.keys()], [...whole.files.keys()], `chunks of ${chunkSize}`);
+  }
+});
+
+test('reads GNU long names and pax paths for the entry that follows', () => {
+  const longName = `${'deeply/nested/'.repeat(10)}proof/__main__.py`;
+  const paxPath = 'pax/my_proof/__main__.py';
+  // The length prefix counts the whole record, its own two digits included
+  const paxBody = ` path=${paxPath}\n`;
+  const paxRecord = `${paxBody.length + 2}${paxBody}`;
+  const scanner = scan(tarArchive([
+    tarEntry('././@LongLink', `${longName}\0`, 'L'),
+    tarEntry(longName.slice(0, 100), 'x = 1\n'),
+    tarEntry('PaxHeaders/entry', paxRecord, 'x'),
+    tarEntry('truncated-name', 'y = 2\n')
+  ]));
+  assert.deepStrictEqual(scanner.names, [longName, paxPath]);
+  assert.strictEqual(scanner.files.get(longName).toString(), 'x = 1\n');
+});
+
+test('lists large entries without keeping their contents', () => {
+  const scanner = scan(tarArchive([tarEntry('layer.tar', Buffer.alloc(1024 * 1024 + 1))]));
+  assert.deepStrictEqual(scanner.names, ['layer.tar']);
+  assert.strictEqual(scanner.files.has('layer.tar'), false);
+});
+
+test('ignores padding after the end-of-archive blocks', () => {
+  const scanner = scan(Buffer.concat([SOURCE_ARCHIVE, Buffer.from('not a header at all')]));
+  assert.strictEqual(scanner.names.length, 4);
+});
+
+test('rejects truncated, empty and corrupt archives', () => {
+  const cutInEntry = SOURCE_ARCHIVE.subarray(0, 512 * 3 + 100);
+  assert.throws(() => scan(cutInEntry), ArtifactError);
+  assert.throws(() => scan(Buffer.alloc(1024)), /truncated or empty/);
+
+  const corrupt = Buffer.from(SOURCE_ARCHIVE);
+  corrupt[0] ^= 0xff;
+  assert.throws(() => scan(corrupt), /bad header checksum/);
+});
+
+test('finds a source entrypoint at any depth, or none', () => {
+  assert.strictEqual(findEntrypoint(scan(SOURCE_ARCHIVE), 'refiner'), 'source: refiner/__main__.py');
+  assert.strictEqual(findEntrypoint(scan(SOURCE_ARCHIVE), 'my_proof'), null);
+
+  const nested = scan(tarArchive([tarEntry('app/src/my_proof/__main__.py', '')]));
+  assert.strictEqual(findEntrypoint(nested, 'my_proof'), 'source: app/src/my_proof/__main__.py');
+  // A directory that merely ends with the module name does not count
+  const lookalike = scan(tarArchive([tarEntry('not_my_proof/__main__.py', '')]));
+  assert.strictEqual(findEntrypoint(lookalike, 'my_proof'), null);
+});
+
+test('finds the command of a docker save image', () => {
+  const image = (config) => scan(tarArchive([
+    tarEntry('manifest.json', JSON.stringify([{ Config: 'config.json', Layers: [] }])),
+    tarEntry('config.json', JSON.stringify({ config }))
+  ]));
+  assert.strictEqual(
+    findEntrypoint(image({ Entrypoint: ['python', '-m'], Cmd: ['my_proof'] }), 'my_proof'),
+    'image: python -m my_proof'
+  );
+  assert.strictEqual(findEntrypoint(image({ Cmd: ['python', 'app.py'] }), 'my_proof'), null);
+
+  const missingConfig = scan(tarArchive([tarEntry('manifest.json', JSON.stringify([{ Config: 'gone.json' }]))]));
+  assert.throws(() => findEntrypoint(missingConfig, 'my_proof'), /manifest cannot be read/);
+});
+
+test('inspectArtifact hashes the download and tells broken artifacts from unreachable ones', async (t) => {
+  const gzipped = zlib.gzipSync(tarArchive([tarEntry('my_proof/__main__.py', 'print(1)\n')]));
+  const server = http.createServer((request, response) => {
+    if (request.url === '/proof.tar.gz') {
+      response.end(gzipped);
+    } else if (request.url === '/plain.tar') {
+      response.end(SOURCE_ARCHIVE);
+    } else {
+      response.statusCode = 404;
+      response.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const record = await inspectArtifact(`${base}/proof.tar.gz`, 'proof');
+  assert.strictEqual(record.sha256, crypto.createHash('sha256').update(gzipped).digest('hex'));
+  assert.strictEqual(record.size, gzipped.length);
+  assert.strictEqual(record.entrypoint, 'source: my_proof/__main__.py');
+
+  await assert.rejects(inspectArtifact(`${base}/plain.tar`, 'proof'), (error) => /not a valid gzip/.test(error.message) && !error.download);
+  await assert.rejects(inspectArtifact(`${base}/missing`, 'proof'), (error) => /gone \(HTTP 404\)/.test(error.message) && !error.download);
+  await assert.rejects(inspectArtifact('ipfs://bafy', 'proof'), (error) => error instanceof ArtifactError && error.download);
+});
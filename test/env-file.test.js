@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dotenv = require('dotenv');
+const { EnvFile } = require('../lib/env-file');
+
+const VALUES = [
+  'plain',
+  '',
+  'C:\\new dir',
+  'C:\\\\server\\share',
+  'trailing backslash\\',
+  'say "hi"',
+  '\\"already escaped\\"',
+  'a # not a comment',
+  'line one\nline two',
+  'literal \\n, not a newline',
+  'two\nlines with a \\ and "quotes"',
+  "it's",
+  'both "double" and \'single\'',
+  '  padded  '
+];
+
+/**
+ * Write `value` with set() into a file that starts as `content`, and return
+ * the rendered file
+ */
+function render(value, content = '') {
+  const env = new EnvFile('.env', content);
+  env.set('VALUE', value);
+  return env.toString();
+}
+
+test('values read back exactly as they were set, by EnvFile and by dotenv', () => {
+  for (const value of VALUES) {
+    const text = render(value);
+    assert.strictEqual(new EnvFile('.env', text).get('VALUE'), value, `EnvFile: ${JSON.stringify(value)} as ${text}`);
+    assert.strictEqual(dotenv.parse(text).VALUE, value, `dotenv: ${JSON.stringify(value)} as ${text}`);
+  }
+});
+
+test('the quote style a value was read with is kept when it still fits', () => {
+  assert.strictEqual(render('C:\\new dir', "VALUE='old'\n"), "VALUE='C:\\new dir'\n");
+  assert.strictEqual(render('say "hi"', 'VALUE="old"\n'), 'VALUE=\'say "hi"\'\n');
+  assert.strictEqual(render('two words', 'VALUE=`old`\n'), 'VALUE=`two words`\n');
+  assert.strictEqual(render('plain'), 'VALUE=plain\n');
+});
+
+test('values holding every kind of quote are refused rather than written wrongly', () => {
+  assert.throws(() => render('"double" \'single\' `back`'), /cannot hold/);
+});
+
+test('existing files are read the way dotenv reads them', () => {
+  const content = [
+    'A="C:\\\\new"',
+    'B="x\\ny"',
+    'C="q\\"q"',
+    "D='raw \\n and \\\\'",
+    'E=unquoted#comment',
+    'F=value # note',
+    'G="unterminated',
+    'H=`back \\` tick`',
+    "I='multi",
+    "line'",
+    'export J=exported',
+    'K="quoted" # trailing comment',
+    'L=  spaced out  '
+  ].join('\n');
+
+  const env = new EnvFile('.env', content);
+  assert.deepStrictEqual(env.toObject(), dotenv.parse(content));
+});
+
+test('comments and untouched lines are kept', () => {
+  const env = new EnvFile('.env', '# header\nKEY=value # note\n\nexport OTHER="x"\n');
+  env.set('KEY', 'other');
+  env.set('OTHER', 'y z');
+  assert.strictEqual(env.toString(), '# header\nKEY=other # note\n\nexport OTHER="y z"\n');
+});
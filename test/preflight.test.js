@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateDlpName, validateTokenName, validateTokenSymbol } = require('../lib/preflight');
+
+test('DataDAO names need 4 characters besides spaces', () => {
+  assert.strictEqual(validateDlpName('Test DAO'), true);
+  assert.notStrictEqual(validateDlpName('a b c'), true);
+  assert.notStrictEqual(validateDlpName('   '), true);
+});
+
+test('token names are one trimmed line of at most 64 characters', () => {
+  assert.strictEqual(validateTokenName('Data Autonomy Token'), true);
+  assert.strictEqual(validateTokenName('x'.repeat(64)), true);
+  assert.notStrictEqual(validateTokenName(''), true);
+  assert.notStrictEqual(validateTokenName('x'.repeat(65)), true);
+  assert.notStrictEqual(validateTokenName(' Padded'), true);
+  assert.notStrictEqual(validateTokenName('two\nlines'), true);
+  assert.notStrictEqual(validateTokenName('tab\there'), true);
+});
+
+test('token symbols are 2 to 11 letters or digits', () => {
+  assert.strictEqual(validateTokenSymbol('DAT2'), true);
+  assert.notStrictEqual(validateTokenSymbol('D'), true);
+  assert.notStrictEqual(validateTokenSymbol('TWELVECHARSX'), true);
+  assert.notStrictEqual(validateTokenSymbol('MY-TKN'), true);
+});
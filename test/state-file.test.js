@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+  HISTORY_DIR,
+  HISTORY_LIMIT,
+  StateLockedError,
+  writeFileAtomic,
+  acquireStateLock,
+  listHistory,
+  saveSnapshot
+} = require('../lib/state-file');
+
+/**
+ * A fresh directory, removed after the test
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamint-state-'));
+  t.after(() => fs.removeSync(dir));
+  return dir;
+}
+
+/**
+ * Write a lock file as another process would have left it
+ */
+function writeLock(lockPath, owner) {
+  fs.writeFileSync(lockPath, JSON.stringify({ token: 'other', command: 'npm run deploy', startedAt: new Date().toISOString(), ...owner }));
+}
+
+/**
+ * The pid of a process that has already exited
+ */
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+test('writeFileAtomic replaces the file and leaves no temporary file', (t) => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'deployment.json');
+  fs.writeFileSync(file, 'old');
+
+  writeFileAtomic(file, 'new', { mode: 0o600 });
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), 'new');
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['deployment.json']);
+});
+
+test('writeFileAtomic keeps the old contents and cleans up when the rename fails', (t) => {
+  const dir = tempDir(t);
+  const target = path.join(dir, 'occupied');
+  fs.ensureDirSync(path.join(target, 'child'));
+
+  assert.throws(() => writeFileAtomic(target, 'data'));
+  assert.deepStrictEqual(fs.readdirSync(dir), ['occupied']);
+});
+
+test('the lock is taken once and is re-entrant within the process', (t) => {
+  const file = path.join(tempDir(t), 'deployment.json');
+  acquireStateLock(file);
+  const owner = JSON.parse(fs.readFileSync(`${file}.lock`, 'utf8'));
+  assert.strictEqual(owner.pid, process.pid);
+
+  acquireStateLock(file);
+  assert.strictEqual(JSON.parse(fs.readFileSync(`${file}.lock`, 'utf8')).token, owner.token);
+});
+
+test('a lock held by a live process is refused', (t) => {
+  const file = path.join(tempDir(t), 'deployment.json');
+  writeLock(`${file}.lock`, { pid: process.ppid });
+
+  assert.throws(() => acquireStateLock(file), (error) =>
+    error instanceof StateLockedError && error.owner.pid === process.ppid && /npm run deploy/.test(error.message));
+});
+
+test('a lock held by the parent command is shared through its token', (t) => {
+  const file = path.join(tempDir(t), 'deployment.json');
+  writeLock(`${file}.lock`, { pid: process.ppid, token: 'parent-token' });
+
+  const saved = process.env.STREAMINT_STATE_LOCK;
+  t.after(() => { process.env.STREAMINT_STATE_LOCK = saved; });
+  process.env.STREAMINT_STATE_LOCK = 'parent-token';
+
+  acquireStateLock(file);
+  assert.strictEqual(JSON.parse(fs.readFileSync(`${file}.lock`, 'utf8')).token, 'parent-token');
+});
+
+test('a stale lock from a process that is gone is taken over', (t) => {
+  const file = path.join(tempDir(t), 'deployment.json');
+  writeLock(`${file}.lock`, { pid: deadPid() });
+
+  acquireStateLock(file);
+  assert.strictEqual(JSON.parse(fs.readFileSync(`${file}.lock`, 'utf8')).pid, process.pid);
+});
+
+test('an unreadable lock is only taken over once it is old', (t) => {
+  const dir = tempDir(t);
+  const fresh = path.join(dir, 'fresh.json');
+  fs.writeFileSync(`${fresh}.lock`, '');
+  assert.throws(() => acquireStateLock(fresh), StateLockedError);
+
+  const old = path.join(dir, 'old.json');
+  fs.writeFileSync(`${old}.lock`, '{"pid":');
+  const minuteAgo = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(`${old}.lock`, minuteAgo, minuteAgo);
+  acquireStateLock(old);
+  assert.strictEqual(JSON.parse(fs.readFileSync(`${old}.lock`, 'utf8')).pid, process.pid);
+});
+
+test('snapshots are listed newest first and identical contents are not repeated', (t) => {
+  const file = path.join(tempDir(t), 'deployment.json');
+  assert.deepStrictEqual(listHistory(file), []);
+
+  saveSnapshot(file, '{"n":1}');
+  saveSnapshot(file, '{"n":1}');
+  saveSnapshot(file, '{"n":2}');
+
+  const history = listHistory(file);
+  assert.strictEqual(history.length, 2);
+  assert.strictEqual(fs.readFileSync(history[0].path, 'utf8'), '{"n":2}');
+  assert.ok(history.every(entry => path.dirname(entry.path).endsWith(HISTORY_DIR)));
+});
+
+test(`the history keeps the newest ${HISTORY_LIMIT} snapshots, even within one millisecond`, (t) => {
+  const file = path.join(tempDir(t), 'deployment.json');
+  const total = HISTORY_LIMIT + 5;
+  for (let n = 1; n <= total; n++) {
+    saveSnapshot(file, `{"n":${n}}`);
+  }
+
+  const kept = listHistory(file).map(entry => JSON.parse(fs.readFileSync(entry.path, 'utf8')).n);
+  const expected = Array.from({ length: HISTORY_LIMIT }, (_, index) => total - index);
+  assert.deepStrictEqual(kept, expected);
+});
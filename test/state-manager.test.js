@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DeploymentStateManager = require('../scripts/state-manager');
+const { SCHEMA_VERSION, DeploymentSchemaError, emptyStateFlags } = require('../lib/deployment-schema');
+const { listHistory } = require('../lib/state-file');
+
+const OWNER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const PROXY = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const VESTING = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+
+/**
+ * A project directory holding `deployment` as its deployment.json
+ */
+function projectWith(t, deployment) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamint-project-'));
+  t.after(() => fs.removeSync(dir));
+  fs.writeFileSync(path.join(dir, 'deployment.json'), JSON.stringify(deployment, null, 2));
+  return dir;
+}
+
+/**
+ * deployment.json as written before schema versions existed
+ */
+function v1Deployment(fields = {}) {
+  return { dlpName: 'Test DAO', tokenName: 'Test Token', tokenSymbol: 'TEST', address: OWNER, ...fields };
+}
+
+test('v1 files move their contract addresses under "contracts" and get state flags', (t) => {
+  const dir = projectWith(t, v1Deployment({ tokenAddress: TOKEN, proxyAddress: PROXY, vestingAddress: VESTING, dlpId: '7' }));
+  const deployment = new DeploymentStateManager(dir).getState();
+
+  assert.strictEqual(deployment.schemaVersion, SCHEMA_VERSION);
+  assert.deepStrictEqual(deployment.contracts, { tokenAddress: TOKEN, proxyAddress: PROXY, vestingAddress: VESTING });
+  assert.strictEqual(deployment.tokenAddress, undefined);
+  assert.strictEqual(deployment.dlpId, 7);
+  assert.deepStrictEqual(deployment.state, { ...emptyStateFlags(), contractsDeployed: true, dataDAORegistered: true });
+});
+
+test('the upgrade is written back and the original kept in the history', (t) => {
+  const original = v1Deployment({ dlpAddress: PROXY });
+  const dir = projectWith(t, original);
+  new DeploymentStateManager(dir);
+
+  const saved = fs.readJsonSync(path.join(dir, 'deployment.json'));
+  assert.strictEqual(saved.schemaVersion, SCHEMA_VERSION);
+  // The oldest name for the DLP proxy, with no token deployed yet
+  assert.deepStrictEqual(saved.contracts, { proxyAddress: PROXY, vestingAddress: null });
+  assert.strictEqual(saved.state.contractsDeployed, false);
+
+  const [snapshot] = listHistory(path.join(dir, 'deployment.json'));
+  assert.deepStrictEqual(fs.readJsonSync(snapshot.path), original);
+});
+
+test('a v1 file without contracts keeps none, its state flags and a numeric refinerId', (t) => {
+  const state = { ...emptyStateFlags(), githubSetup: true };
+  const deployment = new DeploymentStateManager(projectWith(t, v1Deployment({ state, refinerId: '3' }))).getState();
+
+  assert.strictEqual(deployment.contracts, undefined);
+  assert.deepStrictEqual(deployment.state, state);
+  assert.strictEqual(deployment.refinerId, 3);
+});
+
+test('current files are loaded as they are, without a snapshot', (t) => {
+  const current = { schemaVersion: SCHEMA_VERSION, ...v1Deployment(), state: emptyStateFlags() };
+  const dir = projectWith(t, current);
+  new DeploymentStateManager(dir);
+
+  assert.deepStrictEqual(fs.readJsonSync(path.join(dir, 'deployment.json')), current);
+  assert.deepStrictEqual(listHistory(path.join(dir, 'deployment.json')), []);
+});
+
+test('files from a newer release or that stay invalid after the upgrade are refused untouched', (t) => {
+  const newer = projectWith(t, { schemaVersion: SCHEMA_VERSION + 1, ...v1Deployment(), state: emptyStateFlags() });
+  assert.throws(() => new DeploymentStateManager(newer), (error) =>
+    error instanceof DeploymentSchemaError && /newer Streamint/.test(error.message));
+
+  const invalid = v1Deployment({ tokenAddress: 'not-an-address' });
+  const dir = projectWith(t, invalid);
+  assert.throws(() => new DeploymentStateManager(dir), DeploymentSchemaError);
+  assert.deepStrictEqual(fs.readJsonSync(path.join(dir, 'deployment.json')), invalid);
+});
+
+test('saves that the loader would reject are refused', (t) => {
+  const dir = projectWith(t, { schemaVersion: SCHEMA_VERSION, ...v1Deployment(), state: emptyStateFlags() });
+  const stateManager = new DeploymentStateManager(dir);
+
+  assert.throws(() => stateManager.saveState({ ...stateManager.getState(), publicKey: 'not hex' }), DeploymentSchemaError);
+  assert.strictEqual(fs.readJsonSync(path.join(dir, 'deployment.json')).publicKey, undefined);
+});
@@ -4,6 +4,7 @@ import { waitForTransactionReceipt } from "@wagmi/core";
 import { DataRegistry } from "@/contracts/instances/data-registry";
 import { TransactionReceipt } from "viem";
 import { Controller } from "@/contracts/instances/controller";
+import { describeContractError } from "@/lib/contracts/errors";
 
 // Interface for blockchain error objects
 interface BlockchainErrorObject {
@@ -75,7 +76,10 @@ export function useAddFile() {
       setError(error);
 
       // Extract contract-specific error message
-      if (err instanceof Error) {
+      const decodedError = describeContractError(err);
+      if (decodedError) {
+        setContractError(decodedError);
+      } else if (err instanceof Error) {
         // Contract errors often contain specific messages in their error object
         const errorMessage = err.message || "Unknown contract error";
         setContractError(errorMessage);
@@ -3,6 +3,7 @@ import { useAccount, useConfig, useWriteContract } from 'wagmi';
 import { waitForTransactionReceipt } from '@wagmi/core';
 import { TransactionReceipt } from 'viem';
 import { Controller } from '@/contracts/instances/controller';
+import { describeContractError } from '@/lib/contracts/errors';
 
 // Interface for blockchain error objects
 interface BlockchainErrorObject {
@@ -62,7 +63,10 @@ export const useRewardClaim = () => {
       setError(error);
 
       // Extract contract-specific error message
-      if (err instanceof Error) {
+      const decodedError = describeContractError(err);
+      if (decodedError) {
+        setContractError(decodedError);
+      } else if (err instanceof Error) {
         // Contract errors often contain specific messages in their error object
         const errorMessage = err.message || "Unknown contract error";
         setContractError(errorMessage);
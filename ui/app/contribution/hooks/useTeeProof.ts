@@ -1,5 +1,6 @@
 import { createClient } from "@/contracts/client";
 import { Controller } from "@/contracts/instances/controller";
+import { describeContractError } from "@/lib/contracts/errors";
 import { getEncryptionParameters } from "@/lib/crypto/utils";
 import { waitForTransactionReceipt } from "@wagmi/core";
 import { useSession } from "next-auth/react";
@@ -254,7 +255,8 @@ export const useTeeProof = () => {
     } catch (err) {
       console.error("Error in proof process:", err);
       setError(
-        err instanceof Error ? err.message : "Failed to process TEE proof"
+        describeContractError(err) ??
+          (err instanceof Error ? err.message : "Failed to process TEE proof")
       );
       throw err;
     } finally {
@@ -0,0 +1,965 @@
+// Generated by `npm run build:errors` from the compiled contracts. Do not edit.
+
+export const ContractErrorsAbi = [
+  {
+    "type": "error",
+    "name": "AccessControlBadConfirmation",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "AccessControlUnauthorizedAccount",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "account",
+        "type": "address"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "neededRole",
+        "type": "bytes32"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "AccountBlocked",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "AddressEmptyCode",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "target",
+        "type": "address"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "AddressInsufficientBalance",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "account",
+        "type": "address"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "ArrayLengthMismatch",
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "length1",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "length2",
+        "type": "uint256"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "BlockingRejected",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "addr",
+        "type": "address"
+      },
+      {
+        "internalType": "string",
+        "name": "reason",
+        "type": "string"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "BlockListDoesNotContain",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "addr",
+        "type": "address"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "CancelDelayNotPassed",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "CheckpointUnorderedInsertion",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "ColumnNameUnexpected",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "DlpAddressCannotBeChanged",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "ECDSAInvalidSignature",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "ECDSAInvalidSignatureLength",
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "length",
+        "type": "uint256"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "ECDSAInvalidSignatureS",
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "s",
+        "type": "bytes32"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "EmptyString",
+    "inputs": [
+      {
+        "internalType": "string",
+        "name": "paramName",
+        "type": "string"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "EnforcedPause",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "EpochDlpScoreAlreadySaved",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "EpochNotEnded",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "EpochRewardsAlreadyDistributed",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "ERC1967InvalidImplementation",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "implementation",
+        "type": "address"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "ERC1967NonPayable",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "ERC20ExceededCap",
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "increasedSupply",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "cap",
+        "type": "uint256"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "ERC20InsufficientAllowance",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "spender",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "allowance",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "needed",
+        "type": "uint256"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "ERC20InsufficientBalance",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "sender",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "balance",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "needed",
+        "type": "uint256"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "ERC20InvalidApprover",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "approver",
+        "type": "address"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "ERC20InvalidCap",
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "cap",
+        "type": "uint256"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "ERC20InvalidReceiver",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "receiver",
+        "type": "address"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "ERC20InvalidSender",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "sender",
+        "type": "address"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "ERC20InvalidSpender",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "spender",
+        "type": "address"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "ExpectedPause",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "FailedInnerCall",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "FileAlreadyAdded",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "IndexOutOfBounds",
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "index",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "length",
+        "type": "uint256"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "InsufficientFee",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "InvalidAddress",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "InvalidAttestator",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "InvalidDlpId",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "InvalidDlpPaymentPercentage",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "InvalidDlpStatus",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "InvalidDlpTreasuryAddress",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "InvalidInitialization",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "InvalidJobStatus",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "InvalidJobTee",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "InvalidName",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "InvalidParam",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "InvalidProof",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "InvalidScore",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "InvalidStakeAmount",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "InvalidStakersPercentage",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "JobCompleted",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "LastEpochMustBeFinalised",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "NoActiveTee",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "NotCallableAnymore",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "NotDlpOwner",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "NothingToClaim",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "NotInitializing",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "NotJobOwner",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "NotRefinerOwner",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "NotStakeOwner",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "PaymentNotReceived",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "PermissionNotFound",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "ReentrancyGuardReentrantCall",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "RefinerNotFound",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "SafeERC20FailedOperation",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "StakeActionPaused",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "StakeAlreadyClosed",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "StakeAlreadyWithdrawn",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "StakeNotClosed",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "StakeWithdrawalTooEarly",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "TeeAlreadyAdded",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "TeeNotActive",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "TransferFailed",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "UUPSUnauthorizedCallContext",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "UUPSUnsupportedProxiableUUID",
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "slot",
+        "type": "bytes32"
+      }
+    ]
+  },
+  {
+    "type": "error",
+    "name": "ZeroAddress",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "ZeroAmount",
+    "inputs": []
+  }
+] as const;
+
+export const contractErrorHints: Record<string, string> = {
+  "AccessControlBadConfirmation": "renounceRole must be called by the account renouncing the role.",
+  "AccessControlUnauthorizedAccount": "{account} is missing role {neededRole}. Send from an account that has it, or grant it from an admin account first.",
+  "AccountBlocked": "The account is on the token's block list.",
+  "AddressEmptyCode": "{target} has no contract code. Check the address for the selected network.",
+  "AddressInsufficientBalance": "{account} does not hold enough VANA for this transfer.",
+  "ArrayLengthMismatch": "The arrays passed have different lengths ({length1} and {length2}).",
+  "BlockingRejected": "{addr} cannot be blocked: {reason}",
+  "BlockListDoesNotContain": "{addr} is not on the block list.",
+  "CancelDelayNotPassed": "The job can only be cancelled after the cancel delay has passed.",
+  "CheckpointUnorderedInsertion": "Checkpoints must be written in increasing order.",
+  "ColumnNameUnexpected": "Column names are only allowed together with a table name.",
+  "DlpAddressCannotBeChanged": "A registered DataDAO cannot move to another contract address.",
+  "ECDSAInvalidSignature": "The proof signature is invalid.",
+  "ECDSAInvalidSignatureLength": "The proof signature has the wrong length ({length} bytes).",
+  "ECDSAInvalidSignatureS": "The proof signature is malformed.",
+  "EmptyString": "{paramName} must not be empty.",
+  "EnforcedPause": "The contract is paused. Wait for its admin to unpause it.",
+  "EpochDlpScoreAlreadySaved": "The score for this epoch has already been saved.",
+  "EpochNotEnded": "The current epoch has not ended yet.",
+  "EpochRewardsAlreadyDistributed": "Rewards for this epoch were already distributed.",
+  "ERC1967InvalidImplementation": "{implementation} has no code; deploy the implementation before upgrading to it.",
+  "ERC1967NonPayable": "The upgrade call does not accept VANA; send it with value 0.",
+  "ERC20ExceededCap": "Minting would take the supply to {increasedSupply}, over the cap of {cap}.",
+  "ERC20InsufficientAllowance": "{spender} may spend {allowance} tokens but {needed} are needed. Approve a larger amount first.",
+  "ERC20InsufficientBalance": "{sender} holds {balance} tokens but {needed} are needed.",
+  "ERC20InvalidApprover": "{approver} is not a valid approver.",
+  "ERC20InvalidCap": "The token cap must be greater than zero.",
+  "ERC20InvalidReceiver": "{receiver} cannot receive tokens.",
+  "ERC20InvalidSender": "{sender} cannot send tokens.",
+  "ERC20InvalidSpender": "{spender} is not a valid spender.",
+  "ExpectedPause": "This action is only allowed while the contract is paused.",
+  "FailedInnerCall": "A call made by the contract failed. Check the target contract and arguments.",
+  "FileAlreadyAdded": "This file has already been contributed.",
+  "IndexOutOfBounds": "Index {index} is out of range (length {length}).",
+  "InsufficientFee": "Send at least the TeePool teeFee with the job request.",
+  "InvalidAddress": "An address argument is empty or invalid. Check the addresses in deployment.json.",
+  "InvalidAttestator": "The proof was not signed by a TEE registered in the TeePool.",
+  "InvalidDlpId": "No DataDAO has this dlpId. Check \"dlpId\" in deployment.json, or run npm run register:datadao.",
+  "InvalidDlpPaymentPercentage": "The DataDAO payment percentage must be between 0 and 100%.",
+  "InvalidDlpStatus": "The DataDAO is not in a state that allows this (e.g. deregistered). Check it with npm run status.",
+  "InvalidDlpTreasuryAddress": "The DataDAO treasury address is not set or invalid.",
+  "InvalidInitialization": "The contract is already initialized; it cannot be initialized again.",
+  "InvalidJobStatus": "The job is not in a state that allows this action.",
+  "InvalidJobTee": "The job is assigned to a different TEE.",
+  "InvalidName": "The DataDAO name is empty or already taken. Change \"dlpName\" in deployment.json.",
+  "InvalidParam": "A parameter is out of range. Re-check the values passed to the call.",
+  "InvalidProof": "The proof does not match the file or DataDAO.",
+  "InvalidScore": "The proof score is outside the accepted range.",
+  "InvalidStakeAmount": "The stake amount is below the minimum (or the registration fee is missing).",
+  "InvalidStakersPercentage": "The stakers percentage is outside the range the root contract allows.",
+  "JobCompleted": "This job has already been completed.",
+  "LastEpochMustBeFinalised": "The previous epoch must be finalised first.",
+  "NoActiveTee": "No TEE is active in the TeePool right now. Try again later.",
+  "NotCallableAnymore": "This function was retired in a contract upgrade.",
+  "NotDlpOwner": "Only the DataDAO owner can do this. Send from the owner wallet (\"address\" in deployment.json).",
+  "NothingToClaim": "There is nothing to claim yet.",
+  "NotInitializing": "This function can only be called during initialization.",
+  "NotJobOwner": "Only the account that submitted the job can do this.",
+  "NotRefinerOwner": "Only the owner of the refiner's DataDAO can change its permissions.",
+  "NotStakeOwner": "Only the account that made the stake can do this.",
+  "PaymentNotReceived": "The query was not paid for. Send the required VANA with the call.",
+  "PermissionNotFound": "No permission with this id exists.",
+  "ReentrancyGuardReentrantCall": "The call re-entered the contract; it cannot be made from inside another call to it.",
+  "RefinerNotFound": "No refiner has this refinerId. Check \"refinerId\" in deployment.json.",
+  "SafeERC20FailedOperation": "A transfer of token {token} failed. Check the balance and allowance.",
+  "StakeActionPaused": "Staking actions are paused on the root contract.",
+  "StakeAlreadyClosed": "This stake has already been closed.",
+  "StakeAlreadyWithdrawn": "This stake has already been withdrawn.",
+  "StakeNotClosed": "Close the stake before withdrawing it.",
+  "StakeWithdrawalTooEarly": "The withdrawal delay has not passed yet. Try again later.",
+  "TeeAlreadyAdded": "This TEE is already registered.",
+  "TeeNotActive": "This TEE is not active.",
+  "TransferFailed": "A VANA transfer failed. Check that the recipient can receive VANA.",
+  "UUPSUnauthorizedCallContext": "Upgrades must be sent to the proxy, not the implementation.",
+  "UUPSUnsupportedProxiableUUID": "The new implementation is not a UUPS implementation.",
+  "ZeroAddress": "An address argument is the zero address.",
+  "ZeroAmount": "The amount must be greater than zero."
+};
+
+export const contractErrorSources: Record<string, readonly string[]> = {
+  "0x6697b232": [
+    "DLPRoot",
+    "DLPRootCore",
+    "DataRefinerRegistry",
+    "DataLiquidityPool",
+    "TeePool",
+    "QueryEngine",
+    "DAT"
+  ],
+  "0xe2517d3f": [
+    "DLPRoot",
+    "DLPRootCore",
+    "DataRefinerRegistry",
+    "DataLiquidityPool",
+    "TeePool",
+    "QueryEngine",
+    "DAT"
+  ],
+  "0x6bc671fd": [
+    "DAT"
+  ],
+  "0x9996b315": [
+    "DLPRoot",
+    "DLPRootCore",
+    "DataRefinerRegistry",
+    "DataLiquidityPool",
+    "TeePool",
+    "QueryEngine"
+  ],
+  "0xcd786059": [
+    "DataLiquidityPool",
+    "QueryEngine"
+  ],
+  "0xfa5dbe08": [
+    "DAT"
+  ],
+  "0x37aedc70": [
+    "DAT"
+  ],
+  "0x9967befa": [
+    "DAT"
+  ],
+  "0x4b40143d": [
+    "TeePool"
+  ],
+  "0x2520601d": [
+    "DLPRoot",
+    "DLPRootCore"
+  ],
+  "0x54ae48bc": [
+    "QueryEngine"
+  ],
+  "0x19a1ba86": [
+    "DLPRootCore"
+  ],
+  "0xf645eedf": [
+    "DataLiquidityPool"
+  ],
+  "0xfce698f7": [
+    "DataLiquidityPool"
+  ],
+  "0xd78bce0c": [
+    "DataLiquidityPool"
+  ],
+  "0x62a65aec": [
+    "DAT"
+  ],
+  "0xd93c0665": [
+    "DLPRoot",
+    "DLPRootCore",
+    "DataRefinerRegistry",
+    "DataLiquidityPool",
+    "TeePool",
+    "QueryEngine"
+  ],
+  "0x4d402499": [
+    "DLPRootCore"
+  ],
+  "0x756b7857": [
+    "DLPRoot",
+    "DLPRootCore"
+  ],
+  "0x4b5e16a3": [
+    "DLPRootCore"
+  ],
+  "0x4c9c8ce3": [
+    "DLPRoot",
+    "DLPRootCore",
+    "DataRefinerRegistry",
+    "DataLiquidityPool",
+    "TeePool",
+    "QueryEngine"
+  ],
+  "0xb398979f": [
+    "DLPRoot",
+    "DLPRootCore",
+    "DataRefinerRegistry",
+    "DataLiquidityPool",
+    "TeePool",
+    "QueryEngine"
+  ],
+  "0x9e79f854": [
+    "DAT"
+  ],
+  "0xfb8f41b2": [
+    "DAT"
+  ],
+  "0xe450d38c": [
+    "DAT"
+  ],
+  "0xe602df05": [
+    "DAT"
+  ],
+  "0x392e1e27": [
+    "DAT"
+  ],
+  "0xec442f05": [
+    "DAT"
+  ],
+  "0x96c6fd1e": [
+    "DAT"
+  ],
+  "0x94280d62": [
+    "DAT"
+  ],
+  "0x8dfc202b": [
+    "DLPRoot",
+    "DLPRootCore",
+    "DataRefinerRegistry",
+    "DataLiquidityPool",
+    "TeePool",
+    "QueryEngine"
+  ],
+  "0x1425ea42": [
+    "DLPRoot",
+    "DLPRootCore",
+    "DataRefinerRegistry",
+    "DataLiquidityPool",
+    "TeePool",
+    "QueryEngine"
+  ],
+  "0xa208aa68": [
+    "DataLiquidityPool"
+  ],
+  "0x63a056dd": [
+    "DAT"
+  ],
+  "0x025dbdd4": [
+    "TeePool"
+  ],
+  "0xe6c4247b": [
+    "DLPRoot",
+    "DLPRootCore"
+  ],
+  "0x90c2973e": [
+    "DataLiquidityPool"
+  ],
+  "0x0c6b1c9e": [
+    "DLPRoot",
+    "DLPRootCore"
+  ],
+  "0xd0c7b442": [
+    "QueryEngine"
+  ],
+  "0xdc3dad8a": [
+    "DLPRoot",
+    "DLPRootCore"
+  ],
+  "0x48ef0b91": [
+    "QueryEngine"
+  ],
+  "0xf92ee8a9": [
+    "DLPRoot",
+    "DLPRootCore",
+    "DataRefinerRegistry",
+    "DataLiquidityPool",
+    "TeePool",
+    "QueryEngine",
+    "DAT"
+  ],
+  "0xb969563b": [
+    "TeePool"
+  ],
+  "0xd1e62b85": [
+    "TeePool"
+  ],
+  "0x430f13b3": [
+    "DLPRootCore"
+  ],
+  "0xd2529034": [
+    "DLPRoot",
+    "DLPRootCore"
+  ],
+  "0x09bde339": [
+    "DataLiquidityPool"
+  ],
+  "0x15561365": [
+    "DataLiquidityPool"
+  ],
+  "0x040ef8ec": [
+    "DLPRoot",
+    "DLPRootCore"
+  ],
+  "0xd1be20e5": [
+    "DLPRoot",
+    "DLPRootCore"
+  ],
+  "0xc3feda8a": [
+    "TeePool"
+  ],
+  "0xa5564fb0": [
+    "DLPRoot",
+    "DLPRootCore"
+  ],
+  "0x29ed7f27": [
+    "TeePool"
+  ],
+  "0xd39a4603": [
+    "DLPRoot"
+  ],
+  "0x3387d707": [
+    "DLPRootCore",
+    "DataRefinerRegistry",
+    "QueryEngine"
+  ],
+  "0x969bf728": [
+    "DLPRoot",
+    "DLPRootCore",
+    "TeePool"
+  ],
+  "0xd7e6bcf8": [
+    "DLPRoot",
+    "DLPRootCore",
+    "DataRefinerRegistry",
+    "DataLiquidityPool",
+    "TeePool",
+    "QueryEngine",
+    "DAT"
+  ],
+  "0x9015f923": [
+    "TeePool"
+  ],
+  "0x5928b051": [
+    "QueryEngine"
+  ],
+  "0xcd79e7ec": [
+    "DLPRoot",
+    "DLPRootCore"
+  ],
+  "0x89b0d699": [
+    "QueryEngine"
+  ],
+  "0xd8455a13": [
+    "QueryEngine"
+  ],
+  "0x3ee5aeb5": [
+    "DLPRoot",
+    "DLPRootCore",
+    "DataLiquidityPool",
+    "TeePool",
+    "QueryEngine"
+  ],
+  "0xecf7271c": [
+    "QueryEngine"
+  ],
+  "0x5274afe7": [
+    "DataLiquidityPool",
+    "QueryEngine"
+  ],
+  "0xe15e8bbe": [
+    "DLPRoot"
+  ],
+  "0x8ccbf9a5": [
+    "DLPRoot",
+    "DLPRootCore"
+  ],
+  "0x64141f34": [
+    "DLPRoot",
+    "DLPRootCore"
+  ],
+  "0xe4e518f2": [
+    "DLPRoot",
+    "DLPRootCore"
+  ],
+  "0xfae9a450": [
+    "DLPRoot",
+    "DLPRootCore"
+  ],
+  "0x7668d56b": [
+    "TeePool"
+  ],
+  "0x10eddccd": [
+    "TeePool"
+  ],
+  "0x90b8ec18": [
+    "DLPRoot",
+    "DLPRootCore",
+    "TeePool"
+  ],
+  "0xe07c8dba": [
+    "DLPRoot",
+    "DLPRootCore",
+    "DataRefinerRegistry",
+    "DataLiquidityPool",
+    "TeePool",
+    "QueryEngine"
+  ],
+  "0xaa1d49a4": [
+    "DLPRoot",
+    "DLPRootCore",
+    "DataRefinerRegistry",
+    "DataLiquidityPool",
+    "TeePool",
+    "QueryEngine"
+  ],
+  "0xd92e233d": [
+    "QueryEngine",
+    "DAT"
+  ],
+  "0x1f2a2005": [
+    "DAT"
+  ]
+};
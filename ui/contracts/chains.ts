@@ -70,6 +70,28 @@ export const vanaMainnet = defineChain({
   },
 });
 
+// Local hardhat node used for offline development. Contract addresses are
+// resolved lazily through getContractAddress since they change per deployment.
+export const localHardhat = defineChain({
+  id: 31337,
+  caipNetworkId: "eip155:31337",
+  chainNamespace: "eip155",
+  name: "VANA - Local",
+  nativeCurrency: {
+    name: "VANA",
+    symbol: "VANA",
+    decimals: 18,
+  },
+  rpcUrls: {
+    default: {
+      http: [process.env.NEXT_PUBLIC_RPC_URL || "http://127.0.0.1:8545"],
+    },
+  },
+  abis: {
+    dataRegistry: DataRegistryImplementationAbi,
+  },
+});
+
 export interface Chains {
   [key: number]: Chain & { abis?: Record<string, InterfaceAbi> };
 }
@@ -77,6 +99,7 @@ export interface Chains {
 export const chains: Chains = {
   [mokshaTestnet.id]: mokshaTestnet,
   [vanaMainnet.id]: vanaMainnet,
+  [localHardhat.id]: localHardhat,
 };
 
 const chainId = Number(process.env.NEXT_PUBLIC_CHAIN_ID || 14800);
@@ -1,10 +1,10 @@
-import { mokshaTestnet, vanaMainnet } from "@/contracts/chains";
+import { localHardhat, mokshaTestnet, vanaMainnet } from "@/contracts/chains";
 import { createConfig, http } from "wagmi";
 import { coinbaseWallet, injected } from "wagmi/connectors";
 
 // Configure Wagmi
 const config = createConfig({
-  chains: [mokshaTestnet, vanaMainnet],
+  chains: [mokshaTestnet, vanaMainnet, localHardhat],
   connectors: [
     injected(), // MetaMask and browser injected wallets
     coinbaseWallet({
@@ -14,6 +14,7 @@ const config = createConfig({
   transports: {
     [mokshaTestnet.id]: http(),
     [vanaMainnet.id]: http(),
+    [localHardhat.id]: http(),
   },
 });
 
@@ -0,0 +1,98 @@
+import { BaseError, decodeErrorResult, Hex } from "viem";
+import {
+  ContractErrorsAbi,
+  contractErrorHints,
+  contractErrorSources,
+} from "@/contracts/abi/ContractErrors";
+
+export type DecodedContractError = {
+  name: string;
+  selector: Hex;
+  args: Record<string, unknown>;
+  contracts: readonly string[];
+  hint?: string;
+};
+
+/**
+ * Find the raw revert data carried by a viem/wagmi error
+ * @param error The error thrown by a contract read or write
+ * @returns The revert data, or null if the error has none
+ */
+function findRevertData(error: unknown): Hex | null {
+  if (!(error instanceof BaseError)) {
+    return null;
+  }
+
+  let data: Hex | null = null;
+  error.walk((err) => {
+    const candidate = err as { raw?: unknown; data?: unknown };
+    if (typeof candidate.raw === "string" && candidate.raw !== "0x") {
+      data = candidate.raw as Hex;
+    } else if (
+      typeof candidate.data === "string" &&
+      /^0x[0-9a-fA-F]{8}/.test(candidate.data)
+    ) {
+      data = candidate.data as Hex;
+    }
+    return data !== null;
+  });
+  return data;
+}
+
+/**
+ * Decode a contract revert into the custom error of the Vana contracts
+ * @param error The error thrown by a contract read or write
+ * @returns The error name, its arguments and a remediation hint, or null
+ */
+export function decodeContractError(
+  error: unknown
+): DecodedContractError | null {
+  const data = findRevertData(error);
+  if (!data) {
+    return null;
+  }
+
+  try {
+    const { errorName, args, abiItem } = decodeErrorResult({
+      abi: ContractErrorsAbi,
+      data,
+    });
+
+    const namedArgs: Record<string, unknown> = {};
+    abiItem.inputs.forEach((input, index) => {
+      namedArgs[input.name || String(index)] = (args as readonly unknown[])[
+        index
+      ];
+    });
+
+    const hint = contractErrorHints[errorName]?.replace(
+      /\{(\w+)\}/g,
+      (placeholder, name: string) =>
+        name in namedArgs ? String(namedArgs[name]) : placeholder
+    );
+
+    return {
+      name: errorName,
+      selector: data.slice(0, 10) as Hex,
+      args: namedArgs,
+      contracts: contractErrorSources[data.slice(0, 10).toLowerCase()] ?? [],
+      hint,
+    };
+  } catch {
+    // Not one of the Vana contracts' errors
+    return null;
+  }
+}
+
+/**
+ * Describe a contract revert for display, e.g. "InsufficientFee: Send at least..."
+ * @param error The error thrown by a contract read or write
+ * @returns The description, or null if the error is not a known contract error
+ */
+export function describeContractError(error: unknown): string | null {
+  const decoded = decodeContractError(error);
+  if (!decoded) {
+    return null;
+  }
+  return decoded.hint ? `${decoded.name}: ${decoded.hint}` : decoded.name;
+}